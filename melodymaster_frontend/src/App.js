@@ -1,9 +1,26 @@
 import React from 'react';
 import './App.css';
 import MainContainer from './MainContainer';
+import NowPlayingView from './NowPlayingView';
+import { PlayerProvider, usePlayerState, usePlayerStore } from './PlayerContext';
 
 // PUBLIC_INTERFACE
 function App() {
+  return (
+    <PlayerProvider>
+      <AppShell />
+    </PlayerProvider>
+  );
+}
+
+/**
+ * Navbar and main view, inside the player context so the navbar's
+ * Now Playing button controls the same playback as the stereo.
+ */
+function AppShell() {
+  const player = usePlayerStore();
+  const currentTrack = usePlayerState(state => state.currentTrack);
+  const nowPlayingOpen = usePlayerState(state => state.nowPlayingOpen);
   return (
     <div className="app" style={{background: "#191414", minHeight: "100vh", minWidth: 0, margin: 0}}>
       {/* Top navbar (optional, can be removed if not needed) */}
@@ -13,7 +30,15 @@ function App() {
             <div className="logo">
               <span className="logo-symbol" style={{color:'#1DB954', fontWeight:800}}>*</span> <span style={{color:"#1DB954"}}>MelodyMaster</span>
             </div>
-            <button className="btn" style={{background:"#1DB954", color:"#fff"}}>Now Playing</button>
+            <button
+              className="btn"
+              style={{background:"#1DB954", color:"#fff"}}
+              onClick={() => player.setNowPlayingOpen(true)}
+              disabled={!currentTrack}
+              aria-pressed={nowPlayingOpen}
+            >
+              Now Playing
+            </button>
           </div>
         </div>
       </nav>
@@ -21,6 +46,7 @@ function App() {
       <main style={{display:"flex", flexDirection:"column", alignItems:"center", marginTop:"88px"}}>
         <MainContainer />
       </main>
+      {nowPlayingOpen && <NowPlayingView />}
     </div>
   );
 }
@@ -0,0 +1,78 @@
+import React from "react";
+import { formatBytes } from "./libraryDb";
+
+// PUBLIC_INTERFACE
+/**
+ * LibraryStatus - footer for the tracklist showing the persisted library size,
+ * storage usage and a "clear library" action.
+ * @param {Object} props
+ *   - trackCount: number of tracks stored in the library
+ *   - estimate: { usage, quota } in bytes (quota may be null), or null while loading
+ *   - onClear: called when the user confirms clearing the library
+ */
+function LibraryStatus({ trackCount, estimate, onClear }) {
+  const usedPct = estimate && estimate.quota ? Math.min(100, (estimate.usage / estimate.quota) * 100) : null;
+  const handleClear = () => {
+    if (window.confirm(`Remove all ${trackCount} uploaded track${trackCount === 1 ? "" : "s"} from this browser?`)) {
+      onClear();
+    }
+  };
+  return (
+    <div className="library-status">
+      <div className="library-status-row">
+        <span className="library-status-label">LIBRARY</span>
+        <span className="library-status-count">{trackCount} track{trackCount === 1 ? "" : "s"}</span>
+      </div>
+      {estimate && (
+        <div className="library-status-usage" title="Browser storage used by MelodyMaster">
+          {formatBytes(estimate.usage)}
+          {estimate.quota ? ` of ${formatBytes(estimate.quota)}` : ""} used
+          {usedPct != null && (
+            <div className="library-usage-bar">
+              <div style={{ width: `${Math.max(usedPct, 1)}%` }} />
+            </div>
+          )}
+        </div>
+      )}
+      <button
+        className="library-clear-btn"
+        onClick={handleClear}
+        disabled={trackCount === 0}
+      >
+        CLEAR LIBRARY
+      </button>
+      <style>
+        {`
+        .library-status {
+          margin-top: 10px;
+          padding: 8px 6px 2px 6px;
+          border-top: 1.5px solid #393822;
+          font-family: Inter, monospace;
+          font-size: 0.78rem;
+          color: #c4eacf;
+          display: flex;
+          flex-direction: column;
+          gap: 5px;
+        }
+        .library-status-row { display: flex; justify-content: space-between; align-items: baseline; }
+        .library-status-label {
+          font-family: 'Orbitron', monospace; font-size: 0.72rem; letter-spacing: 0.11em; color: #1DB954;
+        }
+        .library-usage-bar {
+          margin-top: 3px; height: 4px; border-radius: 2px; background: #262828; overflow: hidden;
+        }
+        .library-usage-bar div { height: 100%; background: #1DB954; }
+        .library-clear-btn {
+          align-self: flex-start;
+          background: none; color: #e0707c; border: 1.5px solid #6c2f37; border-radius: 7px;
+          font-family: 'Orbitron', monospace; font-size: 0.66rem; letter-spacing: 0.08em;
+          padding: 3px 7px; cursor: pointer;
+        }
+        .library-clear-btn:disabled { opacity: 0.4; cursor: default; }
+        `}
+      </style>
+    </div>
+  );
+}
+
+export default LibraryStatus;
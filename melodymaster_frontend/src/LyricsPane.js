@@ -0,0 +1,93 @@
+import React, { useEffect, useRef } from "react";
+
+// PUBLIC_INTERFACE
+/**
+ * Index of the line being sung at `position`: the last line whose time has
+ * passed, or -1 before the first one.
+ * @param {Array<{time: number}>} lines - sorted by time
+ * @param {number} position - seconds
+ */
+export function activeLyricIndex(lines, position) {
+  let lo = 0;
+  let hi = lines.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (lines[mid].time <= position) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * LyricsPane - time-synced lyrics that keep the current line centered.
+ * Unsynced lyrics (time null, see lyrics.js) are shown as plain text.
+ * @param {Object} props
+ *   - lines: [{ time, text }] sorted by time, or null when there are none
+ *   - position: playback position in seconds
+ *   - onSeek(time): optional; makes synced lines clickable
+ */
+function LyricsPane({ lines, position, onSeek }) {
+  const listRef = useRef(null);
+  const synced = !!(lines && lines.length && lines[0].time != null);
+  const active = synced ? activeLyricIndex(lines, position) : -1;
+  const seekable = synced && onSeek;
+
+  // Scroll the list itself rather than scrollIntoView, which would also move the page
+  useEffect(() => {
+    const list = listRef.current;
+    if (!list || active < 0) return;
+    const line = list.children[active];
+    if (!line) return;
+    list.scrollTo({ top: line.offsetTop - list.clientHeight / 2 + line.clientHeight / 2, behavior: "smooth" });
+  }, [active]);
+
+  return (
+    <>
+      {lines && lines.length ? (
+        <ol className={`lyrics-pane${synced ? "" : " unsynced"}`} ref={listRef}>
+          {lines.map((line, idx) => (
+            <li
+              key={`${line.time}-${idx}`}
+              className={idx === active ? "current" : idx < active ? "past" : ""}
+              onClick={seekable ? () => onSeek(line.time) : undefined}
+              style={seekable ? { cursor: "pointer" } : undefined}
+            >
+              {line.text || (synced ? "♪" : "\u00a0")}
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <div className="lyrics-pane lyrics-empty">No synced lyrics for this track</div>
+      )}
+      <style>
+        {`
+        .lyrics-pane {
+          position: relative; list-style: none; margin: 0; padding: 40% 0;
+          overflow-y: auto; scrollbar-width: thin;
+          font-family: Inter, monospace; text-align: center;
+        }
+        .lyrics-pane li {
+          padding: 5px 8px; color: #7fa38c; font-size: 1.05rem; line-height: 1.4;
+          transition: color 0.2s, transform 0.2s;
+        }
+        .lyrics-pane li.past { color: #55705d; }
+        .lyrics-pane.unsynced { padding: 12px 0; }
+        .lyrics-pane.unsynced li { color: #c4eacf; padding: 2px 8px; font-size: 0.95rem; }
+        .lyrics-pane li.current { color: #EFEA91; font-weight: 700; transform: scale(1.06); text-shadow: 0 0 8px #EFEA9155; }
+        .lyrics-empty {
+          display: flex; align-items: center; justify-content: center; padding: 0;
+          color: #6b706a; font-family: 'Orbitron', monospace; font-size: 0.72rem; letter-spacing: 0.1em;
+        }
+        `}
+      </style>
+    </>
+  );
+}
+
+export default LyricsPane;
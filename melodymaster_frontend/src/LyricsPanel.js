@@ -0,0 +1,94 @@
+import React, { useRef } from "react";
+import LyricsPane from "./LyricsPane";
+import { LYRICS_OFFSET_STEP, MAX_LYRICS_OFFSET, formatLyricsOffset } from "./lyrics";
+
+const SOURCE_LABELS = { lrc: ".LRC", sylt: "ID3 SYLT", uslt: "ID3 USLT", subsonic: "SERVER" };
+
+// PUBLIC_INTERFACE
+/**
+ * LyricsPanel - the stereo's lyrics panel: a scrolling LyricsPane plus the
+ * sync offset adjustment and a button to attach an .lrc file.
+ * @param {Object} props
+ *   - lyrics: the track's { synced, lines, source } (see lyrics.js) or null
+ *   - lines: lines to show, already shifted by the offset
+ *   - position: playback position in seconds
+ *   - offset: sync offset in seconds (positive shows lines later)
+ *   - onOffsetChange(offset)
+ *   - onSeek(time)
+ *   - onAttach(file): omitted when lyrics can't be attached to this track
+ */
+function LyricsPanel({ lyrics, lines, position, offset, onOffsetChange, onSeek, onAttach }) {
+  const fileRef = useRef(null);
+  const synced = !!(lyrics && lyrics.synced);
+  const nudge = delta => {
+    const next = Math.round((offset + delta) / LYRICS_OFFSET_STEP) * LYRICS_OFFSET_STEP;
+    onOffsetChange(Math.max(-MAX_LYRICS_OFFSET, Math.min(MAX_LYRICS_OFFSET, next)));
+  };
+
+  return (
+    <div className="lyrics-panel">
+      <div className="lyrics-panel-header">
+        <span className="lyrics-panel-title">LYRICS</span>
+        {lyrics && <span className="lyrics-panel-source">{SOURCE_LABELS[lyrics.source] || ""}{synced ? "" : " · UNSYNCED"}</span>}
+        <div className="lyrics-panel-sync" title="Shift the lyrics if they run ahead of or behind the music">
+          <button onClick={() => nudge(-LYRICS_OFFSET_STEP)} disabled={!synced} aria-label="Show lyrics earlier">−</button>
+          <button
+            className="lyrics-panel-offset"
+            onClick={() => onOffsetChange(0)}
+            disabled={!synced || !offset}
+            aria-label="Reset lyrics offset"
+            title="Reset offset"
+          >
+            {formatLyricsOffset(offset)}
+          </button>
+          <button onClick={() => nudge(LYRICS_OFFSET_STEP)} disabled={!synced} aria-label="Show lyrics later">+</button>
+        </div>
+        <button
+          className="lyrics-panel-attach"
+          onClick={() => fileRef.current && fileRef.current.click()}
+          disabled={!onAttach}
+          title={onAttach ? "Attach an .lrc file to this track" : "Lyrics can be attached to tracks in your library"}
+        >
+          ATTACH .LRC
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".lrc,.txt,text/plain"
+          style={{ display: "none" }}
+          onChange={e => {
+            const file = e.target.files[0];
+            e.target.value = "";
+            if (file && onAttach) onAttach(file);
+          }}
+        />
+      </div>
+      <LyricsPane lines={lines} position={position} onSeek={onSeek} />
+      <style>
+        {`
+        .lyrics-panel {
+          width: 100%; margin-top: 10px; box-sizing: border-box;
+          background: #181a17; border: 1.5px solid #393822; border-radius: 10px; padding: 6px 10px 4px 10px;
+        }
+        .lyrics-panel-header { display: flex; align-items: center; gap: 8px; }
+        .lyrics-panel-title { font-family: 'Orbitron', monospace; font-size: 0.7rem; letter-spacing: 0.12em; color: #1DB954; }
+        .lyrics-panel-source { font-family: 'Orbitron', monospace; font-size: 0.58rem; letter-spacing: 0.08em; color: #8a9a8e; }
+        .lyrics-panel-sync { display: flex; align-items: center; gap: 3px; margin-left: auto; }
+        .lyrics-panel button {
+          background: none; color: #8a9a8e; border: 1.5px solid #393822; border-radius: 6px;
+          font-family: 'Orbitron', monospace; font-size: 0.62rem; letter-spacing: 0.06em; padding: 2px 7px; cursor: pointer;
+        }
+        .lyrics-panel button:hover:not(:disabled) { color: #1DB954; border-color: #1DB954; }
+        .lyrics-panel button:disabled { opacity: 0.45; cursor: default; }
+        .lyrics-panel .lyrics-panel-offset { min-width: 62px; color: #EFEA91; }
+        .lyrics-panel .lyrics-pane { height: 150px; padding-top: 60px; padding-bottom: 60px; }
+        .lyrics-panel .lyrics-pane.unsynced { padding: 8px 0; }
+        .lyrics-panel .lyrics-pane li { font-size: 0.9rem; }
+        .lyrics-panel .lyrics-empty { height: 60px; }
+        `}
+      </style>
+    </div>
+  );
+}
+
+export default LyricsPanel;
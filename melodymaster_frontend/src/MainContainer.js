@@ -1,94 +1,157 @@
-import React, { useRef, useState, useEffect } from "react";
+import React, { useRef, useState, useEffect, useLayoutEffect, useMemo } from "react";
+import { flushSync } from "react-dom";
+import Visualizer from "./Visualizer";
+import RetroCarEqualizer from "./RetroCarEqualizer";
+import LibraryStatus from "./LibraryStatus";
+import PlaylistSwitcher from "./PlaylistSwitcher";
+import TrackActionsMenu from "./TrackActionsMenu";
+import UpNextPanel from "./UpNextPanel";
+import RotaryKnob from "./RotaryKnob";
+import ShortcutsOverlay from "./ShortcutsOverlay";
+import LyricsPanel from "./LyricsPanel";
+import TracklistToolbar from "./TracklistToolbar";
+import SourcesPanel from "./SourcesPanel";
+import StationForm from "./StationForm";
+import WaveformSeekBar from "./WaveformSeekBar";
+import PracticeControls from "./PracticeControls";
+import { activeLyricIndex } from "./LyricsPane";
+import { usePlayerEvent, usePlayerState, usePlayerStore } from "./PlayerContext";
+import { UPLOAD_ACCEPT, canPlayTrack, describeAudioInfo } from "./audioFormats";
+import { collectDroppedFiles, collectLibraryHashes, filesFromInput, importAudioFiles } from "./fileImport";
+import { formatTime } from "./formatTime";
+import {
+  applyBandToNode,
+  connectFilterChain,
+  createFilterChain,
+  rampBandToNode,
+} from "./equalizer";
+import { bandsEqual, loadEqSettings, saveEqSettings } from "./eqPresets";
+import {
+  albumKey,
+  assignProfile,
+  loadEqAssignments,
+  resolveTrackProfile,
+  saveEqAssignments,
+} from "./eqProfiles";
+import {
+  addLibraryTracks,
+  clearLibrary,
+  deleteLibraryTrack,
+  getStorageEstimate,
+  requestPersistentStorage,
+  updateLibraryTrack,
+} from "./libraryDb";
+import {
+  ALL_TRACKS_ID,
+  RADIO_ID,
+  addToPlaylist,
+  createPlaylist,
+  deletePlaylist,
+  findPlaylist,
+  loadPlaylists,
+  movePlaylistEntry,
+  pruneEntries,
+  removeFromPlaylist,
+  renamePlaylist,
+  resolvePlaylist,
+  savePlaylists,
+  selectPlaylist,
+  trackRef,
+} from "./playlists";
+import {
+  PLAYLIST_FORMATS,
+  describePlaylistEntry,
+  matchPlaylistEntries,
+  parsePlaylistFile,
+  serializePlaylist,
+} from "./playlistFormats";
+import { downloadText } from "./download";
+import {
+  buildTrackView,
+  formatFilterOptions,
+  isNaturalView,
+  loadTrackView,
+  saveTrackView,
+  sourceFilterOptions,
+} from "./trackSearch";
+import { LOCAL_SOURCE_ID, createLocalProvider, libraryRecordToTrack } from "./localProvider";
+import {
+  DEMO_SOURCE_ID,
+  createSource,
+  createSourceRecord,
+  isRemoteTrack,
+  loadSourceTracks,
+  loadSources,
+  saveSources,
+} from "./sourceProviders";
+import { tracksFromStreams } from "./urlProvider";
+import {
+  canPinTrack,
+  isAvailableOffline,
+  listPinnedTracks,
+  offlineSupported,
+  pinTrack,
+  unpinTrack,
+} from "./offlineTracks";
+import {
+  createStation,
+  isHlsUrl,
+  loadStations,
+  saveStations,
+  stationToTrack,
+  watchIcyTitles,
+  withStreamTitle,
+} from "./radio";
+import { loadLyricsOffsets, readLyricsFile, saveLyricsOffsets, shiftLyrics } from "./lyrics";
+import { previewUpNext } from "./playQueue";
+import { MAX_CROSSFADE, createDeckEngine, loadCrossfade, saveCrossfade } from "./deckEngine";
+import {
+  PREAMP_RANGE,
+  analyzeTrack,
+  createLimiter,
+  dbToGain,
+  loadLoudnessCache,
+  loadNormalizationSettings,
+  measureAlbumGain,
+  nextNormalizationMode,
+  normalizationGainDb,
+  saveLoudnessCache,
+  saveNormalizationSettings,
+  setLimiterEnabled,
+} from "./loudness";
+import {
+  DEFAULT_VOLUME,
+  formatBalance,
+  formatVolumeDb,
+  loadOutputSettings,
+  saveOutputSettings,
+  volumeToGain,
+} from "./outputLevel";
+import {
+  comboFromEvent,
+  findShortcutAction,
+  loadShortcutBindings,
+  saveShortcutBindings,
+  shouldIgnoreShortcut,
+} from "./shortcuts";
+import {
+  setMediaActionHandlers,
+  setMediaMetadata,
+  setMediaPlaybackState,
+  setMediaPositionState,
+} from "./mediaSession";
+import { analyzeWaveform, loadCachedPeaks, saveCachedPeaks } from "./waveform";
+import { loadPitchShifter } from "./pitchShifter";
+import {
+  DEFAULT_PRACTICE,
+  SPEED_STEP,
+  formatPractice,
+  loadPracticeSettings,
+  practiceFor,
+  savePracticeSettings,
+  updatePractice,
+} from "./practice";
 
-// PUBLIC_INTERFACE
-/**
- * RetroCarEqualizer - Three-band (bass, mid, treble) UI + live audio frequency controls.
- * @param {Object} props
- *   - audioRef: ref to audio element
- *   - webAudio: {
- *        context: AudioContext,
- *        eqNodes: [BiquadFilterNode, ...]
- *     }
- */
-function RetroCarEqualizer({ showPopup, hidePopup, style, webAudio, bands, setBands }) {
-  // Retro knob style for each slider, mapped to bands: [bass, mid, treble]
-  // Each band mapped to [-12, +12] dB
-  const labels = ["Bass", "Mid", "Treble"];
-  const accentColor = "#b6f951";
-  const bgColor = "#191c15";
-  return (
-    <div className="eq-popup-wide" style={style}>
-      <div style={{
-        fontWeight: 800, letterSpacing: "0.13em",
-        textAlign: "center", color: accentColor, marginBottom: "9px",
-        fontFamily: "'Orbitron', Inter, monospace",
-        fontSize: "1.1em"
-      }}>EQUALIZER</div>
-      <div style={{display:"flex", flexDirection:"column", gap:"12px", width:"auto", minWidth:100}}>
-        {bands.map((val, idx) => (
-          <div key={idx} style={{display:"flex", flexDirection:"column", alignItems:"center"}}>
-            <label style={{
-              fontSize:"0.98em", fontWeight:700,
-              color: accentColor,
-              marginBottom: "2px",
-              letterSpacing: ".09em",
-              textShadow: "0 0 2px #3c5f28aa"
-            }}>{labels[idx]}</label>
-            <input
-              type="range"
-              min={-12}
-              max={12}
-              value={val}
-              step={1}
-              onChange={e => {
-                const nv = +e.target.value;
-                setBands(prev => {
-                  const next = [...prev];
-                  next[idx] = nv;
-                  return next;
-                });
-                // Live update filter dB gain via webAudio.ref
-                if (webAudio && webAudio.eqNodes && webAudio.eqNodes[idx]) {
-                  if (idx === 1) {
-                    // Mid: Biquad Peaking filter adjusts gain
-                    webAudio.eqNodes[idx].gain.value = nv;
-                  } else {
-                    // Bass/Treble: shelving, dB gain
-                    webAudio.eqNodes[idx].gain.value = nv;
-                  }
-                }
-              }}
-              style={{
-                accentColor: accentColor,
-                width: 70, marginLeft: 0, marginRight: 0,
-                // Retro styling:
-                background: "linear-gradient(90deg, #595a5c 0%, #95e47a 45%, #aad49e 85%, #2f302b 100%)",
-                borderRadius: 5
-              }}
-              aria-label={labels[idx]}
-            />
-            <div style={{
-              fontSize:"0.92em", marginTop: "0.2em",
-              fontFamily: "monospace",
-              color: "#faffce",
-              height: "1.15em"
-            }}>
-              {val > 0 ? "+" : ""}{val} dB
-            </div>
-          </div>
-        ))}
-      </div>
-      <button className="btn" onClick={hidePopup}
-        style={{
-          marginTop:"15px", color: accentColor, background: "#232d22",
-          border: "2px solid #3ca671", borderRadius: 9,
-          fontWeight: 650, fontFamily:"Orbitron,Inter,monospace", width: "92px"
-        }}>
-        CLOSE
-      </button>
-    </div>
-  );
-}
 // PUBLIC_INTERFACE
 /**
  * MelodyMaster MainContainer - Car Stereo Look
@@ -100,7 +163,7 @@ function RetroCarEqualizer({ showPopup, hidePopup, style, webAudio, bands, setBa
  */
 const TESTED_MP3 = "https://www.soundhelix.com/examples/mp3/SoundHelix-Song-1.mp3";
 
-const defaultTracks = [
+const defaultTracks = tracksFromStreams([
   {
     title: "Sample Track (Add your own music!)",
     artist: "MelodyMaster",
@@ -129,7 +192,7 @@ const defaultTracks = [
     src: "https://cdn.pixabay.com/audio/2023/04/24/audio_146a14c1ce.mp3",
     duration: 176,
   },
-];
+], DEMO_SOURCE_ID);
 
 const fallbackTrack = {
   title: "Sample Track (Add your own music!)",
@@ -148,390 +211,1197 @@ const stereoTheme = {
   chrome: "#B4B4B4"
 };
 
-function formatTime(secs) {
-  if (isNaN(secs)) return "--:--";
-  const m = Math.floor(secs / 60);
-  const s = Math.floor(secs % 60);
-  return `${m}:${s.toString().padStart(2, "0")}`;
+/**
+ * Creates the AnalyserNode tapped by the Visualizer. 2048-point FFT gives
+ * enough low-frequency resolution for log-spaced bands down to ~40 Hz.
+ */
+function createVisualizerAnalyser(context) {
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 2048;
+  analyser.smoothingTimeConstant = 0.78;
+  analyser.minDecibels = -90;
+  analyser.maxDecibels = -18;
+  return analyser;
 }
 
-function getNextTrackIdx(idx, dir, length) {
-  let next = idx + dir;
-  if (next < 0) return length - 1;
-  if (next >= length) return 0;
-  return next;
+/**
+ * The list the tracklist plays from: every playable track (demo tracks, the
+ * local library, then each added source's tracks in the order the sources
+ * were added), the active playlist's tracks, or the radio stations.
+ */
+function buildTracklist({ userTracks, sources, remoteTracks, stations, playlistState }) {
+  const allTracks = [...defaultTracks, ...userTracks, ...sources.flatMap(source => remoteTracks[source.id] || [])];
+  const libraryTracks = allTracks.filter(canPlayTrack);
+  const radio = playlistState.activeId === RADIO_ID;
+  const activePlaylist = findPlaylist(playlistState, playlistState.activeId);
+  const playlistItems = activePlaylist ? resolvePlaylist(activePlaylist, libraryTracks) : null;
+  const availableTracks = radio ? stations.map(stationToTrack)
+    : playlistItems ? playlistItems.map(item => item.track) : libraryTracks;
+  return { libraryTracks, radio, activePlaylist, playlistItems, availableTracks };
 }
 
-function canPlayAudioSrc(src) {
-  if (!src) return false;
-  const testAudio = document.createElement('audio');
-  const ext = src.split(".").pop().toLowerCase();
-  if (ext === "mp3") return !!testAudio.canPlayType("audio/mpeg");
-  if (ext === "wav") return !!testAudio.canPlayType("audio/wav");
-  if (ext === "ogg") return !!testAudio.canPlayType("audio/ogg");
-  // fallback guess
-  return true;
+/**
+ * Blob URLs owned by a track (audio and album art).
+ */
+function trackBlobUrls(track) {
+  return track.isUploaded ? [track.src, track.art].filter(Boolean) : [];
 }
 
 /**
- * Simple animated visualizer: 7 bars that animate heights when playing
+ * Small tracklist badge for tracks with their own (or their album's) EQ profile.
  */
-function Visualizer({ active }) {
-  // Array of time-varying values so animation looks dynamic, but random per tick.
-  const [levels, setLevels] = useState([0, 0, 0, 0, 0, 0, 0]);
-  useEffect(() => {
-    let anim;
-    if (active) {
-      anim = setInterval(() => {
-        // Each bar gets a different random height, cycling so it waves
-        setLevels(lvls =>
-          lvls.map((l, idx) =>
-            Math.max(30, Math.floor(25 + 38 * Math.abs(Math.sin(Date.now()/210 + idx*1.8 + Math.random()*0.45))) +
-              Math.floor(Math.random() * 5)
-            )
-          )
-        );
-      }, 125);
-    } else {
-      setLevels([8, 11, 16, 22, 17, 12, 9]);
-    }
-    return () => anim && clearInterval(anim);
-  }, [active]);
+function EqProfileBadge({ scope }) {
+  if (scope === "global") return null;
   return (
-    <div className="visualizer-bars">
-      {levels.map((lvl, idx) => (
-        <div
-          key={idx}
-          className="visualizer-bar"
-          style={{
-            height: `${active ? lvl : 10 + (idx * 5)}px`,
-            transition: "height 0.16s cubic-bezier(.48,.39,.1,1.2)",
-            background: active
-              ? `linear-gradient(180deg, #fff, ${stereoTheme.primary} 55%, #095529)`
-              : "linear-gradient(180deg, #b6e9c7, #5de16d 60%, #96bfb1)",
-            opacity: active ? 0.93 : 0.45,
-            filter: active
-              ? "drop-shadow(0 0 4px #1DB95433)"
-              : "blur(1px)",
-          }}
-        />
-      ))}
-      <style>
-        {`
-        .visualizer-bars {
-          display: flex;
-          align-items: flex-end;
-          justify-content: center;
-          height: 52px;
-          width: 133px;
-          margin: 9px auto 0 5px;
-          gap: 7px;
-        }
-        .visualizer-bar {
-          width: 11px;
-          min-width: 8px;
-          border-radius: 4px 4px 2px 2px;
-          background: linear-gradient(180deg, #fff, #1DB954 70%, #095529);
-          box-shadow: 0 4px 7px #171f18aa;
-        }
-        `}
-      </style>
-    </div>
+    <span
+      className={`eq-badge eq-badge-${scope}`}
+      title={scope === "track" ? "Custom EQ for this track" : "Album EQ profile"}
+    >
+      EQ
+    </span>
   );
 }
 
 /**
- * Allows user to upload MP3 files, appends to track list, and enables playback.
+ * Tracklist badge for tracks saved for offline playback, or being saved.
+ * @param {Object} props - pinned: bool; progress: 0-1 while saving, null otherwise
+ */
+function OfflineBadge({ pinned, progress }) {
+  if (progress != null) {
+    return <span className="offline-badge saving" title="Saving for offline">{Math.round(progress * 100)}%</span>;
+  }
+  if (!pinned) return null;
+  return <span className="offline-badge" title="Saved for offline playback">OFFLINE</span>;
+}
+
+// A-B loop points in seconds; the loop runs once both are set
+const NO_LOOP = { a: null, b: null };
+const MIN_LOOP_SECONDS = 0.5;
+// How far before A a position may be (seek imprecision) without jumping back to A
+const LOOP_TOLERANCE = 0.3;
+
+// Number of spectrum bars drawn by the Visualizer
+const VISUALIZER_BAR_COUNT = 12;
+
+/**
+ * Allows user to upload audio files, appends to track list, and enables playback.
  * 
- * Handles .mp3-only enforcement and file validation.
+ * Uploads are identified by magic bytes and probed for real browser support;
+ * unplayable files are rejected with a per-file reason. Files and whole folders
+ * can also be dropped onto the page; exact duplicates are skipped by content hash.
  */
 function MainContainer() {
-  // No Now Playing button present; any Now Playing related rendering or handlers have been removed.
-  const [currentIdx, setCurrentIdx] = useState(0);
-  const [playing, setPlaying] = useState(false);
-  const [progress, setProgress] = useState(0);
+  // Playback state (current index, play/pause, position, play order, EQ) lives in
+  // the shared player store; this component follows it with the audio engine
+  const player = usePlayerStore();
+  const {
+    currentIdx, playing, progress, modes: playModes, queue: upNext, shuffleOrder, played: shufflePlayed, eq,
+  } = usePlayerState();
+  const eqBands = eq.bands;
+  const eqPreset = eq.presetId;
+  const setEqBands = (bands) => player.setEq({ bands });
+  const setEqPreset = (presetId) => player.setEq({ presetId });
   const [audioError, setAudioError] = useState("");
   const [fileError, setFileError] = useState(""); // UI for upload errors
-  const [userTracks, setUserTracks] = useState([]); // Uploaded tracks: {title, src, art, ...}
-
-  // EQ State: 3 bands (bass, mid, treble) in dB, default to 0
-  const [eqBands, setEqBands] = useState([0, 0, 0]);
+  const [rejectedFiles, setRejectedFiles] = useState([]); // [{name, reason}] from the last upload
+  const [importSummary, setImportSummary] = useState(""); // "Imported N tracks · skipped M duplicates"
+  const [importProgress, setImportProgress] = useState(null); // { done, total, current } while importing
+  const [dragActive, setDragActive] = useState(false); // files are being dragged over the page
+  const [userTracks, setUserTracks] = useState([]); // Uploaded tracks: {id, title, src, art, ...}, persisted in IndexedDB
+  // Added track sources [{id, type, name, config}] (persisted), their tracks by
+  // source id, and how loading them went: { [id]: { loading, error, count } }
+  const [sources, setSources] = useState(loadSources);
+  const [remoteTracks, setRemoteTracks] = useState({});
+  const [sourceStatus, setSourceStatus] = useState({});
+  const [showSources, setShowSources] = useState(false);
+  // Offline: URLs pinned in the Cache API, downloads in progress { [src]: 0-1 }
+  // and whether the browser thinks it's online
+  const [pinnedTracks, setPinnedTracks] = useState(() => new Set());
+  const [pinProgress, setPinProgress] = useState({});
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+  // Saved radio stations [{id, name, url, genre}] and the song the current one announced
+  const [stations, setStations] = useState(loadStations);
+  const [streamTitle, setStreamTitle] = useState(null); // { artist, title }
+  const [storageEstimate, setStorageEstimate] = useState(null); // { usage, quota } for the library footer
+  // User playlists: { playlists: [{id, name, entries}], activeId }, persisted in localStorage
+  const [playlistState, setPlaylistState] = useState(loadPlaylists);
+  // Tracklist drag-to-reorder: row being dragged and row it is over
+  const [dragRow, setDragRow] = useState(null);
+  const [dragOverRow, setDragOverRow] = useState(null);
+  // Per-track / per-album EQ profiles: { tracks: {key: profile}, albums: {key: profile} }
+  const [eqAssignments, setEqAssignments] = useState(loadEqAssignments);
+  // Set when the next eqBands change should glide instead of jumping (track switch)
+  const eqRampRef = useRef(false);
   // EQ Popup visibility
   const [showEqPopup, setShowEqPopup] = useState(false);
+  // Visualizer mode: "bars" (spectrum) or "scope" (oscilloscope waveform)
+  const [vizMode, setVizMode] = useState("bars");
 
-  // Web Audio API handling
-  const audioRef = useRef(null);
-  const progressRef = useRef(null);
+  // Playback: dual-deck engine (created on mount) and its event handlers, refreshed every render
+  const engineRef = useRef(null);
+  const engineHandlersRef = useRef({});
+  const engineAdvancingRef = useRef(false); // set while the store catches up with an engine advance
+  const [crossfade, setCrossfade] = useState(loadCrossfade); // seconds, 0 = gapless cut
+  const [deckSwitches, setDeckSwitches] = useState(0); // bumps when the engine moves on by itself
+  const [engineWarning, setEngineWarning] = useState("");
+  // Loudness normalization: { mode, preamp, limiter } (persisted) and measured
+  // loudness of streamed tracks by src; library tracks carry theirs as track.loudness
+  const [normSettings, setNormSettings] = useState(loadNormalizationSettings);
+  const [streamLoudness, setStreamLoudness] = useState(loadLoudnessCache);
+  const analyzedSrcsRef = useRef(new Set()); // analyzed or in progress this session
+  // Master volume (0-100), mute and balance (-100..100), persisted
+  const [output, setOutput] = useState(loadOutputSettings);
+  // Keyboard shortcuts: { [actionId]: combo } (persisted), the cheat sheet overlay
+  // and the handlers the global key listener calls, refreshed every render
+  const [shortcutBindings, setShortcutBindings] = useState(loadShortcutBindings);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const shortcutHandlersRef = useRef({});
+  const searchInputRef = useRef(null); // track search box, focused by its shortcut
+  // Tracklist search, sort and filters; the sort and filters are persisted
+  const [trackView, setTrackView] = useState(loadTrackView);
+  // Lyrics panel and the per-track sync offsets { [trackRef]: seconds } (persisted)
+  const [showLyrics, setShowLyrics] = useState(false);
+  const [lyricsOffsets, setLyricsOffsets] = useState(loadLyricsOffsets);
+  // Waveform of the current streamed track { ref, peaks } (library tracks
+  // carry theirs as track.peaks), tracks whose audio couldn't be decoded,
+  // and the A-B loop of the current track
+  const [streamPeaks, setStreamPeaks] = useState(null);
+  const waveformFailedRef = useRef(new Set());
+  const [loop, setLoop] = useState(NO_LOOP);
+  // Speed and pitch per track { [trackRef]: settings } (persisted), and
+  // whether the pitch shifter worklet is in the graph
+  const [practiceSettings, setPracticeSettings] = useState(loadPracticeSettings);
+  const [pitchShiftAvailable, setPitchShiftAvailable] = useState(false);
   const fileInputRef = useRef();
+  const folderInputRef = useRef();
+  // Blob URLs currently handed out for userTracks; revoked once their track is gone
+  const blobUrlsRef = useRef(new Set());
 
   // Store WebAudio nodes & context (init only once per session)
   const [webAudio, setWebAudio] = useState({
     context: null,
-    source: null,
-    eqNodes: null, // [bass, mid, treble]
+    input: null, // GainNode both decks mix into, ahead of the EQ
+    eqNodes: null, // one BiquadFilterNode per eqBands entry
+    limiter: null, // DynamicsCompressorNode catching peaks after the EQ
+    analyser: null, // AnalyserNode feeding the Visualizer (ahead of volume, so it ignores the knob)
+    balance: null, // StereoPannerNode for left/right balance
+    volume: null, // GainNode for master volume and mute, last node before destination
     destination: null,
     setupDone: false
   });
 
-  // Merge uploaded tracks with default
-  const allTracks = [...defaultTracks, ...userTracks];
+  // The tracklist (and play order) is either every playable track or the active playlist
+  const { libraryTracks, radio, activePlaylist, playlistItems, availableTracks } = buildTracklist({
+    userTracks, sources, remoteTracks, stations, playlistState,
+  });
+  const hasValidTracks = libraryTracks.length > 0;
+  const currentTrack = availableTracks.length ? availableTracks[currentIdx % availableTracks.length] : fallbackTrack;
+  // Track lists as last rendered, for replaceTracks
+  const tracklistStateRef = useRef(null);
+  tracklistStateRef.current = { userTracks, sources, remoteTracks, stations, playlistState, currentTrack };
+  // What the display shows: for a station, the song it's playing when known
+  const nowPlaying = withStreamTitle(currentTrack, streamTitle);
+  const currentSrc = currentTrack.src || "";
+  const viewRefsKey = availableTracks.map(trackRef).join("\n");
+  const queueState = { modes: playModes, queue: upNext, shuffleOrder, played: shufflePlayed };
+  const cannotPlayAny = !canPlayTrack(currentTrack);
+  // Which EQ profile applies to the current track: its own, its album's or the global one
+  const { scope: eqScope, profile: trackEqProfile } = resolveTrackProfile(eqAssignments, currentTrack);
+  const currentTrackKey = trackRef(currentTrack);
+
+  useEffect(() => {
+    savePlaylists(playlistState);
+  }, [playlistState]);
+
+  // Updates the track lists and moves the play index along: onto `select`
+  // when given, else to wherever the current track ends up (stopping on row
+  // `stopAt` if it's gone). Each update is a state updater, keyed like
+  // buildTracklist's argument. flushSync commits the lists and the index in
+  // one render; from a promise callback they would otherwise land apart and
+  // briefly point the index at the wrong track.
+  // Options: select (a track), idxHint (where the current row ends up, when
+  // the caller knows: picks the right copy of a track listed twice), stopAt.
+  const replaceTracks = (updates, { select = null, idxHint = null, stopAt = 0 } = {}) => {
+    const latest = tracklistStateRef.current;
+    const next = { ...latest };
+    Object.keys(updates).forEach(key => {
+      next[key] = updates[key](latest[key]);
+    });
+    const { availableTracks: nextTracks } = buildTracklist(next);
+    const ref = trackRef(select || latest.currentTrack);
+    const idx = idxHint != null ? idxHint : player.getState().currentIdx;
+    const nextIdx = nextTracks[idx] && trackRef(nextTracks[idx]) === ref ? idx : nextTracks.findIndex(t => trackRef(t) === ref);
+    flushSync(() => {
+      if (updates.userTracks) setUserTracks(updates.userTracks);
+      if (updates.sources) setSources(updates.sources);
+      if (updates.remoteTracks) setRemoteTracks(updates.remoteTracks);
+      if (updates.stations) setStations(updates.stations);
+      if (updates.playlistState) setPlaylistState(updates.playlistState);
+      if (nextIdx >= 0) player.setIndex(nextIdx);
+      else player.setIndex(Math.max(0, Math.min(stopAt, nextTracks.length - 1)), { stop: true });
+    });
+  };
 
-  // Only tracks with supported source, fallback guarantee
-  const availableTracks = allTracks.filter(t => canPlayAudioSrc(t.src));
-  const hasValidTracks = availableTracks.length > 0;
-  const currentTrack = hasValidTracks ? availableTracks[currentIdx % availableTracks.length] : fallbackTrack;
-  const cannotPlayAny = !canPlayAudioSrc(currentTrack.src);
+  // The store picks next/previous tracks from the list as last committed (a
+  // render React throws away must not leave the store pointing at its list)
+  const availableTracksRef = useRef(availableTracks);
+  useLayoutEffect(() => {
+    availableTracksRef.current = availableTracks;
+  });
+  useLayoutEffect(() => {
+    player.setTrackSource(() => availableTracksRef.current);
+  }, [player]);
+  useEffect(() => {
+    player.tracksChanged();
+  }, [player, viewRefsKey]);
 
-  // Setup Web Audio API: must be done after user gesture (on mount + whenever src changes)
+  // Create the playback engine and the Web Audio graph once:
+  // decks (with per-track normalization gain and pitch shift) -> input -> EQ
+  // filters -> limiter -> analyser -> balance -> volume -> destination
   useEffect(() => {
-    if (!audioRef.current) return;
-    let context, source, destination, filters;
-    let cleanup = () => {};
-    // Modern browsers create AudioContext only once per tab
-    if (!webAudio.context) {
-      context = new (window.AudioContext || window.webkitAudioContext)();
-      destination = context.destination;
-
-      // Filters
-      const bass = context.createBiquadFilter();
-      bass.type = "lowshelf";
-      bass.frequency.value = 80;
-      bass.gain.value = eqBands[0];
-
-      const mid = context.createBiquadFilter();
-      mid.type = "peaking";
-      mid.frequency.value = 1100;
-      mid.Q.value = 1;
-      mid.gain.value = eqBands[1];
-
-      const treble = context.createBiquadFilter();
-      treble.type = "highshelf";
-      treble.frequency.value = 7200;
-      treble.gain.value = eqBands[2];
-
-      // Audio source (media element)
-      source = context.createMediaElementSource(audioRef.current);
-      // Chain filters
-      source.connect(bass);
-      bass.connect(mid);
-      mid.connect(treble);
-      treble.connect(destination);
-
-      setWebAudio({
-        context, source, eqNodes: [bass, mid, treble], destination, setupDone: true
-      });
+    const delegate = name => (...args) => engineHandlersRef.current[name](...args);
+    const engine = createDeckEngine({
+      onTimeUpdate: delegate("onTimeUpdate"),
+      onAdvance: delegate("onAdvance"),
+      onEnded: delegate("onEnded"),
+      onError: delegate("onError"),
+      onMetadata: delegate("onMetadata"),
+      onStreamTitle: delegate("onStreamTitle"),
+    });
+    engine.setCrossfade(crossfade);
+    engineRef.current = engine;
 
-      cleanup = () => {
-        // Disconnect everything
-        source && source.disconnect();
-        bass && bass.disconnect();
-        mid && mid.disconnect();
-        treble && treble.disconnect();
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+      setEngineWarning("Web Audio isn't available in this browser: the equalizer, visualizer and crossfade are off.");
+      return () => {
+        engine.destroy();
+        engineRef.current = null;
       };
+    }
+    const context = new AudioContextClass();
+    const input = context.createGain();
+    const filters = createFilterChain(context, eqBands);
+    const limiter = createLimiter(context, normSettings.limiter);
+    const analyser = createVisualizerAnalyser(context);
+    connectFilterChain(input, filters, limiter);
+    limiter.connect(analyser);
+    // Older Safari has no StereoPannerNode: skip balance there
+    const balance = context.createStereoPanner ? context.createStereoPanner() : null;
+    const volume = context.createGain();
+    volume.gain.value = output.muted ? 0 : volumeToGain(output.volume);
+    if (balance) {
+      balance.pan.value = output.balance / 100;
+      analyser.connect(balance);
+      balance.connect(volume);
     } else {
-      // context exists: just reconnect new src node and filters
-      context = webAudio.context;
-      let src = audioRef.current;
-      try {
-        // If previously chained, disconnect all
-        if (webAudio.source && webAudio.source.mediaElement !== src) {
-          webAudio.source.disconnect();
-        }
-        let updateNodes = webAudio.eqNodes;
-        // If missing, recreate filter chain.
-        if (!updateNodes) {
-          const bass = context.createBiquadFilter();
-          bass.type = "lowshelf";
-          bass.frequency.value = 80;
-          bass.gain.value = eqBands[0];
-    
-          const mid = context.createBiquadFilter();
-          mid.type = "peaking";
-          mid.frequency.value = 1100;
-          mid.Q.value = 1;
-          mid.gain.value = eqBands[1];
-    
-          const treble = context.createBiquadFilter();
-          treble.type = "highshelf";
-          treble.frequency.value = 7200;
-          treble.gain.value = eqBands[2];
-
-          updateNodes = [bass, mid, treble];
-        }
-        const newSource = context.createMediaElementSource(src);
-        newSource.connect(updateNodes[0]);
-        updateNodes[0].connect(updateNodes[1]);
-        updateNodes[1].connect(updateNodes[2]);
-        updateNodes[2].connect(context.destination);
-
-        setWebAudio({
-          ...webAudio,
-          source: newSource,
-          eqNodes: updateNodes
-        });
-
-        cleanup = () => {
-          newSource && newSource.disconnect();
-          updateNodes && updateNodes.forEach(node => node.disconnect());
-        };
-      } catch (e) {} // Safe catch for duplicate nodes.
+      analyser.connect(volume);
+    }
+    volume.connect(context.destination);
+    let attached = true;
+    try {
+      engine.attach(context, input);
+    } catch (err) {
+      // Playback still works straight from the <audio> elements, just without processing
+      attached = false;
+      setEngineWarning(`Could not route audio through the equalizer (${err.message}). Playing without EQ, visualizer or crossfade.`);
     }
-    return cleanup;
+    // The pitch shifter worklet loads in the background; until then, or
+    // without AudioWorklet, tracks keep their pitch (speed still works)
+    let closed = false;
+    loadPitchShifter(context)
+      .then(createShifter => {
+        if (closed || !attached || !createShifter) return;
+        engine.insertPitchShifters(createShifter);
+        setPitchShiftAvailable(true);
+      })
+      .catch(() => {});
+    setWebAudio({
+      context, input, eqNodes: filters, limiter, analyser, balance, volume, destination: context.destination, setupDone: true
+    });
+
+    return () => {
+      closed = true;
+      engine.destroy();
+      engineRef.current = null;
+      input.disconnect();
+      limiter.disconnect();
+      analyser.disconnect();
+      if (balance) balance.disconnect();
+      volume.disconnect();
+      context.close().catch(() => {});
+    };
     // eslint-disable-next-line
-  }, [audioRef, currentTrack.src]);
+  }, []);
+
+  // Load the current track (a no-op when the engine already moved on to it)
+  useEffect(() => {
+    const engine = engineRef.current;
+    if (!engine) return;
+    if (engine.setTrack(currentSrc)) {
+      setAudioError("");
+    }
+  }, [currentSrc, webAudio.setupDone]);
 
-  // Update EQ and filters if eqBands state changes
+  // Update EQ filters if eqBands state changes; rebuild the chain when the band count changes
   useEffect(() => {
-    if (!webAudio.eqNodes) return;
-    if (webAudio.eqNodes.length === 3) {
-      webAudio.eqNodes[0].gain.value = eqBands[0];
-      webAudio.eqNodes[1].gain.value = eqBands[1];
-      webAudio.eqNodes[2].gain.value = eqBands[2];
+    const { context, input, eqNodes, limiter } = webAudio;
+    if (!eqNodes) return;
+    const ramp = eqRampRef.current;
+    eqRampRef.current = false;
+    if (eqNodes.length === eqBands.length) {
+      eqNodes.forEach((node, idx) =>
+        ramp ? rampBandToNode(node, eqBands[idx]) : applyBandToNode(node, eqBands[idx])
+      );
+      return;
     }
+    input.disconnect();
+    eqNodes.forEach(node => node.disconnect());
+    const nodes = createFilterChain(context, eqBands);
+    connectFilterChain(input, nodes, limiter);
+    setWebAudio(prev => ({ ...prev, eqNodes: nodes }));
     // We do not update state on slider move, as that's done in slider itself for perf.
+    // eslint-disable-next-line
   }, [eqBands, webAudio.eqNodes]);
 
-  // Attempt to get duration for uploaded audio (best effort for local files)
+  // Persist EQ settings so the sound profile survives reloads. Edits go to
+  // whichever profile is active: the track's, its album's, or the global one.
   useEffect(() => {
-    if (!audioRef.current) return;
-    const audio = audioRef.current;
-    const setFakeDurationIfMissing = () => {
-      if (
-        userTracks.length > 0 &&
-        currentTrack.src &&
-        currentTrack.duration == null &&
-        !isNaN(audio.duration) &&
-        isFinite(audio.duration)
-      ) {
-        setUserTracks((prev) =>
-          prev.map(ut =>
-            ut.src === currentTrack.src && (ut.duration == null)
-              ? { ...ut, duration: Math.round(audio.duration) }
-              : ut
-          )
-        );
-      }
-    };
-    audio.addEventListener("loadedmetadata", setFakeDurationIfMissing);
-    return () => audio.removeEventListener("loadedmetadata", setFakeDurationIfMissing);
+    const settings = { bands: eqBands, presetId: eqPreset };
+    if (eqScope === "global") {
+      saveEqSettings(settings);
+    } else {
+      setEqAssignments(prev => assignProfile(prev, currentTrack, eqScope, settings));
+    }
     // eslint-disable-next-line
-  }, [currentTrack.src, userTracks.length]);
+  }, [eqBands, eqPreset]);
 
   useEffect(() => {
-    if (!audioRef.current) return;
-    const handleAudioError = () => {
-      setAudioError(
-        "Audio format/source not supported or not reachable. Try another track or check connection."
-      );
-      setPlaying(false);
-    };
-    audioRef.current.addEventListener("error", handleAudioError);
-    return () => {
-      audioRef.current && audioRef.current.removeEventListener("error", handleAudioError);
-    };
-  }, [currentTrack.src]);
+    saveEqAssignments(eqAssignments);
+  }, [eqAssignments]);
 
+  // Switch to the track's EQ profile (or back to the global one) when the track changes
   useEffect(() => {
-    if (audioRef.current) {
-      if (playing) {
-        // Safari requires trigger on audio context resume
-        if (webAudio.context && webAudio.context.state === "suspended") {
-          webAudio.context.resume();
-        }
-        audioRef.current.play().catch(() => setPlaying(false));
+    const target = trackEqProfile || loadEqSettings();
+    if (bandsEqual(target.bands, eqBands) && target.presetId === eqPreset) return;
+    eqRampRef.current = true;
+    player.setEq({ bands: target.bands, presetId: target.presetId });
+    // eslint-disable-next-line
+  }, [currentTrackKey]);
+
+  // Restore the persisted library on startup
+  useEffect(() => {
+    let cancelled = false;
+    createLocalProvider().list()
+      .then(restored => {
+        if (cancelled || !restored.length) return;
+        replaceTracks({ userTracks: prev => [...restored, ...prev.filter(t => !restored.some(r => r.id === t.id))] });
+      })
+      .catch(err => setFileError(`Could not load your saved library: ${err.message}`));
+    return () => { cancelled = true; };
+    // eslint-disable-next-line
+  }, []);
+
+  // Revoke blob URLs of tracks that were removed (after the <audio> element has let go of them)
+  useEffect(() => {
+    const live = new Set(userTracks.flatMap(trackBlobUrls));
+    blobUrlsRef.current.forEach(url => {
+      if (!live.has(url)) URL.revokeObjectURL(url);
+    });
+    blobUrlsRef.current = live;
+  }, [userTracks]);
+
+  useEffect(() => () => {
+    blobUrlsRef.current.forEach(url => URL.revokeObjectURL(url));
+    blobUrlsRef.current = new Set();
+  }, []);
+
+  // Refresh storage usage whenever the library changes size
+  useEffect(() => {
+    let cancelled = false;
+    getStorageEstimate(userTracks).then(est => !cancelled && setStorageEstimate(est));
+    return () => { cancelled = true; };
+    // eslint-disable-next-line
+  }, [userTracks.length, pinnedTracks.size]);
+
+  // Seek bar waveform: from the library record or the cache, otherwise decoded
+  // once (queued with the loudness measurements) and stored
+  const currentRef = currentTrack.src ? trackRef(currentTrack) : "";
+  useEffect(() => {
+    const track = currentTrack;
+    if (!track.src || track.live || track.peaks || waveformFailedRef.current.has(currentRef)) return undefined;
+    const cached = loadCachedPeaks(currentRef);
+    if (cached) {
+      setStreamPeaks({ ref: currentRef, peaks: cached });
+      return undefined;
+    }
+    const ref = currentRef;
+    const controller = new AbortController();
+    analyzeWaveform(track, controller.signal).then(peaks => {
+      if (controller.signal.aborted) return;
+      if (!peaks) {
+        waveformFailedRef.current.add(ref);
+      } else if (track.id) {
+        updateLibraryTrack(track.id, { peaks }).catch(() => {});
+        setUserTracks(prev => prev.map(t => (t.id === track.id ? { ...t, peaks } : t)));
       } else {
-        audioRef.current.pause();
+        saveCachedPeaks(ref, peaks);
+        setStreamPeaks({ ref, peaks });
       }
-    }
+    });
+    return () => controller.abort();
     // eslint-disable-next-line
-  }, [playing, currentIdx]);
+  }, [currentRef]);
+  const currentPeaks = currentTrack.peaks || (streamPeaks && streamPeaks.ref === currentRef ? streamPeaks.peaks : null);
 
   useEffect(() => {
-    const audio = audioRef.current;
-    if (!audio) return;
-    const update = () => setProgress(audio.currentTime);
-    audio.addEventListener("timeupdate", update);
-    audio.addEventListener("ended", handleTrackEnd);
-    return () => {
-      audio.removeEventListener("timeupdate", update);
-      audio.removeEventListener("ended", handleTrackEnd);
-    };
-  }, [currentIdx]);
+    setLoop(NO_LOOP);
+  }, [currentSrc]);
+  const loopActive = !currentTrack.live && loop.a != null && loop.b != null;
 
-  const handleTrackClick = (idx) => {
-    setCurrentIdx(idx);
-    setProgress(0);
-    setPlaying(true);
+  // Now-playing titles of the current station: ICY metadata for Icecast and
+  // Shoutcast, while it plays; HLS streams report theirs through the engine
+  useEffect(() => {
+    setStreamTitle(null);
+  }, [currentSrc]);
+  useEffect(() => {
+    if (!currentTrack.live || !playing || isHlsUrl(currentSrc)) return undefined;
+    return watchIcyTitles(currentSrc, setStreamTitle);
+    // eslint-disable-next-line
+  }, [currentSrc, playing]);
+
+  // Lists an added source's tracks into the tracklist
+  const loadSource = (source) => {
+    setSourceStatus(prev => ({ ...prev, [source.id]: { loading: true } }));
+    return loadSourceTracks(createSource(source), source.id)
+      .then(tracks => {
+        // Removed while it was loading
+        if (!tracklistStateRef.current.sources.some(s => s.id === source.id)) return;
+        replaceTracks({ remoteTracks: prev => ({ ...prev, [source.id]: tracks }) });
+        setSourceStatus(prev => ({ ...prev, [source.id]: { count: tracks.length } }));
+      })
+      .catch(err => setSourceStatus(prev => ({ ...prev, [source.id]: { error: err.message } })));
   };
-  const handlePlayPause = () => setPlaying((p) => !p);
 
-  const handleNext = () => {
-    setProgress(0);
-    setCurrentIdx((idx) => getNextTrackIdx(idx, 1, availableTracks.length));
-    setPlaying(true);
+  // Load the added sources on startup
+  useEffect(() => {
+    sources.forEach(loadSource);
+    // eslint-disable-next-line
+  }, []);
+
+  useEffect(() => {
+    saveSources(sources);
+  }, [sources]);
+
+  // Fill in tags and lyrics for an added source's track when it comes up
+  const metadataRequestedRef = useRef(new Set());
+  const currentRemoteRef = isRemoteTrack(currentTrack) ? trackRef(currentTrack) : "";
+  useEffect(() => {
+    if (!currentRemoteRef || metadataRequestedRef.current.has(currentRemoteRef)) return;
+    const track = currentTrack;
+    const source = sources.find(s => s.id === track.sourceId);
+    if (!source) return;
+    metadataRequestedRef.current.add(currentRemoteRef);
+    createSource(source)
+      .metadata(track)
+      .then(fields => {
+        if (!Object.keys(fields).length) return;
+        setRemoteTracks(prev => {
+          if (!prev[track.sourceId]) return prev;
+          const tracks = prev[track.sourceId].map(t =>
+            trackRef(t) === currentRemoteRef ? { ...t, ...fields, metadataGuessed: false } : t
+          );
+          return { ...prev, [track.sourceId]: tracks };
+        });
+      })
+      .catch(() => {});
+    // eslint-disable-next-line
+  }, [currentRemoteRef]);
+
+  useEffect(() => {
+    const engine = engineRef.current;
+    if (!engine) return;
+    if (playing) {
+      // A paused station would resume from its stale buffer: rejoin the broadcast
+      if (currentTrack.live && engine.element.paused && engine.currentTime > 0) engine.reload();
+      // Safari requires trigger on audio context resume (the engine resumes it)
+      engine.play().catch(() => player.pause());
+    } else {
+      engine.pause();
+    }
+    // eslint-disable-next-line
+  }, [playing, currentIdx, webAudio.setupDone]);
+
+  useEffect(() => {
+    saveCrossfade(crossfade);
+    if (engineRef.current) engineRef.current.setCrossfade(crossfade);
+  }, [crossfade]);
+
+  // Glide volume and balance changes to avoid zipper noise
+  useEffect(() => {
+    saveOutputSettings(output);
+    const { context, volume, balance } = webAudio;
+    if (!volume) return;
+    volume.gain.setTargetAtTime(output.muted ? 0 : volumeToGain(output.volume), context.currentTime, 0.02);
+    if (balance) balance.pan.setTargetAtTime(output.balance / 100, context.currentTime, 0.02);
+    // eslint-disable-next-line
+  }, [output, webAudio.setupDone]);
+
+  // What plays after the current track when it ends, so the engine can preload it.
+  // The store caches it, since a new shuffle cycle is random. Stations never
+  // end, and preloading one would start streaming it. An A-B loop keeps the
+  // track from ending (and a crossfade from starting).
+  const autoNext = player.peekNext();
+  const autoNextTrack = autoNext.idx != null && !currentTrack.live && !loopActive && !availableTracks[autoNext.idx].live
+    ? availableTracks[autoNext.idx]
+    : null;
+  const autoNextSrc = autoNextTrack ? autoNextTrack.src : "";
+  useEffect(() => {
+    if (engineRef.current) engineRef.current.preload(autoNextSrc);
+  }, [autoNextSrc, deckSwitches, webAudio.setupDone]);
+
+  // Loudness normalization. Tracks without tags are measured in the background
+  // (current, next and, in album mode, the rest of the album) and the result cached.
+  const loudnessOf = track => track.loudness || streamLoudness[track.src] || null;
+  const albumTracksOf = track => (track.album ? libraryTracks.filter(t => albumKey(t) === albumKey(track)) : [track]);
+  const normalizationDb = track => normalizationGainDb(
+    loudnessOf(track),
+    normSettings,
+    normSettings.mode === "album" ? measureAlbumGain(albumTracksOf(track).map(loudnessOf)) : null
+  );
+  const toAnalyze = normSettings.mode === "off" ? [] : [
+    currentTrack,
+    autoNextTrack,
+    ...(normSettings.mode === "album" ? albumTracksOf(currentTrack) : []),
+  ].filter((t, idx, list) => t && t.src && !t.live && !loudnessOf(t) && list.indexOf(t) === idx);
+  const toAnalyzeKey = toAnalyze.map(t => t.src).join("\n");
+  useEffect(() => {
+    toAnalyze.forEach(track => {
+      if (analyzedSrcsRef.current.has(track.src)) return;
+      // Failures (e.g. a stream without CORS) aren't retried until reload
+      analyzedSrcsRef.current.add(track.src);
+      analyzeTrack(track).then(result => {
+        if (!result) return;
+        if (track.id) {
+          updateLibraryTrack(track.id, { loudness: result }).catch(() => {});
+          setUserTracks(prev => prev.map(t => (t.id === track.id ? { ...t, loudness: result } : t)));
+        } else {
+          // The cache keeps the summary only; blocks would fill localStorage
+          const summary = { ...result };
+          delete summary.blocks;
+          setStreamLoudness(prev => ({ ...prev, [track.src]: summary }));
+        }
+      });
+    });
+    // eslint-disable-next-line
+  }, [toAnalyzeKey]);
+
+  useEffect(() => {
+    saveLoudnessCache(streamLoudness);
+  }, [streamLoudness]);
+
+  useEffect(() => {
+    saveNormalizationSettings(normSettings);
+    if (webAudio.limiter) setLimiterEnabled(webAudio.limiter, normSettings.limiter);
+  }, [normSettings, webAudio.limiter]);
+
+  const currentGainDb = normalizationDb(currentTrack);
+  const nextGainDb = autoNextTrack ? normalizationDb(autoNextTrack) : 0;
+  useEffect(() => {
+    const engine = engineRef.current;
+    if (!engine) return;
+    engine.setTrackGain(currentSrc, dbToGain(currentGainDb));
+    if (autoNextSrc) engine.setTrackGain(autoNextSrc, dbToGain(nextGainDb));
+  }, [currentSrc, currentGainDb, autoNextSrc, nextGainDb, webAudio.setupDone]);
+
+  // Speed and pitch of the current and preloaded tracks; stations play as broadcast
+  const currentPractice = currentTrack.live ? DEFAULT_PRACTICE : practiceFor(practiceSettings, currentRef);
+  const nextPractice = autoNextTrack ? practiceFor(practiceSettings, trackRef(autoNextTrack)) : DEFAULT_PRACTICE;
+  useEffect(() => {
+    const engine = engineRef.current;
+    if (!engine) return;
+    engine.setTrackPlayback(currentSrc, currentPractice);
+    if (autoNextSrc) engine.setTrackPlayback(autoNextSrc, nextPractice);
+  }, [currentSrc, currentPractice, autoNextSrc, nextPractice, webAudio.setupDone]);
+
+  useEffect(() => {
+    savePracticeSettings(practiceSettings);
+  }, [practiceSettings]);
+
+  const handlePracticeChange = (patch) => {
+    if (!currentRef || currentTrack.live) return;
+    setPracticeSettings(prev => updatePractice(prev, currentRef, patch));
   };
-  const handlePrev = () => {
-    setProgress(0);
-    setCurrentIdx((idx) => getNextTrackIdx(idx, -1, availableTracks.length));
-    setPlaying(true);
+
+  engineHandlersRef.current = {
+    onTimeUpdate: time => {
+      // Back to A on reaching B, or when a jump left the loop
+      if (loopActive && (time >= loop.b || time < loop.a - LOOP_TOLERANCE)) {
+        seekTo(loop.a);
+        return;
+      }
+      player.setProgress(time);
+    },
+    // The engine started the preloaded track (gapless or crossfading): catch the store up
+    onAdvance: () => {
+      setDeckSwitches(n => n + 1);
+      // The store restarts a track that follows itself (repeat-one, a
+      // one-track list) with a seek; the engine has already started it
+      engineAdvancingRef.current = true;
+      try {
+        player.next({ auto: true });
+      } finally {
+        engineAdvancingRef.current = false;
+      }
+    },
+    onEnded: () => {
+      // A station only ends when its connection drops
+      if (currentTrack.live) {
+        setAudioError("The station stopped broadcasting. Press play to reconnect.");
+        player.pause();
+        return;
+      }
+      // B was past the last timeupdate
+      if (loopActive) {
+        seekTo(loop.a);
+        return;
+      }
+      player.next({ auto: true });
+    },
+    onError: (err) => {
+      setAudioError(
+        err && err.cors
+          ? err.message
+          : "Audio format/source not supported or not reachable. Try another track or check connection."
+      );
+      player.pause();
+    },
+    // Fill in durations the tags didn't have (best effort for local files)
+    onMetadata: (src, duration) => {
+      const track = userTracks.find(ut => ut.src === src && ut.duration == null);
+      if (!track) {
+        if (currentTrack.src === src && isRemoteTrack(currentTrack) && currentTrack.duration == null) {
+          const { sourceId } = currentTrack;
+          setRemoteTracks(prev => (prev[sourceId] ? {
+            ...prev,
+            [sourceId]: prev[sourceId].map(t => (t.src === src && t.duration == null ? { ...t, duration: Math.round(duration) } : t)),
+          } : prev));
+        }
+        return;
+      }
+      if (track.id) {
+        updateLibraryTrack(track.id, { duration: Math.round(duration) }).catch(() => {});
+      }
+      setUserTracks(prev =>
+        prev.map(ut => (ut.src === src && ut.duration == null ? { ...ut, duration: Math.round(duration) } : ut))
+      );
+    },
+    onStreamTitle: (src, title) => {
+      if (src === currentSrc) setStreamTitle(title);
+    },
   };
+
+  const handleTrackClick = (idx) => player.select(idx);
+  const handlePlayPause = () => player.togglePlay();
+  const handleNext = () => player.next();
+  const handlePrev = () => player.prev();
+  const handleToggleShuffle = () => player.toggleShuffle();
+  const handleCycleRepeat = () => player.cycleRepeat();
+  const handleEnqueue = (track, next) => player.enqueue(track, { next });
+  const handleRemoveQueued = (key) => player.dequeue(key);
   const handleBarChange = (e) => {
-    const val = Number(e.target.value);
-    setProgress(val);
-    if (audioRef.current) {
-      audioRef.current.currentTime = val;
-    }
+    const time = Number(e.target.value);
+    // Inside an A-B loop the bar only moves within it
+    seekTo(loopActive ? Math.max(loop.a, Math.min(loop.b, time)) : time);
+  };
+  const seekTo = (time) => player.seek(time);
+  // Loop points are set at the current position; B before A swaps them
+  const handleSetLoopPoint = (point) => {
+    if (currentTrack.live) return;
+    const time = engineRef.current ? engineRef.current.currentTime : progress;
+    setLoop(prev => {
+      const next = { ...prev, [point]: time };
+      if (next.a == null || next.b == null) return next;
+      if (Math.abs(next.b - next.a) < MIN_LOOP_SECONDS) return prev;
+      return next.a < next.b ? next : { a: next.b, b: next.a };
+    });
   };
-  function handleTrackEnd() {
-    handleNext();
+  const handleClearLoop = () => setLoop(NO_LOOP);
+
+  // The store asks for a jump (seek bar, lyrics, other views, or the same
+  // track starting over after it ended, which needs a play() again)
+  usePlayerEvent("seek", time => {
+    const engine = engineRef.current;
+    // Stations can't seek, and a crossfade the engine just started must not be cut
+    if (!engine || currentTrack.live || engineAdvancingRef.current) return;
+    engine.seek(time);
+    if (player.getState().playing) engine.play().catch(() => player.pause());
+  });
+
+  // Shared by the file input, folder picker and drag-and-drop
+  function importEntries(items) {
+    if (!items.length || importProgress) return;
+    setFileError(""); // Reset UI error
+    setImportSummary("");
+    setRejectedFiles([]);
+    setImportProgress({ done: 0, total: items.length, current: null });
+
+    let unhashed = [];
+    collectLibraryHashes(userTracks)
+      .then(({ hashes, computed, failed }) => {
+        // Remember hashes for tracks saved before they were recorded
+        if (computed.size) {
+          computed.forEach((hash, id) => updateLibraryTrack(id, { hash }).catch(() => {}));
+          setUserTracks(prev => prev.map(t => (computed.has(t.id) ? { ...t, hash: computed.get(t.id) } : t)));
+        }
+        unhashed = failed;
+        return importAudioFiles(items, { knownHashes: hashes, onProgress: setImportProgress });
+      })
+      .then(({ records, rejected, duplicates }) => {
+        setImportProgress(null);
+        setRejectedFiles(rejected);
+        const parts = [`Imported ${records.length} track${records.length === 1 ? "" : "s"}`];
+        if (duplicates.length) parts.push(`skipped ${duplicates.length} duplicate${duplicates.length === 1 ? "" : "s"}`);
+        if (rejected.length) parts.push(`${rejected.length} unsupported`);
+        // Library tracks that couldn't be read may have been imported again
+        if (unhashed.length) {
+          parts.push(`${unhashed.length} library track${unhashed.length === 1 ? "" : "s"} not checked for duplicates`);
+        }
+        if (!records.length && !duplicates.length) {
+          setFileError(rejected.length === 1 ? "That file can't be played in this browser." : "None of those files can be played in this browser.");
+          return;
+        }
+        setImportSummary(parts.join(" · "));
+        if (!records.length) return;
+
+        // Persist to the library; the tracks stay playable this session even if that fails
+        addLibraryTracks(records)
+          .then(requestPersistentStorage)
+          .catch(err => setFileError(`Could not save to your library (${err.message}). Tracks will be lost on reload.`));
+
+        const newTracks = records.map(libraryRecordToTrack);
+        const updates = { userTracks: prev => [...prev, ...newTracks] };
+        // Importing while a playlist is open adds the tracks to it as well
+        if (activePlaylist) {
+          updates.playlistState = prev => addToPlaylist(prev, activePlaylist.id, newTracks.map(trackRef));
+        }
+        replaceTracks(updates, { select: newTracks[0] });
+      })
+      .catch(err => {
+        setImportProgress(null);
+        setFileError(`Import failed: ${err.message}`);
+      });
   }
 
   function handleFileChange(e) {
-    setFileError(""); // Reset UI error
-    const files = Array.from(e.target.files);
-    if (!files.length) return;
+    const items = filesFromInput(e.target.files);
+    e.target.value = ""; // reset for re-upload
+    importEntries(items);
+  }
 
-    const mp3Files = files.filter(
-      f =>
-        f.type === "audio/mpeg" ||
-        (f.name && f.name.toLowerCase().endsWith(".mp3"))
+  // Drag-and-drop of files and whole folders anywhere on the page
+  const isFileDrag = (e) => Array.from(e.dataTransfer.types || []).includes("Files");
+  const handleDragOver = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    if (!dragActive) setDragActive(true);
+  };
+  const handleDragLeave = (e) => {
+    // Ignore leave events fired when moving between child elements
+    if (e.currentTarget.contains(e.relatedTarget)) return;
+    setDragActive(false);
+  };
+  const handleDrop = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    setDragActive(false);
+    collectDroppedFiles(e.dataTransfer)
+      .then(importEntries)
+      .catch(err => setFileError(`Could not read the dropped files: ${err.message}`));
+  };
+
+  // Remove one uploaded track from the session and the persisted library
+  // Removes a library track, with every copy of it in the playlists. The
+  // current row moves up past removed copies above it; if the current track
+  // itself goes, playback stops on the row that takes its place.
+  const handleDeleteTrack = (e, track) => {
+    e.stopPropagation();
+    const ref = trackRef(track);
+    const removedAbove = availableTracks.slice(0, currentIdx).filter(t => trackRef(t) === ref).length;
+    const currentRow = currentIdx - removedAbove;
+    replaceTracks(
+      {
+        userTracks: prev => prev.filter(t => t.src !== track.src),
+        ...(track.id ? { playlistState: prev => pruneEntries(prev, r => r !== ref) } : {}),
+      },
+      { idxHint: currentRow, stopAt: currentRow }
     );
+    if (track.id) {
+      deleteLibraryTrack(track.id).catch(err => setFileError(`Could not delete from library: ${err.message}`));
+    }
+  };
+
+  const handleClearLibrary = () => {
+    replaceTracks({
+      userTracks: () => [],
+      playlistState: prev => pruneEntries(prev, ref => !ref.startsWith("lib:")),
+    });
+    clearLibrary().catch(err => setFileError(`Could not clear library: ${err.message}`));
+  };
 
-    const rejected = files.length !== mp3Files.length;
+  // Offline copies of remote tracks
+  useEffect(() => {
+    listPinnedTracks().then(setPinnedTracks).catch(() => {});
+    const update = () => setOnline(navigator.onLine !== false);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
 
-    if (!mp3Files.length) {
-      setFileError("Please upload only .mp3 audio files.");
-      fileInputRef.current.value = ""; // reset for re-upload
+  const handleTogglePinned = (track) => {
+    const { src } = track;
+    if (pinProgress[src] != null) return;
+    if (pinnedTracks.has(src)) {
+      unpinTrack(src)
+        .then(() => setPinnedTracks(prev => new Set([...prev].filter(url => url !== src))))
+        .catch(err => setFileError(`Could not remove the offline copy: ${err.message}`));
       return;
     }
+    setPinProgress(prev => ({ ...prev, [src]: 0 }));
+    pinTrack(src, fraction => setPinProgress(prev => ({ ...prev, [src]: fraction })))
+      .then(() => {
+        setPinnedTracks(prev => new Set([...prev, src]));
+        requestPersistentStorage();
+      })
+      .catch(err => setFileError(`Could not save "${track.title}" for offline: ${err.message}.`))
+      .finally(() => setPinProgress(prev => {
+        const rest = { ...prev };
+        delete rest[src];
+        return rest;
+      }));
+  };
 
-    if (rejected) {
-      setFileError("Some selected files were not .mp3 and were ignored.");
-    }
+  // Added sources: a new one only sticks once its tracks could be listed
+  const handleAddSource = (type, name, values) =>
+    createSourceRecord(type, name, values).then(record =>
+      loadSourceTracks(createSource(record), record.id).then(tracks => {
+        replaceTracks({
+          sources: prev => [...prev, record],
+          remoteTracks: prev => ({ ...prev, [record.id]: tracks }),
+        });
+        setSourceStatus(prev => ({ ...prev, [record.id]: { count: tracks.length } }));
+      })
+    );
+  const handleRefreshSource = (id) => {
+    const source = sources.find(s => s.id === id);
+    if (source) loadSource(source);
+  };
+  const handleRemoveSource = (id) => {
+    const withoutSource = prev => {
+      const rest = { ...prev };
+      delete rest[id];
+      return rest;
+    };
+    replaceTracks({ sources: prev => prev.filter(s => s.id !== id), remoteTracks: withoutSource });
+    setSourceStatus(withoutSource);
+    setTrackView(v => (v.source === id ? { ...v, source: "all" } : v));
+  };
+  const handleAddStation = (name, url) => {
+    const station = createStation(name, url);
+    replaceTracks({ stations: prev => [...prev, station] });
+  };
+  const handleDeleteStation = (e, track) => {
+    e.stopPropagation();
+    replaceTracks({ stations: prev => prev.filter(st => st.id !== track.stationId) });
+  };
+  useEffect(() => {
+    saveStations(stations);
+  }, [stations]);
 
-    const newTracks = mp3Files.map((file, idx) => {
-      const name = file.name.replace(/\.mp3$/i, "");
-      return {
-        title: name,
-        artist: "You",
-        album: "Uploaded",
-        src: URL.createObjectURL(file),
-        duration: null,
-        isUploaded: true,
-      };
-    });
+  const sourceList = [
+    { id: DEMO_SOURCE_ID, type: "url", name: "Demo tracks", builtIn: true, status: { count: defaultTracks.length } },
+    { id: LOCAL_SOURCE_ID, type: "local", name: "Uploaded files", builtIn: true, status: { count: userTracks.length } },
+    ...sources.map(source => ({ ...source, status: sourceStatus[source.id] })),
+  ];
 
-    setUserTracks(prev => {
-      const prevSources = prev.map(t => t.src);
-      const uniqueNew = newTracks.filter(t => !prevSources.includes(t.src));
-      return [...prev, ...uniqueNew];
-    });
-    setCurrentIdx(availableTracks.length + newTracks.length - 1);
-  }
+  // Switch the tracklist to another playlist, keeping the current track if it's in there
+  const handleSelectPlaylist = (id) => switchPlaylistState(selectPlaylist(playlistState, id));
+  const switchPlaylistState = (next) => replaceTracks({ playlistState: () => next });
+  const handleCreatePlaylist = (name, entries = []) => {
+    setPlaylistState(prev => createPlaylist(prev, name, entries));
+  };
+  const handleRenamePlaylist = (id, name) => setPlaylistState(prev => renamePlaylist(prev, id, name));
+  const handleDeletePlaylist = (id) => {
+    if (id === playlistState.activeId) handleSelectPlaylist(ALL_TRACKS_ID);
+    setPlaylistState(prev => deletePlaylist(prev, id));
+  };
+  // Import an M3U/PLS/XSPF file as a new playlist of the matching tracks
+  const handleImportPlaylist = (file) => {
+    setFileError("");
+    setImportSummary("");
+    setRejectedFiles([]);
+    file.text()
+      .then(text => {
+        const parsed = parsePlaylistFile(text, file.name);
+        const { matched, unmatched } = matchPlaylistEntries(parsed.entries, libraryTracks);
+        setRejectedFiles(unmatched.map(entry => ({ name: describePlaylistEntry(entry), reason: "no matching track" })));
+        if (!matched.length) {
+          setFileError(`None of the ${parsed.entries.length} entries in "${parsed.name}" match a track you have.`);
+          return;
+        }
+        // Applied to the playlists as they are now, not as they were when the file was picked
+        replaceTracks({
+          playlistState: prev => {
+            const next = createPlaylist(prev, parsed.name, matched.map(m => trackRef(m.track)));
+            return selectPlaylist(next, next.playlists[next.playlists.length - 1].id);
+          },
+        });
+        setImportSummary(
+          `Playlist "${parsed.name}": matched ${matched.length} of ${parsed.entries.length} entries` +
+          (unmatched.length ? `, ${unmatched.length} not found` : "")
+        );
+      })
+      .catch(err => setFileError(`Could not import ${file.name}: ${err.message}`));
+  };
+  // Export the list being shown (all tracks or the open playlist)
+  const handleExportPlaylist = (format) => {
+    const name = activePlaylist ? activePlaylist.name : "MelodyMaster";
+    const { extension, mime } = PLAYLIST_FORMATS[format];
+    downloadText(`${name}.${extension}`, serializePlaylist(format, name, availableTracks), mime);
+  };
+  const handleAddToPlaylist = (id, track) => setPlaylistState(prev => addToPlaylist(prev, id, [trackRef(track)]));
+  // Remove a row from the open playlist (the track stays in the library)
+  const handleRemoveFromPlaylist = (e, idx) => {
+    e.stopPropagation();
+    setPlaylistState(prev => removeFromPlaylist(prev, activePlaylist.id, playlistItems[idx].entryIndex));
+    if (idx === currentIdx) {
+      player.setIndex(Math.max(0, Math.min(idx, availableTracks.length - 2)), { stop: true });
+    } else if (idx < currentIdx) {
+      player.setIndex(currentIdx - 1);
+    }
+  };
+  // Move a playlist row from one position to another, keeping the current track selected
+  const handleReorder = (from, to) => {
+    if (!activePlaylist || from === to || from == null || to == null) return;
+    setPlaylistState(prev =>
+      movePlaylistEntry(prev, activePlaylist.id, playlistItems[from].entryIndex, playlistItems[to].entryIndex)
+    );
+    if (from === currentIdx) player.setIndex(to);
+    else if (from < currentIdx && to >= currentIdx) player.setIndex(currentIdx - 1);
+    else if (from > currentIdx && to <= currentIdx) player.setIndex(currentIdx + 1);
+  };
+  // Rows can only be dragged while the list is shown as it is
+  const rowDragProps = (idx) => (activePlaylist && isNaturalView(trackView) ? {
+    draggable: true,
+    onDragStart: (e) => {
+      e.dataTransfer.effectAllowed = "move";
+      e.dataTransfer.setData("text/plain", String(idx)); // Firefox won't start a drag without data
+      setDragRow(idx);
+    },
+    onDragOver: (e) => {
+      if (dragRow == null) return;
+      e.preventDefault();
+      if (dragOverRow !== idx) setDragOverRow(idx);
+    },
+    onDrop: (e) => {
+      if (dragRow == null) return;
+      e.preventDefault();
+      e.stopPropagation();
+      handleReorder(dragRow, idx);
+      setDragRow(null);
+      setDragOverRow(null);
+    },
+    onDragEnd: () => {
+      setDragRow(null);
+      setDragOverRow(null);
+    },
+  } : {});
 
   // Toggle EQ Popup
   const handleShowEq = () => setShowEqPopup(true);
   const handleHideEq = () => setShowEqPopup(false);
+  // Move the current EQ settings to another scope (global / album / track)
+  const handleEqScopeChange = (scope) => {
+    if (scope === eqScope) return;
+    setEqAssignments(prev =>
+      assignProfile(prev, currentTrack, scope, { bands: eqBands, presetId: eqPreset })
+    );
+    if (scope === "global") {
+      const global = loadEqSettings();
+      eqRampRef.current = true;
+      player.setEq({ bands: global.bands, presetId: global.presetId });
+    }
+  };
+  const handleToggleVizMode = () => setVizMode(m => (m === "bars" ? "scope" : "bars"));
+  const handleVolumeChange = (volume) => setOutput(o => ({ ...o, volume, muted: false }));
+  const handleToggleMute = () => setOutput(o => ({ ...o, muted: !o.muted }));
+  const handleBalanceChange = (balance) => setOutput(o => ({ ...o, balance }));
+  // Seek relative to the current position (keyboard shortcuts)
+  const seekBy = (delta) => {
+    const engine = engineRef.current;
+    if (!engine) return;
+    const duration = isFinite(engine.duration) ? engine.duration : currentTrack.duration;
+    seekTo(Math.max(0, Math.min(duration || 0, engine.currentTime + delta)));
+  };
+  const nudgeVolume = (delta) => setOutput(o => ({ ...o, volume: Math.max(0, Math.min(100, o.volume + delta)), muted: false }));
+  const handleSaveShortcuts = (bindings) => {
+    setShortcutBindings(bindings);
+    saveShortcutBindings(bindings);
+    setShowShortcuts(false);
+  };
+
+  shortcutHandlersRef.current = {
+    playPause: handlePlayPause,
+    next: handleNext,
+    prev: handlePrev,
+    seekForward: () => seekBy(5),
+    seekBack: () => seekBy(-5),
+    seekForwardLong: () => seekBy(30),
+    seekBackLong: () => seekBy(-30),
+    volumeUp: () => nudgeVolume(5),
+    volumeDown: () => nudgeVolume(-5),
+    mute: handleToggleMute,
+    equalizer: () => setShowEqPopup(v => !v),
+    shuffle: handleToggleShuffle,
+    repeat: handleCycleRepeat,
+    search: () => {
+      if (!searchInputRef.current) return;
+      searchInputRef.current.focus();
+      searchInputRef.current.select();
+    },
+    help: () => setShowShortcuts(true),
+    slower: () => handlePracticeChange({ speed: currentPractice.speed - SPEED_STEP }),
+    faster: () => handlePracticeChange({ speed: currentPractice.speed + SPEED_STEP }),
+    loop: () => {
+      if (loop.a == null) handleSetLoopPoint("a");
+      else if (loop.b == null) handleSetLoopPoint("b");
+      else handleClearLoop();
+    },
+  };
+
+  // Publish the current track and the analyser to the other views
+  useEffect(() => {
+    player.setCurrentTrack(nowPlaying);
+    // eslint-disable-next-line
+  }, [nowPlaying.src, nowPlaying.title, nowPlaying.artist, nowPlaying.album, nowPlaying.art, nowPlaying.duration]);
+  useEffect(() => {
+    player.setAnalyser(webAudio.analyser);
+    // eslint-disable-next-line
+  }, [webAudio.analyser]);
+
+  // Lyrics: shifted by the track's sync offset, published for the Now Playing view too
+  const currentLyrics = currentTrack.lyrics || null;
+  const lyricsOffset = lyricsOffsets[trackRef(currentTrack)] || 0;
+  const lyricLines = useMemo(
+    () => (currentLyrics ? (currentLyrics.synced ? shiftLyrics(currentLyrics.lines, lyricsOffset) : currentLyrics.lines) : null),
+    [currentLyrics, lyricsOffset]
+  );
+  const lyricIdx = currentLyrics && currentLyrics.synced ? activeLyricIndex(lyricLines, progress) : -1;
+  useEffect(() => {
+    player.setLyrics(lyricLines);
+  }, [player, lyricLines]);
+  useEffect(() => {
+    saveLyricsOffsets(lyricsOffsets);
+  }, [lyricsOffsets]);
+  const handleLyricsOffsetChange = (offset) => {
+    const ref = trackRef(currentTrack);
+    setLyricsOffsets(prev => {
+      const next = { ...prev };
+      if (offset) next[ref] = offset;
+      else delete next[ref];
+      return next;
+    });
+  };
+  const handleAttachLyrics = (file) => {
+    const track = currentTrack;
+    setFileError("");
+    readLyricsFile(file)
+      .then(lyrics => {
+        if (!lyrics) {
+          setFileError(`No lyrics found in ${file.name}.`);
+          return;
+        }
+        updateLibraryTrack(track.id, { lyrics }).catch(err => setFileError(`Could not save the lyrics: ${err.message}`));
+        setUserTracks(prev => prev.map(t => (t.id === track.id ? { ...t, lyrics } : t)));
+      })
+      .catch(err => setFileError(`Could not read ${file.name}: ${err.message}`));
+  };
+
+  // OS media keys and lock-screen controls (Media Session API)
+  const mediaHandlersRef = useRef({});
+  mediaHandlersRef.current = {
+    play: () => player.play(),
+    pause: () => player.pause(),
+    previoustrack: handlePrev,
+    nexttrack: handleNext,
+    seekto: details => seekTo(details.seekTime),
+    seekbackward: details => seekBy(-(details.seekOffset || 10)),
+    seekforward: details => seekBy(details.seekOffset || 10),
+  };
+  useEffect(() => {
+    const handlers = {};
+    Object.keys(mediaHandlersRef.current).forEach(action => {
+      handlers[action] = details => mediaHandlersRef.current[action](details || {});
+    });
+    setMediaActionHandlers(handlers);
+    return () => setMediaActionHandlers(null);
+  }, []);
+
+  useEffect(() => {
+    setMediaMetadata(nowPlaying);
+    // eslint-disable-next-line
+  }, [nowPlaying.title, nowPlaying.artist, nowPlaying.album, nowPlaying.art]);
+
+  useEffect(() => {
+    setMediaPlaybackState(playing);
+  }, [playing]);
+
+  useEffect(() => {
+    const engine = engineRef.current;
+    const duration = engine && isFinite(engine.duration) ? engine.duration : currentTrack.duration;
+    setMediaPositionState({ duration, position: progress, playbackRate: currentPractice.speed });
+  }, [progress, currentTrack.duration, currentPractice.speed]);
+
+  // Global shortcuts; off while the shortcuts overlay or the sources panel is open
+  useEffect(() => {
+    if (showShortcuts || showSources) return;
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || shouldIgnoreShortcut(e)) return;
+      const combo = comboFromEvent(e);
+      const action = combo && findShortcutAction(shortcutBindings, combo);
+      if (!action) return;
+      // Holding a key repeats seeking and volume, nothing else
+      if (e.repeat && !/^(seek|volume)/.test(action)) return;
+      e.preventDefault();
+      shortcutHandlersRef.current[action]();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [shortcutBindings, showShortcuts, showSources]);
+
+  // Rows shown in the tracklist: indices into the list being played, so a
+  // row's index is still the track's index for currentIdx and every handler
+  const listTracks = activePlaylist || radio ? availableTracks : hasValidTracks ? availableTracks : [fallbackTrack];
+  const viewRows = useMemo(
+    () => buildTrackView(listTracks, trackView).map(idx => ({ idx, track: listTracks[idx] })),
+    // eslint-disable-next-line
+    [viewRefsKey, userTracks, remoteTracks, activePlaylist, trackView]
+  );
+  const handleTrackViewChange = (patch) => setTrackView(v => ({ ...v, ...patch }));
+  useEffect(() => {
+    saveTrackView(trackView);
+  }, [trackView]);
+
+  const handleCycleNormMode = () => setNormSettings(n => ({ ...n, mode: nextNormalizationMode(n.mode) }));
+  const normDisplay = normSettings.mode === "off"
+    ? null
+    : loudnessOf(currentTrack)
+      ? `${normSettings.mode.toUpperCase()} GAIN ${currentGainDb >= 0 ? "+" : ""}${currentGainDb.toFixed(1)} dB`
+      : `${normSettings.mode.toUpperCase()} GAIN --`;
 
   return (
     <div
@@ -544,6 +1414,10 @@ function MainContainer() {
         justifyContent: "center",
         fontFamily: "'Orbitron', 'Inter', monospace",
       }}
+      onDragEnter={handleDragOver}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
     >
       {/* ========== MP3 FILE INPUT UI ========== */}
       <div style={{
@@ -555,27 +1429,93 @@ function MainContainer() {
           fontFamily: "'Inter','monospace'",
           fontWeight: 600, fontSize: "1.03em", color: "#1DB954", marginRight: 7,
         }}>
-          Add your MP3:
+          Add your music:
         </label>
         <input
           ref={fileInputRef}
           type="file"
           id="mp3-upload"
-          accept=".mp3,audio/mpeg"
+          accept={UPLOAD_ACCEPT}
           onChange={handleFileChange}
           multiple
+          disabled={!!importProgress}
           style={{
             padding: "6px 6px", borderRadius: "6px", background: "#212721", color: "#fff", border: "1px solid #444",
           }}
-          aria-label="Upload mp3 file"
+          aria-label="Upload audio files"
         />
+        <input
+          ref={folderInputRef}
+          type="file"
+          id="folder-upload"
+          webkitdirectory=""
+          directory=""
+          onChange={handleFileChange}
+          disabled={!!importProgress}
+          style={{ display: "none" }}
+          aria-label="Upload a music folder"
+        />
+        <button
+          type="button"
+          className="folder-upload-btn"
+          onClick={() => folderInputRef.current && folderInputRef.current.click()}
+          disabled={!!importProgress}
+        >
+          ADD FOLDER
+        </button>
+        <button type="button" className="folder-upload-btn" onClick={() => setShowSources(true)}>
+          SOURCES
+        </button>
       </div>
+      {importProgress && (
+        <div className="import-progress" role="status" aria-live="polite">
+          <div className="import-progress-label">
+            IMPORTING {Math.min(importProgress.done + 1, importProgress.total)}/{importProgress.total}
+            {importProgress.current && <span className="import-progress-file"> · {importProgress.current}</span>}
+          </div>
+          <div className="import-progress-track">
+            <div
+              className="import-progress-fill"
+              style={{ width: `${(importProgress.done / importProgress.total) * 100}%` }}
+            />
+          </div>
+        </div>
+      )}
+      {importSummary && !fileError && (
+        <div className="import-summary">
+          {importSummary}
+          {rejectedFiles.length > 0 && (
+            <ul className="rejected-files">
+              {rejectedFiles.map((r, idx) => (
+                <li key={`${r.name}-${idx}`}><b>{r.name}</b>: {r.reason}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
       {fileError && (
         <div style={{
             color: "#b9374b", background: "#211116e0", padding: "5px 13px", borderRadius: 7, fontFamily: "Inter, monospace",
             fontWeight: 500, marginBottom: 9, maxWidth: 420, textAlign: "center"
           }}>
           {fileError}
+          {rejectedFiles.length > 0 && (
+            <ul className="rejected-files">
+              {rejectedFiles.map((r, idx) => (
+                <li key={`${r.name}-${idx}`}><b>{r.name}</b>: {r.reason}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+      {engineWarning && (
+        <div className="import-summary" style={{ color: "#efb36b", background: "#241a10e0" }}>
+          {engineWarning}
+        </div>
+      )}
+      {dragActive && (
+        <div className="drop-overlay" aria-hidden="true">
+          <div className="drop-overlay-box">DROP MUSIC OR FOLDERS</div>
         </div>
       )}
 
@@ -657,6 +1597,23 @@ function MainContainer() {
                 </span>
               </button>
             )}
+            {/* Visualizer mode toggle: spectrum bars <-> oscilloscope */}
+            <button
+              className="viz-mode-btn"
+              aria-label={vizMode === "bars" ? "Show oscilloscope" : "Show spectrum bars"}
+              title={vizMode === "bars" ? "Oscilloscope" : "Spectrum"}
+              onClick={handleToggleVizMode}
+            >
+              {vizMode === "bars" ? "SCOPE" : "BARS"}
+            </button>
+            <button
+              className="viz-mode-btn"
+              aria-label="Keyboard shortcuts"
+              title="Keyboard shortcuts (?)"
+              onClick={() => setShowShortcuts(true)}
+            >
+              ?
+            </button>
             <div className="stereo-lights-wide">
               <span className={`stereo-light-wide ${playing ? "on" : ""}`}></span>
               <span className={`stereo-light-wide ${playing ? "on" : ""}`}></span>
@@ -665,36 +1622,90 @@ function MainContainer() {
         </div>
 
         <div className="stereo-flex">
-          {/* No album art - center block: digital, controls, visualizer */}
+          {/* Center block: digital display (with embedded album art when the track has it), controls, visualizer */}
           <div className="stereo-mainstack" style={{marginLeft:0}}>
-            <div className="digital-display-wide retro-screen-wide">
-              <span className="display-track">{currentTrack.title}</span>
-              <span className="display-artist">{currentTrack.artist}</span>
-              <span className="display-album">{currentTrack.album}</span>
+            <div className={`digital-display-wide retro-screen-wide ${nowPlaying.art ? "has-art" : ""}`}>
+              {nowPlaying.art && (
+                <img className="display-art" src={nowPlaying.art} alt={`${nowPlaying.album} cover`} />
+              )}
+              <span className="display-track">{nowPlaying.title}</span>
+              <span className="display-artist">{nowPlaying.artist}</span>
+              <span className="display-album">{nowPlaying.album}</span>
               <span className="display-duration">
-                ⏱️ {formatTime(progress)} / {formatTime(currentTrack.duration)}
+                {currentTrack.live
+                  ? `⏱️ ${formatTime(progress)} · LIVE`
+                  : `⏱️ ${formatTime(progress)} / ${formatTime(currentTrack.duration)}${loopActive ? " · A-B LOOP" : ""}`}
               </span>
+              <span className="display-volume">
+                {output.muted ? "MUTED" : `VOL ${output.volume}% · ${formatVolumeDb(output.volume)}`}
+                {output.balance !== 0 && ` · BAL ${formatBalance(output.balance)}`}
+              </span>
+              {normDisplay && (
+                <span
+                  className="display-norm"
+                  title={loudnessOf(currentTrack) ? `Loudness from ${loudnessOf(currentTrack).source === "tags" ? "ReplayGain tags" : "measurement"}` : "No loudness info yet"}
+                >
+                  {normDisplay}
+                </span>
+              )}
+              {formatPractice(currentPractice) && (
+                <span className="display-practice" title="Speed and pitch for this track">
+                  {formatPractice(currentPractice)}
+                </span>
+              )}
+              {lyricIdx >= 0 && lyricLines[lyricIdx].text && (
+                <span className="display-lyric" title={lyricLines[lyricIdx].text}>♪ {lyricLines[lyricIdx].text}</span>
+              )}
             </div>
             <div className="progress-bar-row-wide">
-              <input
-                type="range"
-                min="0"
-                max={currentTrack.duration}
-                step="1"
-                value={progress}
-                ref={progressRef}
-                onChange={handleBarChange}
-                style={{
-                  width: "100%",
-                  accentColor: stereoTheme.primary,
-                  background: "linear-gradient(90deg, #22cf71, #056634 95%)",
-                }}
-                className="progressbar"
-                aria-label="Seek position"
-              />
+              {currentTrack.live ? (
+                <div className={`on-air ${playing ? "on" : ""}`} role="status" aria-label={playing ? "On air" : "Station paused"}>
+                  <span className="on-air-light" aria-hidden="true"></span>
+                  ON AIR
+                </div>
+              ) : (
+                <>
+                  <WaveformSeekBar
+                    peaks={currentPeaks}
+                    duration={currentTrack.duration}
+                    position={progress}
+                    loop={loop}
+                    onChange={handleBarChange}
+                  />
+                  <div className="loop-controls" role="group" aria-label="A-B loop">
+                    <button
+                      className={loop.a != null ? "set" : ""}
+                      onClick={() => handleSetLoopPoint("a")}
+                      title={loop.a != null ? `Loop start ${formatTime(loop.a)}: click to move it here` : "Set loop start (A) here"}
+                    >A</button>
+                    <button
+                      className={loop.b != null ? "set" : ""}
+                      onClick={() => handleSetLoopPoint("b")}
+                      title={loop.b != null ? `Loop end ${formatTime(loop.b)}: click to move it here` : "Set loop end (B) here"}
+                    >B</button>
+                    <button
+                      onClick={handleClearLoop}
+                      disabled={loop.a == null && loop.b == null}
+                      title="Clear loop"
+                      aria-label="Clear loop"
+                    >✕</button>
+                  </div>
+                </>
+              )}
             </div>
+            <PracticeControls
+              settings={currentPractice}
+              pitchShiftAvailable={pitchShiftAvailable}
+              disabled={!!currentTrack.live || !currentTrack.src}
+              onChange={handlePracticeChange}
+            />
             {/* --- Animated visualizer below controls --- */}
-            <Visualizer active={playing} />
+            <Visualizer
+              analyser={webAudio.analyser}
+              active={playing}
+              mode={vizMode}
+              barCount={VISUALIZER_BAR_COUNT}
+            />
             {/* Controls */}
             <div
               className="stereo-controls-wide"
@@ -702,10 +1713,20 @@ function MainContainer() {
                 display: "flex",
                 justifyContent: "center", // center the group as a whole
                 alignItems: "center",
-                gap: "38px", // more evident gap for even spacing
+                gap: "30px", // even spacing between knobs and buttons
                 width: "100%",
               }}
             >
+              <RotaryKnob
+                label="VOL"
+                value={output.volume}
+                min={0}
+                max={100}
+                defaultValue={DEFAULT_VOLUME}
+                onChange={handleVolumeChange}
+                valueText={output.muted ? "muted" : `${output.volume}%`}
+                dimmed={output.muted}
+              />
               <button
                 className="control-btn-wide btn-prev"
                 onClick={handlePrev}
@@ -747,19 +1768,173 @@ function MainContainer() {
               >
                 <span className="btn-knob-wide">&#9197;</span>
               </button>
+              <div className="output-controls">
+                <button
+                  className={`mute-btn${output.muted ? " on" : ""}`}
+                  onClick={handleToggleMute}
+                  aria-pressed={output.muted}
+                  aria-label={output.muted ? "Unmute" : "Mute"}
+                  title={output.muted ? "Unmute" : "Mute"}
+                >
+                  {output.muted ? "🔇" : "🔊"}
+                </button>
+                <RotaryKnob
+                  label="BAL"
+                  value={output.balance}
+                  min={-100}
+                  max={100}
+                  step={5}
+                  defaultValue={0}
+                  onChange={handleBalanceChange}
+                  valueText={formatBalance(output.balance)}
+                  size={36}
+                  bipolar
+                />
+              </div>
+            </div>
+            {/* Play order modes */}
+            <div className="play-modes-row">
+              <button
+                className={`play-mode-btn${playModes.shuffle ? " on" : ""}`}
+                onClick={handleToggleShuffle}
+                aria-pressed={playModes.shuffle}
+                title="Shuffle without repeats until every track has played"
+              >
+                SHUFFLE
+              </button>
+              <button
+                className={`play-mode-btn${playModes.repeat !== "off" ? " on" : ""}`}
+                onClick={handleCycleRepeat}
+                title="Repeat: off / all / one"
+              >
+                REPEAT {playModes.repeat.toUpperCase()}
+              </button>
+              <label className="crossfade-control" title="Crossfade between tracks (0 = gapless)">
+                <span>XFADE {crossfade ? `${crossfade}s` : "OFF"}</span>
+                <input
+                  type="range"
+                  min="0"
+                  max={MAX_CROSSFADE}
+                  step="1"
+                  value={crossfade}
+                  onChange={e => setCrossfade(Number(e.target.value))}
+                  aria-label="Crossfade length in seconds"
+                />
+              </label>
             </div>
+            {/* Loudness normalization */}
+            <div className="play-modes-row">
+              <button
+                className={`play-mode-btn${normSettings.mode !== "off" ? " on" : ""}`}
+                onClick={handleCycleNormMode}
+                title="Loudness normalization: track / album / off"
+              >
+                NORM {normSettings.mode.toUpperCase()}
+              </button>
+              <label className="crossfade-control" title="Extra gain for normalized tracks">
+                <span>PRE {normSettings.preamp > 0 ? "+" : ""}{normSettings.preamp} dB</span>
+                <input
+                  type="range"
+                  min={-PREAMP_RANGE}
+                  max={PREAMP_RANGE}
+                  step="0.5"
+                  value={normSettings.preamp}
+                  disabled={normSettings.mode === "off"}
+                  onChange={e => setNormSettings(n => ({ ...n, preamp: Number(e.target.value) }))}
+                  aria-label="Normalization preamp in dB"
+                />
+              </label>
+              <button
+                className={`play-mode-btn${normSettings.limiter ? " on" : ""}`}
+                onClick={() => setNormSettings(n => ({ ...n, limiter: !n.limiter }))}
+                aria-pressed={normSettings.limiter}
+                title="Limiter catches peaks above -1 dBFS; when off, gain is capped by the track's peak instead"
+              >
+                LIMITER
+              </button>
+              <button
+                className={`play-mode-btn${showLyrics ? " on" : ""}`}
+                onClick={() => setShowLyrics(v => !v)}
+                aria-pressed={showLyrics}
+                title={currentLyrics ? "Show the lyrics panel" : "Show the lyrics panel (no lyrics for this track yet)"}
+              >
+                LYRICS
+              </button>
+            </div>
+            {showLyrics && (
+              <LyricsPanel
+                lyrics={currentLyrics}
+                lines={lyricLines}
+                position={progress}
+                offset={lyricsOffset}
+                onOffsetChange={handleLyricsOffsetChange}
+                onSeek={seekTo}
+                onAttach={currentTrack.id ? handleAttachLyrics : undefined}
+              />
+            )}
           </div>
           {/* Track List: thumb+meta */}
           <div className="tracklist-stack">
-            <div className="tracklist-label-wide">TRACKLIST</div>
+            <div className="tracklist-header-wide">
+              <div className="tracklist-label-wide">TRACKLIST</div>
+              <PlaylistSwitcher
+                playlists={playlistState.playlists}
+                activeId={playlistState.activeId}
+                onSelect={handleSelectPlaylist}
+                onCreate={name => handleCreatePlaylist(name)}
+                onRename={handleRenamePlaylist}
+                onDelete={handleDeletePlaylist}
+                onImport={handleImportPlaylist}
+                onExport={handleExportPlaylist}
+                canExport={availableTracks.length > 0}
+              />
+            </div>
+            <TracklistToolbar
+              view={trackView}
+              onChange={handleTrackViewChange}
+              sources={sourceFilterOptions(sourceList)}
+              formats={formatFilterOptions(listTracks)}
+              shown={viewRows.length}
+              total={listTracks.length}
+              inputRef={searchInputRef}
+            />
+            {radio && <StationForm onAdd={handleAddStation} />}
             <ul className="tracklist-ul-wide">
-              {(hasValidTracks ? availableTracks : [fallbackTrack]).map((track, idx) => (
+              {radio && !availableTracks.length && (
+                <li className="tracklist-empty">No stations yet. Paste a stream URL above to save one.</li>
+              )}
+              {activePlaylist && !availableTracks.length && (
+                <li className="tracklist-empty">
+                  This playlist is empty. Use + on a track in All tracks to add it here.
+                </li>
+              )}
+              {listTracks.length > 0 && !viewRows.length && (
+                <li className="tracklist-empty">
+                  No tracks match.{" "}
+                  <button className="tracklist-reset" onClick={() => setTrackView(v => ({ ...v, query: "", source: "all", format: "all" }))}>
+                    Clear search and filters
+                  </button>
+                </li>
+              )}
+              {viewRows.map(({ track, idx }) => (
                 <li
-                  key={`${track.title}-${track.artist}-${track.src}`}
-                  className={idx === currentIdx ? "selected-wide" : ""}
+                  key={activePlaylist ? `${playlistItems[idx].entryIndex}-${trackRef(track)}` : `${track.title}-${track.artist}-${track.src}`}
+                  className={[
+                    idx === currentIdx ? "selected-wide" : "",
+                    dragRow === idx ? "dragging-row" : "",
+                    dragOverRow === idx && dragRow !== idx ? (dragRow < idx ? "drop-below" : "drop-above") : "",
+                    !online && !isAvailableOffline(track, pinnedTracks) ? "offline-unavailable" : "",
+                  ].filter(Boolean).join(" ")}
+                  title={!online && !isAvailableOffline(track, pinnedTracks) ? "Not available offline" : undefined}
                   onClick={() => handleTrackClick(idx)}
                   style={idx === currentIdx ? { fontWeight: 700, textShadow: "0 0 6px #1DB95490" } : undefined}
+                  {...rowDragProps(idx)}
                 >
+                  {track.art ? (
+                    <img className="track-thumb" src={track.art} alt="" loading="lazy" />
+                  ) : (
+                    <div className="track-thumb track-thumb-empty" aria-hidden="true">♪</div>
+                  )}
                   <div className="track-meta">
                     <div className="track-title" title={track.title}>
                       {track.title}
@@ -771,31 +1946,77 @@ function MainContainer() {
                           marginLeft: 5,
                           fontWeight: 500,
                           fontSize: "0.86em"}}>(Uploaded)</span>}
+                      <EqProfileBadge scope={resolveTrackProfile(eqAssignments, track).scope} />
+                      <OfflineBadge pinned={pinnedTracks.has(track.src)} progress={pinProgress[track.src]} />
                     </div>
+                    {describeAudioInfo(track) && (
+                      <div className="track-format">{describeAudioInfo(track)}</div>
+                    )}
                   </div>
-                  <span className="tracklist-dur">{formatTime(track.duration)}</span>
+                  <span className="tracklist-dur">{track.live ? "LIVE" : formatTime(track.duration)}</span>
+                  {hasValidTracks && !track.live && (
+                    <TrackActionsMenu
+                      playlists={playlistState.playlists}
+                      trackTitle={track.title}
+                      onPlayNext={() => handleEnqueue(track, true)}
+                      onAddToQueue={() => handleEnqueue(track, false)}
+                      onAddToPlaylist={id => handleAddToPlaylist(id, track)}
+                      onCreatePlaylist={name => handleCreatePlaylist(name, [trackRef(track)])}
+                      pinned={pinnedTracks.has(track.src)}
+                      onTogglePinned={offlineSupported() && canPinTrack(track) ? () => handleTogglePinned(track) : undefined}
+                    />
+                  )}
+                  {track.live ? (
+                    <button
+                      className="track-delete-btn"
+                      onClick={e => handleDeleteStation(e, track)}
+                      aria-label={`Remove the station ${track.title}`}
+                      title="Remove station"
+                    >
+                      ✕
+                    </button>
+                  ) : activePlaylist ? (
+                    <button
+                      className="track-delete-btn"
+                      onClick={e => handleRemoveFromPlaylist(e, idx)}
+                      aria-label={`Remove ${track.title} from ${activePlaylist.name}`}
+                      title="Remove from playlist"
+                    >
+                      ✕
+                    </button>
+                  ) : track.isUploaded && (
+                    <button
+                      className="track-delete-btn"
+                      onClick={e => handleDeleteTrack(e, track)}
+                      aria-label={`Remove ${track.title} from library`}
+                      title="Remove from library"
+                    >
+                      ✕
+                    </button>
+                  )}
                 </li>
               ))}
             </ul>
+            {availableTracks.length > 0 && (
+              <UpNextPanel
+                {...previewUpNext(availableTracks, currentIdx % availableTracks.length, queueState)}
+                onRemove={handleRemoveQueued}
+                onClear={() => player.clearQueue()}
+              />
+            )}
+            <LibraryStatus
+              trackCount={userTracks.length}
+              estimate={storageEstimate}
+              onClear={handleClearLibrary}
+            />
           </div>
         </div>
-
-        {/* Hidden audio element */}
-        <audio
-          ref={audioRef}
-          src={currentTrack && currentTrack.src ? currentTrack.src : ""}
-          preload="auto"
-          style={{ display: "none" }}
-          tabIndex={-1}
-          /* Controls would be provided by UI, not native audio. */
-        />
       </div>
 
       {/* Fonts and main styles */}
       {/* EQ Popup */}
       {showEqPopup && (
         <RetroCarEqualizer
-          showPopup={showEqPopup}
           hidePopup={handleHideEq}
           style={{
             position: "absolute",
@@ -806,11 +2027,29 @@ function MainContainer() {
           webAudio={webAudio}
           bands={eqBands}
           setBands={setEqBands}
+          preset={eqPreset}
+          setPreset={setEqPreset}
+          profileScope={eqScope}
+          setProfileScope={handleEqScopeChange}
+          canUseAlbumScope={!!currentTrack.album}
+        />
+      )}
+      {showSources && (
+        <SourcesPanel
+          sources={sourceList}
+          onAdd={handleAddSource}
+          onRefresh={handleRefreshSource}
+          onRemove={handleRemoveSource}
+          onClose={() => setShowSources(false)}
+        />
+      )}
+      {showShortcuts && (
+        <ShortcutsOverlay
+          bindings={shortcutBindings}
+          onSave={handleSaveShortcuts}
+          onClose={() => setShowShortcuts(false)}
         />
       )}
-      <style>
-        {`@import url('https://fonts.googleapis.com/css2?family=Orbitron:wght@700&display=swap');`}
-      </style>
       <style>
         {`
           /* Wide car stereo look */
@@ -919,6 +2158,23 @@ function MainContainer() {
             gap: 2.5px;
             letter-spacing: 0.045em;
           }
+          .digital-display-wide.has-art {
+            position: relative;
+            padding-right: 92px;
+            min-height: 92px;
+          }
+          .display-art {
+            position: absolute;
+            top: 12px;
+            right: 12px;
+            width: 68px;
+            height: 68px;
+            object-fit: cover;
+            border-radius: 6px;
+            border: 1.5px solid #3ca671;
+            box-shadow: 0 0 9px #1DB95444;
+            filter: saturate(0.85) contrast(1.05);
+          }
           .retro-screen-wide span {
             display: block;
             overflow: hidden;
@@ -946,11 +2202,70 @@ function MainContainer() {
             letter-spacing: 0.045em;
           }
 
+          .display-volume {
+            margin-left: 2.8px;
+            color: ${stereoTheme.digital};
+            font-size: 0.78rem;
+            letter-spacing: 0.08em;
+          }
+          .display-norm {
+            margin-left: 2.8px;
+            color: #9fd8a8;
+            font-size: 0.72rem;
+            letter-spacing: 0.08em;
+          }
+          .display-practice {
+            margin-left: 2.8px;
+            color: #8fd3ff;
+            font-size: 0.72rem;
+            letter-spacing: 0.08em;
+          }
+          .display-lyric {
+            margin-left: 2.8px;
+            color: #EFEA91;
+            font-family: Inter, monospace;
+            font-size: 0.86rem;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+          }
+
           .progress-bar-row-wide {
             width: 100%;
             margin: 1.2em 0 0.33em 0.2em;
             display: flex;
             align-items: center;
+            gap: 8px;
+          }
+          .loop-controls { display: flex; gap: 3px; }
+          .loop-controls button {
+            min-width: 22px;
+            padding: 2px 4px;
+            background: none;
+            color: #8a9a8c;
+            border: 1.5px solid #393822;
+            border-radius: 6px;
+            font-family: 'Orbitron', monospace;
+            font-size: 0.62rem;
+            cursor: pointer;
+          }
+          .loop-controls button.set {
+            color: #EFEA91;
+            border-color: #7a7640;
+          }
+          .loop-controls button:disabled { opacity: 0.35; cursor: default; }
+          .on-air {
+            display: flex; align-items: center; gap: 8px;
+            font-family: 'Orbitron', monospace; font-size: 0.8rem; letter-spacing: 0.2em; color: #6b4b4b;
+          }
+          .on-air-light {
+            width: 11px; height: 11px; border-radius: 50%;
+            background: #4a2b2b; border: 2px solid #181b12;
+          }
+          .on-air.on { color: #ff5a4f; text-shadow: 0 0 8px #ff5a4f99; }
+          .on-air.on .on-air-light { background: #ff5a4f; box-shadow: 0 0 10px #ff5a4f; animation: onairpulse 1.6s ease-in-out infinite; }
+          @keyframes onairpulse {
+            50% { opacity: 0.45; }
           }
 
           /* Controls - wide, chrome effect */
@@ -1001,7 +2316,84 @@ function MainContainer() {
             width: 61px; height: 61px;
           }
 
+          .output-controls {
+            display: flex;
+            align-items: flex-start;
+            gap: 8px;
+          }
+          .mute-btn {
+            background: #232523;
+            border: 1.5px solid #3a3a40;
+            border-radius: 50%;
+            width: 30px;
+            height: 30px;
+            margin-top: 3px;
+            font-size: 0.9rem;
+            cursor: pointer;
+            filter: grayscale(0.6);
+          }
+          .mute-btn.on {
+            border-color: #e0707c;
+            box-shadow: 0 0 6px #e0707c55;
+            filter: none;
+          }
+
+          .play-modes-row {
+            display: flex;
+            justify-content: center;
+            gap: 10px;
+            margin-top: 9px;
+          }
+          .play-mode-btn {
+            background: none;
+            border: 1.5px solid #3a3a40;
+            border-radius: 9px;
+            color: #8a9a8e;
+            font-family: 'Orbitron', monospace;
+            font-size: 0.64rem;
+            letter-spacing: 0.1em;
+            padding: 3px 8px;
+            cursor: pointer;
+          }
+          .crossfade-control {
+            display: flex;
+            align-items: center;
+            gap: 5px;
+            color: #8a9a8e;
+            font-family: 'Orbitron', monospace;
+            font-size: 0.64rem;
+            letter-spacing: 0.1em;
+          }
+          .crossfade-control span {
+            min-width: 66px;
+          }
+          .crossfade-control input {
+            width: 70px;
+            accent-color: ${stereoTheme.primary};
+          }
+          .play-mode-btn.on {
+            color: ${stereoTheme.primary};
+            border-color: ${stereoTheme.primary};
+            box-shadow: 0 0 6px ${stereoTheme.primary}55;
+          }
+
           /* Visualizer is styled inline in Visualizer component */
+          .viz-mode-btn {
+            background: none;
+            border: 2px solid #3ca671;
+            border-radius: 10px;
+            color: ${stereoTheme.digital};
+            font-family: 'Orbitron', monospace;
+            font-size: 0.72rem;
+            letter-spacing: 0.1em;
+            padding: 4px 8px;
+            cursor: pointer;
+            box-shadow: 0 1.5px 8px #191d1998;
+          }
+          .viz-mode-btn:hover {
+            color: ${stereoTheme.primary};
+            border-color: ${stereoTheme.primary};
+          }
 
           /* Tracklist wide */
           .tracklist-stack {
@@ -1019,14 +2411,49 @@ function MainContainer() {
             display: flex;
             flex-direction: column;
           }
+          .tracklist-header-wide {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            justify-content: space-between;
+            gap: 8px;
+            margin-bottom: 11px;
+          }
           .tracklist-label-wide {
             font-size: 0.93rem;
             letter-spacing: 0.11em;
             font-weight: 650;
             color: ${stereoTheme.primary};
-            margin-bottom: 11px;
             margin-left: 5px;
           }
+          .tracklist-ul-wide li.tracklist-empty {
+            font-family: Inter, monospace;
+            font-size: 0.82rem;
+            color: #8a9a8e;
+            padding: 10px 6px;
+            cursor: default;
+          }
+          .tracklist-reset {
+            background: none;
+            border: none;
+            padding: 0;
+            color: #1DB954;
+            font: inherit;
+            text-decoration: underline;
+            cursor: pointer;
+          }
+          .tracklist-ul-wide li[draggable="true"] {
+            cursor: grab;
+          }
+          .tracklist-ul-wide li.dragging-row {
+            opacity: 0.45;
+          }
+          .tracklist-ul-wide li.drop-above {
+            box-shadow: 0 -2px 0 ${stereoTheme.primary};
+          }
+          .tracklist-ul-wide li.drop-below {
+            box-shadow: 0 2px 0 ${stereoTheme.primary};
+          }
           .tracklist-ul-wide {
             list-style: none;
             margin: 0; padding: 0;
@@ -1056,6 +2483,22 @@ function MainContainer() {
           .tracklist-ul-wide li:hover:not(.selected-wide) {
             background: #181f18;
           }
+          .track-thumb {
+            width: 34px;
+            height: 34px;
+            flex: 0 0 34px;
+            border-radius: 5px;
+            object-fit: cover;
+            border: 1px solid #393822;
+          }
+          .track-thumb-empty {
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            background: linear-gradient(135deg, #232723, #191c19);
+            color: #5c7a5c;
+            font-size: 1rem;
+          }
           .track-meta {
             flex: 3 3 120px;
             line-height: 1.19;
@@ -1074,6 +2517,140 @@ function MainContainer() {
             color: #b7f39d;
             font-weight: 500;
           }
+          .eq-badge {
+            display: inline-block;
+            margin-left: 6px;
+            padding: 0 4px;
+            border-radius: 4px;
+            font-family: 'Orbitron', monospace;
+            font-size: 0.62rem;
+            letter-spacing: 0.06em;
+            line-height: 1.45;
+            vertical-align: middle;
+            color: #101310;
+            background: #b6f951;
+          }
+          .eq-badge-album {
+            background: none;
+            color: #b6f951;
+            border: 1px solid #b6f951;
+          }
+          .offline-badge {
+            display: inline-block;
+            margin-left: 6px;
+            padding: 0 4px;
+            border-radius: 4px;
+            font-family: 'Orbitron', monospace;
+            font-size: 0.56rem;
+            letter-spacing: 0.06em;
+            line-height: 1.45;
+            vertical-align: middle;
+            color: #8fd3ff;
+            border: 1px solid #4f8fb8;
+          }
+          .offline-badge.saving {
+            color: #EFEA91;
+            border-color: #7a7640;
+          }
+          .tracklist-ul-wide li.offline-unavailable {
+            opacity: 0.4;
+          }
+          .rejected-files {
+            margin: 5px 0 2px 0;
+            padding: 0 0 0 16px;
+            text-align: left;
+            font-size: 0.85rem;
+            font-weight: 400;
+          }
+          .folder-upload-btn {
+            background: #212721;
+            color: #1DB954;
+            border: 1px solid #444;
+            border-radius: 6px;
+            padding: 7px 11px;
+            font-family: 'Orbitron', monospace;
+            font-size: 0.78rem;
+            letter-spacing: 0.06em;
+            cursor: pointer;
+          }
+          .folder-upload-btn:disabled,
+          #mp3-upload:disabled {
+            opacity: 0.5;
+            cursor: default;
+          }
+          .import-progress {
+            width: 100%;
+            max-width: 825px;
+            margin-bottom: 9px;
+            font-family: 'Orbitron', monospace;
+            color: #EFEA91;
+            font-size: 0.78rem;
+            letter-spacing: 0.05em;
+          }
+          .import-progress-label {
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            margin-bottom: 4px;
+          }
+          .import-progress-file {
+            color: #a9c8b2;
+            font-family: 'Inter', monospace;
+            letter-spacing: 0;
+          }
+          .import-progress-track {
+            height: 6px;
+            border-radius: 3px;
+            background: #212721;
+            border: 1px solid #354035;
+            overflow: hidden;
+          }
+          .import-progress-fill {
+            height: 100%;
+            background: #1DB954;
+            box-shadow: 0 0 6px #1DB954aa;
+            transition: width 0.2s;
+          }
+          .import-summary {
+            color: #b6f951;
+            background: #142016e0;
+            padding: 5px 13px;
+            border-radius: 7px;
+            font-family: Inter, monospace;
+            font-weight: 500;
+            margin-bottom: 9px;
+            max-width: 420px;
+            text-align: center;
+          }
+          .drop-overlay {
+            position: fixed;
+            inset: 0;
+            z-index: 50;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            background: #0d100dd0;
+            pointer-events: none;
+          }
+          .drop-overlay-box {
+            padding: 48px 64px;
+            border: 3px dashed #1DB954;
+            border-radius: 22px;
+            color: #EFEA91;
+            font-family: 'Orbitron', monospace;
+            font-size: 1.5rem;
+            letter-spacing: 0.12em;
+            text-shadow: 0 0 10px #1DB95499;
+          }
+          .track-format {
+            font-family: monospace;
+            font-size: 0.7rem;
+            color: #7fa38c;
+            letter-spacing: 0.02em;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+          }
           .tracklist-dur {
             min-width: 42px;
             text-align: right;
@@ -1082,6 +2659,19 @@ function MainContainer() {
             color: #c4eacf;
             font-family: 'Orbitron', monospace;
           }
+          .track-delete-btn {
+            background: none;
+            border: none;
+            color: #8a9a8e;
+            font-size: 0.8rem;
+            padding: 2px 4px;
+            cursor: pointer;
+            border-radius: 5px;
+          }
+          .track-delete-btn:hover {
+            color: #ff7a7a;
+            background: #2a1619;
+          }
           /* EQ Popup */
           .eq-popup-wide {
             color: ${stereoTheme.primary};
@@ -1095,7 +2685,9 @@ function MainContainer() {
             padding: 16px 14px 11px 14px;
             box-shadow: 0 1.5px 17px #060c;
             z-index: 10;
-            width: 174px;
+            width: auto;
+            min-width: 290px;
+            max-width: 560px;
             animation: popfade .42s cubic-bezier(.46,-0.38,.68,1.6);
           }
           @keyframes popfade {
@@ -0,0 +1,139 @@
+import React, { useEffect } from "react";
+import Visualizer from "./Visualizer";
+import LyricsPane from "./LyricsPane";
+import { usePlayerState, usePlayerStore } from "./PlayerContext";
+import { formatTime } from "./formatTime";
+
+// PUBLIC_INTERFACE
+/**
+ * NowPlayingView - full-screen "now playing" mode opened from the navbar:
+ * large album art, transport and seek bar, a wide visualizer and the
+ * time-synced lyrics pane. Reads and controls playback through the player store.
+ */
+function NowPlayingView() {
+  const player = usePlayerStore();
+  const { playing, progress, currentTrack, analyser, lyrics } = usePlayerState();
+  const close = () => player.setNowPlayingOpen(false);
+
+  // Esc closes; capture so it doesn't reach anything underneath
+  useEffect(() => {
+    const handleKey = e => {
+      if (e.key !== "Escape") return;
+      e.stopPropagation();
+      player.setNowPlayingOpen(false);
+    };
+    window.addEventListener("keydown", handleKey, true);
+    return () => window.removeEventListener("keydown", handleKey, true);
+  }, [player]);
+
+  if (!currentTrack) return null;
+  const duration = currentTrack.duration;
+
+  return (
+    <div className="now-playing" role="dialog" aria-modal="true" aria-label="Now playing">
+      <button className="now-playing-close" onClick={close} aria-label="Close now playing">✕</button>
+      <div className="now-playing-main">
+        <div className="now-playing-left">
+          {currentTrack.art ? (
+            <img className="now-playing-art" src={currentTrack.art} alt={`${currentTrack.album} cover`} />
+          ) : (
+            <div className="now-playing-art now-playing-art-empty" aria-hidden="true">♪</div>
+          )}
+          <div className="now-playing-title">{currentTrack.title}</div>
+          <div className="now-playing-artist">{currentTrack.artist}</div>
+          <div className="now-playing-album">{currentTrack.album}</div>
+          <div className="now-playing-seek">
+            <span>{formatTime(progress)}</span>
+            {currentTrack.live ? (
+              <span className={`now-playing-onair ${playing ? "on" : ""}`}>ON AIR</span>
+            ) : (
+              <input
+                type="range"
+                min="0"
+                max={duration || 0}
+                step="1"
+                value={progress}
+                onChange={e => player.seek(Number(e.target.value))}
+                aria-label="Seek position"
+              />
+            )}
+            <span>{currentTrack.live ? "LIVE" : formatTime(duration)}</span>
+          </div>
+          <div className="now-playing-transport">
+            <button onClick={player.prev} aria-label="Previous track">&#9198;</button>
+            <button className="now-playing-play" onClick={player.togglePlay} aria-label={playing ? "Pause" : "Play"}>
+              {playing ? <span>&#10073;&#10073;</span> : <span>&#9654;</span>}
+            </button>
+            <button onClick={() => player.next()} aria-label="Next track">&#9197;</button>
+          </div>
+        </div>
+        <div className="now-playing-lyrics">
+          <LyricsPane lines={lyrics} position={progress} onSeek={player.seek} />
+        </div>
+      </div>
+      <div className="now-playing-viz">
+        <Visualizer analyser={analyser} active={playing} mode="bars" barCount={48} width={760} height={110} />
+      </div>
+      <style>
+        {`
+        .now-playing {
+          position: fixed; inset: 0; z-index: 200;
+          background: radial-gradient(ellipse at 30% 20%, #23321f 0%, #191414 60%, #0f0f0d 100%);
+          display: flex; flex-direction: column; align-items: center; justify-content: center;
+          padding: 28px; box-sizing: border-box; color: #eee;
+          font-family: 'Orbitron', 'Inter', monospace;
+        }
+        .now-playing-close {
+          position: absolute; top: 18px; right: 22px;
+          background: none; border: 1.5px solid #393822; border-radius: 50%;
+          width: 34px; height: 34px; color: #8a9a8e; cursor: pointer; font-size: 1rem;
+        }
+        .now-playing-close:hover { color: #EFEA91; border-color: #1DB954; }
+        .now-playing-main {
+          display: flex; gap: 48px; width: 100%; max-width: 980px; flex: 1; min-height: 0; align-items: center;
+        }
+        .now-playing-left {
+          flex: 0 0 360px; display: flex; flex-direction: column; align-items: center; gap: 6px; text-align: center;
+        }
+        .now-playing-art {
+          width: 340px; height: 340px; object-fit: cover; border-radius: 14px;
+          border: 2px solid #3ca671; box-shadow: 0 10px 40px #000c, 0 0 24px #1DB95433;
+        }
+        .now-playing-art-empty {
+          display: flex; align-items: center; justify-content: center;
+          background: repeating-linear-gradient(135deg, #275c27, #122212 4px, #274327 8px, #2d4627 13px);
+          color: #EFEA91; font-size: 7rem;
+        }
+        .now-playing-title { margin-top: 14px; font-size: 1.5rem; color: #1DB954; max-width: 360px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .now-playing-artist { font-family: Inter, monospace; font-size: 1.1rem; color: #eee; }
+        .now-playing-album { font-family: Inter, monospace; font-size: 0.95rem; color: #ecec86; font-style: italic; }
+        .now-playing-seek {
+          display: flex; align-items: center; gap: 8px; width: 100%; margin-top: 10px;
+          color: #EFEA91; font-size: 0.78rem;
+        }
+        .now-playing-seek input { flex: 1; accent-color: #1DB954; }
+        .now-playing-onair { flex: 1; text-align: center; letter-spacing: 0.25em; color: #6b4b4b; }
+        .now-playing-onair.on { color: #ff5a4f; text-shadow: 0 0 10px #ff5a4f99; }
+        .now-playing-transport { display: flex; gap: 22px; margin-top: 6px; }
+        .now-playing-transport button {
+          background: #232523; border: 1.5px solid #3a3a40; border-radius: 50%;
+          width: 46px; height: 46px; color: #EFEA91; font-size: 1.1rem; cursor: pointer;
+        }
+        .now-playing-transport .now-playing-play { width: 58px; height: 58px; border-color: #1DB954; }
+        .now-playing-lyrics { flex: 1; height: 100%; max-height: 62vh; display: flex; flex-direction: column; min-width: 0; }
+        .now-playing-lyrics .lyrics-pane { flex: 1; }
+        .now-playing-viz { margin-top: 18px; }
+        .now-playing-viz .visualizer-bars { height: auto; margin: 0; }
+        @media (max-width: 820px) {
+          .now-playing-main { flex-direction: column; gap: 16px; }
+          .now-playing-left { flex: none; }
+          .now-playing-art { width: 220px; height: 220px; }
+          .now-playing-viz { display: none; }
+        }
+        `}
+      </style>
+    </div>
+  );
+}
+
+export default NowPlayingView;
@@ -0,0 +1,63 @@
+import React, { createContext, useContext, useEffect, useRef, useState, useSyncExternalStore } from "react";
+import { createPlayerStore } from "./playerStore";
+import { loadPlayModes, savePlayModes } from "./playQueue";
+import { loadEqSettings } from "./eqPresets";
+
+const PlayerContext = createContext(null);
+
+// PUBLIC_INTERFACE
+/**
+ * PlayerProvider - makes one player store (see playerStore.js) available to
+ * the whole app: the navbar, the stereo (MainContainer), the Now Playing view
+ * and anything added later. Restores the saved play modes and EQ and saves
+ * play mode changes.
+ * @param {Object} props
+ *   - store: optional store to use instead of a new one (tests)
+ */
+export function PlayerProvider({ store: givenStore, children }) {
+  const [store] = useState(() => givenStore || createPlayerStore({ modes: loadPlayModes(), eq: loadEqSettings() }));
+
+  useEffect(() => store.on("change", (state, prev) => {
+    if (state.modes !== prev.modes) savePlayModes(state.modes);
+  }), [store]);
+
+  return <PlayerContext.Provider value={store}>{children}</PlayerContext.Provider>;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The player store: actions (play, pause, seek, next, prev, enqueue, setEq, ...),
+ * getState() and on(event, handler).
+ */
+export function usePlayerStore() {
+  const store = useContext(PlayerContext);
+  if (!store) throw new Error("usePlayerStore must be used inside a PlayerProvider.");
+  return store;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Player state, re-rendering when it changes. With a selector, re-renders
+ * only when the selected value changes; the selector must return a piece of
+ * state or a primitive, not a new object.
+ * @param {Function} [selector] - state => value
+ */
+export function usePlayerState(selector) {
+  const store = usePlayerStore();
+  const select = () => (selector ? selector(store.getState()) : store.getState());
+  return useSyncExternalStore(store.subscribe, select);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Calls `handler` for a player event (see playerStore.js) while mounted.
+ * The latest handler is always used, so it needn't be memoized.
+ * @param {string} name
+ * @param {Function} handler
+ */
+export function usePlayerEvent(name, handler) {
+  const store = usePlayerStore();
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+  useEffect(() => store.on(name, (...args) => handlerRef.current(...args)), [store, name]);
+}
@@ -0,0 +1,115 @@
+import React, { useRef } from "react";
+import { ALL_TRACKS_ID, RADIO_ID } from "./playlists";
+import { PLAYLIST_ACCEPT, PLAYLIST_FORMATS } from "./playlistFormats";
+
+// PUBLIC_INTERFACE
+/**
+ * PlaylistSwitcher - tracklist header control: picks the playlist shown in the
+ * tracklist, creates, renames or deletes playlists and imports/exports
+ * playlist files.
+ * @param {Object} props
+ *   - playlists: [{ id, name, entries }]
+ *   - activeId: selected playlist id, ALL_TRACKS_ID or RADIO_ID
+ *   - onSelect(id)
+ *   - onCreate(name)
+ *   - onRename(id, name)
+ *   - onDelete(id)
+ *   - onImport(file): an M3U/M3U8, PLS or XSPF file was picked
+ *   - onExport(format): key of PLAYLIST_FORMATS; exports the list being shown
+ *   - canExport: whether the shown list has any tracks
+ */
+function PlaylistSwitcher({ playlists, activeId, onSelect, onCreate, onRename, onDelete, onImport, onExport, canExport }) {
+  const active = playlists.find(p => p.id === activeId) || null;
+  const importRef = useRef(null);
+
+  const handleCreate = () => {
+    const name = window.prompt("Name for the new playlist:", `Playlist ${playlists.length + 1}`);
+    if (name && name.trim()) onCreate(name);
+  };
+  const handleRename = () => {
+    const name = window.prompt("Rename playlist:", active.name);
+    if (name && name.trim()) onRename(active.id, name);
+  };
+  const handleDelete = () => {
+    if (window.confirm(`Delete the playlist "${active.name}"? The tracks stay in your library.`)) {
+      onDelete(active.id);
+    }
+  };
+  const handleImport = e => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (file) onImport(file);
+  };
+
+  return (
+    <div className="playlist-switcher">
+      <select
+        className="playlist-select"
+        value={activeId}
+        onChange={e => onSelect(e.target.value)}
+        aria-label="Playlist"
+      >
+        <option value={ALL_TRACKS_ID}>All tracks</option>
+        <option value={RADIO_ID}>Radio stations</option>
+        {playlists.map(p => (
+          <option key={p.id} value={p.id}>{p.name} ({p.entries.length})</option>
+        ))}
+      </select>
+      <button className="playlist-btn" onClick={handleCreate} title="New playlist">NEW</button>
+      {active && (
+        <>
+          <button className="playlist-btn" onClick={handleRename} title="Rename playlist">REN</button>
+          <button className="playlist-btn playlist-btn-danger" onClick={handleDelete} title="Delete playlist">DEL</button>
+        </>
+      )}
+      <button
+        className="playlist-btn"
+        onClick={() => importRef.current && importRef.current.click()}
+        title="Import an M3U, PLS or XSPF playlist"
+      >
+        IMP
+      </button>
+      <input
+        ref={importRef}
+        type="file"
+        accept={PLAYLIST_ACCEPT}
+        onChange={handleImport}
+        style={{ display: "none" }}
+        aria-label="Import playlist file"
+      />
+      <select
+        className="playlist-select playlist-export"
+        value=""
+        onChange={e => e.target.value && onExport(e.target.value)}
+        disabled={!canExport}
+        aria-label="Export this list"
+        title="Export this list as a playlist file"
+      >
+        <option value="" disabled>EXP</option>
+        {Object.keys(PLAYLIST_FORMATS).map(key => (
+          <option key={key} value={key}>{PLAYLIST_FORMATS[key].label}</option>
+        ))}
+      </select>
+      <style>
+        {`
+        .playlist-switcher { display: flex; align-items: center; gap: 5px; min-width: 0; }
+        .playlist-select {
+          min-width: 0; max-width: 150px;
+          background: #181a17; color: #EFEA91; border: 1.5px solid #393822; border-radius: 7px;
+          font-family: 'Orbitron', monospace; font-size: 0.68rem; padding: 2px 4px;
+        }
+        .playlist-btn {
+          background: none; color: #1DB954; border: 1.5px solid #2d5a3a; border-radius: 7px;
+          font-family: 'Orbitron', monospace; font-size: 0.62rem; letter-spacing: 0.08em;
+          padding: 3px 6px; cursor: pointer;
+        }
+        .playlist-btn-danger { color: #e0707c; border-color: #6c2f37; }
+        .playlist-export { width: 52px; color: #1DB954; }
+        .playlist-export:disabled { opacity: 0.4; }
+        `}
+      </style>
+    </div>
+  );
+}
+
+export default PlaylistSwitcher;
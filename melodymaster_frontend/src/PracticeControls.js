@@ -0,0 +1,100 @@
+import React from "react";
+import {
+  DEFAULT_PRACTICE,
+  PITCH_RANGE,
+  SPEED_MAX,
+  SPEED_MIN,
+  SPEED_STEP,
+  formatSemitones,
+  isDefaultPractice,
+} from "./practice";
+
+// PUBLIC_INTERFACE
+/**
+ * PracticeControls - speed slider, key lock (preservesPitch) and semitone
+ * pitch shift for the current track. Changes apply to that track only.
+ * @param {Object} props
+ *   - settings: { speed, preservePitch, pitch } (see practice.js)
+ *   - pitchShiftAvailable: false until the pitch shifter worklet has loaded
+ *   - disabled: for stations, which always play as broadcast
+ *   - onChange(patch): partial settings to apply
+ */
+function PracticeControls({ settings, pitchShiftAvailable, disabled, onChange }) {
+  const pitchDisabled = disabled || !pitchShiftAvailable;
+  return (
+    <div className={`practice-controls ${disabled ? "disabled" : ""}`} role="group" aria-label="Speed and pitch">
+      <label className="practice-speed" title="Playback speed (double-click for normal speed)">
+        <span className="practice-label">SPEED</span>
+        <input
+          type="range"
+          min={SPEED_MIN}
+          max={SPEED_MAX}
+          step={SPEED_STEP}
+          value={settings.speed}
+          disabled={disabled}
+          onChange={e => onChange({ speed: Number(e.target.value) })}
+          onDoubleClick={() => onChange({ speed: 1 })}
+          aria-label="Playback speed"
+          aria-valuetext={`${settings.speed.toFixed(2)} times`}
+        />
+        <output className="practice-value">{settings.speed.toFixed(2)}×</output>
+      </label>
+      <button
+        className={`practice-toggle ${settings.preservePitch ? "on" : ""}`}
+        onClick={() => onChange({ preservePitch: !settings.preservePitch })}
+        disabled={disabled}
+        aria-pressed={settings.preservePitch}
+        title={settings.preservePitch ? "Key lock on: the pitch stays put when the speed changes" : "Key lock off: the pitch follows the speed"}
+      >
+        KEY LOCK
+      </button>
+      <div
+        className="practice-pitch"
+        title={pitchShiftAvailable ? "Pitch shift in semitones" : "Pitch shifting needs AudioWorklet (a current browser, over https)"}
+      >
+        <span className="practice-label">PITCH</span>
+        <button
+          onClick={() => onChange({ pitch: settings.pitch - 1 })}
+          disabled={pitchDisabled || settings.pitch <= -PITCH_RANGE}
+          aria-label="Pitch down a semitone"
+        >−</button>
+        <output className="practice-value">{formatSemitones(settings.pitch)}</output>
+        <button
+          onClick={() => onChange({ pitch: settings.pitch + 1 })}
+          disabled={pitchDisabled || settings.pitch >= PITCH_RANGE}
+          aria-label="Pitch up a semitone"
+        >+</button>
+      </div>
+      <button
+        className="practice-reset"
+        onClick={() => onChange(DEFAULT_PRACTICE)}
+        disabled={disabled || isDefaultPractice(settings)}
+        title="Back to normal speed and pitch"
+      >
+        RESET
+      </button>
+      <style>
+        {`
+        .practice-controls {
+          display: flex; flex-wrap: wrap; align-items: center; gap: 6px 10px;
+          margin: 0.1em 0 0.4em 0.2em;
+          font-family: 'Orbitron', monospace; font-size: 0.6rem; letter-spacing: 0.08em; color: #8a9a8c;
+        }
+        .practice-controls.disabled { opacity: 0.4; }
+        .practice-speed, .practice-pitch { display: flex; align-items: center; gap: 5px; }
+        .practice-speed input { width: 96px; accent-color: #1DB954; }
+        .practice-value { min-width: 38px; color: #EFEA91; font-family: Inter, monospace; font-size: 0.78rem; letter-spacing: 0; }
+        .practice-controls button {
+          background: none; color: #8a9a8c; border: 1.5px solid #393822; border-radius: 6px;
+          font-family: 'Orbitron', monospace; font-size: 0.6rem; letter-spacing: 0.06em;
+          padding: 2px 6px; cursor: pointer;
+        }
+        .practice-controls button.on { color: #1DB954; border-color: #2d5a3a; }
+        .practice-controls button:disabled { opacity: 0.35; cursor: default; }
+        `}
+      </style>
+    </div>
+  );
+}
+
+export default PracticeControls;
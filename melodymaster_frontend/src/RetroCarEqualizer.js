@@ -0,0 +1,483 @@
+import React, { useMemo, useRef, useState } from "react";
+import {
+  EQ_BAND_MODES,
+  EQ_FILTER_TYPES,
+  EQ_GAIN_RANGE,
+  EQ_MIN_FREQ,
+  EQ_MAX_FREQ,
+  applyBandToNode,
+  computeResponseCurve,
+  createBandLayout,
+  formatFrequency,
+  logFrequencies,
+} from "./equalizer";
+import {
+  BUILTIN_PRESETS,
+  bandsEqual,
+  downloadJson,
+  loadUserPresets,
+  mergePresets,
+  parsePresetFile,
+  resolvePresetBands,
+  saveUserPresets,
+  serializePresets,
+} from "./eqPresets";
+
+const accentColor = "#b6f951";
+
+// Response curve geometry
+const CURVE_WIDTH = 300;
+const CURVE_HEIGHT = 74;
+const CURVE_POINTS = 160;
+const CURVE_DB_RANGE = 18;
+const curveFreqs = logFrequencies(CURVE_POINTS);
+
+function freqToX(hz) {
+  return (Math.log(hz / EQ_MIN_FREQ) / Math.log(EQ_MAX_FREQ / EQ_MIN_FREQ)) * CURVE_WIDTH;
+}
+
+function dbToY(db) {
+  const clamped = Math.max(-CURVE_DB_RANGE, Math.min(CURVE_DB_RANGE, db));
+  return CURVE_HEIGHT / 2 - (clamped / CURVE_DB_RANGE) * (CURVE_HEIGHT / 2 - 3);
+}
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+
+/**
+ * Number input that keeps the typed text while editing and only clamps and
+ * applies it on blur or Enter (clamping each keystroke turns "1000" into 20000).
+ * Text that isn't a number puts the previous value back.
+ */
+function BandNumberInput({ value, min, max, step, onCommit }) {
+  const [draft, setDraft] = useState(null);
+  const commit = () => {
+    if (draft === null) return;
+    const v = parseFloat(draft);
+    if (isFinite(v)) onCommit(clamp(v, min, max));
+    setDraft(null);
+  };
+  return (
+    <input
+      type="number"
+      min={min}
+      max={max}
+      step={step}
+      value={draft !== null ? draft : value}
+      onChange={e => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={e => {
+        if (e.key === "Enter") commit();
+      }}
+    />
+  );
+}
+
+/**
+ * Frequency-response curve for the current band set.
+ */
+function ResponseCurve({ bands, selected }) {
+  const path = useMemo(() => {
+    const db = computeResponseCurve(bands, curveFreqs);
+    if (!db) return null;
+    let d = "";
+    for (let i = 0; i < CURVE_POINTS; i++) {
+      d += `${i === 0 ? "M" : "L"}${((i / (CURVE_POINTS - 1)) * CURVE_WIDTH).toFixed(1)},${dbToY(db[i]).toFixed(1)}`;
+    }
+    return d;
+  }, [bands]);
+
+  return (
+    <svg
+      className="eq-curve"
+      viewBox={`0 0 ${CURVE_WIDTH} ${CURVE_HEIGHT}`}
+      preserveAspectRatio="none"
+      aria-label="Equalizer frequency response"
+    >
+      {[100, 1000, 10000].map(hz => (
+        <line key={hz} x1={freqToX(hz)} x2={freqToX(hz)} y1={0} y2={CURVE_HEIGHT} stroke="#2c3a28" strokeWidth="1" />
+      ))}
+      <line x1={0} x2={CURVE_WIDTH} y1={CURVE_HEIGHT / 2} y2={CURVE_HEIGHT / 2} stroke="#3c5f28" strokeWidth="1" strokeDasharray="3 3" />
+      {bands[selected] && (
+        <circle
+          cx={freqToX(bands[selected].frequency)}
+          cy={dbToY(bands[selected].gain)}
+          r="3.5"
+          fill="#EFEA91"
+        />
+      )}
+      {path && (
+        <path d={path} fill="none" stroke={accentColor} strokeWidth="2" style={{ filter: "drop-shadow(0 0 3px #b6f95188)" }} />
+      )}
+    </svg>
+  );
+}
+
+/**
+ * Preset dropdown plus save/delete/import/export actions.
+ */
+function PresetBar({ bands, setBands, preset, setPreset, webAudio }) {
+  const [userPresets, setUserPresets] = useState(loadUserPresets);
+  const [saving, setSaving] = useState(false);
+  const [saveName, setSaveName] = useState("");
+  const [message, setMessage] = useState(null); // { error: bool, text }
+  const importRef = useRef(null);
+
+  const updateUserPresets = list => {
+    setUserPresets(list);
+    saveUserPresets(list);
+  };
+
+  const presetBands = resolvePresetBands(preset, userPresets, bands.length);
+  const modified = !presetBands || !bandsEqual(presetBands, bands);
+  const isUserPreset = preset && preset.startsWith("user:") && !!presetBands;
+
+  const selectPreset = id => {
+    const next = resolvePresetBands(id, userPresets, bands.length);
+    if (!next) return;
+    setMessage(null);
+    setPreset(id);
+    setBands(next);
+    // Same band count: push straight into the live filters
+    if (webAudio && webAudio.eqNodes && webAudio.eqNodes.length === next.length) {
+      webAudio.eqNodes.forEach((node, idx) => applyBandToNode(node, next[idx]));
+    }
+  };
+
+  const handleSave = e => {
+    e.preventDefault();
+    const name = saveName.trim();
+    if (!name) return;
+    updateUserPresets(mergePresets(userPresets, [{ name, bands: bands.map(b => ({ ...b })) }]));
+    setPreset(`user:${name}`);
+    setSaving(false);
+    setSaveName("");
+    setMessage({ error: false, text: `Saved "${name}".` });
+  };
+
+  const handleDelete = () => {
+    const name = preset.slice("user:".length);
+    updateUserPresets(userPresets.filter(p => p.name !== name));
+    setPreset(null);
+    setMessage({ error: false, text: `Deleted "${name}".` });
+  };
+
+  const handleExport = () => {
+    const list = isUserPreset
+      ? userPresets.filter(p => `user:${p.name}` === preset)
+      : [{ name: modified ? "Custom" : preset.split(":").slice(1).join(":"), bands }];
+    const file = list.length === 1 ? `${list[0].name}.eq.json` : "melodymaster-presets.eq.json";
+    downloadJson(file.replace(/[\\/:*?"<>|]/g, "_"), serializePresets(list));
+  };
+
+  const handleImport = e => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text().then(text => {
+      try {
+        const imported = parsePresetFile(text);
+        updateUserPresets(mergePresets(userPresets, imported));
+        setMessage({ error: false, text: `Imported ${imported.length} preset${imported.length === 1 ? "" : "s"}.` });
+      } catch (err) {
+        setMessage({ error: true, text: err.message });
+      }
+    });
+  };
+
+  return (
+    <div className="eq-preset-bar">
+      <div className="eq-preset-row">
+        <select
+          className="eq-preset-select"
+          value={modified ? "" : preset || ""}
+          onChange={e => selectPreset(e.target.value)}
+          aria-label="EQ preset"
+        >
+          <option value="" disabled>Custom</option>
+          <optgroup label="Built-in">
+            {BUILTIN_PRESETS.map(p => (
+              <option key={p.name} value={`builtin:${p.name}`}>{p.name}</option>
+            ))}
+          </optgroup>
+          {userPresets.length > 0 && (
+            <optgroup label="My presets">
+              {userPresets.map(p => (
+                <option key={p.name} value={`user:${p.name}`}>{p.name}</option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+      </div>
+      {saving ? (
+        <form className="eq-preset-row" onSubmit={handleSave}>
+          <input
+            className="eq-preset-name"
+            autoFocus
+            value={saveName}
+            maxLength={40}
+            placeholder="Preset name"
+            onChange={e => setSaveName(e.target.value)}
+            aria-label="Preset name"
+          />
+          <button type="submit" className="eq-mode-btn on" disabled={!saveName.trim()}>OK</button>
+          <button type="button" className="eq-mode-btn" onClick={() => setSaving(false)}>✕</button>
+        </form>
+      ) : (
+        <div className="eq-preset-row">
+          <button className="eq-mode-btn" onClick={() => { setSaving(true); setMessage(null); }}>SAVE</button>
+          <button className="eq-mode-btn" onClick={handleDelete} disabled={!isUserPreset}>DEL</button>
+          <button className="eq-mode-btn" onClick={() => importRef.current && importRef.current.click()}>IMPORT</button>
+          <button className="eq-mode-btn" onClick={handleExport}>EXPORT</button>
+          <input
+            ref={importRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImport}
+            style={{ display: "none" }}
+            aria-label="Import EQ presets"
+          />
+        </div>
+      )}
+      {message && (
+        <div className={`eq-preset-msg ${message.error ? "error" : ""}`}>{message.text}</div>
+      )}
+    </div>
+  );
+}
+
+// PUBLIC_INTERFACE
+/**
+ * RetroCarEqualizer - Parametric N-band (5/10/31) equalizer popup with live frequency-response curve.
+ * @param {Object} props
+ *   - hidePopup: closes the popup
+ *   - style: positioning style for the popup
+ *   - webAudio: {
+ *        context: AudioContext,
+ *        eqNodes: [BiquadFilterNode, ...]  // one per band, same order as bands
+ *     }
+ *   - bands: [{type, frequency, Q, gain}, ...]
+ *   - setBands: state setter for bands
+ *   - preset: active preset id ("builtin:Flat", "user:My Car", ...) or null
+ *   - setPreset: state setter for preset
+ *   - profileScope: where the current settings live: "global" | "album" | "track"
+ *   - setProfileScope: moves the current settings to another scope
+ *   - canUseAlbumScope: false when the current track has no album
+ */
+function RetroCarEqualizer({
+  hidePopup, style, webAudio, bands, setBands, preset, setPreset,
+  profileScope, setProfileScope, canUseAlbumScope
+}) {
+  const [selected, setSelected] = useState(0);
+  const selectedIdx = Math.min(selected, bands.length - 1);
+  const band = bands[selectedIdx];
+
+  const updateBand = (idx, patch) => {
+    setBands(prev => {
+      const next = [...prev];
+      next[idx] = { ...prev[idx], ...patch };
+      return next;
+    });
+    // Live update filter via webAudio.ref for immediate feedback while dragging
+    if (webAudio && webAudio.eqNodes && webAudio.eqNodes.length === bands.length) {
+      applyBandToNode(webAudio.eqNodes[idx], { ...bands[idx], ...patch });
+    }
+  };
+
+  const handleModeChange = count => {
+    if (count === bands.length) return;
+    setSelected(0);
+    // Keep the active built-in preset's shape when switching layouts
+    const presetBands = preset && preset.startsWith("builtin:")
+      ? resolvePresetBands(preset, [], count)
+      : null;
+    setBands(presetBands || createBandLayout(count));
+  };
+
+  return (
+    <div className="eq-popup-wide" style={style}>
+      <div style={{
+        fontWeight: 800, letterSpacing: "0.13em",
+        textAlign: "center", color: accentColor, marginBottom: "9px",
+        fontFamily: "'Orbitron', Inter, monospace",
+        fontSize: "1.1em"
+      }}>EQUALIZER</div>
+
+      {setProfileScope && (
+        <div className="eq-mode-row eq-scope-row" role="group" aria-label="Apply EQ to">
+          <span className="eq-scope-label">APPLY TO</span>
+          {[["global", "ALL"], ["album", "ALBUM"], ["track", "TRACK"]].map(([scope, label]) => (
+            <button
+              key={scope}
+              className={`eq-mode-btn ${profileScope === scope ? "on" : ""}`}
+              onClick={() => setProfileScope(scope)}
+              disabled={scope === "album" && !canUseAlbumScope}
+              aria-pressed={profileScope === scope}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <PresetBar
+        bands={bands}
+        setBands={setBands}
+        preset={preset}
+        setPreset={setPreset}
+        webAudio={webAudio}
+      />
+
+      <div className="eq-mode-row" role="group" aria-label="Band count">
+        {EQ_BAND_MODES.map(count => (
+          <button
+            key={count}
+            className={`eq-mode-btn ${bands.length === count ? "on" : ""}`}
+            onClick={() => handleModeChange(count)}
+            aria-pressed={bands.length === count}
+          >
+            {count}-BAND
+          </button>
+        ))}
+      </div>
+
+      <ResponseCurve bands={bands} selected={selectedIdx} />
+
+      <div className="eq-bands-row">
+        {bands.map((b, idx) => (
+          <div
+            key={idx}
+            className={`eq-band-col ${idx === selectedIdx ? "selected" : ""}`}
+            onClick={() => setSelected(idx)}
+          >
+            <input
+              type="range"
+              className="eq-band-slider"
+              min={-EQ_GAIN_RANGE}
+              max={EQ_GAIN_RANGE}
+              step={0.5}
+              value={b.gain}
+              onChange={e => updateBand(idx, { gain: +e.target.value })}
+              onFocus={() => setSelected(idx)}
+              aria-label={`${formatFrequency(b.frequency)} Hz gain`}
+            />
+            <span className="eq-band-freq">{formatFrequency(b.frequency)}</span>
+          </div>
+        ))}
+      </div>
+
+      {band && (
+        <div className="eq-band-editor">
+          <label>
+            TYPE
+            <select
+              value={band.type}
+              onChange={e => updateBand(selectedIdx, { type: e.target.value })}
+            >
+              {EQ_FILTER_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+            </select>
+          </label>
+          <label>
+            FREQ
+            <BandNumberInput
+              min={EQ_MIN_FREQ}
+              max={EQ_MAX_FREQ}
+              step={1}
+              value={band.frequency}
+              onCommit={frequency => updateBand(selectedIdx, { frequency })}
+            />
+          </label>
+          <label>
+            Q
+            <BandNumberInput
+              min={0.1}
+              max={18}
+              step={0.1}
+              value={band.Q}
+              onCommit={Q => updateBand(selectedIdx, { Q })}
+            />
+          </label>
+          <label>
+            GAIN
+            <BandNumberInput
+              min={-EQ_GAIN_RANGE}
+              max={EQ_GAIN_RANGE}
+              step={0.5}
+              value={band.gain}
+              onCommit={gain => updateBand(selectedIdx, { gain })}
+            />
+          </label>
+        </div>
+      )}
+
+      <button className="btn" onClick={hidePopup}
+        style={{
+          marginTop:"15px", color: accentColor, background: "#232d22",
+          border: "2px solid #3ca671", borderRadius: 9,
+          fontWeight: 650, fontFamily:"Orbitron,Inter,monospace", width: "92px"
+        }}>
+        CLOSE
+      </button>
+      <style>
+        {`
+        .eq-mode-row {
+          display: flex; justify-content: center; gap: 6px; margin-bottom: 8px;
+        }
+        .eq-mode-btn {
+          background: #1a2118; color: #9fbf8f;
+          border: 1.5px solid #3c5f28; border-radius: 7px;
+          font-family: 'Orbitron', monospace; font-size: 0.7rem; letter-spacing: 0.06em;
+          padding: 3px 7px; cursor: pointer;
+        }
+        .eq-mode-btn:disabled { opacity: 0.4; cursor: default; }
+        .eq-mode-btn.on { color: ${accentColor}; border-color: ${accentColor}; box-shadow: 0 0 6px #b6f95144; }
+        .eq-scope-row { align-items: center; }
+        .eq-scope-label { font-size: 0.64rem; letter-spacing: 0.08em; color: #9fbf8f; margin-right: 2px; }
+        .eq-preset-bar { display: flex; flex-direction: column; gap: 5px; margin-bottom: 8px; }
+        .eq-preset-row { display: flex; gap: 5px; justify-content: center; }
+        .eq-preset-select, .eq-preset-name {
+          flex: 1; background: #1a2118; color: #faffce;
+          border: 1.5px solid #3c5f28; border-radius: 7px; padding: 3px 6px;
+          font-family: 'Orbitron', monospace; font-size: 0.78rem;
+        }
+        .eq-preset-msg { font-family: Inter, monospace; font-size: 0.74rem; color: #9aef67; text-align: center; }
+        .eq-preset-msg.error { color: #ff7a7a; }
+        .eq-curve {
+          width: 100%; height: ${CURVE_HEIGHT}px;
+          background: #0b0f0a; border: 1.5px solid #2c3a28; border-radius: 7px;
+          margin-bottom: 8px;
+        }
+        .eq-bands-row {
+          display: flex; gap: 2px; overflow-x: auto; padding-bottom: 4px;
+        }
+        .eq-band-col {
+          display: flex; flex-direction: column; align-items: center;
+          flex: 1 0 22px; border-radius: 5px; padding: 3px 0; cursor: pointer;
+        }
+        .eq-band-col.selected { background: #b6f9511a; }
+        .eq-band-slider {
+          writing-mode: vertical-lr; direction: rtl;
+          height: 92px; width: 18px; margin: 0;
+          accent-color: ${accentColor};
+        }
+        .eq-band-freq {
+          font-family: monospace; font-size: 0.7em; color: #faffce; margin-top: 3px; white-space: nowrap;
+        }
+        .eq-band-editor {
+          display: grid; grid-template-columns: repeat(4, 1fr); gap: 6px; margin-top: 8px;
+        }
+        .eq-band-editor label {
+          display: flex; flex-direction: column; gap: 2px;
+          font-size: 0.66rem; letter-spacing: 0.08em; color: ${accentColor}; font-weight: 700;
+        }
+        .eq-band-editor input, .eq-band-editor select {
+          width: 100%; background: #1a2118; color: #faffce;
+          border: 1px solid #3c5f28; border-radius: 5px; padding: 2px 3px;
+          font-family: monospace; font-size: 0.85rem;
+        }
+        `}
+      </style>
+    </div>
+  );
+}
+
+export default RetroCarEqualizer;
@@ -0,0 +1,162 @@
+import React, { useEffect, useRef } from "react";
+
+// Knob travel: 270° from 7 o'clock to 5 o'clock
+const SWEEP_DEGREES = 270;
+// Dragging this many pixels moves the knob over its whole range
+const DRAG_PIXELS = 160;
+
+// PUBLIC_INTERFACE
+/**
+ * RotaryKnob - retro stereo knob acting as a slider.
+ * Drag up/down (hold Shift for fine steps), scroll the wheel, or use the
+ * arrow keys, Page Up/Down and Home/End when focused. Double-click resets.
+ * @param {Object} props
+ *   - value, min, max, step
+ *   - defaultValue: restored on double-click
+ *   - onChange(value)
+ *   - label: accessible name and caption under the knob
+ *   - valueText: aria-valuetext (e.g. "72%")
+ *   - size: diameter in px (default 46)
+ *   - bipolar: draw the arc from the center instead of from min (balance-style)
+ *   - dimmed: grey out the arc (e.g. while muted)
+ */
+function RotaryKnob({
+  value, min, max, step = 1, defaultValue = min, onChange, label, valueText, size = 46, bipolar = false, dimmed = false,
+}) {
+  const knobRef = useRef(null);
+  const dragRef = useRef(null); // { startY, startValue } while dragging
+  // The wheel listener is attached once; keep it pointed at the latest props
+  const latestRef = useRef();
+  latestRef.current = { value, onChange };
+
+  const clampToStep = v => {
+    const snapped = Math.round((v - min) / step) * step + min;
+    return Math.max(min, Math.min(max, Number(snapped.toFixed(6))));
+  };
+  const change = v => {
+    const next = clampToStep(v);
+    if (next !== latestRef.current.value) latestRef.current.onChange(next);
+  };
+
+  // React's onWheel is passive, so it can't stop the page from scrolling
+  useEffect(() => {
+    const el = knobRef.current;
+    const handleWheel = e => {
+      e.preventDefault();
+      const direction = e.deltaY < 0 || e.deltaX > 0 ? 1 : -1;
+      change(latestRef.current.value + direction * step);
+    };
+    el.addEventListener("wheel", handleWheel, { passive: false });
+    return () => el.removeEventListener("wheel", handleWheel);
+    // eslint-disable-next-line
+  }, [min, max, step]);
+
+  const handlePointerDown = e => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    knobRef.current.focus();
+    knobRef.current.setPointerCapture(e.pointerId);
+    dragRef.current = { startY: e.clientY, startValue: value };
+  };
+  const handlePointerMove = e => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const scale = (max - min) / DRAG_PIXELS / (e.shiftKey ? 5 : 1);
+    change(drag.startValue + (drag.startY - e.clientY) * scale);
+  };
+  const handlePointerUp = e => {
+    dragRef.current = null;
+    if (knobRef.current.hasPointerCapture(e.pointerId)) knobRef.current.releasePointerCapture(e.pointerId);
+  };
+  const handleKeyDown = e => {
+    const page = step * 10;
+    const moves = {
+      ArrowUp: value + step, ArrowRight: value + step,
+      ArrowDown: value - step, ArrowLeft: value - step,
+      PageUp: value + page, PageDown: value - page,
+      Home: min, End: max,
+    };
+    if (!(e.key in moves)) return;
+    e.preventDefault();
+    change(moves[e.key]);
+  };
+
+  const fraction = (value - min) / (max - min);
+  const angle = -SWEEP_DEGREES / 2 + fraction * SWEEP_DEGREES;
+  const r = size / 2 - 4;
+  const c = size / 2;
+  const point = deg => {
+    const rad = ((deg - 90) * Math.PI) / 180;
+    return [c + (r + 1.5) * Math.cos(rad), c + (r + 1.5) * Math.sin(rad)];
+  };
+  const arcFrom = bipolar ? 0 : -SWEEP_DEGREES / 2;
+  const [x0, y0] = point(Math.min(arcFrom, angle));
+  const [x1, y1] = point(Math.max(arcFrom, angle));
+  const largeArc = Math.abs(angle - arcFrom) > 180 ? 1 : 0;
+  const [tx, ty] = point(angle);
+
+  return (
+    <div className="rotary-knob-wrap">
+      <div
+        ref={knobRef}
+        className="rotary-knob"
+        role="slider"
+        tabIndex={0}
+        aria-label={label}
+        aria-valuemin={min}
+        aria-valuemax={max}
+        aria-valuenow={value}
+        aria-valuetext={valueText}
+        title={`${label}: ${valueText || value}`}
+        style={{ width: size, height: size }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onKeyDown={handleKeyDown}
+        onDoubleClick={() => change(defaultValue)}
+      >
+        <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`} aria-hidden="true">
+          {angle !== arcFrom && (
+            <path
+              d={`M ${x0} ${y0} A ${r + 1.5} ${r + 1.5} 0 ${largeArc} 1 ${x1} ${y1}`}
+              fill="none"
+              stroke={dimmed ? "#55594f" : "#1DB954"}
+              strokeWidth="2.5"
+              strokeLinecap="round"
+            />
+          )}
+          <circle cx={c} cy={c} r={r - 3} className="rotary-knob-cap" />
+          <line
+            x1={c + (tx - c) * 0.25}
+            y1={c + (ty - c) * 0.25}
+            x2={c + (tx - c) * 0.72}
+            y2={c + (ty - c) * 0.72}
+            stroke={dimmed ? "#8a9a8e" : "#EFEA91"}
+            strokeWidth="2.4"
+            strokeLinecap="round"
+          />
+        </svg>
+      </div>
+      <span className="rotary-knob-label">{label}</span>
+      <style>
+        {`
+        .rotary-knob-wrap { display: flex; flex-direction: column; align-items: center; gap: 2px; }
+        .rotary-knob {
+          border-radius: 50%; cursor: ns-resize; touch-action: none; outline: none;
+        }
+        .rotary-knob:focus-visible { box-shadow: 0 0 0 2px #1DB95488; }
+        .rotary-knob-cap {
+          fill: #2b2d2a; stroke: #6f716e; stroke-width: 1.5;
+          filter: drop-shadow(0 1.5px 2px #000c);
+        }
+        .rotary-knob-label {
+          font-family: 'Orbitron', monospace; font-size: 0.55rem; letter-spacing: 0.12em; color: #8a9a8e;
+        }
+        `}
+      </style>
+    </div>
+  );
+}
+
+export default RotaryKnob;
@@ -0,0 +1,132 @@
+import React, { useEffect, useState } from "react";
+import {
+  SHORTCUT_ACTIONS,
+  comboFromEvent,
+  defaultShortcutBindings,
+  formatCombo,
+  rebindShortcut,
+} from "./shortcuts";
+
+const labelOf = id => SHORTCUT_ACTIONS.find(action => action.id === id).label;
+
+// PUBLIC_INTERFACE
+/**
+ * ShortcutsOverlay - cheat sheet of every keyboard shortcut, where keys can
+ * also be rebound. Edits stay in a draft until SAVE.
+ * @param {Object} props
+ *   - bindings: { [actionId]: combo } currently in use
+ *   - onSave(bindings)
+ *   - onClose()
+ */
+function ShortcutsOverlay({ bindings, onSave, onClose }) {
+  const [draft, setDraft] = useState(bindings);
+  const [listening, setListening] = useState(null); // action id waiting for a key
+  const [notice, setNotice] = useState("");
+  const dirty = SHORTCUT_ACTIONS.some(({ id }) => draft[id] !== bindings[id]);
+
+  // Capture phase, so the key being recorded never reaches the player's shortcuts
+  useEffect(() => {
+    const handleKey = e => {
+      if (listening) {
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.key === "Escape") {
+          setListening(null);
+          return;
+        }
+        const combo = comboFromEvent(e);
+        if (!combo) return;
+        const { bindings: next, displaced } = rebindShortcut(draft, listening, combo);
+        setDraft(next);
+        setNotice(displaced ? `${formatCombo(combo)} was taken from "${labelOf(displaced)}", which is now unbound.` : "");
+        setListening(null);
+      } else if (e.key === "Escape") {
+        e.stopPropagation();
+        onClose();
+      }
+    };
+    window.addEventListener("keydown", handleKey, true);
+    return () => window.removeEventListener("keydown", handleKey, true);
+  }, [listening, draft, onClose]);
+
+  const handleReset = () => {
+    setDraft(defaultShortcutBindings());
+    setNotice("");
+    setListening(null);
+  };
+
+  return (
+    <div className="shortcuts-backdrop" onMouseDown={e => e.target === e.currentTarget && onClose()}>
+      <div className="shortcuts-panel" role="dialog" aria-modal="true" aria-label="Keyboard shortcuts">
+        <div className="shortcuts-header">
+          <span className="shortcuts-title">KEYBOARD SHORTCUTS</span>
+          <button className="shortcuts-btn" onClick={onClose} aria-label="Close shortcuts">✕</button>
+        </div>
+        <p className="shortcuts-hint">
+          Click a key to change it, then press the new key (Esc cancels). Shortcuts are off while typing in a text field.
+        </p>
+        <table className="shortcuts-table">
+          <tbody>
+            {SHORTCUT_ACTIONS.map(({ id, label }) => (
+              <tr key={id}>
+                <td>{label}</td>
+                <td>
+                  <button
+                    className={`shortcuts-key${listening === id ? " listening" : ""}${draft[id] ? "" : " unbound"}`}
+                    onClick={() => setListening(listening === id ? null : id)}
+                    aria-label={`Rebind ${label}, currently ${draft[id] || "unbound"}`}
+                  >
+                    {listening === id ? "PRESS A KEY…" : formatCombo(draft[id])}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {notice && <div className="shortcuts-notice">{notice}</div>}
+        <div className="shortcuts-footer">
+          <button className="shortcuts-btn" onClick={handleReset}>DEFAULTS</button>
+          <button className="shortcuts-btn primary" onClick={() => onSave(draft)} disabled={!dirty}>SAVE</button>
+        </div>
+      </div>
+      <style>
+        {`
+        .shortcuts-backdrop {
+          position: fixed; inset: 0; z-index: 250; background: #000a;
+          display: flex; align-items: center; justify-content: center;
+        }
+        .shortcuts-panel {
+          background: linear-gradient(150deg, #262629 50%, #1b1d18 100%);
+          border: 2px solid #3ca671; border-radius: 16px; box-shadow: 0 8px 40px #000c;
+          padding: 16px 20px; width: 400px; max-width: 92vw; max-height: 88vh; overflow-y: auto;
+          font-family: Inter, monospace; color: #c4eacf;
+        }
+        .shortcuts-header { display: flex; justify-content: space-between; align-items: center; }
+        .shortcuts-title {
+          font-family: 'Orbitron', monospace; font-size: 0.85rem; letter-spacing: 0.12em; color: #1DB954;
+        }
+        .shortcuts-hint { font-size: 0.74rem; color: #8a9a8e; margin: 6px 0 8px 0; }
+        .shortcuts-table { width: 100%; border-collapse: collapse; font-size: 0.82rem; }
+        .shortcuts-table td { padding: 3px 0; }
+        .shortcuts-table td:last-child { text-align: right; }
+        .shortcuts-key {
+          min-width: 86px; background: #181a17; color: #EFEA91; border: 1.5px solid #393822; border-radius: 6px;
+          font-family: 'Orbitron', monospace; font-size: 0.66rem; letter-spacing: 0.06em; padding: 3px 8px; cursor: pointer;
+        }
+        .shortcuts-key.unbound { color: #6b706a; }
+        .shortcuts-key.listening { border-color: #1DB954; color: #1DB954; box-shadow: 0 0 6px #1DB95466; }
+        .shortcuts-notice { margin-top: 8px; font-size: 0.74rem; color: #efb36b; }
+        .shortcuts-footer { display: flex; justify-content: flex-end; gap: 8px; margin-top: 12px; }
+        .shortcuts-btn {
+          background: none; color: #8a9a8e; border: 1.5px solid #393822; border-radius: 7px;
+          font-family: 'Orbitron', monospace; font-size: 0.64rem; letter-spacing: 0.08em; padding: 3px 9px; cursor: pointer;
+        }
+        .shortcuts-btn.primary { color: #1DB954; border-color: #1DB954; }
+        .shortcuts-btn:disabled { opacity: 0.45; cursor: default; }
+        `}
+      </style>
+    </div>
+  );
+}
+
+export default ShortcutsOverlay;
@@ -0,0 +1,178 @@
+import React, { useEffect, useState } from "react";
+import { PROVIDER_TYPES } from "./sourceProviders";
+
+const ADDABLE_TYPES = Object.keys(PROVIDER_TYPES).filter(type => !PROVIDER_TYPES[type].builtIn);
+
+function describeStatus(status) {
+  if (!status) return "";
+  if (status.loading) return "LOADING…";
+  if (status.error) return status.error;
+  return `${status.count} track${status.count === 1 ? "" : "s"}`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * SourcesPanel - lists where tracks come from and adds new sources
+ * (stream URLs, an HTTP directory, a Subsonic server).
+ * @param {Object} props
+ *   - sources: [{ id, name, type, builtIn, status: { loading, error, count } }]
+ *   - onAdd(type, name, values): Promise; rejects with the message to show
+ *   - onRefresh(id)
+ *   - onRemove(id)
+ *   - onClose()
+ */
+function SourcesPanel({ sources, onAdd, onRefresh, onRemove, onClose }) {
+  const [type, setType] = useState(ADDABLE_TYPES[0]);
+  const [name, setName] = useState("");
+  const [values, setValues] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const fields = PROVIDER_TYPES[type].fields;
+
+  useEffect(() => {
+    const handleKey = e => {
+      if (e.key !== "Escape") return;
+      e.stopPropagation();
+      onClose();
+    };
+    window.addEventListener("keydown", handleKey, true);
+    return () => window.removeEventListener("keydown", handleKey, true);
+  }, [onClose]);
+
+  const handleSubmit = e => {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    onAdd(type, name, values)
+      .then(() => {
+        setName("");
+        setValues({});
+      })
+      .catch(err => setError(err.message))
+      .finally(() => setBusy(false));
+  };
+
+  return (
+    <div className="sources-backdrop" onMouseDown={e => e.target === e.currentTarget && onClose()}>
+      <div className="sources-panel" role="dialog" aria-modal="true" aria-label="Music sources">
+        <div className="sources-header">
+          <span className="sources-title">MUSIC SOURCES</span>
+          <button className="sources-btn" onClick={onClose} aria-label="Close sources">✕</button>
+        </div>
+        <ul className="sources-list">
+          {sources.map(source => (
+            <li key={source.id}>
+              <div className="sources-name">
+                {source.name}
+                <span className="sources-type">{PROVIDER_TYPES[source.type].label}</span>
+              </div>
+              <span className={`sources-status${source.status && source.status.error ? " error" : ""}`}>
+                {describeStatus(source.status)}
+              </span>
+              {!source.builtIn && (
+                <>
+                  <button
+                    className="sources-btn"
+                    onClick={() => onRefresh(source.id)}
+                    disabled={source.status && source.status.loading}
+                    aria-label={`Refresh ${source.name}`}
+                    title="Reload the track list"
+                  >
+                    ⟳
+                  </button>
+                  <button className="sources-btn" onClick={() => onRemove(source.id)} aria-label={`Remove ${source.name}`} title="Remove source">
+                    ✕
+                  </button>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+        <form className="sources-form" onSubmit={handleSubmit}>
+          <div className="sources-form-title">ADD A SOURCE</div>
+          <label>
+            <span>Type</span>
+            <select value={type} onChange={e => { setType(e.target.value); setValues({}); setError(""); }}>
+              {ADDABLE_TYPES.map(t => <option key={t} value={t}>{PROVIDER_TYPES[t].label}</option>)}
+            </select>
+          </label>
+          <label>
+            <span>Name</span>
+            <input value={name} onChange={e => setName(e.target.value)} placeholder={PROVIDER_TYPES[type].label} />
+          </label>
+          {fields.map(field => (
+            <label key={field.id}>
+              <span>{field.label}</span>
+              {field.multiline ? (
+                <textarea
+                  rows={3}
+                  value={values[field.id] || ""}
+                  placeholder={field.placeholder}
+                  onChange={e => setValues(v => ({ ...v, [field.id]: e.target.value }))}
+                />
+              ) : (
+                <input
+                  type={field.secret ? "password" : "text"}
+                  autoComplete={field.secret ? "current-password" : "off"}
+                  value={values[field.id] || ""}
+                  placeholder={field.placeholder}
+                  onChange={e => setValues(v => ({ ...v, [field.id]: e.target.value }))}
+                />
+              )}
+            </label>
+          ))}
+          {error && <div className="sources-error">{error}</div>}
+          <div className="sources-footer">
+            <span className="sources-hint">Servers must allow requests from this page (CORS).</span>
+            <button type="submit" className="sources-btn primary" disabled={busy}>{busy ? "CONNECTING…" : "ADD"}</button>
+          </div>
+        </form>
+      </div>
+      <style>
+        {`
+        .sources-backdrop {
+          position: fixed; inset: 0; z-index: 250; background: #000a;
+          display: flex; align-items: center; justify-content: center;
+        }
+        .sources-panel {
+          background: linear-gradient(150deg, #262629 50%, #1b1d18 100%);
+          border: 2px solid #3ca671; border-radius: 16px; box-shadow: 0 8px 40px #000c;
+          padding: 16px 20px; width: 440px; max-width: 92vw; max-height: 88vh; overflow-y: auto;
+          font-family: Inter, monospace; color: #c4eacf;
+        }
+        .sources-header { display: flex; justify-content: space-between; align-items: center; }
+        .sources-title, .sources-form-title {
+          font-family: 'Orbitron', monospace; font-size: 0.85rem; letter-spacing: 0.12em; color: #1DB954;
+        }
+        .sources-form-title { font-size: 0.7rem; margin-bottom: 6px; }
+        .sources-list { list-style: none; margin: 10px 0; padding: 0; }
+        .sources-list li {
+          display: flex; align-items: center; gap: 6px; padding: 5px 0; border-bottom: 1px solid #2c2f2a; font-size: 0.84rem;
+        }
+        .sources-name { flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .sources-type { margin-left: 6px; font-size: 0.72rem; color: #6b706a; }
+        .sources-status { font-family: 'Orbitron', monospace; font-size: 0.6rem; color: #EFEA91; max-width: 150px; text-align: right; }
+        .sources-status.error { color: #efb36b; font-family: Inter, monospace; font-size: 0.72rem; }
+        .sources-form { display: flex; flex-direction: column; gap: 6px; margin-top: 8px; }
+        .sources-form label { display: flex; flex-direction: column; gap: 2px; font-size: 0.74rem; color: #8a9a8e; }
+        .sources-form input, .sources-form select, .sources-form textarea {
+          background: #181a17; color: #EFEA91; border: 1.5px solid #393822; border-radius: 6px;
+          font-family: Inter, monospace; font-size: 0.82rem; padding: 4px 7px; resize: vertical;
+        }
+        .sources-form input:focus, .sources-form select:focus, .sources-form textarea:focus { outline: none; border-color: #1DB954; }
+        .sources-error { font-size: 0.76rem; color: #efb36b; }
+        .sources-footer { display: flex; justify-content: space-between; align-items: center; gap: 8px; margin-top: 4px; }
+        .sources-hint { font-size: 0.7rem; color: #6b706a; }
+        .sources-btn {
+          background: none; color: #8a9a8e; border: 1.5px solid #393822; border-radius: 7px;
+          font-family: 'Orbitron', monospace; font-size: 0.64rem; letter-spacing: 0.08em; padding: 3px 9px; cursor: pointer;
+        }
+        .sources-btn.primary { color: #1DB954; border-color: #1DB954; }
+        .sources-btn:disabled { opacity: 0.45; cursor: default; }
+        `}
+      </style>
+    </div>
+  );
+}
+
+export default SourcesPanel;
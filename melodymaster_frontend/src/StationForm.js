@@ -0,0 +1,67 @@
+import React, { useState } from "react";
+
+// PUBLIC_INTERFACE
+/**
+ * StationForm - saves a new radio station (Icecast/Shoutcast stream or HLS
+ * playlist URL) from the tracklist's Radio view.
+ * @param {Object} props
+ *   - onAdd(name, url): throws an Error with the message to show
+ */
+function StationForm({ onAdd }) {
+  const [name, setName] = useState("");
+  const [url, setUrl] = useState("");
+  const [error, setError] = useState("");
+
+  const handleSubmit = e => {
+    e.preventDefault();
+    try {
+      onAdd(name, url);
+      setName("");
+      setUrl("");
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <form className="station-form" onSubmit={handleSubmit}>
+      <input
+        value={url}
+        onChange={e => setUrl(e.target.value)}
+        placeholder="Stream URL (Icecast, Shoutcast or .m3u8)"
+        aria-label="Station stream URL"
+        spellCheck={false}
+      />
+      <input
+        className="station-form-name"
+        value={name}
+        onChange={e => setName(e.target.value)}
+        placeholder="Name"
+        aria-label="Station name"
+      />
+      <button type="submit">SAVE</button>
+      {error && <div className="station-form-error">{error}</div>}
+      <style>
+        {`
+        .station-form { display: flex; flex-wrap: wrap; gap: 5px; margin: 0 0 8px 0; }
+        .station-form input {
+          flex: 1; min-width: 0; box-sizing: border-box; padding: 4px 8px;
+          background: #181a17; color: #EFEA91; border: 1.5px solid #393822; border-radius: 7px;
+          font-family: Inter, monospace; font-size: 0.8rem; outline: none;
+        }
+        .station-form input:focus { border-color: #1DB954; }
+        .station-form input::placeholder { color: #6b706a; }
+        .station-form .station-form-name { flex: 0 1 110px; }
+        .station-form button {
+          background: none; color: #1DB954; border: 1.5px solid #2d5a3a; border-radius: 7px;
+          font-family: 'Orbitron', monospace; font-size: 0.62rem; letter-spacing: 0.08em; padding: 3px 8px; cursor: pointer;
+        }
+        .station-form-error { flex-basis: 100%; font-size: 0.76rem; color: #efb36b; }
+        `}
+      </style>
+    </form>
+  );
+}
+
+export default StationForm;
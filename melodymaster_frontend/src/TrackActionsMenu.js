@@ -0,0 +1,104 @@
+import React, { useEffect, useRef, useState } from "react";
+
+// PUBLIC_INTERFACE
+/**
+ * TrackActionsMenu - small "+" button on a tracklist row with queue actions
+ * ("play next", "add to queue") and a list of playlists to add the track to.
+ * @param {Object} props
+ *   - playlists: [{ id, name }]
+ *   - trackTitle: used for the accessible label
+ *   - onPlayNext()
+ *   - onAddToQueue()
+ *   - onAddToPlaylist(playlistId)
+ *   - onCreatePlaylist(name): create a new playlist containing the track
+ *   - pinned: whether the track is saved for offline playback
+ *   - onTogglePinned(): save or drop the offline copy; omitted when the track can't be pinned
+ */
+function TrackActionsMenu({
+  playlists, trackTitle, onPlayNext, onAddToQueue, onAddToPlaylist, onCreatePlaylist, pinned, onTogglePinned,
+}) {
+  const [open, setOpen] = useState(false);
+  const wrapRef = useRef(null);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!open) return;
+    const handleDown = e => {
+      if (wrapRef.current && !wrapRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", handleDown);
+    return () => document.removeEventListener("mousedown", handleDown);
+  }, [open]);
+
+  const pick = (e, fn) => {
+    e.stopPropagation();
+    setOpen(false);
+    fn();
+  };
+  const handleNew = () => {
+    const name = window.prompt("Name for the new playlist:", `Playlist ${playlists.length + 1}`);
+    if (name && name.trim()) onCreatePlaylist(name);
+  };
+
+  return (
+    <div className="track-actions" ref={wrapRef} onClick={e => e.stopPropagation()}>
+      <button
+        className="track-actions-btn"
+        onClick={() => setOpen(o => !o)}
+        aria-label={`More actions for ${trackTitle}`}
+        aria-expanded={open}
+        title="Queue or add to playlist"
+      >
+        +
+      </button>
+      {open && (
+        <ul className="track-actions-menu" role="menu">
+          <li role="menuitem" onClick={e => pick(e, onPlayNext)}>Play next</li>
+          <li role="menuitem" onClick={e => pick(e, onAddToQueue)}>Add to queue</li>
+          {onTogglePinned && (
+            <li role="menuitem" onClick={e => pick(e, onTogglePinned)}>
+              {pinned ? "Remove offline copy" : "Save for offline"}
+            </li>
+          )}
+          <li className="track-actions-heading" role="presentation">ADD TO PLAYLIST</li>
+          {playlists.map(p => (
+            <li key={p.id} role="menuitem" onClick={e => pick(e, () => onAddToPlaylist(p.id))}>{p.name}</li>
+          ))}
+          <li role="menuitem" className="track-actions-new" onClick={e => pick(e, handleNew)}>NEW PLAYLIST…</li>
+        </ul>
+      )}
+      <style>
+        {`
+        .track-actions { position: relative; }
+        .track-actions-btn {
+          background: none; border: none; color: #8a9a8e; font-size: 1.05rem;
+          cursor: pointer; padding: 0 4px; line-height: 1;
+        }
+        .track-actions-btn:hover { color: #1DB954; }
+        .track-actions-menu {
+          position: absolute; right: 0; top: 100%; z-index: 30;
+          list-style: none; margin: 2px 0 0 0; padding: 3px 0; min-width: 140px;
+          background: #181a17; border: 1.5px solid #393822; border-radius: 7px;
+          box-shadow: 0 4px 14px #000a;
+        }
+        .track-actions-menu li {
+          padding: 4px 10px; font-family: Inter, monospace; font-size: 0.8rem; color: #c4eacf;
+          cursor: pointer; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;
+        }
+        .track-actions-menu li:hover { background: #23321f; color: #EFEA91; }
+        .track-actions-menu .track-actions-heading,
+        .track-actions-menu .track-actions-heading:hover {
+          margin-top: 3px; padding-top: 5px; border-top: 1px solid #393822;
+          font-family: 'Orbitron', monospace; font-size: 0.58rem; letter-spacing: 0.1em;
+          color: #7fa38c; background: none; cursor: default;
+        }
+        .track-actions-menu .track-actions-new {
+          font-family: 'Orbitron', monospace; font-size: 0.64rem; letter-spacing: 0.08em; color: #1DB954;
+        }
+        `}
+      </style>
+    </div>
+  );
+}
+
+export default TrackActionsMenu;
@@ -0,0 +1,92 @@
+import React from "react";
+import { SORT_COLUMNS } from "./trackSearch";
+
+// PUBLIC_INTERFACE
+/**
+ * TracklistToolbar - search box, sort and filters above the tracklist.
+ * @param {Object} props
+ *   - view: { query, sort, descending, source, format } (see trackSearch.js)
+ *   - onChange(patch): merge into the view
+ *   - sources: [{ id, label }] source filter options, "all" included
+ *   - formats: [{ id, label }] formats present in the list
+ *   - shown, total: row counts, for the "N of M" note while filtering
+ *   - inputRef: ref for the search box (focused by the "/" shortcut)
+ */
+function TracklistToolbar({ view, onChange, sources, formats, shown, total, inputRef }) {
+  const filtered = shown !== total;
+  const handleKeyDown = e => {
+    // Esc clears the search, then leaves the box
+    if (e.key !== "Escape") return;
+    e.stopPropagation();
+    if (view.query) onChange({ query: "" });
+    else e.target.blur();
+  };
+
+  return (
+    <div className="tracklist-toolbar">
+      <div className="tracklist-search">
+        <input
+          ref={inputRef}
+          type="search"
+          value={view.query}
+          onChange={e => onChange({ query: e.target.value })}
+          onKeyDown={handleKeyDown}
+          placeholder="Search title, artist, album"
+          aria-label="Search tracks"
+          spellCheck={false}
+        />
+        {filtered && <span className="tracklist-count">{shown}/{total}</span>}
+      </div>
+      <div className="tracklist-filters">
+        <select value={view.sort} onChange={e => onChange({ sort: e.target.value })} aria-label="Sort by">
+          {SORT_COLUMNS.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+        </select>
+        <button
+          className="tracklist-dir"
+          onClick={() => onChange({ descending: !view.descending })}
+          aria-label={view.descending ? "Sort descending" : "Sort ascending"}
+          title={view.descending ? "Descending" : "Ascending"}
+        >
+          {view.descending ? "▼" : "▲"}
+        </button>
+        <select value={view.source} onChange={e => onChange({ source: e.target.value })} aria-label="Filter by source">
+          {sources.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+        </select>
+        <select value={view.format} onChange={e => onChange({ format: e.target.value })} aria-label="Filter by format">
+          <option value="all">ALL FORMATS</option>
+          {formats.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+          {view.format !== "all" && !formats.some(f => f.id === view.format) && (
+            <option value={view.format}>{view.format.toUpperCase()}</option>
+          )}
+        </select>
+      </div>
+      <style>
+        {`
+        .tracklist-toolbar { display: flex; flex-direction: column; gap: 5px; margin: 2px 0 8px 0; }
+        .tracklist-search { position: relative; }
+        .tracklist-search input {
+          width: 100%; box-sizing: border-box; padding: 5px 52px 5px 10px;
+          background: #181a17; color: #EFEA91; border: 1.5px solid #393822; border-radius: 7px;
+          font-family: Inter, monospace; font-size: 0.85rem; outline: none;
+        }
+        .tracklist-search input:focus { border-color: #1DB954; box-shadow: 0 0 6px #1DB95444; }
+        .tracklist-search input::placeholder { color: #6b706a; }
+        .tracklist-count {
+          position: absolute; right: 10px; top: 50%; transform: translateY(-50%);
+          font-family: 'Orbitron', monospace; font-size: 0.6rem; color: #8a9a8e; pointer-events: none;
+        }
+        .tracklist-filters { display: flex; gap: 5px; }
+        .tracklist-filters select, .tracklist-dir {
+          background: #181a17; color: #8a9a8e; border: 1.5px solid #393822; border-radius: 6px;
+          font-family: 'Orbitron', monospace; font-size: 0.58rem; letter-spacing: 0.05em; padding: 3px 4px; cursor: pointer;
+        }
+        .tracklist-filters select { flex: 1; min-width: 0; }
+        .tracklist-dir { flex: none; padding: 3px 7px; }
+        .tracklist-filters select:hover, .tracklist-dir:hover { color: #1DB954; border-color: #1DB954; }
+        `}
+      </style>
+    </div>
+  );
+}
+
+export default TracklistToolbar;
@@ -0,0 +1,77 @@
+import React from "react";
+
+// PUBLIC_INTERFACE
+/**
+ * UpNextPanel - what plays after the current track: the user's queue
+ * (removable) followed by a dimmed preview of the regular play order.
+ * @param {Object} props
+ *   - queued: [{ key, track }] from the user's queue
+ *   - upcoming: [track] next tracks from the playlist / shuffle order
+ *   - onRemove(key): drop a queued entry
+ *   - onClear(): empty the queue
+ */
+function UpNextPanel({ queued, upcoming, onRemove, onClear }) {
+  if (!queued.length && !upcoming.length) return null;
+  return (
+    <div className="up-next">
+      <div className="up-next-header">
+        <span className="up-next-label">UP NEXT</span>
+        {queued.length > 0 && (
+          <button className="up-next-clear" onClick={onClear}>CLEAR</button>
+        )}
+      </div>
+      <ol className="up-next-list">
+        {queued.map(({ key, track }) => (
+          <li key={key} className="up-next-queued">
+            <span className="up-next-title" title={`${track.title} — ${track.artist}`}>{track.title}</span>
+            <button
+              className="up-next-remove"
+              onClick={() => onRemove(key)}
+              aria-label={`Remove ${track.title} from the queue`}
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+        {upcoming.map((track, idx) => (
+          <li key={`${idx}-${track.src}`} className="up-next-auto">
+            <span className="up-next-title" title={`${track.title} — ${track.artist}`}>{track.title}</span>
+          </li>
+        ))}
+      </ol>
+      <style>
+        {`
+        .up-next {
+          margin-top: 10px;
+          padding: 8px 6px 2px 6px;
+          border-top: 1.5px solid #393822;
+          font-family: Inter, monospace;
+          font-size: 0.78rem;
+        }
+        .up-next-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 4px; }
+        .up-next-label {
+          font-family: 'Orbitron', monospace; font-size: 0.72rem; letter-spacing: 0.11em; color: #1DB954;
+        }
+        .up-next-clear {
+          background: none; color: #8a9a8e; border: 1.5px solid #393822; border-radius: 7px;
+          font-family: 'Orbitron', monospace; font-size: 0.6rem; letter-spacing: 0.08em;
+          padding: 2px 6px; cursor: pointer;
+        }
+        .up-next-list { list-style: none; margin: 0; padding: 0; }
+        .up-next-list li {
+          display: flex; align-items: center; gap: 4px; padding: 2px 0;
+        }
+        .up-next-queued { color: #EFEA91; }
+        .up-next-auto { color: #7fa38c; }
+        .up-next-title { flex: 1; min-width: 0; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+        .up-next-remove {
+          background: none; border: none; color: #8a9a8e; cursor: pointer; font-size: 0.8rem; padding: 0 2px;
+        }
+        .up-next-remove:hover { color: #e0707c; }
+        `}
+      </style>
+    </div>
+  );
+}
+
+export default UpNextPanel;
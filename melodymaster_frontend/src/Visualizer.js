@@ -0,0 +1,208 @@
+import React, { useRef, useEffect } from "react";
+
+const BAR_GRADIENT = ["#ffffff", "#1DB954", "#095529"];
+const IDLE_GRADIENT = ["#b6e9c7", "#5de16d", "#96bfb1"];
+const PEAK_COLOR = "#EFEA91";
+const SCOPE_COLOR = "#1DB954";
+
+// Peak caps fall back down at this many levels (0..1) per second after holding.
+const PEAK_HOLD_MS = 650;
+const PEAK_FALL_PER_SEC = 0.9;
+
+// PUBLIC_INTERFACE
+/**
+ * Computes log-spaced frequency band levels from analyser byte frequency data.
+ * @param {Uint8Array} freqData - output of AnalyserNode.getByteFrequencyData
+ * @param {number} sampleRate - AudioContext sample rate in Hz
+ * @param {number} count - number of bands to produce
+ * @param {number} [minHz=40] - lower edge of the first band
+ * @param {number} [maxHz=16000] - upper edge of the last band (clamped to Nyquist)
+ * @returns {number[]} band levels normalized to 0..1
+ */
+export function getLogBands(freqData, sampleRate, count, minHz = 40, maxHz = 16000) {
+  const binCount = freqData.length;
+  const nyquist = sampleRate / 2;
+  const top = Math.min(maxHz, nyquist);
+  const hzPerBin = nyquist / binCount;
+  const ratio = Math.pow(top / minHz, 1 / count);
+  const levels = new Array(count);
+  for (let b = 0; b < count; b++) {
+    const lo = minHz * Math.pow(ratio, b);
+    const hi = lo * ratio;
+    let start = Math.floor(lo / hzPerBin);
+    let end = Math.max(start + 1, Math.ceil(hi / hzPerBin));
+    start = Math.min(start, binCount - 1);
+    end = Math.min(end, binCount);
+    let peak = 0;
+    for (let i = start; i < end; i++) {
+      if (freqData[i] > peak) peak = freqData[i];
+    }
+    levels[b] = peak / 255;
+  }
+  return levels;
+}
+
+function fillRoundedBar(ctx, x, y, w, h, r) {
+  const radius = Math.min(r, w / 2, h);
+  ctx.beginPath();
+  ctx.moveTo(x, y + h);
+  ctx.lineTo(x, y + radius);
+  ctx.quadraticCurveTo(x, y, x + radius, y);
+  ctx.lineTo(x + w - radius, y);
+  ctx.quadraticCurveTo(x + w, y, x + w, y + radius);
+  ctx.lineTo(x + w, y + h);
+  ctx.closePath();
+  ctx.fill();
+}
+
+function makeGradient(ctx, height, stops) {
+  const grad = ctx.createLinearGradient(0, 0, 0, height);
+  grad.addColorStop(0, stops[0]);
+  grad.addColorStop(0.6, stops[1]);
+  grad.addColorStop(1, stops[2]);
+  return grad;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Audio visualizer driven by a Web Audio AnalyserNode.
+ * Renders log-spaced spectrum bars with peak-hold caps, or an oscilloscope trace.
+ * @param {Object} props
+ *   - analyser: AnalyserNode from the webAudio graph (may be null before setup)
+ *   - active: whether playback is running; when false, a static idle pattern is drawn
+ *   - mode: "bars" | "scope"
+ *   - barCount: number of spectrum bars (default 7)
+ *   - width, height: canvas size in CSS pixels
+ */
+function Visualizer({ analyser, active, mode = "bars", barCount = 7, width = 133, height = 52 }) {
+  const canvasRef = useRef(null);
+  const peaksRef = useRef({ levels: [], heldAt: [] });
+
+  useEffect(() => {
+    peaksRef.current = { levels: new Array(barCount).fill(0), heldAt: new Array(barCount).fill(0) };
+  }, [barCount]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.round(width * dpr);
+    canvas.height = Math.round(height * dpr);
+    const ctx = canvas.getContext("2d");
+    if (!ctx) return;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+    const gap = barCount > 12 ? 2 : 5;
+    const barWidth = Math.max(2, (width - gap * (barCount - 1)) / barCount);
+
+    const drawBars = (levels, stops, withPeaks) => {
+      ctx.clearRect(0, 0, width, height);
+      ctx.fillStyle = makeGradient(ctx, height, stops);
+      levels.forEach((lvl, idx) => {
+        const h = Math.max(2, lvl * (height - 4));
+        fillRoundedBar(ctx, idx * (barWidth + gap), height - h, barWidth, h, 4);
+      });
+      if (withPeaks) {
+        ctx.fillStyle = PEAK_COLOR;
+        peaksRef.current.levels.forEach((pk, idx) => {
+          const y = height - 4 - pk * (height - 4);
+          ctx.fillRect(idx * (barWidth + gap), Math.max(0, y - 2), barWidth, 2);
+        });
+      }
+    };
+
+    if (!active || !analyser) {
+      // Static idle pattern, same shape the stereo shows when paused.
+      const idle = Array.from({ length: barCount }, (_, idx) => {
+        const mid = (barCount - 1) / 2;
+        return 0.18 + 0.24 * (1 - Math.abs(idx - mid) / (mid || 1));
+      });
+      ctx.globalAlpha = 0.45;
+      if (mode === "scope") {
+        ctx.clearRect(0, 0, width, height);
+        ctx.strokeStyle = SCOPE_COLOR;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(0, height / 2);
+        ctx.lineTo(width, height / 2);
+        ctx.stroke();
+      } else {
+        drawBars(idle, IDLE_GRADIENT, false);
+      }
+      ctx.globalAlpha = 1;
+      return;
+    }
+
+    const freqData = new Uint8Array(analyser.frequencyBinCount);
+    const timeData = new Uint8Array(analyser.fftSize);
+    const sampleRate = analyser.context.sampleRate;
+    let frame;
+    let last = performance.now();
+
+    const render = (now) => {
+      const dt = (now - last) / 1000;
+      last = now;
+      if (mode === "scope") {
+        analyser.getByteTimeDomainData(timeData);
+        ctx.clearRect(0, 0, width, height);
+        ctx.strokeStyle = SCOPE_COLOR;
+        ctx.lineWidth = 1.8;
+        ctx.shadowColor = "#1DB95488";
+        ctx.shadowBlur = 4;
+        ctx.beginPath();
+        const step = width / (timeData.length - 1);
+        for (let i = 0; i < timeData.length; i++) {
+          const y = (timeData[i] / 255) * height;
+          if (i === 0) ctx.moveTo(0, y);
+          else ctx.lineTo(i * step, y);
+        }
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+      } else {
+        analyser.getByteFrequencyData(freqData);
+        const levels = getLogBands(freqData, sampleRate, barCount);
+        const peaks = peaksRef.current;
+        levels.forEach((lvl, idx) => {
+          if (lvl >= peaks.levels[idx]) {
+            peaks.levels[idx] = lvl;
+            peaks.heldAt[idx] = now;
+          } else if (now - peaks.heldAt[idx] > PEAK_HOLD_MS) {
+            peaks.levels[idx] = Math.max(lvl, peaks.levels[idx] - PEAK_FALL_PER_SEC * dt);
+          }
+        });
+        drawBars(levels, BAR_GRADIENT, true);
+      }
+      frame = requestAnimationFrame(render);
+    };
+    frame = requestAnimationFrame(render);
+    return () => cancelAnimationFrame(frame);
+  }, [analyser, active, mode, barCount, width, height]);
+
+  return (
+    <div className="visualizer-bars">
+      <canvas
+        ref={canvasRef}
+        style={{
+          width: `${width}px`,
+          height: `${height}px`,
+          opacity: active ? 0.93 : 0.45,
+          filter: active ? "drop-shadow(0 0 4px #1DB95433)" : "blur(1px)",
+        }}
+        aria-hidden="true"
+      />
+      <style>
+        {`
+        .visualizer-bars {
+          display: flex;
+          align-items: flex-end;
+          justify-content: center;
+          height: 52px;
+          margin: 9px auto 0 5px;
+        }
+        `}
+      </style>
+    </div>
+  );
+}
+
+export default Visualizer;
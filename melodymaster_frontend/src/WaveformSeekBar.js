@@ -0,0 +1,170 @@
+import React, { useEffect, useRef, useState } from "react";
+import { formatTime } from "./formatTime";
+
+const BAR_WIDTH = 2;
+const BAR_STEP = 3;
+const PLAYED_COLOR = "#1DB954";
+const UNPLAYED_COLOR = "#4a5a4c";
+const LOOP_FILL = "rgba(239, 234, 145, 0.14)";
+const LOOP_COLOR = "#EFEA91";
+// Drawn until the track's peaks are known (or if they can't be)
+const FLAT_LEVEL = 0.12;
+
+// Loudest peak (0..1) of the buckets under one drawn bar
+function barLevel(peaks, bar, bars) {
+  if (!peaks || !peaks.length) return FLAT_LEVEL;
+  const start = Math.floor((bar * peaks.length) / bars);
+  const end = Math.max(start + 1, Math.floor(((bar + 1) * peaks.length) / bars));
+  let level = 0;
+  for (let i = start; i < end && i < peaks.length; i++) {
+    if (peaks[i] > level) level = peaks[i];
+  }
+  return Math.max(0.04, level / 255);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * WaveformSeekBar - seek bar drawn as the track's waveform overview, with
+ * the played part lit, the A-B loop shaded and the time under the pointer in
+ * a tooltip. A transparent range input on top does the seeking, so the
+ * keyboard and screen readers work as with a plain slider.
+ * @param {Object} props
+ *   - peaks: Uint8Array from waveform.js, or null while unknown (draws a flat bar)
+ *   - duration, position: seconds
+ *   - loop: { a, b } in seconds, either may be null
+ *   - onChange: the range input's change handler
+ */
+function WaveformSeekBar({ peaks, duration, position, loop, onChange }) {
+  const wrapRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [width, setWidth] = useState(0);
+  const [hover, setHover] = useState(null);
+  const height = 34;
+
+  useEffect(() => {
+    const wrap = wrapRef.current;
+    if (!wrap) return undefined;
+    const update = () => setWidth(wrap.clientWidth);
+    update();
+    if (typeof ResizeObserver === "undefined") return undefined;
+    const observer = new ResizeObserver(update);
+    observer.observe(wrap);
+    return () => observer.disconnect();
+  }, []);
+
+  const length = isFinite(duration) && duration > 0 ? duration : 0;
+  const toX = time => (length ? Math.max(0, Math.min(1, time / length)) * width : 0);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !width) return;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.round(width * dpr);
+    canvas.height = Math.round(height * dpr);
+    const ctx = canvas.getContext("2d");
+    if (!ctx) return;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const hasA = loop.a != null && length;
+    const hasB = loop.b != null && length;
+    if (hasA && hasB) {
+      ctx.fillStyle = LOOP_FILL;
+      ctx.fillRect(toX(loop.a), 0, toX(loop.b) - toX(loop.a), height);
+    }
+
+    const bars = Math.max(1, Math.floor(width / BAR_STEP));
+    const playedX = toX(position);
+    for (let bar = 0; bar < bars; bar++) {
+      const x = bar * BAR_STEP;
+      const h = Math.max(1, barLevel(peaks, bar, bars) * (height - 2));
+      ctx.fillStyle = x < playedX ? PLAYED_COLOR : UNPLAYED_COLOR;
+      ctx.fillRect(x, (height - h) / 2, BAR_WIDTH, h);
+    }
+
+    ctx.fillStyle = LOOP_COLOR;
+    ctx.font = "bold 9px Inter, monospace";
+    [[hasA, loop.a, "A"], [hasB, loop.b, "B"]].forEach(([shown, time, label]) => {
+      if (!shown) return;
+      const x = Math.min(width - 1, toX(time));
+      ctx.fillRect(x, 0, 1, height);
+      ctx.fillText(label, Math.min(width - 8, x + 2), 9);
+    });
+    // eslint-disable-next-line
+  }, [peaks, width, position, length, loop.a, loop.b]);
+
+  const handleMouseMove = (e) => {
+    const rect = wrapRef.current.getBoundingClientRect();
+    const x = Math.max(0, Math.min(rect.width, e.clientX - rect.left));
+    setHover({ x, time: length ? (x / rect.width) * length : NaN });
+  };
+
+  return (
+    <div
+      className="waveform-seek"
+      ref={wrapRef}
+      onMouseMove={handleMouseMove}
+      onMouseLeave={() => setHover(null)}
+    >
+      <canvas ref={canvasRef} style={{ width: `${width}px`, height: `${height}px` }} aria-hidden="true" />
+      <input
+        type="range"
+        min="0"
+        max={duration}
+        step="1"
+        value={position}
+        onChange={onChange}
+        className="progressbar waveform-input"
+        aria-label="Seek position"
+        aria-valuetext={`${formatTime(position)} of ${formatTime(duration)}`}
+      />
+      {hover && (
+        <span className="waveform-tooltip" style={{ left: `${hover.x}px` }} aria-hidden="true">
+          {formatTime(hover.time)}
+        </span>
+      )}
+      <style>
+        {`
+        .waveform-seek {
+          position: relative;
+          width: 100%;
+          height: 34px;
+          border-radius: 6px;
+        }
+        .waveform-seek:focus-within { box-shadow: 0 0 0 2px #1DB95466; }
+        .waveform-seek canvas { display: block; }
+        .waveform-input {
+          position: absolute;
+          inset: 0;
+          width: 100%;
+          height: 100%;
+          margin: 0;
+          opacity: 0;
+          cursor: pointer;
+          -webkit-appearance: none;
+          appearance: none;
+        }
+        /* A hairline thumb, so a click lands where the waveform shows it */
+        .waveform-input::-webkit-slider-thumb { -webkit-appearance: none; width: 1px; height: 34px; }
+        .waveform-input::-moz-range-thumb { width: 1px; height: 34px; border: 0; }
+        .waveform-tooltip {
+          position: absolute;
+          bottom: calc(100% + 4px);
+          transform: translateX(-50%);
+          padding: 1px 6px;
+          border-radius: 5px;
+          background: #181a17;
+          border: 1px solid #393822;
+          color: #EFEA91;
+          font-family: Inter, monospace;
+          font-size: 0.72rem;
+          white-space: nowrap;
+          pointer-events: none;
+        }
+        `}
+      </style>
+    </div>
+  );
+}
+
+export default WaveformSeekBar;
@@ -0,0 +1,414 @@
+/**
+ * Audio format detection and browser capability checks.
+ *
+ * Formats are identified from the file's magic bytes, not its extension.
+ * Header parsing fills in codec, sample rate, channels and bitrate where the
+ * container makes that cheap; whether the browser can actually play a file
+ * is decided by canPlayType plus a real metadata load (probePlayback).
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Known formats: label for the UI, base MIME type and URL extensions.
+ */
+export const AUDIO_FORMATS = {
+  mp3: { label: "MP3", mime: "audio/mpeg", exts: ["mp3"] },
+  aac: { label: "AAC", mime: "audio/aac", exts: ["aac"] },
+  m4a: { label: "M4A", mime: "audio/mp4", exts: ["m4a", "mp4", "m4b"] },
+  wav: { label: "WAV", mime: "audio/wav", exts: ["wav", "wave"] },
+  flac: { label: "FLAC", mime: "audio/flac", exts: ["flac"] },
+  ogg: { label: "OGG", mime: "audio/ogg", exts: ["ogg", "oga"] },
+  opus: { label: "OPUS", mime: "audio/ogg", exts: ["opus"] },
+  webm: { label: "WEBM", mime: "audio/webm", exts: ["webm", "weba"] },
+  aiff: { label: "AIFF", mime: "audio/aiff", exts: ["aif", "aiff", "aifc"] },
+};
+
+// Value for <input accept>: every extension we can identify plus audio/*,
+// and .lrc lyrics to go with them
+export const UPLOAD_ACCEPT = [
+  "audio/*",
+  ...Object.values(AUDIO_FORMATS).flatMap(f => f.exts.map(ext => `.${ext}`)),
+  ".lrc",
+].join(",");
+
+// How much of a file inspectAudioFile reads to identify it
+const HEAD_BYTES = 256 * 1024;
+const MP4_TAIL_BYTES = 1024 * 1024;
+
+const MPEG_BITRATES = {
+  // [version 1 | 2/2.5][layer 1..3]
+  v1: [
+    null,
+    [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  ],
+  v2: [
+    null,
+    [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  ],
+};
+const MPEG_SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+const ADTS_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+const ascii = (bytes, start, len) => String.fromCharCode.apply(null, Array.from(bytes.subarray(start, start + len)));
+const u32le = (b, o) => (b[o] | (b[o + 1] << 8) | (b[o + 2] << 16) | (b[o + 3] << 24)) >>> 0;
+const u16le = (b, o) => b[o] | (b[o + 1] << 8);
+const u32be = (b, o) => ((b[o] << 24) | (b[o + 1] << 16) | (b[o + 2] << 8) | b[o + 3]) >>> 0;
+const u16be = (b, o) => (b[o] << 8) | b[o + 1];
+
+function indexOfAscii(bytes, str, from = 0) {
+  const first = str.charCodeAt(0);
+  outer: for (let i = from; i <= bytes.length - str.length; i++) {
+    if (bytes[i] !== first) continue;
+    for (let j = 1; j < str.length; j++) {
+      if (bytes[i + j] !== str.charCodeAt(j)) continue outer;
+    }
+    return i;
+  }
+  return -1;
+}
+
+function id3Skip(bytes) {
+  if (bytes[0] !== 0x49 || bytes[1] !== 0x44 || bytes[2] !== 0x33) return 0;
+  const size = ((bytes[6] & 0x7f) << 21) | ((bytes[7] & 0x7f) << 14) | ((bytes[8] & 0x7f) << 7) | (bytes[9] & 0x7f);
+  return 10 + size + (bytes[5] & 0x10 ? 10 : 0);
+}
+
+function parseMpegFrame(bytes, o) {
+  if (bytes[o] !== 0xff || (bytes[o + 1] & 0xe0) !== 0xe0) return null;
+  const versionBits = (bytes[o + 1] >> 3) & 3;
+  const layerBits = (bytes[o + 1] >> 1) & 3;
+  const bitrateIdx = bytes[o + 2] >> 4;
+  const rateIdx = (bytes[o + 2] >> 2) & 3;
+  if (versionBits === 1 || layerBits === 0 || bitrateIdx === 0 || bitrateIdx === 15 || rateIdx === 3) return null;
+  const layer = 4 - layerBits;
+  const table = versionBits === 3 ? MPEG_BITRATES.v1 : MPEG_BITRATES.v2;
+  return {
+    codec: `MPEG-${versionBits === 3 ? "1" : versionBits === 2 ? "2" : "2.5"} Layer ${layer === 3 ? "III" : layer === 2 ? "II" : "I"}`,
+    sampleRate: MPEG_SAMPLE_RATES[versionBits][rateIdx],
+    bitrate: table[layer][bitrateIdx] * 1000,
+    channels: bytes[o + 3] >> 6 === 3 ? 1 : 2,
+    layer,
+  };
+}
+
+function isAdts(bytes, o) {
+  return bytes[o] === 0xff && (bytes[o + 1] & 0xf6) === 0xf0;
+}
+
+function parseFlacStreamInfo(bytes, o) {
+  // o points at the STREAMINFO body; sample rate starts 10 bytes in
+  const p = o + 10;
+  if (p + 4 > bytes.length) return {};
+  return {
+    sampleRate: (bytes[p] << 12) | (bytes[p + 1] << 4) | (bytes[p + 2] >> 4),
+    channels: ((bytes[p + 2] >> 1) & 7) + 1,
+    bitsPerSample: (((bytes[p + 2] & 1) << 4) | (bytes[p + 3] >> 4)) + 1,
+  };
+}
+
+const MP4_SAMPLE_ENTRIES = [
+  ["mp4a", "AAC", 'audio/mp4; codecs="mp4a.40.2"'],
+  ["alac", "ALAC", 'audio/mp4; codecs="alac"'],
+  ["Opus", "Opus", 'audio/mp4; codecs="opus"'],
+  ["fLaC", "FLAC", 'audio/mp4; codecs="flac"'],
+  ["ac-3", "AC-3", 'audio/mp4; codecs="ac-3"'],
+  ["ec-3", "E-AC-3", 'audio/mp4; codecs="ec-3"'],
+];
+
+/**
+ * Looks for an audio sample entry box inside an MP4 byte range.
+ */
+function findMp4SampleEntry(bytes) {
+  for (const [type, codec, mime] of MP4_SAMPLE_ENTRIES) {
+    const at = indexOfAscii(bytes, type);
+    // A real sample entry is preceded by its box size and has room for the audio fields
+    if (at >= 4 && at + 32 <= bytes.length && u32be(bytes, at - 4) >= 36) {
+      const body = at + 4;
+      return {
+        codec,
+        mime,
+        channels: u16be(bytes, body + 16),
+        sampleRate: u16be(bytes, body + 24),
+      };
+    }
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Identifies an audio file from its first bytes.
+ * @param {Uint8Array} bytes - start of the file (a few KB is enough for most formats)
+ * @returns {Object|null} { format, mime, codec, sampleRate, channels, bitrate, bitsPerSample, vbr }
+ *   with unknown fields null, or null if the bytes aren't a recognized audio format.
+ *   vbr is true for MP3s with a Xing/VBRI header; their bitrate is left null.
+ */
+export function sniffAudioFormat(bytes) {
+  const base = { codec: null, sampleRate: null, channels: null, bitrate: null, bitsPerSample: null, vbr: false };
+  const o = id3Skip(bytes);
+  if (o >= bytes.length) {
+    // ID3 tag larger than what we were given; it's an MP3 in practice
+    return o > 0 ? { ...base, format: "mp3", mime: AUDIO_FORMATS.mp3.mime } : null;
+  }
+
+  if (ascii(bytes, 0, 4) === "RIFF" && ascii(bytes, 8, 4) === "WAVE") {
+    let p = 12;
+    while (p + 8 <= bytes.length) {
+      const id = ascii(bytes, p, 4);
+      const size = u32le(bytes, p + 4);
+      if (id === "fmt ") {
+        const fmt = u16le(bytes, p + 8);
+        return {
+          ...base,
+          format: "wav",
+          mime: AUDIO_FORMATS.wav.mime,
+          codec: fmt === 1 ? "PCM" : fmt === 3 ? "IEEE float" : fmt === 0xfffe ? "PCM (extensible)" : `WAV 0x${fmt.toString(16)}`,
+          channels: u16le(bytes, p + 10),
+          sampleRate: u32le(bytes, p + 12),
+          bitrate: u32le(bytes, p + 16) * 8,
+          bitsPerSample: u16le(bytes, p + 22),
+        };
+      }
+      p += 8 + size + (size & 1);
+    }
+    return { ...base, format: "wav", mime: AUDIO_FORMATS.wav.mime };
+  }
+
+  if (ascii(bytes, o, 4) === "fLaC") {
+    return { ...base, format: "flac", mime: AUDIO_FORMATS.flac.mime, codec: "FLAC", ...parseFlacStreamInfo(bytes, o + 8) };
+  }
+
+  if (ascii(bytes, 0, 4) === "OggS") {
+    const packet = 27 + bytes[26];
+    if (ascii(bytes, packet, 7) === "\x01vorbis") {
+      const nominal = u32le(bytes, packet + 20) | 0;
+      return {
+        ...base,
+        format: "ogg",
+        mime: 'audio/ogg; codecs="vorbis"',
+        codec: "Vorbis",
+        channels: bytes[packet + 11],
+        sampleRate: u32le(bytes, packet + 12),
+        bitrate: nominal > 0 ? nominal : null,
+      };
+    }
+    if (ascii(bytes, packet, 8) === "OpusHead") {
+      // Opus always decodes at 48 kHz regardless of the input rate stored in the header
+      return { ...base, format: "opus", mime: 'audio/ogg; codecs="opus"', codec: "Opus", channels: bytes[packet + 9], sampleRate: 48000 };
+    }
+    if (ascii(bytes, packet, 5) === "\x7fFLAC") {
+      return { ...base, format: "ogg", mime: 'audio/ogg; codecs="flac"', codec: "FLAC", ...parseFlacStreamInfo(bytes, packet + 17) };
+    }
+    return { ...base, format: "ogg", mime: AUDIO_FORMATS.ogg.mime };
+  }
+
+  if (ascii(bytes, 4, 4) === "ftyp") {
+    const entry = findMp4SampleEntry(bytes);
+    return { ...base, format: "m4a", mime: AUDIO_FORMATS.m4a.mime, ...(entry || {}) };
+  }
+
+  if (bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) {
+    const opus = indexOfAscii(bytes, "A_OPUS") >= 0;
+    const vorbis = !opus && indexOfAscii(bytes, "A_VORBIS") >= 0;
+    return {
+      ...base,
+      format: "webm",
+      mime: opus ? 'audio/webm; codecs="opus"' : vorbis ? 'audio/webm; codecs="vorbis"' : AUDIO_FORMATS.webm.mime,
+      codec: opus ? "Opus" : vorbis ? "Vorbis" : null,
+    };
+  }
+
+  if (ascii(bytes, 0, 4) === "FORM" && /^AIF[FC]$/.test(ascii(bytes, 8, 4))) {
+    return { ...base, format: "aiff", mime: AUDIO_FORMATS.aiff.mime, codec: "PCM" };
+  }
+
+  // Raw bitstreams: scan a little for the first frame sync (some files have junk before it)
+  const limit = Math.min(bytes.length - 4, o + 4096);
+  for (let p = o; p < limit; p++) {
+    if (bytes[p] !== 0xff) continue;
+    if (isAdts(bytes, p)) {
+      const rateIdx = (bytes[p + 2] >> 2) & 0xf;
+      return {
+        ...base,
+        format: "aac",
+        mime: AUDIO_FORMATS.aac.mime,
+        codec: "AAC (ADTS)",
+        sampleRate: ADTS_SAMPLE_RATES[rateIdx] || null,
+        channels: ((bytes[p + 2] & 1) << 2) | (bytes[p + 3] >> 6),
+      };
+    }
+    const frame = parseMpegFrame(bytes, p);
+    if (frame) {
+      // Xing/Info/VBRI header in the first frame marks a VBR (or LAME CBR) file
+      const window = bytes.subarray(p, Math.min(bytes.length, p + 200));
+      const vbr = indexOfAscii(window, "Xing") >= 0 || indexOfAscii(window, "VBRI") >= 0;
+      return {
+        ...base,
+        format: "mp3",
+        mime: AUDIO_FORMATS.mp3.mime,
+        codec: frame.codec,
+        sampleRate: frame.sampleRate,
+        channels: frame.channels,
+        bitrate: vbr ? null : frame.bitrate,
+        vbr,
+      };
+    }
+  }
+
+  return o > 0 ? { ...base, format: "mp3", mime: AUDIO_FORMATS.mp3.mime } : null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Guesses a format from a URL's extension (used for remote tracks we can't sniff).
+ * @returns {string|null} key of AUDIO_FORMATS
+ */
+export function formatFromUrl(src) {
+  const path = (src || "").split(/[?#]/)[0];
+  const ext = path.includes(".") ? path.split(".").pop().toLowerCase() : "";
+  const entry = Object.entries(AUDIO_FORMATS).find(([, f]) => f.exts.includes(ext));
+  return entry ? entry[0] : null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * A track's format: sniffed for uploads, from the URL extension otherwise.
+ * @returns {string|null} key of AUDIO_FORMATS
+ */
+export function trackFormat(track) {
+  return (track.audioInfo && track.audioInfo.format) || formatFromUrl(track.src);
+}
+
+let testAudio = null;
+
+// PUBLIC_INTERFACE
+/**
+ * HTMLMediaElement.canPlayType for a MIME type (with optional codecs parameter).
+ * @returns {""|"maybe"|"probably"}
+ */
+export function canPlayMime(mime) {
+  if (!mime) return "";
+  if (!testAudio) testAudio = document.createElement("audio");
+  return testAudio.canPlayType(mime);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Whether a track looks playable in this browser: its sniffed MIME type for
+ * uploads, or the MIME type implied by its URL extension. Unknown types are
+ * treated as unplayable instead of guessed.
+ */
+export function canPlayTrack(track) {
+  if (!track || !track.src) return false;
+  // A station's format is only known once connected (HLS may go through hls.js)
+  if (track.live) return true;
+  const info = track.audioInfo;
+  const format = formatFromUrl(track.src);
+  const mime = (info && info.mime) || (format && AUDIO_FORMATS[format].mime);
+  return canPlayMime(mime) !== "";
+}
+
+function mediaErrorReason(error) {
+  if (!error) return "the browser could not read it";
+  switch (error.code) {
+    case 3: return "the browser failed to decode it (corrupt or unsupported codec)";
+    case 4: return "the browser does not support this codec";
+    default: return error.message || "the browser could not read it";
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Really loads a blob's metadata in a detached <audio> element.
+ * @param {Blob} blob
+ * @param {number} [timeoutMs=8000]
+ * @returns {Promise<{duration: number|null}>} rejects with an Error whose message is the reason
+ */
+export function probePlayback(blob, timeoutMs = 8000) {
+  return new Promise((resolve, reject) => {
+    const audio = document.createElement("audio");
+    const url = URL.createObjectURL(blob);
+    let settled = false;
+    const finish = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      audio.onloadedmetadata = null;
+      audio.onerror = null;
+      audio.removeAttribute("src");
+      audio.load();
+      URL.revokeObjectURL(url);
+      fn(value);
+    };
+    const timer = setTimeout(() => finish(reject, new Error("the browser timed out reading it")), timeoutMs);
+    audio.preload = "metadata";
+    audio.onloadedmetadata = () =>
+      finish(resolve, { duration: isFinite(audio.duration) ? audio.duration : null });
+    audio.onerror = () => finish(reject, new Error(mediaErrorReason(audio.error)));
+    audio.src = url;
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Identifies an uploaded file and checks the browser can play it.
+ * @param {File} file
+ * @returns {Promise<Object>} { ok: true, audioInfo, duration } or { ok: false, reason }
+ *   audioInfo is { format, mime, codec, sampleRate, channels, bitrate, bitsPerSample, vbr }
+ *   as from sniffAudioFormat, with a missing bitrate filled in from the file's average.
+ *   Never rejects.
+ */
+export async function inspectAudioFile(file) {
+  let info;
+  try {
+    const head = new Uint8Array(await file.slice(0, HEAD_BYTES).arrayBuffer());
+    info = sniffAudioFormat(head);
+    // MP4s often keep the moov box (with the sample entry) at the end
+    if (info && info.format === "m4a" && !info.codec && file.size > HEAD_BYTES) {
+      const tail = new Uint8Array(await file.slice(Math.max(HEAD_BYTES, file.size - MP4_TAIL_BYTES)).arrayBuffer());
+      info = { ...info, ...(findMp4SampleEntry(tail) || {}) };
+    }
+  } catch (e) {
+    return { ok: false, reason: "the file could not be read" };
+  }
+  if (!info) return { ok: false, reason: "not a recognized audio format" };
+
+  const label = AUDIO_FORMATS[info.format].label;
+  if (canPlayMime(info.mime) === "") {
+    return { ok: false, reason: `${info.codec ? `${label} (${info.codec})` : label} is not supported by this browser` };
+  }
+
+  let duration = null;
+  try {
+    ({ duration } = await probePlayback(file));
+  } catch (err) {
+    return { ok: false, reason: err.message };
+  }
+
+  const audioInfo = { ...info };
+  if (!audioInfo.bitrate && duration) {
+    // VBR or containers without a nominal rate: use the average over the file
+    audioInfo.bitrate = Math.round((file.size * 8) / duration);
+  }
+  return { ok: true, audioInfo, duration };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * One-line technical summary for the tracklist, e.g. "MP3 · 44.1 kHz · 320 kbps".
+ */
+export function describeAudioInfo(track) {
+  const info = track.audioInfo || {};
+  const format = trackFormat(track);
+  const parts = [];
+  if (format) parts.push(AUDIO_FORMATS[format].label);
+  if (info.codec && format !== "mp3" && info.codec.toUpperCase() !== AUDIO_FORMATS[format].label) parts.push(info.codec);
+  if (info.sampleRate) parts.push(`${Math.round(info.sampleRate / 100) / 10} kHz`);
+  if (info.bitrate) parts.push(`${Math.round(info.bitrate / 1000)} kbps`);
+  if (info.bitsPerSample && !info.bitrate) parts.push(`${info.bitsPerSample}-bit`);
+  return parts.join(" · ");
+}
@@ -0,0 +1,150 @@
+import { describeAudioInfo, formatFromUrl, sniffAudioFormat } from "./audioFormats";
+
+// --- Minimal headers, built byte by byte ---
+
+const bytes = (...parts) => Uint8Array.from(parts.flatMap(part => (typeof part === "string" ? Array.from(part, c => c.charCodeAt(0)) : Array.from(part))));
+const u16le = n => [n & 0xff, (n >> 8) & 0xff];
+const u32le = n => [n & 0xff, (n >> 8) & 0xff, (n >> 16) & 0xff, (n >>> 24) & 0xff];
+const u16be = n => [(n >> 8) & 0xff, n & 0xff];
+const u32be = n => [(n >>> 24) & 0xff, (n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
+const zeros = n => new Array(n).fill(0);
+const id3 = size => bytes("ID3", [3, 0, 0], [(size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f], zeros(size));
+
+function wav({ format = 1, channels = 2, sampleRate = 44100, bits = 16, before = [] } = {}) {
+  const blockAlign = (channels * bits) / 8;
+  return bytes(
+    "RIFF", u32le(0), "WAVE",
+    ...before,
+    "fmt ", u32le(16), u16le(format), u16le(channels), u32le(sampleRate), u32le(sampleRate * blockAlign), u16le(blockAlign), u16le(bits)
+  );
+}
+
+// STREAMINFO: block and frame sizes, then 20 bits of sample rate, 3 of channels - 1, 5 of bits - 1
+function streamInfo(sampleRate, channels, bits) {
+  return [
+    ...zeros(10),
+    sampleRate >> 12,
+    (sampleRate >> 4) & 0xff,
+    ((sampleRate & 0xf) << 4) | ((channels - 1) << 1) | ((bits - 1) >> 4),
+    ((bits - 1) & 0xf) << 4,
+    ...zeros(20),
+  ];
+}
+
+// One Ogg page holding a single packet
+const oggPage = packet => bytes("OggS", zeros(22), [1, packet.length], packet);
+
+const MP3_FRAME = [0xff, 0xfb, 0x90, 0x00]; // MPEG-1 Layer III, 128 kbps, 44.1 kHz, stereo
+
+describe("sniffAudioFormat", () => {
+  test("WAV: reads the fmt chunk, skipping chunks before it", () => {
+    expect(sniffAudioFormat(wav())).toMatchObject({
+      format: "wav", codec: "PCM", channels: 2, sampleRate: 44100, bitrate: 1411200, bitsPerSample: 16,
+    });
+    // An odd-sized chunk is padded to an even length
+    const list = ["LIST", u32le(3), "abc", [0]];
+    expect(sniffAudioFormat(wav({ format: 3, channels: 1, sampleRate: 48000, bits: 32, before: list }))).toMatchObject({
+      codec: "IEEE float", channels: 1, sampleRate: 48000, bitsPerSample: 32,
+    });
+    expect(sniffAudioFormat(wav({ format: 0x11 })).codec).toBe("WAV 0x11");
+  });
+
+  test("FLAC: reads STREAMINFO, after an ID3 tag too", () => {
+    const flac = bytes("fLaC", [0x80, 0, 0, 34], streamInfo(96000, 2, 24));
+    const expected = { format: "flac", mime: "audio/flac", codec: "FLAC", sampleRate: 96000, channels: 2, bitsPerSample: 24 };
+    expect(sniffAudioFormat(flac)).toMatchObject(expected);
+    expect(sniffAudioFormat(bytes(id3(20), flac))).toMatchObject(expected);
+  });
+
+  test("OGG: Vorbis, Opus and FLAC identification headers", () => {
+    const vorbis = oggPage(bytes("\x01vorbis", u32le(0), [2], u32le(44100), u32le(0), u32le(160000), u32le(0), [0xb8, 1]));
+    expect(sniffAudioFormat(vorbis)).toMatchObject({
+      format: "ogg", mime: 'audio/ogg; codecs="vorbis"', codec: "Vorbis", channels: 2, sampleRate: 44100, bitrate: 160000,
+    });
+
+    // Opus decodes at 48 kHz whatever input rate the header records
+    const opus = oggPage(bytes("OpusHead", [1, 6], u16le(312), u32le(44100), u16le(0), [1]));
+    expect(sniffAudioFormat(opus)).toMatchObject({ format: "opus", codec: "Opus", channels: 6, sampleRate: 48000 });
+
+    const oggFlac = oggPage(bytes("\x7fFLAC", [1, 0], u16be(1), "fLaC", [0, 0, 0, 34], streamInfo(44100, 1, 16)));
+    expect(sniffAudioFormat(oggFlac)).toMatchObject({ format: "ogg", codec: "FLAC", sampleRate: 44100, channels: 1, bitsPerSample: 16 });
+
+    expect(sniffAudioFormat(oggPage(bytes("Speex   ")))).toMatchObject({ format: "ogg", mime: "audio/ogg", codec: null });
+  });
+
+  test("MP4: finds the audio sample entry", () => {
+    const ftyp = bytes(u32be(20), "ftypM4A ", u32be(0), "isom");
+    // Sample entry: reserved, data reference, version, channels, sample size, rate as 16.16
+    const mp4a = bytes(u32be(36), "mp4a", zeros(6), u16be(1), zeros(8), u16be(2), u16be(16), zeros(4), u16be(44100), u16be(0));
+    expect(sniffAudioFormat(bytes(ftyp, u32be(44), "moov", mp4a))).toMatchObject({
+      format: "m4a", codec: "AAC", mime: 'audio/mp4; codecs="mp4a.40.2"', channels: 2, sampleRate: 44100,
+    });
+    // A box too small for the audio fields isn't a sample entry
+    expect(sniffAudioFormat(bytes(ftyp, u32be(8), "mp4a", zeros(40)))).toMatchObject({ format: "m4a", mime: "audio/mp4", codec: null });
+  });
+
+  test("MP3: frame headers, with an ID3 tag or junk in front", () => {
+    const expected = { format: "mp3", codec: "MPEG-1 Layer III", sampleRate: 44100, channels: 2, bitrate: 128000, vbr: false };
+    expect(sniffAudioFormat(bytes(MP3_FRAME, zeros(100)))).toMatchObject(expected);
+    expect(sniffAudioFormat(bytes(id3(64), MP3_FRAME, zeros(100)))).toMatchObject(expected);
+    expect(sniffAudioFormat(bytes("junk", [0xff, 0xff], MP3_FRAME, zeros(100)))).toMatchObject(expected);
+
+    // MPEG-2 Layer III, 64 kbps, 22.05 kHz, mono
+    expect(sniffAudioFormat(bytes([0xff, 0xf3, 0x80, 0xc0], zeros(100)))).toMatchObject({
+      codec: "MPEG-2 Layer III", sampleRate: 22050, channels: 1, bitrate: 64000,
+    });
+  });
+
+  test("MP3: a Xing header means the frame's bitrate isn't the file's", () => {
+    const info = sniffAudioFormat(bytes(MP3_FRAME, zeros(32), "Xing", zeros(100)));
+    expect(info).toMatchObject({ format: "mp3", vbr: true, bitrate: null });
+  });
+
+  test("ADTS AAC", () => {
+    // AAC LC, 44.1 kHz (index 4), 2 channels
+    expect(sniffAudioFormat(bytes([0xff, 0xf1, 0x50, 0x80, 0, 0x1f, 0xfc], zeros(32)))).toMatchObject({
+      format: "aac", codec: "AAC (ADTS)", sampleRate: 44100, channels: 2,
+    });
+  });
+
+  test("WebM and AIFF", () => {
+    expect(sniffAudioFormat(bytes([0x1a, 0x45, 0xdf, 0xa3], zeros(20), "A_OPUS"))).toMatchObject({
+      format: "webm", codec: "Opus", mime: 'audio/webm; codecs="opus"',
+    });
+    expect(sniffAudioFormat(bytes("FORM", u32be(0), "AIFC"))).toMatchObject({ format: "aiff", codec: "PCM" });
+  });
+
+  test("truncated headers still identify the container", () => {
+    expect(sniffAudioFormat(bytes("RIFF", u32le(0), "WAVE"))).toMatchObject({ format: "wav", codec: null, sampleRate: null });
+    expect(sniffAudioFormat(bytes("fLaC", [0x80, 0, 0]))).toMatchObject({ format: "flac", codec: "FLAC", sampleRate: null });
+    expect(sniffAudioFormat(bytes("OggS"))).toMatchObject({ format: "ogg", codec: null });
+    expect(sniffAudioFormat(bytes(u32be(20), "ftyp"))).toMatchObject({ format: "m4a", codec: null });
+    // Only the start of a long ID3 tag: an MP3 in practice
+    expect(sniffAudioFormat(id3(4096).subarray(0, 512))).toMatchObject({ format: "mp3", codec: null });
+  });
+
+  test("unknown or too-short input is not audio", () => {
+    expect(sniffAudioFormat(new Uint8Array(0))).toBeNull();
+    expect(sniffAudioFormat(bytes([0xff, 0xfb]))).toBeNull();
+    expect(sniffAudioFormat(bytes("%PDF-1.7\n", zeros(100)))).toBeNull();
+    expect(sniffAudioFormat(bytes("RIFF", u32le(0), "AVI ", zeros(20)))).toBeNull();
+    // Sync bits with a reserved version, a bad bitrate and a reserved sample rate
+    expect(sniffAudioFormat(bytes([0xff, 0xeb, 0x90, 0], [0xff, 0xfb, 0xf0, 0], [0xff, 0xfb, 0x9c, 0], zeros(8)))).toBeNull();
+  });
+});
+
+describe("format labels", () => {
+  test("formatFromUrl ignores the query and fragment", () => {
+    expect(formatFromUrl("https://cdn.example/a/Song.FLAC?token=1#t=3")).toBe("flac");
+    expect(formatFromUrl("https://cdn.example/stream")).toBeNull();
+    expect(formatFromUrl(null)).toBeNull();
+  });
+
+  test("describeAudioInfo", () => {
+    expect(describeAudioInfo({ audioInfo: { format: "mp3", codec: "MPEG-1 Layer III", sampleRate: 44100, bitrate: 320000 } }))
+      .toBe("MP3 · 44.1 kHz · 320 kbps");
+    expect(describeAudioInfo({ audioInfo: { format: "flac", codec: "FLAC", sampleRate: 96000, bitsPerSample: 24 } }))
+      .toBe("FLAC · 96 kHz · 24-bit");
+    expect(describeAudioInfo({ src: "https://x/a.m4a", audioInfo: null })).toBe("M4A");
+  });
+});
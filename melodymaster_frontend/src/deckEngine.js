@@ -0,0 +1,431 @@
+/**
+ * Dual-deck playback engine.
+ *
+ * Two <audio> elements ("decks") take turns: while one plays, the next track
+ * is preloaded on the other, so moving on is a deck switch instead of a src
+ * swap and plays back to back. With a crossfade set, the incoming deck starts
+ * `crossfade` seconds before the outgoing one ends and the two are mixed with
+ * equal-power gain curves.
+ *
+ * Without a crossfade, the next deck is started from a timer just before the
+ * current one ends rather than on its "ended" event, which reaches the main
+ * thread too late to play back to back.
+ *
+ * Each deck is wired once: MediaElementSource -> trim GainNode -> fade
+ * GainNode -> shared input, so both decks go through the same EQ chain and
+ * analyser. The trim holds the track's loudness normalization (setTrackGain),
+ * so two tracks crossfading each keep their own level. Speed and pitch are
+ * per track too (setTrackPlayback): the speed is the deck's playbackRate, and
+ * with insertPitchShifters() each deck gets a pitch shifter between its trim
+ * and fade gain.
+ *
+ * HLS streams go through hls.js where the browser can't play them itself
+ * (see radio.js).
+ *
+ * Handlers (all optional):
+ *   - onTimeUpdate(currentTime): active deck position
+ *   - onAdvance(src): the engine moved on to the preloaded track by itself
+ *   - onEnded(): the active track ended with nothing preloaded
+ *   - onError(error): the active deck can't play its source; error.cors is
+ *     set when a cross-origin source may have refused CORS
+ *   - onMetadata(src, duration): a deck (active or preloading) learned a duration
+ *   - onStreamTitle(src, { artist, title }): the active HLS stream announced a song
+ */
+
+import { readJson, writeJson } from "./storage";
+import { attachHls, canPlayHlsNatively, isHlsUrl } from "./radio";
+import { DEFAULT_PRACTICE, semitonesToRatio } from "./practice";
+
+export const MAX_CROSSFADE = 12;
+
+const CROSSFADE_KEY = "melodymaster.crossfade";
+
+const FADE_CURVE_POINTS = 128;
+
+// Gapless: the timer is set once this little of the track is left (more than
+// the ~250 ms between timeupdates), and fires this early to cover the next
+// element's start-up
+const GAPLESS_SCHEDULE_SECONDS = 0.6;
+const GAPLESS_START_LATENCY = 0.03;
+
+function isCrossOrigin(src) {
+  if (!/^https?:/i.test(src)) return false;
+  try {
+    return new URL(src, window.location.href).origin !== window.location.origin;
+  } catch (e) {
+    return false;
+  }
+}
+
+function equalPowerCurve(fadeIn) {
+  const curve = new Float32Array(FADE_CURVE_POINTS);
+  for (let i = 0; i < FADE_CURVE_POINTS; i++) {
+    const x = i / (FADE_CURVE_POINTS - 1);
+    curve[i] = fadeIn ? Math.sin((x * Math.PI) / 2) : Math.cos((x * Math.PI) / 2);
+  }
+  return curve;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Saved crossfade length in seconds (0 = gapless, no fade).
+ */
+export function loadCrossfade() {
+  const value = Number(readJson(CROSSFADE_KEY, 0));
+  return isFinite(value) ? Math.max(0, Math.min(MAX_CROSSFADE, value)) : 0;
+}
+
+// PUBLIC_INTERFACE
+export function saveCrossfade(seconds) {
+  writeJson(CROSSFADE_KEY, seconds);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Creates the engine. Call attach() to route it through Web Audio; without
+ * it the decks play straight to the speakers and switches are hard cuts.
+ * @param {Object} handlers - see module doc
+ * @returns {Object} engine
+ */
+export function createDeckEngine(handlers = {}) {
+  const emit = (name, ...args) => handlers[name] && handlers[name](...args);
+
+  const decks = [0, 1].map(() => {
+    const el = new Audio();
+    el.preload = "auto";
+    // hls: { ready, detach } while the deck plays an HLS stream through hls.js
+    return { el, src: "", source: null, trim: null, shifter: null, gain: null, listeners: [], hls: null };
+  });
+  let active = 0;
+  let context = null;
+  let crossfade = 0;
+  let fade = null; // { from, timer } while a crossfade is running
+  let pendingPreload = null; // preload requested for the deck that is still fading out
+  let gaplessTimer = null; // starts the next deck just before the active one ends
+  const trackGains = new Map(); // src -> linear normalization gain
+  const trackPlayback = new Map(); // src -> { speed, preservePitch, pitch } (see practice.js)
+
+  const activeDeck = () => decks[active];
+  const idleDeck = () => decks[1 - active];
+
+  function setGain(deck, value) {
+    if (!deck.gain) return;
+    const now = context.currentTime;
+    deck.gain.gain.cancelScheduledValues(now);
+    deck.gain.gain.setValueAtTime(value, now);
+  }
+
+  function applyTrim(deck, ramp) {
+    if (!deck.trim) return;
+    const value = trackGains.has(deck.src) ? trackGains.get(deck.src) : 1;
+    const now = context.currentTime;
+    deck.trim.gain.cancelScheduledValues(now);
+    if (ramp) {
+      deck.trim.gain.setValueAtTime(deck.trim.gain.value, now);
+      deck.trim.gain.linearRampToValueAtTime(value, now + 0.3);
+    } else {
+      deck.trim.gain.setValueAtTime(value, now);
+    }
+  }
+
+  function applyPlayback(deck) {
+    const { speed, preservePitch, pitch } = trackPlayback.get(deck.src) || DEFAULT_PRACTICE;
+    // load() resets playbackRate to the default rate
+    deck.el.defaultPlaybackRate = speed;
+    deck.el.playbackRate = speed;
+    deck.el.preservesPitch = preservePitch;
+    deck.el.mozPreservesPitch = preservePitch;
+    deck.el.webkitPreservesPitch = preservePitch;
+    if (deck.shifter) deck.shifter.parameters.get("pitchRatio").setValueAtTime(semitonesToRatio(pitch), context.currentTime);
+  }
+
+  function loadDeck(deck, src) {
+    if (deck.src === src) {
+      // Already loaded (e.g. repeat-one preloading the same track): just rewind
+      if (src && deck.el.currentTime) deck.el.currentTime = 0;
+      return;
+    }
+    deck.src = src;
+    deck.el.pause();
+    detachHls(deck);
+    const useHls = !!src && isHlsUrl(src) && !canPlayHlsNatively(deck.el);
+    if (src && !useHls) deck.el.src = src;
+    else deck.el.removeAttribute("src");
+    deck.el.load();
+    applyTrim(deck, false);
+    applyPlayback(deck);
+    if (useHls) loadHls(deck, src);
+  }
+
+  function loadHls(deck, src) {
+    const hls = { detach: null };
+    const isCurrent = () => deck.hls === hls && deck === activeDeck();
+    hls.ready = attachHls(deck.el, src, {
+      onTitle: title => isCurrent() && emit("onStreamTitle", src, title),
+      onError: err => isCurrent() && emit("onError", err),
+    }).then(detach => {
+      // Replaced while hls.js was loading
+      if (deck.hls !== hls) detach();
+      else hls.detach = detach;
+    });
+    hls.ready.catch(err => isCurrent() && emit("onError", err));
+    deck.hls = hls;
+  }
+
+  function detachHls(deck) {
+    if (!deck.hls) return;
+    if (deck.hls.detach) deck.hls.detach();
+    deck.hls = null;
+  }
+
+  // Also drops a pending gapless start: anything that ends a fade (pause,
+  // seek, another track) makes it stale too
+  function finishFade() {
+    clearTimeout(gaplessTimer);
+    gaplessTimer = null;
+    if (!fade) return;
+    clearTimeout(fade.timer);
+    fade.from.el.pause();
+    setGain(fade.from, 1);
+    setGain(activeDeck(), 1);
+    fade = null;
+    if (pendingPreload != null) {
+      loadDeck(idleDeck(), pendingPreload);
+      pendingPreload = null;
+    }
+  }
+
+  // Switch to the idle deck and start it. fadeSeconds 0 is a straight cut;
+  // with letEnd the outgoing deck plays out its last moments instead.
+  function switchDecks(fadeSeconds, letEnd = false) {
+    finishFade();
+    const from = activeDeck();
+    const to = idleDeck();
+    active = 1 - active;
+    if (to.el.currentTime) to.el.currentTime = 0;
+    if (fadeSeconds > 0 && context) {
+      const now = context.currentTime;
+      to.gain.gain.cancelScheduledValues(now);
+      to.gain.gain.setValueCurveAtTime(equalPowerCurve(true), now, fadeSeconds);
+      from.gain.gain.cancelScheduledValues(now);
+      from.gain.gain.setValueCurveAtTime(equalPowerCurve(false), now, fadeSeconds);
+      fade = { from, timer: setTimeout(finishFade, fadeSeconds * 1000 + 50) };
+    } else {
+      if (!letEnd) from.el.pause();
+      setGain(from, 1);
+      setGain(to, 1);
+    }
+  }
+
+  function startNext(fadeSeconds, letEnd = false) {
+    switchDecks(fadeSeconds, letEnd);
+    activeDeck().el.play().catch(err => emit("onError", err));
+    emit("onAdvance", activeDeck().src);
+  }
+
+  decks.forEach(deck => {
+    const on = (type, fn) => {
+      deck.el.addEventListener(type, fn);
+      deck.listeners.push([type, fn]);
+    };
+    on("timeupdate", () => {
+      if (deck !== activeDeck()) return;
+      const { currentTime, duration } = deck.el;
+      emit("onTimeUpdate", currentTime);
+      // Start the crossfade early enough to finish as this track ends.
+      // Short tracks fade over at most half their length. Times left are
+      // in real seconds, so a track played slower fades as long as any other.
+      const rate = deck.el.playbackRate || 1;
+      const left = (duration - currentTime) / rate;
+      const fadeSeconds = Math.min(crossfade, isFinite(duration) ? duration / 2 / rate : 0);
+      if (fadeSeconds > 0 && !fade && idleDeck().src && !deck.el.paused && left <= fadeSeconds) {
+        startNext(Math.max(0.05, left));
+      } else if (!crossfade && !gaplessTimer && idleDeck().src && !deck.el.paused && left <= GAPLESS_SCHEDULE_SECONDS) {
+        gaplessTimer = setTimeout(() => {
+          gaplessTimer = null;
+          if (deck === activeDeck() && !deck.el.paused && idleDeck().src) startNext(0, true);
+        }, Math.max(0, left - GAPLESS_START_LATENCY) * 1000);
+      }
+    });
+    on("ended", () => {
+      if (deck !== activeDeck()) return;
+      // The gapless timer was late (e.g. throttled in a background tab)
+      if (idleDeck().src) startNext(0);
+      else emit("onEnded");
+    });
+    on("error", () => {
+      // Errors on the preloading deck surface once it becomes active
+      if (deck !== activeDeck() || !deck.src) return;
+      // Routed through Web Audio, a deck loads in CORS mode, and browsers
+      // report a refused CORS check as an unsupported source
+      const error = deck.el.error;
+      if (deck.source && isCrossOrigin(deck.src) && error && error.code === error.MEDIA_ERR_SRC_NOT_SUPPORTED) {
+        const err = new Error(
+          "This track couldn't be played: its server may not allow this page to play it (CORS). It has to send Access-Control-Allow-Origin for the equalizer to process it."
+        );
+        err.cors = true;
+        emit("onError", err);
+        return;
+      }
+      emit("onError", error);
+    });
+    on("loadedmetadata", () => {
+      if (deck.src && isFinite(deck.el.duration)) emit("onMetadata", deck.src, deck.el.duration);
+    });
+  });
+
+  return {
+    /**
+     * Routes both decks into `input` on `audioContext`. Throws if a
+     * MediaElementSource can't be created; the decks then keep playing
+     * directly, without EQ or visualizer.
+     */
+    attach(audioContext, input) {
+      // Cross-origin audio fetched without CORS reaches the graph as silence;
+      // fetched with it, a server that refuses fails with an error instead
+      decks.forEach(deck => {
+        deck.el.crossOrigin = "anonymous";
+      });
+      let sources;
+      try {
+        sources = decks.map(deck => audioContext.createMediaElementSource(deck.el));
+      } catch (err) {
+        // Playing straight to the speakers, CORS isn't needed
+        decks.forEach(deck => deck.el.removeAttribute("crossorigin"));
+        throw err;
+      }
+      context = audioContext;
+      decks.forEach((deck, idx) => {
+        deck.source = sources[idx];
+        deck.trim = audioContext.createGain();
+        deck.gain = audioContext.createGain();
+        deck.source.connect(deck.trim);
+        deck.trim.connect(deck.gain);
+        deck.gain.connect(input);
+      });
+    },
+
+    /**
+     * Puts a pitch shifter between each deck's trim and fade gain. Call after
+     * attach(), once the worklet has loaded.
+     * @param {Function} createShifter - makes an AudioNode with a "pitchRatio"
+     *   AudioParam (see pitchShifter.js)
+     */
+    insertPitchShifters(createShifter) {
+      decks.forEach(deck => {
+        if (!deck.trim || deck.shifter) return;
+        deck.shifter = createShifter();
+        deck.trim.disconnect();
+        deck.trim.connect(deck.shifter);
+        deck.shifter.connect(deck.gain);
+        applyPlayback(deck);
+      });
+    },
+
+    /**
+     * Makes `src` the current track. Uses the preloaded deck if it holds
+     * that track already. Doesn't start playback.
+     * @returns {boolean} whether anything changed
+     */
+    setTrack(src) {
+      if (activeDeck().src === src) return false;
+      if (idleDeck().src === src) {
+        switchDecks(0);
+      } else {
+        finishFade();
+        loadDeck(activeDeck(), src);
+      }
+      emit("onTimeUpdate", 0);
+      return true;
+    },
+
+    /** Loads the track expected to play next into the idle deck ("" to clear). */
+    preload(src) {
+      if (fade && fade.from === idleDeck()) pendingPreload = src || "";
+      else loadDeck(idleDeck(), src || "");
+    },
+
+    play() {
+      if (context && context.state === "suspended") context.resume();
+      const deck = activeDeck();
+      // An HLS deck has no source until hls.js is attached
+      return deck.hls ? deck.hls.ready.then(() => deck.el.play()) : deck.el.play();
+    },
+
+    pause() {
+      finishFade();
+      activeDeck().el.pause();
+    },
+
+    seek(time) {
+      finishFade();
+      activeDeck().el.currentTime = time;
+    },
+
+    /**
+     * Loads the current source again. For a live stream that was paused,
+     * this rejoins the broadcast instead of playing the stale buffer.
+     */
+    reload() {
+      finishFade();
+      const deck = activeDeck();
+      const { src } = deck;
+      deck.src = "";
+      loadDeck(deck, src);
+    },
+
+    /**
+     * Sets the loudness normalization gain (linear) for a track. Applies to
+     * whichever deck holds `src` now or loads it later; a playing deck
+     * glides to the new level.
+     */
+    setTrackGain(src, value) {
+      if (trackGains.get(src) === value) return;
+      trackGains.set(src, value);
+      decks.forEach(deck => deck.src === src && applyTrim(deck, true));
+    },
+
+    /**
+     * Sets a track's speed and pitch ({ speed, preservePitch, pitch }, see
+     * practice.js). Like setTrackGain, applies to whichever deck holds `src`
+     * now or loads it later.
+     */
+    setTrackPlayback(src, settings) {
+      trackPlayback.set(src, settings);
+      decks.forEach(deck => deck.src === src && applyPlayback(deck));
+    },
+
+    /** Crossfade length in seconds, 0 (gapless cut) to MAX_CROSSFADE. */
+    setCrossfade(seconds) {
+      crossfade = Math.max(0, Math.min(MAX_CROSSFADE, Number(seconds) || 0));
+    },
+
+    get currentTime() {
+      return activeDeck().el.currentTime;
+    },
+
+    get duration() {
+      return activeDeck().el.duration;
+    },
+
+    /** The <audio> element currently playing. */
+    get element() {
+      return activeDeck().el;
+    },
+
+    destroy() {
+      finishFade();
+      decks.forEach(deck => {
+        deck.listeners.forEach(([type, fn]) => deck.el.removeEventListener(type, fn));
+        deck.el.pause();
+        detachHls(deck);
+        deck.el.removeAttribute("src");
+        deck.el.load();
+        if (deck.gain) deck.gain.disconnect();
+        if (deck.trim) deck.trim.disconnect();
+        if (deck.shifter) deck.shifter.disconnect();
+        if (deck.source) deck.source.disconnect();
+      });
+    },
+  };
+}
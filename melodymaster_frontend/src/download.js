@@ -0,0 +1,17 @@
+// PUBLIC_INTERFACE
+/**
+ * Triggers a browser download of a text file.
+ * @param {string} filename - characters not allowed in file names are replaced
+ * @param {string} text
+ * @param {string} [type="text/plain"] - MIME type
+ */
+export function downloadText(filename, text, type = "text/plain") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename.replace(/[\\/:*?"<>|]/g, "_");
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,225 @@
+/**
+ * EQ presets: built-in sound profiles, user presets in localStorage,
+ * JSON import/export and persistence of the current EQ settings.
+ *
+ * Preset ids are "builtin:<name>" or "user:<name>".
+ */
+import {
+  EQ_FILTER_TYPES,
+  EQ_GAIN_RANGE,
+  EQ_MIN_FREQ,
+  EQ_MAX_FREQ,
+  createBandLayout,
+} from "./equalizer";
+import { readJson, writeJson } from "./storage";
+import { downloadText } from "./download";
+
+const USER_PRESETS_KEY = "melodymaster.eqPresets";
+const EQ_SETTINGS_KEY = "melodymaster.eq";
+const PRESET_FILE_TAG = "melodymaster-eq-presets";
+
+/**
+ * Built-in presets are gain curves: [frequencyHz, gainDb] control points,
+ * interpolated on a log-frequency axis onto whatever band layout is active.
+ */
+export const BUILTIN_PRESETS = [
+  { name: "Flat", curve: [] },
+  { name: "Bass Boost", curve: [[20, 7], [60, 6], [150, 3.5], [400, 0]] },
+  { name: "Treble Boost", curve: [[2000, 0], [5000, 3], [10000, 5.5], [20000, 6]] },
+  { name: "Treble Cut", curve: [[2000, 0], [5000, -4], [10000, -8], [20000, -10]] },
+  { name: "Vocal", curve: [[20, -3], [150, -2], [400, 1], [1000, 3], [3000, 4], [6000, 2], [12000, 0]] },
+  { name: "Loudness", curve: [[20, 6], [100, 4], [400, 0], [2500, 0], [8000, 3], [16000, 5]] },
+  { name: "Rock", curve: [[60, 4.5], [250, 2], [1000, -1.5], [4000, 2], [12000, 4]] },
+  { name: "Electronic", curve: [[40, 5.5], [120, 4], [500, 0], [2000, -1], [6000, 2.5], [16000, 4.5]] },
+  { name: "Jazz", curve: [[60, 3], [250, 1.5], [1000, -1], [4000, 1.5], [16000, 3]] },
+  { name: "Night Drive", curve: [[40, 4], [200, 2], [1000, 0], [4000, -2], [16000, -4]] },
+];
+
+export const DEFAULT_PRESET_ID = "builtin:Flat";
+
+// PUBLIC_INTERFACE
+/**
+ * Interpolates a [hz, dB] curve at the given frequency (log-frequency axis,
+ * flat extension past the end points).
+ */
+export function curveGainAt(curve, hz) {
+  if (!curve.length) return 0;
+  if (hz <= curve[0][0]) return curve[0][1];
+  const last = curve[curve.length - 1];
+  if (hz >= last[0]) return last[1];
+  for (let i = 1; i < curve.length; i++) {
+    const [f1, g1] = curve[i];
+    if (hz <= f1) {
+      const [f0, g0] = curve[i - 1];
+      const t = Math.log(hz / f0) / Math.log(f1 / f0);
+      return g0 + (g1 - g0) * t;
+    }
+  }
+  return last[1];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Builds a band set for a built-in preset curve on the default layout of `count` bands.
+ */
+export function bandsFromCurve(curve, count) {
+  return createBandLayout(count).map(band => ({
+    ...band,
+    gain: Math.round(curveGainAt(curve, band.frequency) * 2) / 2,
+  }));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Resolves a preset id to bands. Built-ins are laid out on `count` bands;
+ * user presets keep their own band set. Returns null for unknown ids.
+ */
+export function resolvePresetBands(presetId, userPresets, count) {
+  if (!presetId) return null;
+  const [kind, ...rest] = presetId.split(":");
+  const name = rest.join(":");
+  if (kind === "builtin") {
+    const preset = BUILTIN_PRESETS.find(p => p.name === name);
+    return preset ? bandsFromCurve(preset.curve, count) : null;
+  }
+  if (kind === "user") {
+    const preset = userPresets.find(p => p.name === name);
+    return preset ? preset.bands.map(b => ({ ...b })) : null;
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * True when two band sets are identical (type, frequency, Q and gain).
+ */
+export function bandsEqual(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  return a.every((band, idx) =>
+    band.type === b[idx].type &&
+    band.frequency === b[idx].frequency &&
+    band.Q === b[idx].Q &&
+    band.gain === b[idx].gain
+  );
+}
+
+/**
+ * Validates one band from untrusted input. Throws Error on bad data.
+ */
+function normalizeBand(raw, idx) {
+  if (!raw || typeof raw !== "object") throw new Error(`Band ${idx + 1} is not an object.`);
+  const type = EQ_FILTER_TYPES.includes(raw.type) ? raw.type : null;
+  const frequency = Number(raw.frequency);
+  const Q = Number(raw.Q);
+  const gain = Number(raw.gain);
+  if (!type) throw new Error(`Band ${idx + 1} has an unknown filter type.`);
+  if (!isFinite(frequency) || frequency < EQ_MIN_FREQ || frequency > EQ_MAX_FREQ) {
+    throw new Error(`Band ${idx + 1} frequency must be ${EQ_MIN_FREQ}-${EQ_MAX_FREQ} Hz.`);
+  }
+  if (!isFinite(Q) || Q <= 0) throw new Error(`Band ${idx + 1} has an invalid Q.`);
+  if (!isFinite(gain)) throw new Error(`Band ${idx + 1} has an invalid gain.`);
+  return { type, frequency, Q, gain: Math.max(-EQ_GAIN_RANGE, Math.min(EQ_GAIN_RANGE, gain)) };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Validates a {name, bands} preset from untrusted input. Throws Error on bad data.
+ */
+export function normalizePreset(raw) {
+  if (!raw || typeof raw !== "object") throw new Error("Preset is not an object.");
+  const name = typeof raw.name === "string" ? raw.name.trim() : "";
+  if (!name) throw new Error("Preset is missing a name.");
+  if (!Array.isArray(raw.bands) || raw.bands.length === 0 || raw.bands.length > 64) {
+    throw new Error(`Preset "${name}" must have 1-64 bands.`);
+  }
+  return { name, bands: raw.bands.map(normalizeBand) };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Parses an exported preset file. Accepts the tagged export format,
+ * a bare array of presets or a single preset object.
+ * @returns {Array<{name: string, bands: Array}>}
+ */
+export function parsePresetFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("File is not valid JSON.");
+  }
+  let list;
+  if (Array.isArray(data)) list = data;
+  else if (data && Array.isArray(data.presets)) list = data.presets;
+  else list = [data];
+  return list.map(normalizePreset);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Serializes presets into the export file format.
+ */
+export function serializePresets(presets) {
+  return JSON.stringify({ format: PRESET_FILE_TAG, version: 1, presets }, null, 2);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Merges presets into a list by name (incoming presets replace same-named ones).
+ */
+export function mergePresets(existing, incoming) {
+  const names = new Set(incoming.map(p => p.name));
+  return [...existing.filter(p => !names.has(p.name)), ...incoming];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Loads user presets from localStorage, dropping any that fail validation.
+ */
+export function loadUserPresets() {
+  const list = readJson(USER_PRESETS_KEY, []);
+  if (!Array.isArray(list)) return [];
+  return list.reduce((acc, raw) => {
+    try {
+      acc.push(normalizePreset(raw));
+    } catch (e) {
+      // A preset that no longer validates is skipped rather than losing the rest
+    }
+    return acc;
+  }, []);
+}
+
+// PUBLIC_INTERFACE
+export function saveUserPresets(presets) {
+  writeJson(USER_PRESETS_KEY, presets);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Loads the persisted EQ state: { bands, presetId }, falling back to flat 10-band.
+ */
+export function loadEqSettings() {
+  const saved = readJson(EQ_SETTINGS_KEY, null);
+  if (saved && Array.isArray(saved.bands)) {
+    try {
+      const { bands } = normalizePreset({ name: "saved", bands: saved.bands });
+      return { bands, presetId: typeof saved.presetId === "string" ? saved.presetId : null };
+    } catch (e) {
+      // Unusable saved bands: start from flat
+    }
+  }
+  return { bands: createBandLayout(10), presetId: DEFAULT_PRESET_ID };
+}
+
+// PUBLIC_INTERFACE
+export function saveEqSettings(settings) {
+  writeJson(EQ_SETTINGS_KEY, settings);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Triggers a browser download of a JSON string.
+ */
+export function downloadJson(filename, text) {
+  downloadText(filename, text, "application/json");
+}
@@ -0,0 +1,96 @@
+/**
+ * Per-track and per-album EQ profile assignments.
+ *
+ * A profile is { bands, presetId } - the same shape as the global EQ settings.
+ * Lookup order for a track: track assignment, then album assignment, then global.
+ * Track profiles are keyed by trackRef, like the rest of the per-track
+ * settings; album profiles by albumKey.
+ */
+import { normalizePreset } from "./eqPresets";
+import { trackRef } from "./playlists";
+import { readJson, writeJson } from "./storage";
+
+const ASSIGNMENTS_KEY = "melodymaster.eqAssignments";
+
+// Scopes a profile can be stored under
+export const EQ_SCOPES = ["global", "album", "track"];
+
+// PUBLIC_INTERFACE
+/**
+ * Stable key for a track's album: its artist and album tags.
+ */
+export function albumKey(track) {
+  return `${track.artist || ""}␟${track.album || ""}`;
+}
+
+function normalizeProfile(raw) {
+  try {
+    const { bands } = normalizePreset({ name: "profile", bands: raw && raw.bands });
+    return { bands, presetId: typeof raw.presetId === "string" ? raw.presetId : null };
+  } catch (e) {
+    return null;
+  }
+}
+
+function normalizeMap(raw, validKey = () => true) {
+  const out = {};
+  if (!raw || typeof raw !== "object") return out;
+  Object.keys(raw).filter(validKey).forEach(key => {
+    const profile = normalizeProfile(raw[key]);
+    if (profile) out[key] = profile;
+  });
+  return out;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Loads assignments: { tracks: {trackRef: profile}, albums: {albumKey: profile} }.
+ */
+export function loadEqAssignments() {
+  const saved = readJson(ASSIGNMENTS_KEY, null) || {};
+  // Track entries saved under the old artist/album/title text key can't be matched to a track any more
+  return { tracks: normalizeMap(saved.tracks, key => !key.includes("␟")), albums: normalizeMap(saved.albums) };
+}
+
+// PUBLIC_INTERFACE
+export function saveEqAssignments(assignments) {
+  writeJson(ASSIGNMENTS_KEY, assignments);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Finds the profile that applies to a track.
+ * @returns {{scope: "track"|"album"|"global", profile: Object|null}}
+ */
+export function resolveTrackProfile(assignments, track) {
+  const own = assignments.tracks[trackRef(track)];
+  if (own) return { scope: "track", profile: own };
+  const album = track.album ? assignments.albums[albumKey(track)] : null;
+  if (album) return { scope: "album", profile: album };
+  return { scope: "global", profile: null };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Returns new assignments with `profile` stored for the track at `scope`.
+ * "track" and "album" write that entry (assigning an album clears the
+ * track's own override so the album profile takes effect); "global" removes
+ * both so the track falls back to the global preset.
+ */
+export function assignProfile(assignments, track, scope, profile) {
+  const tracks = { ...assignments.tracks };
+  const albums = { ...assignments.albums };
+  const tKey = trackRef(track);
+  const aKey = albumKey(track);
+  const snapshot = profile ? { bands: profile.bands.map(b => ({ ...b })), presetId: profile.presetId || null } : null;
+  if (scope === "track") {
+    tracks[tKey] = snapshot;
+  } else if (scope === "album") {
+    delete tracks[tKey];
+    albums[aKey] = snapshot;
+  } else {
+    delete tracks[tKey];
+    delete albums[aKey];
+  }
+  return { tracks, albums };
+}
@@ -0,0 +1,74 @@
+import { createBandLayout } from "./equalizer";
+import { albumKey, assignProfile, loadEqAssignments, resolveTrackProfile, saveEqAssignments } from "./eqProfiles";
+
+const EMPTY = { tracks: {}, albums: {} };
+
+const profile = (gain, presetId = null) => ({
+  bands: createBandLayout(5).map(b => ({ ...b, gain })),
+  presetId,
+});
+
+// Two untagged uploads with the same file name, from different folders
+const upload = (id, path) => ({ id, src: `blob:${id}`, isUploaded: true, path, title: "Intro", artist: "", album: "" });
+
+describe("EQ profiles", () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test("track profiles are per track, not per title", () => {
+    const a = upload("a", "Album One/Intro.mp3");
+    const b = upload("b", "Album Two/Intro.mp3");
+    const web = { src: "https://music.example/x/Intro.mp3", title: "Intro", artist: "", album: "" };
+    const assignments = assignProfile(EMPTY, a, "track", profile(3));
+    expect(Object.keys(assignments.tracks)).toEqual(["lib:a"]);
+    expect(resolveTrackProfile(assignments, a)).toEqual({ scope: "track", profile: profile(3) });
+    expect(resolveTrackProfile(assignments, b)).toEqual({ scope: "global", profile: null });
+    expect(resolveTrackProfile(assignments, web)).toEqual({ scope: "global", profile: null });
+  });
+
+  test("lookup order is track, then album, then global", () => {
+    const one = { id: "1", artist: "Band", album: "LP", title: "One" };
+    const two = { id: "2", artist: "Band", album: "LP", title: "Two" };
+    const single = { id: "3", artist: "Band", album: "", title: "Single" };
+
+    let assignments = assignProfile(EMPTY, one, "album", profile(-2, "builtin:Bass"));
+    expect(Object.keys(assignments.albums)).toEqual([albumKey(one)]);
+    expect(resolveTrackProfile(assignments, two)).toEqual({ scope: "album", profile: profile(-2, "builtin:Bass") });
+
+    assignments = assignProfile(assignments, two, "track", profile(4));
+    expect(resolveTrackProfile(assignments, two).scope).toBe("track");
+    expect(resolveTrackProfile(assignments, one).scope).toBe("album");
+
+    // A track without an album never picks up the artist's empty-album entry
+    assignments = assignProfile(assignments, single, "album", profile(1));
+    expect(resolveTrackProfile(assignments, { ...single, id: "4" })).toEqual({ scope: "global", profile: null });
+  });
+
+  test("assigning the album clears the track's own override; global clears both", () => {
+    const track = { id: "1", artist: "Band", album: "LP", title: "One" };
+    let assignments = assignProfile(EMPTY, track, "track", profile(4));
+    assignments = assignProfile(assignments, track, "album", profile(-1));
+    expect(assignments.tracks).toEqual({});
+    expect(resolveTrackProfile(assignments, track)).toEqual({ scope: "album", profile: profile(-1) });
+
+    assignments = assignProfile(assignments, track, "global", null);
+    expect(assignments).toEqual(EMPTY);
+  });
+
+  test("assignProfile copies the bands and leaves its input alone", () => {
+    const track = { id: "1", title: "One" };
+    const settings = profile(2);
+    const assignments = assignProfile(EMPTY, track, "track", settings);
+    settings.bands[0].gain = 9;
+    expect(assignments.tracks["lib:1"].bands[0].gain).toBe(2);
+    expect(EMPTY).toEqual({ tracks: {}, albums: {} });
+  });
+
+  test("saved assignments load back; invalid and old text-keyed entries are dropped", () => {
+    const saved = { tracks: { "lib:1": profile(2) }, albums: { "Band␟LP": profile(1) } };
+    saveEqAssignments({
+      tracks: { ...saved.tracks, "Band␟LP␟One": profile(5), "lib:2": { bands: "nope" } },
+      albums: saved.albums,
+    });
+    expect(loadEqAssignments()).toEqual(saved);
+  });
+});
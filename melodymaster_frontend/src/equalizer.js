@@ -0,0 +1,184 @@
+/**
+ * Parametric equalizer helpers: band layouts, the shared BiquadFilterNode chain
+ * factory and frequency-response computation for the EQ curve.
+ *
+ * A band is a plain object: { type, frequency, Q, gain }
+ *   - type: BiquadFilterNode type ("peaking", "lowshelf", ...)
+ *   - frequency: center/corner frequency in Hz
+ *   - Q: quality factor
+ *   - gain: dB gain (ignored by pass/notch types)
+ */
+
+// Supported band-count modes for the equalizer popup
+export const EQ_BAND_MODES = [5, 10, 31];
+
+// Filter types that can be picked per band
+export const EQ_FILTER_TYPES = ["peaking", "lowshelf", "highshelf", "lowpass", "highpass", "bandpass", "notch"];
+
+// Slider range in dB (symmetric)
+export const EQ_GAIN_RANGE = 12;
+
+export const EQ_MIN_FREQ = 20;
+export const EQ_MAX_FREQ = 20000;
+
+const LAYOUT_FREQUENCIES = {
+  5: [60, 230, 910, 3600, 14000],
+  10: [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000],
+  31: [
+    20, 25, 31.5, 40, 50, 63, 80, 100, 125, 160, 200, 250, 315, 400, 500, 630,
+    800, 1000, 1250, 1600, 2000, 2500, 3150, 4000, 5000, 6300, 8000, 10000, 12500, 16000, 20000,
+  ],
+};
+
+// Q values matching the band spacing: ~2 octaves, 1 octave, 1/3 octave
+const LAYOUT_Q = { 5: 0.67, 10: 1.41, 31: 4.32 };
+
+// PUBLIC_INTERFACE
+/**
+ * Builds the default flat band layout for a band-count mode.
+ * Outer bands are shelves, inner bands are peaking filters.
+ * @param {number} count - one of EQ_BAND_MODES
+ * @returns {Array<{type: string, frequency: number, Q: number, gain: number}>}
+ */
+export function createBandLayout(count) {
+  const freqs = LAYOUT_FREQUENCIES[count] || LAYOUT_FREQUENCIES[10];
+  const q = LAYOUT_Q[freqs.length];
+  return freqs.map((frequency, idx) => ({
+    type: idx === 0 ? "lowshelf" : idx === freqs.length - 1 ? "highshelf" : "peaking",
+    frequency,
+    Q: idx === 0 || idx === freqs.length - 1 ? 0.71 : q,
+    gain: 0,
+  }));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Copies a band's settings onto a BiquadFilterNode.
+ * @param {BiquadFilterNode} node
+ * @param {{type: string, frequency: number, Q: number, gain: number}} band
+ */
+export function applyBandToNode(node, band) {
+  if (node.type !== band.type) node.type = band.type;
+  node.frequency.value = band.frequency;
+  node.Q.value = band.Q;
+  node.gain.value = band.gain;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Like applyBandToNode, but glides frequency, Q and gain to the new values
+ * over `duration` seconds to avoid clicks. The filter type switches immediately.
+ * @param {BiquadFilterNode} node
+ * @param {{type: string, frequency: number, Q: number, gain: number}} band
+ * @param {number} [duration=0.15]
+ */
+export function rampBandToNode(node, band, duration = 0.15) {
+  const now = node.context.currentTime;
+  if (node.type !== band.type) node.type = band.type;
+  [["frequency", band.frequency], ["Q", band.Q], ["gain", band.gain]].forEach(([name, value]) => {
+    const param = node[name];
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(param.value, now);
+    param.linearRampToValueAtTime(value, now + duration);
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Creates one BiquadFilterNode per band. Nodes are not connected;
+ * use connectFilterChain to wire them in series.
+ * @param {BaseAudioContext} context
+ * @param {Array} bands
+ * @returns {BiquadFilterNode[]}
+ */
+export function createFilterChain(context, bands) {
+  return bands.map(band => {
+    const node = context.createBiquadFilter();
+    applyBandToNode(node, band);
+    return node;
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Connects input -> nodes[0] -> ... -> nodes[n-1] -> output.
+ * @param {AudioNode} input
+ * @param {AudioNode[]} nodes
+ * @param {AudioNode} output
+ */
+export function connectFilterChain(input, nodes, output) {
+  let prev = input;
+  nodes.forEach(node => {
+    prev.connect(node);
+    prev = node;
+  });
+  prev.connect(output);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Returns `count` log-spaced frequencies between min and max (inclusive).
+ */
+export function logFrequencies(count, min = EQ_MIN_FREQ, max = EQ_MAX_FREQ) {
+  const out = new Float32Array(count);
+  const ratio = Math.log(max / min);
+  for (let i = 0; i < count; i++) {
+    out[i] = min * Math.exp((ratio * i) / (count - 1));
+  }
+  return out;
+}
+
+// Filters on an offline context used only for getFrequencyResponse, so the
+// curve can be drawn before the live AudioContext exists (it needs a gesture).
+let probeContext = null;
+let probeNodes = [];
+
+function getProbeNodes(bands) {
+  if (!probeContext) {
+    const Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!Offline) return null;
+    probeContext = new Offline(1, 1, 48000);
+  }
+  while (probeNodes.length < bands.length) {
+    probeNodes.push(probeContext.createBiquadFilter());
+  }
+  return bands.map((band, idx) => {
+    applyBandToNode(probeNodes[idx], band);
+    return probeNodes[idx];
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Computes the combined magnitude response (dB) of a band set at the given
+ * frequencies using BiquadFilterNode.getFrequencyResponse.
+ * @param {Array} bands
+ * @param {Float32Array} freqs
+ * @returns {Float32Array|null} dB per frequency, or null if Web Audio is unavailable
+ */
+export function computeResponseCurve(bands, freqs) {
+  const nodes = getProbeNodes(bands);
+  if (!nodes) return null;
+  const total = new Float32Array(freqs.length);
+  const mag = new Float32Array(freqs.length);
+  const phase = new Float32Array(freqs.length);
+  nodes.forEach(node => {
+    node.getFrequencyResponse(freqs, mag, phase);
+    for (let i = 0; i < freqs.length; i++) {
+      total[i] += 20 * Math.log10(Math.max(mag[i], 1e-6));
+    }
+  });
+  return total;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Short frequency label, e.g. 63 -> "63", 1250 -> "1.3k", 16000 -> "16k".
+ */
+export function formatFrequency(hz) {
+  if (hz >= 1000) {
+    const k = hz / 1000;
+    return `${k >= 10 ? Math.round(k) : Math.round(k * 10) / 10}k`;
+  }
+  return `${Math.round(hz * 10) / 10}`;
+}
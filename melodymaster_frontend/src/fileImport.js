@@ -0,0 +1,239 @@
+/**
+ * Import pipeline for local audio: dropped files and folders, the upload
+ * input and directory picker all end up here.
+ *
+ * Each file is inspected (format + real playback probe), hashed so exact
+ * duplicates are skipped no matter what they're called, and tagged, with the
+ * folder structure filling in artist/album when the tags don't have them.
+ * .lrc files in the same batch are attached as lyrics to the audio file
+ * with the same name ("Song.lrc" next to "Song.mp3").
+ */
+import { inspectAudioFile } from "./audioFormats";
+import { readTrackMetadata } from "./trackMetadata";
+import { createTrackId } from "./libraryDb";
+import { isLrcFile, readLyricsFile } from "./lyrics";
+
+function readAllEntries(reader) {
+  // readEntries returns results in batches (100 in Chrome); keep reading until empty
+  return new Promise((resolve, reject) => {
+    const all = [];
+    const next = () =>
+      reader.readEntries(batch => {
+        if (!batch.length) resolve(all);
+        else {
+          all.push(...batch);
+          next();
+        }
+      }, reject);
+    next();
+  });
+}
+
+async function walkEntry(entry, out) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    out.push({ file, path: entry.fullPath.replace(/^\//, "") });
+  } else if (entry.isDirectory) {
+    const children = await readAllEntries(entry.createReader());
+    for (const child of children) {
+      await walkEntry(child, out);
+    }
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Collects files from a drop, descending into dropped folders.
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<Array<{file: File, path: string}>>} path is relative to the drop, e.g. "Artist/Album/01.mp3"
+ */
+export async function collectDroppedFiles(dataTransfer) {
+  const items = Array.from(dataTransfer.items || []);
+  // Entries must be grabbed synchronously, before the drop event handler returns
+  const entries = items
+    .filter(item => item.kind === "file")
+    .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+  if (entries.length && entries.every(Boolean)) {
+    const out = [];
+    for (const entry of entries) {
+      await walkEntry(entry, out);
+    }
+    return out;
+  }
+  return Array.from(dataTransfer.files || []).map(file => ({ file, path: file.name }));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Files from an <input type="file">, including webkitdirectory folder picks.
+ * @param {FileList} fileList
+ * @returns {Array<{file: File, path: string}>}
+ */
+export function filesFromInput(fileList) {
+  return Array.from(fileList || []).map(file => ({ file, path: file.webkitRelativePath || file.name }));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Artist/album hints from a relative path:
+ *   "Artist/Album/track.mp3" -> { artist, album }
+ *   "Album/track.mp3"        -> { album }
+ * Deeper paths use the two folders closest to the file.
+ */
+export function groupingFromPath(path) {
+  const parts = (path || "").split("/").filter(Boolean);
+  parts.pop(); // the file itself
+  if (parts.length >= 2) return { artist: parts[parts.length - 2], album: parts[parts.length - 1] };
+  if (parts.length === 1) return { album: parts[0] };
+  return {};
+}
+
+// Path without the extension, for pairing lyrics files with audio
+function pathStem(path) {
+  return (path || "").replace(/\.[^./]+$/, "").toLowerCase();
+}
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// FNV-1a over the bytes; only used where SubtleCrypto is unavailable (non-secure origins)
+function fnv1a(bytes) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    h ^= bytes[i];
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, "0");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Content hash of a Blob: SHA-256 hex, or "fnv-<size>-<hash>" without SubtleCrypto.
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export async function hashBlob(blob) {
+  const buffer = await blob.arrayBuffer();
+  if (window.crypto && window.crypto.subtle) {
+    return toHex(await window.crypto.subtle.digest("SHA-256", buffer));
+  }
+  return `fnv-${blob.size}-${fnv1a(new Uint8Array(buffer))}`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Runs the import pipeline over a batch of files, one file at a time.
+ * @param {Array<{file: File, path: string}>} items
+ * @param {Object} options
+ *   - knownHashes: Set<string> of content hashes already in the library
+ *   - onProgress: ({ done, total, current }) => void, called after each file
+ * .lrc files aren't imported themselves; their lyrics go on the matching record.
+ * @returns {Promise<{records: Array, rejected: Array<{name, reason}>, duplicates: Array<{name, path}>}>}
+ *   records are ready for addLibraryTracks. Never rejects for per-file problems.
+ */
+export async function importAudioFiles(items, { knownHashes = new Set(), onProgress } = {}) {
+  const seen = new Set(knownHashes);
+  const records = [];
+  const rejected = [];
+  const duplicates = [];
+  const addedAt = Date.now();
+  const lyricsFiles = new Map(items.filter(item => isLrcFile(item.file.name)).map(item => [pathStem(item.path), item.file]));
+  const audioItems = items.filter(item => !isLrcFile(item.file.name));
+
+  for (let i = 0; i < audioItems.length; i++) {
+    const { file, path } = audioItems[i];
+    if (onProgress) onProgress({ done: i, total: audioItems.length, current: path });
+
+    const inspected = await inspectAudioFile(file);
+    if (!inspected.ok) {
+      // Folder drops pick up cover.jpg, .nfo and friends; don't list those as failures
+      if (!/\.(jpe?g|png|gif|bmp|webp|txt|nfo|cue|log|m3u8?|pls|ini|db|ds_store)$/i.test(file.name)) {
+        rejected.push({ name: path, reason: inspected.reason });
+      }
+      continue;
+    }
+
+    let hash;
+    try {
+      hash = await hashBlob(file);
+    } catch (e) {
+      hash = null;
+    }
+    if (hash && seen.has(hash)) {
+      duplicates.push({ name: file.name, path });
+      continue;
+    }
+    if (hash) seen.add(hash);
+
+    const meta = await readTrackMetadata(file, groupingFromPath(path));
+    // An attached .lrc wins over lyrics in the tags
+    const lrc = lyricsFiles.get(pathStem(path));
+    const lyrics = (lrc && (await readLyricsFile(lrc).catch(() => null))) || meta.lyrics;
+    records.push({
+      id: createTrackId(),
+      title: meta.title,
+      artist: meta.artist,
+      album: meta.album,
+      trackNo: meta.track,
+      year: meta.year,
+      genre: meta.genre,
+      art: meta.art,
+      lyrics,
+      duration: inspected.duration != null ? Math.round(inspected.duration) : null,
+      audioInfo: inspected.audioInfo,
+      hash,
+      path,
+      name: file.name,
+      type: file.type,
+      size: file.size,
+      addedAt: addedAt + i,
+      blob: file,
+    });
+  }
+  if (onProgress) onProgress({ done: audioItems.length, total: audioItems.length, current: null });
+
+  // Keep folders together in the order they were found, tagged track order within each
+  const folderOrder = new Map();
+  const folderOf = r => r.path.slice(0, Math.max(0, r.path.lastIndexOf("/")));
+  records.forEach(r => {
+    if (!folderOrder.has(folderOf(r))) folderOrder.set(folderOf(r), folderOrder.size);
+  });
+  const trackNoOf = r => r.trackNo || Number.MAX_SAFE_INTEGER;
+  records.sort((a, b) =>
+    folderOrder.get(folderOf(a)) - folderOrder.get(folderOf(b)) ||
+    trackNoOf(a) - trackNoOf(b) ||
+    a.addedAt - b.addedAt
+  );
+  records.forEach((r, idx) => { r.addedAt = addedAt + idx; });
+  return { records, rejected, duplicates };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Content hashes for library tracks, computing (by re-reading their blob URL)
+ * any that were stored before hashes were recorded.
+ * @param {Array<{id?: string, src: string, hash?: string, isUploaded?: boolean}>} tracks
+ * @returns {Promise<{hashes: Set<string>, computed: Map<string, string>, failed: Array<{id, name, reason}>}>}
+ *   computed maps track id -> new hash; failed lists tracks whose audio couldn't
+ *   be read, so duplicates of them can't be detected
+ */
+export async function collectLibraryHashes(tracks) {
+  const hashes = new Set();
+  const computed = new Map();
+  const failed = [];
+  for (const track of tracks) {
+    if (track.hash) {
+      hashes.add(track.hash);
+    } else if (track.isUploaded && track.id) {
+      try {
+        const hash = await hashBlob(await (await fetch(track.src)).blob());
+        hashes.add(hash);
+        computed.set(track.id, hash);
+      } catch (e) {
+        failed.push({ id: track.id, name: track.path || track.name || track.title, reason: e.message });
+      }
+    }
+  }
+  return { hashes, computed, failed };
+}
@@ -0,0 +1,71 @@
+import { Blob } from "buffer";
+import { collectLibraryHashes, groupingFromPath, importAudioFiles } from "./fileImport";
+
+// The playback probe needs a real media stack; every audio file here "plays"
+jest.mock("./audioFormats", () => ({
+  ...jest.requireActual("./audioFormats"),
+  inspectAudioFile: async () => ({ ok: true, audioInfo: { format: "mp3", mime: "audio/mpeg" }, duration: 120 }),
+}));
+
+const file = (name, content) => Object.assign(new Blob([content]), { name });
+const item = (path, content) => ({ file: file(path.split("/").pop(), content), path });
+
+describe("importAudioFiles", () => {
+  test("pairs .lrc files with the audio file of the same path", async () => {
+    const { records, rejected } = await importAudioFiles([
+      item("Artist/Album/01 Song.mp3", "audio one"),
+      item("Artist/Album/01 Song.LRC", "[offset:250]\n[00:10.25][00:30.25]Hook\n[00:05.25]Intro\n"),
+      item("Other/01 Song.mp3", "audio two"),
+      item("Artist/Album/Orphan.lrc", "[00:01.00]No audio for me"),
+    ]);
+    expect(rejected).toEqual([]);
+    expect(records.map(r => r.path)).toEqual(["Artist/Album/01 Song.mp3", "Other/01 Song.mp3"]);
+    expect(records[0].lyrics).toEqual({
+      synced: true,
+      lines: [{ time: 5, text: "Intro" }, { time: 10, text: "Hook" }, { time: 30, text: "Hook" }],
+      source: "lrc",
+    });
+    // Same file name in another folder: not paired
+    expect(records[1].lyrics).toBeNull();
+  });
+
+  test("a plain-text lyrics file gives unsynced lines; an empty one gives none", async () => {
+    const { records } = await importAudioFiles([
+      item("a.mp3", "audio a"),
+      item("a.lrc", "First line\nSecond line\n"),
+      item("b.mp3", "audio b"),
+      item("b.lrc", "\n"),
+    ]);
+    expect(records.find(r => r.path === "a.mp3").lyrics).toMatchObject({ synced: false, source: "lrc" });
+    expect(records.find(r => r.path === "b.mp3").lyrics).toBeNull();
+  });
+});
+
+describe("collectLibraryHashes", () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test("hashes older library tracks and reports the ones it can't read", async () => {
+    // Blob URLs of tracks whose stored audio went missing fail to load
+    global.fetch = async url => {
+      if (url === "blob:ok") return { blob: async () => new Blob(["stored audio"]) };
+      throw new Error("Failed to fetch");
+    };
+    const { hashes, computed, failed } = await collectLibraryHashes([
+      { id: "a", src: "blob:a", hash: "known", isUploaded: true },
+      { id: "b", src: "blob:ok", isUploaded: true, path: "Album/b.mp3" },
+      { id: "c", src: "blob:gone", isUploaded: true, path: "Album/c.mp3" },
+      { src: "https://x/stream.mp3" },
+    ]);
+    expect(Array.from(computed.keys())).toEqual(["b"]);
+    expect(Array.from(hashes)).toEqual(["known", computed.get("b")]);
+    expect(failed).toEqual([{ id: "c", name: "Album/c.mp3", reason: "Failed to fetch" }]);
+  });
+});
+
+test("groupingFromPath", () => {
+  expect(groupingFromPath("Music/Artist/Album/01.mp3")).toEqual({ artist: "Artist", album: "Album" });
+  expect(groupingFromPath("Album/01.mp3")).toEqual({ album: "Album" });
+  expect(groupingFromPath("01.mp3")).toEqual({});
+});
@@ -0,0 +1,11 @@
+// PUBLIC_INTERFACE
+/**
+ * "m:ss" for a time in seconds; "--:--" when it isn't known (null, NaN, or
+ * the Infinity a live stream reports as its duration).
+ */
+export function formatTime(secs) {
+  if (!Number.isFinite(secs)) return "--:--";
+  const m = Math.floor(secs / 60);
+  const s = Math.floor(secs % 60);
+  return `${m}:${s.toString().padStart(2, "0")}`;
+}
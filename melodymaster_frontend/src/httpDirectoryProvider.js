@@ -0,0 +1,128 @@
+/**
+ * HTTP directory provider: crawls a web server's directory listing (Apache,
+ * nginx autoindex - HTML or JSON format - lighttpd, python -m http.server...)
+ * for audio files. Folders fill in artist/album like dropped folders do, and
+ * tags are read on demand with a ranged request.
+ */
+import { formatFromUrl } from "./audioFormats";
+import { groupingFromPath } from "./fileImport";
+import { metadataFromFilename } from "./trackMetadata";
+import { fetchRemoteTags } from "./urlProvider";
+
+// Crawl limits, so a huge or looping listing can't hang the app
+const MAX_DEPTH = 4;
+const MAX_TRACKS = 5000;
+const MAX_DIRECTORIES = 500;
+
+function safeDecode(str) {
+  try {
+    return decodeURIComponent(str);
+  } catch (e) {
+    return str;
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Links in a directory listing, as absolute URLs.
+ * @param {string} body - HTML listing, or nginx's JSON autoindex
+ * @param {string} baseUrl - URL of the listing (ending in "/")
+ * @returns {{files: string[], directories: string[]}} only entries below baseUrl
+ */
+export function parseDirectoryListing(body, baseUrl) {
+  let hrefs;
+  const trimmed = body.trim();
+  if (trimmed.startsWith("[")) {
+    // nginx autoindex_format json: [{ name, type: "file" | "directory" }]
+    hrefs = JSON.parse(trimmed).map(entry => encodeURIComponent(entry.name) + (entry.type === "directory" ? "/" : ""));
+  } else {
+    hrefs = Array.from(body.matchAll(/<a\s[^>]*href\s*=\s*["']([^"'#]+)["']/gi), m => m[1].replace(/&amp;/g, "&"));
+  }
+  const files = [];
+  const directories = [];
+  const seen = new Set();
+  hrefs.forEach(href => {
+    if (href.startsWith("?")) return; // column sorting links
+    let url;
+    try {
+      url = new URL(href, baseUrl);
+    } catch (e) {
+      return;
+    }
+    url.hash = "";
+    const abs = url.href;
+    // Parent links, other hosts and anything outside the listing
+    if (!abs.startsWith(baseUrl) || abs === baseUrl || seen.has(abs)) return;
+    seen.add(abs);
+    if (url.search === "" && abs.endsWith("/")) directories.push(abs);
+    else files.push(abs);
+  });
+  return { files, directories };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Track for an audio file found under rootUrl.
+ */
+export function trackFromDirectoryUrl(url, rootUrl, sourceId) {
+  const path = safeDecode(url.slice(rootUrl.length).split("?")[0]);
+  const fileName = path.slice(path.lastIndexOf("/") + 1);
+  const fromName = metadataFromFilename(fileName, { artist: "", album: "" });
+  const grouping = groupingFromPath(path);
+  const format = formatFromUrl(url);
+  return {
+    title: fromName.title,
+    artist: grouping.artist || fromName.artist,
+    album: grouping.album || fromName.album,
+    src: url,
+    duration: null,
+    path,
+    audioInfo: format ? { format } : null,
+    sourceId,
+    metadataGuessed: true,
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Creates an HTTP directory source (see sourceProviders.js for the interface).
+ * @param {Object} config - { url }: the listing to start from
+ * @param {Object} options - { id, fetch }
+ */
+export function createHttpDirectoryProvider(config, { id, fetch: fetchImpl }) {
+  const rootUrl = config.url.endsWith("/") ? config.url : `${config.url}/`;
+
+  async function list() {
+    const tracks = [];
+    const visited = new Set();
+    let queue = [rootUrl];
+    for (let depth = 0; depth <= MAX_DEPTH && queue.length; depth++) {
+      const nextQueue = [];
+      for (const dirUrl of queue) {
+        if (visited.has(dirUrl) || visited.size >= MAX_DIRECTORIES || tracks.length >= MAX_TRACKS) continue;
+        visited.add(dirUrl);
+        const response = await fetchImpl(dirUrl, { headers: { Accept: "text/html, application/json" } });
+        if (!response.ok) {
+          // The root must be readable; a broken subfolder is skipped
+          if (dirUrl === rootUrl) throw new Error(`Could not read ${dirUrl} (HTTP ${response.status}).`);
+          continue;
+        }
+        const { files, directories } = parseDirectoryListing(await response.text(), dirUrl);
+        files
+          .filter(url => formatFromUrl(url))
+          .slice(0, MAX_TRACKS - tracks.length)
+          .forEach(url => tracks.push(trackFromDirectoryUrl(url, rootUrl, id)));
+        nextQueue.push(...directories);
+      }
+      queue = nextQueue;
+    }
+    // Folder by folder, files in name order
+    return tracks.sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
+  }
+
+  return {
+    list,
+    resolve: async track => track.src,
+    metadata: async track => fetchRemoteTags(track.src, fetchImpl),
+  };
+}
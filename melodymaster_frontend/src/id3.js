@@ -0,0 +1,346 @@
+/**
+ * In-browser ID3 tag reader for MP3 files.
+ *
+ * Supports ID3v1/v1.1 (last 128 bytes) and ID3v2.3/v2.4 (start of file),
+ * including whole-tag and per-frame unsynchronisation, extended headers and
+ * the v2.4 data-length indicator. Compressed and encrypted frames are skipped.
+ */
+
+// ID3v1 genre table (0-79 standard, 80-147 Winamp extensions)
+export const ID3V1_GENRES = [
+  "Blues", "Classic Rock", "Country", "Dance", "Disco", "Funk", "Grunge", "Hip-Hop", "Jazz", "Metal",
+  "New Age", "Oldies", "Other", "Pop", "R&B", "Rap", "Reggae", "Rock", "Techno", "Industrial",
+  "Alternative", "Ska", "Death Metal", "Pranks", "Soundtrack", "Euro-Techno", "Ambient", "Trip-Hop", "Vocal", "Jazz+Funk",
+  "Fusion", "Trance", "Classical", "Instrumental", "Acid", "House", "Game", "Sound Clip", "Gospel", "Noise",
+  "AlternRock", "Bass", "Soul", "Punk", "Space", "Meditative", "Instrumental Pop", "Instrumental Rock", "Ethnic", "Gothic",
+  "Darkwave", "Techno-Industrial", "Electronic", "Pop-Folk", "Eurodance", "Dream", "Southern Rock", "Comedy", "Cult", "Gangsta",
+  "Top 40", "Christian Rap", "Pop/Funk", "Jungle", "Native American", "Cabaret", "New Wave", "Psychadelic", "Rave", "Showtunes",
+  "Trailer", "Lo-Fi", "Tribal", "Acid Punk", "Acid Jazz", "Polka", "Retro", "Musical", "Rock & Roll", "Hard Rock",
+  "Folk", "Folk-Rock", "National Folk", "Swing", "Fast Fusion", "Bebob", "Latin", "Revival", "Celtic", "Bluegrass",
+  "Avantgarde", "Gothic Rock", "Progressive Rock", "Psychedelic Rock", "Symphonic Rock", "Slow Rock", "Big Band", "Chorus", "Easy Listening", "Acoustic",
+  "Humour", "Speech", "Chanson", "Opera", "Chamber Music", "Sonata", "Symphony", "Booty Bass", "Primus", "Porn Groove",
+  "Satire", "Slow Jam", "Club", "Tango", "Samba", "Folklore", "Ballad", "Power Ballad", "Rhythmic Soul", "Freestyle",
+  "Duet", "Punk Rock", "Drum Solo", "A capella", "Euro-House", "Dance Hall", "Goa", "Drum & Bass", "Club-House", "Hardcore",
+  "Terror", "Indie", "BritPop", "Negerpunk", "Polsk Punk", "Beat", "Christian Gangsta Rap", "Heavy Metal", "Black Metal", "Crossover",
+  "Contemporary Christian", "Christian Rock", "Merengue", "Salsa", "Thrash Metal", "Anime", "JPop", "Synthpop",
+];
+
+const TEXT_ENCODINGS = ["iso-8859-1", "utf-16", "utf-16be", "utf-8"];
+
+function decodeText(bytes, encoding) {
+  if (!bytes.length) return "";
+  try {
+    return new TextDecoder(TEXT_ENCODINGS[encoding] || "iso-8859-1").decode(bytes);
+  } catch (e) {
+    return String.fromCharCode.apply(null, Array.from(bytes));
+  }
+}
+
+/**
+ * Finds the end of a null-terminated string starting at `start`.
+ * UTF-16 encodings (1, 2) use a two-byte terminator on an even boundary.
+ * @returns {[number, number]} [end of string, start of next field]
+ */
+function findTerminator(bytes, start, encoding) {
+  if (encoding === 1 || encoding === 2) {
+    for (let i = start; i + 1 < bytes.length; i += 2) {
+      if (bytes[i] === 0 && bytes[i + 1] === 0) return [i, i + 2];
+    }
+    return [bytes.length, bytes.length];
+  }
+  for (let i = start; i < bytes.length; i++) {
+    if (bytes[i] === 0) return [i, i + 1];
+  }
+  return [bytes.length, bytes.length];
+}
+
+function cleanText(str) {
+  // eslint-disable-next-line no-control-regex
+  return str.replace(/^\uFEFF/, "").replace(/\u0000+$/, "").trim();
+}
+
+function synchsafe(bytes, offset) {
+  return (
+    ((bytes[offset] & 0x7f) << 21) |
+    ((bytes[offset + 1] & 0x7f) << 14) |
+    ((bytes[offset + 2] & 0x7f) << 7) |
+    (bytes[offset + 3] & 0x7f)
+  );
+}
+
+function uint32(bytes, offset) {
+  return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+/**
+ * Reverses unsynchronisation: every 0xFF 0x00 pair becomes 0xFF.
+ */
+function removeUnsync(bytes) {
+  const out = new Uint8Array(bytes.length);
+  let j = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    out[j++] = bytes[i];
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+  }
+  return out.subarray(0, j);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Decodes a text frame body (T*** frames). v2.4 multi-value strings are
+ * null-separated; they're joined with " / ".
+ */
+export function decodeTextFrame(data) {
+  if (!data.length) return "";
+  const encoding = data[0];
+  const text = decodeText(data.subarray(1), encoding);
+  return text
+    .split("\u0000")
+    .map(cleanText)
+    .filter(Boolean)
+    .join(" / ");
+}
+
+/**
+ * Decodes a TXXX user-defined text frame into { description, value }.
+ */
+function decodeUserTextFrame(data) {
+  const encoding = data[0];
+  const [descEnd, valueStart] = findTerminator(data, 1, encoding);
+  return {
+    description: cleanText(decodeText(data.subarray(1, descEnd), encoding)),
+    value: cleanText(decodeText(data.subarray(valueStart), encoding)),
+  };
+}
+
+/**
+ * Decodes an APIC frame into { mime, type, description, data }.
+ */
+function decodePictureFrame(data) {
+  const encoding = data[0];
+  const [mimeEnd] = findTerminator(data, 1, 0);
+  let mime = cleanText(decodeText(data.subarray(1, mimeEnd), 0)).toLowerCase();
+  if (!mime || mime === "-->") return null; // linked pictures aren't supported
+  if (!mime.includes("/")) mime = `image/${mime === "jpg" ? "jpeg" : mime}`;
+  const type = data[mimeEnd + 1];
+  const [descEnd, picStart] = findTerminator(data, mimeEnd + 2, encoding);
+  return {
+    mime,
+    type,
+    description: cleanText(decodeText(data.subarray(mimeEnd + 2, descEnd), encoding)),
+    data: data.slice(picStart),
+  };
+}
+
+/**
+ * Decodes a USLT frame (unsynchronised lyrics) into its text.
+ */
+function decodeLyricsFrame(data) {
+  const encoding = data[0];
+  // encoding, 3-byte language, content descriptor, text
+  const [, textStart] = findTerminator(data, 4, encoding);
+  return cleanText(decodeText(data.subarray(textStart), encoding));
+}
+
+/**
+ * Decodes a SYLT frame (synchronised lyrics) into [{ time, text }], time in
+ * seconds. Only millisecond timestamps are supported; MPEG-frame stamps give null.
+ */
+function decodeSyncedLyricsFrame(data) {
+  const encoding = data[0];
+  // encoding, 3-byte language, timestamp format, content type, descriptor, then text + 32-bit time pairs
+  if (data[4] !== 2) return null;
+  let [, pos] = findTerminator(data, 6, encoding);
+  const lines = [];
+  while (pos < data.length) {
+    const [textEnd, timeStart] = findTerminator(data, pos, encoding);
+    if (timeStart + 4 > data.length) break;
+    lines.push({
+      time: uint32(data, timeStart) / 1000,
+      text: cleanText(decodeText(data.subarray(pos, textEnd), encoding)),
+    });
+    pos = timeStart + 4;
+  }
+  return lines;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Resolves ID3 genre strings: "(17)", "17", "(17)Rock" and "RX"/"CR" codes.
+ */
+export function resolveGenre(raw) {
+  if (!raw) return "";
+  const str = raw.trim();
+  const refs = str.match(/^\((\d+|RX|CR)\)(.*)$/);
+  if (refs) {
+    if (refs[2]) return refs[2].trim();
+    if (refs[1] === "RX") return "Remix";
+    if (refs[1] === "CR") return "Cover";
+    return ID3V1_GENRES[+refs[1]] || "";
+  }
+  if (/^\d+$/.test(str)) return ID3V1_GENRES[+str] || str;
+  return str;
+}
+
+function parseTrackNumber(raw) {
+  const n = parseInt(String(raw || "").split("/")[0], 10);
+  return isFinite(n) && n > 0 ? n : null;
+}
+
+function parseYear(raw) {
+  const m = String(raw || "").match(/\d{4}/);
+  return m ? +m[0] : null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Size in bytes of an ID3v2 tag (header, body and footer) given the first
+ * 10 bytes of a file, or 0 if the file doesn't start with an ID3v2 tag.
+ * @param {Uint8Array} header
+ */
+export function getId3v2Size(header) {
+  if (header.length < 10 || header[0] !== 0x49 || header[1] !== 0x44 || header[2] !== 0x33) return 0;
+  const hasFooter = header[3] === 4 && (header[5] & 0x10);
+  return 10 + synchsafe(header, 6) + (hasFooter ? 10 : 0);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Iterates the frames of an ID3v2.3/2.4 tag.
+ * @param {Uint8Array} bytes - the complete tag, starting with "ID3"
+ * @returns {Array<{id: string, data: Uint8Array}>|null} frames, or null if unsupported
+ */
+export function readId3v2Frames(bytes) {
+  if (!getId3v2Size(bytes)) return null;
+  const version = bytes[3];
+  if (version !== 3 && version !== 4) return null;
+  const flags = bytes[5];
+  const tagSize = synchsafe(bytes, 6);
+  let body = bytes.subarray(10, Math.min(bytes.length, 10 + tagSize));
+  // v2.3 unsynchronises the whole tag; v2.4 does it per frame
+  if (version === 3 && flags & 0x80) body = removeUnsync(body);
+
+  let pos = 0;
+  if (flags & 0x40) {
+    // Extended header: v2.3 size excludes its own 4 bytes, v2.4 size is synchsafe and inclusive
+    pos = version === 3 ? uint32(body, 0) + 4 : synchsafe(body, 0);
+  }
+
+  const frames = [];
+  while (pos + 10 <= body.length) {
+    if (body[pos] === 0) break; // padding
+    const id = String.fromCharCode(body[pos], body[pos + 1], body[pos + 2], body[pos + 3]);
+    if (!/^[A-Z0-9]{4}$/.test(id)) break;
+    const size = version === 4 ? synchsafe(body, pos + 4) : uint32(body, pos + 4);
+    const formatFlags = body[pos + 9];
+    const start = pos + 10;
+    pos = start + size;
+    if (size <= 0 || pos > body.length) break;
+
+    let data = body.subarray(start, start + size);
+    if (version === 4) {
+      if (formatFlags & 0x0c) continue; // compressed or encrypted
+      if (formatFlags & 0x01) data = data.subarray(4); // data length indicator
+      if (formatFlags & 0x02 || flags & 0x80) data = removeUnsync(data);
+    } else if (formatFlags & 0xc0) {
+      continue; // v2.3 compressed or encrypted
+    }
+    frames.push({ id, data });
+  }
+  return frames;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Parses an ID3v2.3/2.4 tag into common fields.
+ * @param {Uint8Array} bytes - the complete tag
+ * @returns {Object|null} { version, title, artist, album, track, year, genre, picture, userText,
+ *   lyrics (USLT text), syncedLyrics (SYLT [{ time, text }]) }
+ */
+export function parseId3v2(bytes) {
+  const frames = readId3v2Frames(bytes);
+  if (!frames) return null;
+  const tags = { version: `2.${bytes[3]}`, userText: {} };
+  let picture = null;
+  frames.forEach(({ id, data }) => {
+    switch (id) {
+      case "TIT2": tags.title = decodeTextFrame(data); break;
+      case "TPE1": tags.artist = decodeTextFrame(data); break;
+      case "TPE2": tags.albumArtist = decodeTextFrame(data); break;
+      case "TALB": tags.album = decodeTextFrame(data); break;
+      case "TRCK": tags.track = parseTrackNumber(decodeTextFrame(data)); break;
+      case "TYER":
+      case "TDRC":
+        tags.year = tags.year || parseYear(decodeTextFrame(data));
+        break;
+      case "TCON": tags.genre = resolveGenre(decodeTextFrame(data)); break;
+      case "TXXX": {
+        const { description, value } = decodeUserTextFrame(data);
+        if (description) tags.userText[description.toUpperCase()] = value;
+        break;
+      }
+      case "USLT":
+        tags.lyrics = tags.lyrics || decodeLyricsFrame(data);
+        break;
+      case "SYLT": {
+        // Keep the first lyrics frame (content type 1, or 0 "other") with millisecond stamps
+        const lines = data[5] === 1 || data[5] === 0 ? decodeSyncedLyricsFrame(data) : null;
+        if (lines && lines.length && !tags.syncedLyrics) tags.syncedLyrics = lines;
+        break;
+      }
+      case "APIC": {
+        const pic = decodePictureFrame(data);
+        // Prefer the front cover (type 3); otherwise keep the first picture
+        if (pic && pic.data.length && (!picture || (pic.type === 3 && picture.type !== 3))) picture = pic;
+        break;
+      }
+      default:
+        break;
+    }
+  });
+  tags.picture = picture;
+  return tags;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Parses a 128-byte ID3v1/v1.1 tag.
+ * @param {Uint8Array} bytes - the last 128 bytes of the file
+ * @returns {Object|null} { version, title, artist, album, track, year, genre }
+ */
+export function parseId3v1(bytes) {
+  if (bytes.length !== 128 || bytes[0] !== 0x54 || bytes[1] !== 0x41 || bytes[2] !== 0x47) return null;
+  const field = (start, len) => cleanText(decodeText(bytes.subarray(start, start + len), 0).split("\u0000")[0]);
+  const isV11 = bytes[125] === 0 && bytes[126] !== 0;
+  return {
+    version: isV11 ? "1.1" : "1",
+    title: field(3, 30),
+    artist: field(33, 30),
+    album: field(63, 30),
+    year: parseYear(field(93, 4)),
+    track: isV11 ? bytes[126] : null,
+    genre: ID3V1_GENRES[bytes[127]] || "",
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Reads ID3v2 and ID3v1 tags from an audio File/Blob. ID3v2 values win;
+ * ID3v1 fills in whatever v2 is missing.
+ * @param {Blob} file
+ * @returns {Promise<Object|null>} merged tags, or null if the file has none.
+ *   picture is { mime, type, description, data: Uint8Array } when present.
+ */
+export async function readId3Tags(file) {
+  const head = new Uint8Array(await file.slice(0, 10).arrayBuffer());
+  const v2Size = getId3v2Size(head);
+  const v2 = v2Size ? parseId3v2(new Uint8Array(await file.slice(0, v2Size).arrayBuffer())) : null;
+  const v1 = file.size >= 128 ? parseId3v1(new Uint8Array(await file.slice(file.size - 128).arrayBuffer())) : null;
+  if (!v2 && !v1) return null;
+  const merged = { ...(v1 || {}) };
+  Object.entries(v2 || {}).forEach(([key, value]) => {
+    if (value != null && value !== "") merged[key] = value;
+  });
+  merged.version = [v2 && `ID3v${v2.version}`, v1 && `ID3v${v1.version}`].filter(Boolean).join(" + ");
+  return merged;
+}
@@ -0,0 +1,181 @@
+/**
+ * @jest-environment node
+ */
+import { Blob } from "buffer";
+import { getId3v2Size, parseId3v1, parseId3v2, readId3Tags, readId3v2Frames, resolveGenre } from "./id3";
+
+// --- Byte-level fixture builders ---
+
+const concat = (...parts) => Uint8Array.from(parts.flatMap(part => Array.from(part)));
+const ascii = str => Array.from(Buffer.from(str, "latin1"));
+const synchsafe = n => [(n >> 21) & 0x7f, (n >> 14) & 0x7f, (n >> 7) & 0x7f, n & 0x7f];
+const uint32 = n => [(n >>> 24) & 0xff, (n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
+
+// Encoded string: 0 Latin-1, 1 UTF-16 with a little-endian BOM, 2 UTF-16BE, 3 UTF-8
+function text(str, encoding) {
+  if (encoding === 1) return [0xff, 0xfe, ...Buffer.from(str, "utf16le")];
+  if (encoding === 2) return Array.from(Buffer.from(str, "utf16le").swap16());
+  return Array.from(Buffer.from(str, encoding === 3 ? "utf8" : "latin1"));
+}
+const terminator = encoding => (encoding === 1 || encoding === 2 ? [0, 0] : [0]);
+
+// Unsynchronisation: a 0x00 after every 0xFF
+const unsync = bytes => Array.from(bytes).flatMap(b => (b === 0xff ? [0xff, 0x00] : [b]));
+
+function frame(id, data, { version = 3, flags = 0 } = {}) {
+  const size = version === 4 ? synchsafe(data.length) : uint32(data.length);
+  return concat(ascii(id), size, [0, flags], data);
+}
+
+function tag(version, frames, { flags = 0, padding = 0 } = {}) {
+  const body = concat(...frames, new Array(padding).fill(0));
+  return concat(ascii("ID3"), [version, 0, flags], synchsafe(body.length), body);
+}
+
+const textFrame = (id, str, encoding = 0, version = 3) => frame(id, [encoding, ...text(str, encoding)], { version });
+
+function pictureFrame(mime, type, description, data, encoding = 0) {
+  return [encoding, ...ascii(mime), 0, type, ...text(description, encoding), ...terminator(encoding), ...data];
+}
+
+// A JPEG start, full of the 0xFF bytes unsynchronisation exists for
+const JPEG = [0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0xff, 0x00, 0xff];
+
+describe("id3", () => {
+  test("reads v2.3 text frames in Latin-1 and UTF-16", () => {
+    const tags = parseId3v2(tag(3, [
+      textFrame("TIT2", "Café Racer"),
+      textFrame("TPE1", "Mötley Crüe", 1),
+      textFrame("TALB", "Night Drive", 2),
+      textFrame("TRCK", "3/12"),
+      textFrame("TYER", "1987"),
+      textFrame("TCON", "(17)"),
+    ], { padding: 32 }));
+    expect(tags).toMatchObject({
+      version: "2.3",
+      title: "Café Racer",
+      artist: "Mötley Crüe",
+      album: "Night Drive",
+      track: 3,
+      year: 1987,
+      genre: "Rock",
+      picture: null,
+    });
+  });
+
+  test("joins v2.4 multi-value strings and reads the year from TDRC", () => {
+    const tags = parseId3v2(tag(4, [
+      textFrame("TPE1", "Daft Punk\u0000Pharrell", 3, 4),
+      textFrame("TDRC", "2013-05-17", 3, 4),
+    ]));
+    expect(tags).toMatchObject({ version: "2.4", artist: "Daft Punk / Pharrell", year: 2013 });
+  });
+
+  test("UTF-16 terminators are found on even boundaries only", () => {
+    // "aĀ" in UTF-16LE is 61 00 00 01: an odd-aligned 00 00 inside the description
+    const data = [1, ...text("aĀ", 1), 0, 0, ...text("-6.20 dB", 1)];
+    const tags = parseId3v2(tag(3, [frame("TXXX", data)]));
+    expect(tags.userText).toEqual({ "AĀ": "-6.20 dB" });
+  });
+
+  test("v2.3 whole-tag unsynchronisation and extended header", () => {
+    const extended = [...uint32(6), 0, 0, 0, 0, 0, 0];
+    const frames = concat(
+      extended,
+      frame("TIT2", [0, ...text("Unsynced", 0)]),
+      frame("APIC", pictureFrame("image/jpeg", 3, "cover", JPEG))
+    );
+    const bytes = concat(ascii("ID3"), [3, 0, 0x80 | 0x40], synchsafe(unsync(frames).length), unsync(frames));
+    const tags = parseId3v2(bytes);
+    expect(tags.title).toBe("Unsynced");
+    expect(Array.from(tags.picture.data)).toEqual(JPEG);
+  });
+
+  test("v2.4 per-frame unsynchronisation with a data length indicator", () => {
+    const body = pictureFrame("image/jpeg", 3, "", JPEG);
+    const stored = [...synchsafe(body.length), ...unsync(body)];
+    const tags = parseId3v2(tag(4, [
+      frame("APIC", stored, { version: 4, flags: 0x02 | 0x01 }),
+      textFrame("TIT2", "After", 3, 4),
+    ]));
+    expect(tags.picture).toMatchObject({ mime: "image/jpeg", type: 3 });
+    expect(Array.from(tags.picture.data)).toEqual(JPEG);
+    expect(tags.title).toBe("After");
+  });
+
+  test("skips compressed v2.4 frames and stops at padding", () => {
+    const frames = readId3v2Frames(tag(4, [
+      frame("TIT2", [3, ...text("zlib", 3)], { version: 4, flags: 0x08 }),
+      textFrame("TALB", "Kept", 3, 4),
+    ], { padding: 20 }));
+    expect(frames.map(f => f.id)).toEqual(["TALB"]);
+    expect(readId3v2Frames(concat(ascii("ID3"), [2, 0, 0], synchsafe(0)))).toBeNull();
+  });
+
+  test("APIC: prefers the front cover, fixes bare MIME types, ignores links", () => {
+    const tags = parseId3v2(tag(3, [
+      frame("APIC", pictureFrame("-->", 3, "", ascii("http://x/cover.jpg"))),
+      frame("APIC", pictureFrame("png", 0, "band", [1, 2, 3])),
+      frame("APIC", pictureFrame("jpg", 3, "Front", [4, 5], 1)),
+    ]));
+    expect(tags.picture).toMatchObject({ mime: "image/jpeg", type: 3, description: "Front" });
+    expect(Array.from(tags.picture.data)).toEqual([4, 5]);
+  });
+
+  test("USLT and SYLT lyrics", () => {
+    const uslt = [1, ...ascii("eng"), ...text("desc", 1), 0, 0, ...text("Line one\nLine two", 1)];
+    const sylt = [
+      0, ...ascii("eng"), 2, 1, ...ascii("Lyrics"), 0,
+      ...ascii("Hello"), 0, ...uint32(1500),
+      ...ascii("World"), 0, ...uint32(62250),
+    ];
+    // MPEG-frame timestamps (format 1) aren't supported and mustn't win
+    const frameStamped = [0, ...ascii("eng"), 1, 1, 0, ...ascii("Nope"), 0, ...uint32(10)];
+    const tags = parseId3v2(tag(3, [frame("USLT", uslt), frame("SYLT", frameStamped), frame("SYLT", sylt)]));
+    expect(tags.lyrics).toBe("Line one\nLine two");
+    expect(tags.syncedLyrics).toEqual([{ time: 1.5, text: "Hello" }, { time: 62.25, text: "World" }]);
+  });
+
+  test("tag size includes the v2.4 footer; other files have none", () => {
+    expect(getId3v2Size(concat(ascii("ID3"), [4, 0, 0x10], synchsafe(300)))).toBe(320);
+    expect(getId3v2Size(concat(ascii("ID3"), [3, 0, 0], synchsafe(300)))).toBe(310);
+    expect(getId3v2Size(Uint8Array.from([0xff, 0xfb, 0x90, 0, 0, 0, 0, 0, 0, 0]))).toBe(0);
+    expect(getId3v2Size(Uint8Array.from(ascii("ID3")))).toBe(0);
+  });
+
+  test("parses ID3v1.1 and resolves genres", () => {
+    const v1 = new Uint8Array(128);
+    v1.set(ascii("TAG"), 0);
+    v1.set(ascii("Title"), 3);
+    v1.set(ascii("Artist"), 33);
+    v1.set(ascii("Album"), 63);
+    v1.set(ascii("1999"), 93);
+    v1[126] = 7;
+    v1[127] = 52;
+    expect(parseId3v1(v1)).toEqual({
+      version: "1.1", title: "Title", artist: "Artist", album: "Album", year: 1999, track: 7, genre: "Electronic",
+    });
+    expect(parseId3v1(new Uint8Array(128))).toBeNull();
+
+    expect(resolveGenre("(17)")).toBe("Rock");
+    expect(resolveGenre("(17)Indie Rock")).toBe("Indie Rock");
+    expect(resolveGenre("(RX)")).toBe("Remix");
+    expect(resolveGenre("13")).toBe("Pop");
+    expect(resolveGenre("Shoegaze")).toBe("Shoegaze");
+  });
+
+  test("readId3Tags lets v2 values win and v1 fill the gaps", async () => {
+    const v2 = tag(3, [textFrame("TIT2", "From v2")]);
+    const v1 = new Uint8Array(128);
+    v1.set(ascii("TAG"), 0);
+    v1.set(ascii("From v1"), 3);
+    v1.set(ascii("V1 Artist"), 33);
+    const file = new Blob([v2, new Uint8Array(64), v1]);
+    expect(await readId3Tags(file)).toMatchObject({
+      version: "ID3v2.3 + ID3v1",
+      title: "From v2",
+      artist: "V1 Artist",
+    });
+    expect(await readId3Tags(new Blob([new Uint8Array(200)]))).toBeNull();
+  });
+});
@@ -1,7 +1,14 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
+// Fonts are bundled (latin subsets only) so the app looks the same offline
+import '@fontsource/inter/latin-400.css';
+import '@fontsource/inter/latin-500.css';
+import '@fontsource/inter/latin-600.css';
+import '@fontsource/inter/latin-700.css';
+import '@fontsource/orbitron/latin-700.css';
 import './index.css';
 import App from './App';
+import { registerServiceWorker } from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -9,3 +16,5 @@ root.render(
     <App />
   </React.StrictMode>
 );
+
+registerServiceWorker();
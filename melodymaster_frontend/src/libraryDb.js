@@ -0,0 +1,173 @@
+/**
+ * Persistent local music library in IndexedDB.
+ *
+ * Store "tracks" (keyPath "id") holds one record per uploaded file:
+ *   { id, title, artist, album, duration, hash, path, loudness, peaks, lyrics, name, type, size, addedAt, blob }
+ * hash is the SHA-256 of the file contents (used to skip duplicate imports),
+ * path the file's location relative to the dropped/picked folder.
+ * loudness is the cached normalization info (see loudness.js), set the first
+ * time the track plays with normalization on.
+ * peaks is the seek bar's waveform overview (see waveform.js), made the
+ * first time the track plays.
+ * lyrics are { synced, lines, source } (see lyrics.js), from the tags, an
+ * .lrc imported alongside or one attached later.
+ * The audio Blob is stored alongside its metadata; IndexedDB keeps it on
+ * disk and hands back a lazy Blob handle, so listing stays cheap.
+ */
+
+const DB_NAME = "melodymaster";
+const DB_VERSION = 1;
+const TRACKS_STORE = "tracks";
+
+let dbPromise = null;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Opens (and upgrades) the library database. The connection is shared.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openLibraryDb() {
+  if (dbPromise) return dbPromise;
+  if (!window.indexedDB) {
+    return Promise.reject(new Error("IndexedDB is not available in this browser."));
+  }
+  dbPromise = new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = event => {
+      const db = request.result;
+      if (event.oldVersion < 1) {
+        const store = db.createObjectStore(TRACKS_STORE, { keyPath: "id" });
+        store.createIndex("addedAt", "addedAt");
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error("Library database is open in another tab with an older version."));
+  }).catch(err => {
+    dbPromise = null;
+    throw err;
+  });
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openLibraryDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(TRACKS_STORE, mode);
+    fn(tx.objectStore(TRACKS_STORE));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Library transaction aborted."));
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Generates an id for a new library record.
+ */
+export function createTrackId() {
+  if (window.crypto && window.crypto.randomUUID) return window.crypto.randomUUID();
+  return `t-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Lists all library records, oldest first.
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listLibraryTracks() {
+  const db = await openLibraryDb();
+  const tx = db.transaction(TRACKS_STORE, "readonly");
+  const records = await promisify(tx.objectStore(TRACKS_STORE).index("addedAt").getAll());
+  return records;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Stores new records (including their audio blobs) in one transaction.
+ */
+export function addLibraryTracks(records) {
+  return withStore("readwrite", store => {
+    records.forEach(record => store.put(record));
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Merges a metadata patch into an existing record. No-op if the id is unknown.
+ */
+export function updateLibraryTrack(id, patch) {
+  return withStore("readwrite", store => {
+    const req = store.get(id);
+    req.onsuccess = () => {
+      if (req.result) store.put({ ...req.result, ...patch, id });
+    };
+  });
+}
+
+// PUBLIC_INTERFACE
+export function deleteLibraryTrack(id) {
+  return withStore("readwrite", store => {
+    store.delete(id);
+  });
+}
+
+// PUBLIC_INTERFACE
+export function clearLibrary() {
+  return withStore("readwrite", store => {
+    store.clear();
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Asks the browser not to evict the library under storage pressure.
+ * Resolves to whether storage is persisted; never rejects.
+ */
+export async function requestPersistentStorage() {
+  try {
+    if (navigator.storage && navigator.storage.persist) {
+      return await navigator.storage.persist();
+    }
+  } catch (e) {
+    // Some browsers reject outside a user gesture; treat it as a no
+  }
+  return false;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Storage usage for the origin: { usage, quota } in bytes. Falls back to
+ * the sum of library blob sizes (quota null) where StorageManager is missing.
+ * @param {Array<{size?: number}>} [tracks] - used for the fallback only
+ */
+export async function getStorageEstimate(tracks = []) {
+  try {
+    if (navigator.storage && navigator.storage.estimate) {
+      const { usage, quota } = await navigator.storage.estimate();
+      return { usage: usage || 0, quota: quota || null };
+    }
+  } catch (e) {
+    // Fall back to the library's own size below
+  }
+  return { usage: tracks.reduce((sum, t) => sum + (t.size || 0), 0), quota: null };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Human-readable byte size, e.g. 1536 -> "1.5 KB".
+ */
+export function formatBytes(bytes) {
+  if (!bytes) return "0 B";
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  const exp = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  const value = bytes / Math.pow(1024, exp);
+  return `${value >= 10 || exp === 0 ? Math.round(value) : value.toFixed(1)} ${units[exp]}`;
+}
@@ -0,0 +1,51 @@
+/**
+ * Local files provider: the IndexedDB library (see libraryDb.js). Imports
+ * and deletions go through libraryDb directly; this lists what's stored.
+ */
+import { listLibraryTracks } from "./libraryDb";
+
+// Source id of library tracks
+export const LOCAL_SOURCE_ID = "local";
+
+// PUBLIC_INTERFACE
+/**
+ * Library record -> tracklist track, with blob URLs for the audio and art.
+ * The caller owns the URLs and revokes them when the track goes away.
+ */
+export function libraryRecordToTrack(record) {
+  return {
+    id: record.id,
+    title: record.title,
+    artist: record.artist,
+    album: record.album,
+    trackNo: record.trackNo || null,
+    year: record.year || null,
+    genre: record.genre || "",
+    src: URL.createObjectURL(record.blob),
+    art: record.art ? URL.createObjectURL(record.art) : null,
+    duration: record.duration,
+    size: record.size,
+    audioInfo: record.audioInfo || null,
+    hash: record.hash || null,
+    path: record.path || record.name,
+    loudness: record.loudness || null,
+    peaks: record.peaks || null,
+    lyrics: record.lyrics || null,
+    sourceId: LOCAL_SOURCE_ID,
+    isUploaded: true,
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Creates the local library source (see sourceProviders.js for the interface).
+ */
+export function createLocalProvider() {
+  return {
+    list: async () => (await listLibraryTracks()).map(libraryRecordToTrack),
+    // Blob URLs are made when listing
+    resolve: async track => track.src,
+    // Tags were read on import
+    metadata: async () => ({}),
+  };
+}
@@ -0,0 +1,351 @@
+/**
+ * Loudness normalization: ReplayGain / R128 tags, EBU R128 measurement and
+ * the gain to play each track at.
+ *
+ * A track's loudness info ("analysis") is a plain object:
+ *   { source: "tags"|"measured", trackGain, trackPeak, albumGain, albumPeak, lufs, blocks }
+ *   - gains are dB relative to the ReplayGain 2 reference (-18 LUFS), peaks
+ *     linear (1.0 = full scale); album fields are null when unknown
+ *   - lufs and blocks only exist for measured tracks; blocks holds the
+ *     K-weighted energy of every 400 ms gating block, so an album's loudness
+ *     can be measured over all of its tracks together
+ */
+
+import { readId3Tags } from "./id3";
+import { readJson, writeJson } from "./storage";
+import { readVorbisComments } from "./vorbisComments";
+
+export const NORMALIZATION_MODES = ["track", "album", "off"];
+
+// ReplayGain 2.0 reference level
+export const REFERENCE_LUFS = -18;
+// R128_*_GAIN tags are relative to -23 LUFS
+const R128_REFERENCE_LUFS = -23;
+
+export const PREAMP_RANGE = 12;
+
+const NORMALIZATION_KEY = "melodymaster.normalization";
+const LOUDNESS_CACHE_KEY = "melodymaster.loudness";
+
+// Sample rate the audio is decoded (resampled) at for measuring
+const MEASURE_SAMPLE_RATE = 48000;
+// BS.1770 gating blocks: 400 ms, 75% overlap
+const BLOCK_HOPS = 4;
+const HOP_SECONDS = 0.1;
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+
+// PUBLIC_INTERFACE
+/**
+ * Loads { mode: "track"|"album"|"off", preamp: dB, limiter: boolean }.
+ */
+export function loadNormalizationSettings() {
+  const saved = readJson(NORMALIZATION_KEY, null) || {};
+  const preamp = Number(saved.preamp);
+  return {
+    mode: NORMALIZATION_MODES.includes(saved.mode) ? saved.mode : "track",
+    preamp: isFinite(preamp) ? Math.max(-PREAMP_RANGE, Math.min(PREAMP_RANGE, preamp)) : 0,
+    limiter: saved.limiter !== false,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function saveNormalizationSettings(settings) {
+  writeJson(NORMALIZATION_KEY, settings);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * track -> album -> off -> track
+ */
+export function nextNormalizationMode(mode) {
+  return NORMALIZATION_MODES[(NORMALIZATION_MODES.indexOf(mode) + 1) % NORMALIZATION_MODES.length];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Measured loudness of streamed (non-library) tracks, keyed by src. Block
+ * data is left out to keep localStorage small.
+ */
+export function loadLoudnessCache() {
+  return readJson(LOUDNESS_CACHE_KEY, {}) || {};
+}
+
+// PUBLIC_INTERFACE
+export function saveLoudnessCache(cache) {
+  writeJson(LOUDNESS_CACHE_KEY, cache);
+}
+
+function parseDb(value) {
+  const number = parseFloat(String(value).replace(",", "."));
+  return isFinite(number) ? number : null;
+}
+
+// R128 gains are Q7.8 fixed point integers
+function parseR128(value) {
+  const number = parseInt(value, 10);
+  return isFinite(number) ? number / 256 + (REFERENCE_LUFS - R128_REFERENCE_LUFS) : null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Reads ReplayGain (REPLAYGAIN_TRACK_GAIN="-6.20 dB", ..._PEAK) or R128
+ * (R128_TRACK_GAIN="-1536") fields. ReplayGain wins when both are present.
+ * @param {Object<string, string>} fields - upper-cased tag names
+ * @returns {Object|null} analysis with source "tags", or null without a track gain
+ */
+export function parseGainTags(fields) {
+  if (!fields) return null;
+  const field = name => (fields[name] != null && fields[name] !== "" ? fields[name] : null);
+  const peak = name => {
+    const value = field(name) != null ? parseFloat(field(name)) : NaN;
+    return isFinite(value) && value > 0 ? value : null;
+  };
+  let trackGain = field("REPLAYGAIN_TRACK_GAIN") != null ? parseDb(field("REPLAYGAIN_TRACK_GAIN")) : null;
+  let albumGain = field("REPLAYGAIN_ALBUM_GAIN") != null ? parseDb(field("REPLAYGAIN_ALBUM_GAIN")) : null;
+  if (trackGain == null && field("R128_TRACK_GAIN") != null) trackGain = parseR128(field("R128_TRACK_GAIN"));
+  if (albumGain == null && field("R128_ALBUM_GAIN") != null) albumGain = parseR128(field("R128_ALBUM_GAIN"));
+  if (trackGain == null) return null;
+  return {
+    source: "tags",
+    trackGain,
+    trackPeak: peak("REPLAYGAIN_TRACK_PEAK"),
+    albumGain,
+    albumPeak: peak("REPLAYGAIN_ALBUM_PEAK"),
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Looks for gain tags in ID3 TXXX frames (MP3) or Vorbis comments (FLAC, Ogg).
+ * @param {Blob} file
+ * @returns {Promise<Object|null>}
+ */
+export async function readGainTags(file) {
+  const vorbis = await readVorbisComments(file).catch(() => null);
+  if (vorbis) return parseGainTags(vorbis);
+  const id3 = await readId3Tags(file).catch(() => null);
+  return id3 ? parseGainTags(id3.userText) : null;
+}
+
+// BS.1770 K-weighting (high shelf + high pass) as biquad coefficients for `rate`
+function kWeightingFilters(rate) {
+  let f0 = 1681.974450955533;
+  let Q = 0.7071752369554196;
+  let K = Math.tan((Math.PI * f0) / rate);
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b: [(Vh + (Vb * K) / Q + K * K) / a0, (2 * (K * K - Vh)) / a0, (Vh - (Vb * K) / Q + K * K) / a0],
+    a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0],
+  };
+  f0 = 38.13547087602444;
+  Q = 0.5003270373238773;
+  K = Math.tan((Math.PI * f0) / rate);
+  a0 = 1 + K / Q + K * K;
+  const highPass = {
+    b: [1, -2, 1],
+    a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0],
+  };
+  return [shelf, highPass];
+}
+
+function biquad(samples, { b, a }) {
+  const out = new Float32Array(samples.length);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const x = samples[i];
+    const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+    x2 = x1; x1 = x;
+    y2 = y1; y1 = y;
+    out[i] = y;
+  }
+  return out;
+}
+
+// Channel weights for BS.1770: surround channels count +1.5 dB, LFE not at all
+function channelWeights(count) {
+  if (count === 6) return [1, 1, 1, 0, 1.41, 1.41];
+  return new Array(count).fill(1);
+}
+
+const energyToLufs = energy => -0.691 + 10 * Math.log10(energy);
+
+// Lets the UI breathe between channels of a long decode
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// PUBLIC_INTERFACE
+/**
+ * Integrated loudness over gating block energies, with the absolute (-70 LUFS)
+ * and relative (-10 LU) gates. Pass the blocks of several tracks for album loudness.
+ * @param {ArrayLike<number>|Array<ArrayLike<number>>} blockLists
+ * @returns {number|null} LUFS, or null for silence
+ */
+export function integrateLoudness(...blockLists) {
+  const absGated = [];
+  blockLists.forEach(blocks => {
+    for (let i = 0; i < blocks.length; i++) {
+      if (blocks[i] > 0 && energyToLufs(blocks[i]) > ABSOLUTE_GATE_LUFS) absGated.push(blocks[i]);
+    }
+  });
+  if (!absGated.length) return null;
+  const mean = list => list.reduce((sum, e) => sum + e, 0) / list.length;
+  const relativeGate = energyToLufs(mean(absGated)) + RELATIVE_GATE_LU;
+  const gated = absGated.filter(e => energyToLufs(e) > relativeGate);
+  return gated.length ? energyToLufs(mean(gated)) : null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Decodes a file with an OfflineAudioContext and measures its integrated
+ * loudness (EBU R128 / ITU-R BS.1770) and sample peak.
+ * @param {Blob} file
+ * @returns {Promise<Object>} analysis with source "measured"
+ */
+export async function measureLoudness(file) {
+  const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContextClass) throw new Error("OfflineAudioContext is not available in this browser.");
+  const data = await file.arrayBuffer();
+  const context = new OfflineContextClass(1, 1, MEASURE_SAMPLE_RATE);
+  const buffer = await new Promise((resolve, reject) => context.decodeAudioData(data, resolve, reject));
+
+  const rate = buffer.sampleRate;
+  const hopSize = Math.round(rate * HOP_SECONDS);
+  const hopCount = Math.floor(buffer.length / hopSize);
+  const weights = channelWeights(buffer.numberOfChannels);
+  const filters = kWeightingFilters(rate);
+  // Weighted mean square of every 100 ms hop, summed over channels
+  const hopEnergy = new Float64Array(hopCount);
+  let peak = 0;
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+    const samples = buffer.getChannelData(ch);
+    for (let i = 0; i < samples.length; i++) {
+      const abs = Math.abs(samples[i]);
+      if (abs > peak) peak = abs;
+    }
+    if (!weights[ch]) continue;
+    const weighted = filters.reduce(biquad, samples);
+    for (let hop = 0; hop < hopCount; hop++) {
+      let sum = 0;
+      for (let i = hop * hopSize, end = i + hopSize; i < end; i++) sum += weighted[i] * weighted[i];
+      hopEnergy[hop] += (weights[ch] * sum) / hopSize;
+    }
+    await nextTick();
+  }
+
+  const blocks = new Float32Array(Math.max(0, hopCount - BLOCK_HOPS + 1));
+  for (let b = 0; b < blocks.length; b++) {
+    let sum = 0;
+    for (let h = b; h < b + BLOCK_HOPS; h++) sum += hopEnergy[h];
+    blocks[b] = sum / BLOCK_HOPS;
+  }
+  const lufs = integrateLoudness(blocks);
+  return {
+    source: "measured",
+    trackGain: lufs == null ? 0 : REFERENCE_LUFS - lufs,
+    trackPeak: peak || null,
+    albumGain: null,
+    albumPeak: null,
+    lufs,
+    blocks,
+  };
+}
+
+// One file at a time: decoding holds the whole track in memory
+let decodeQueue = Promise.resolve();
+
+// PUBLIC_INTERFACE
+/**
+ * Runs a job that decodes a whole file once the queued ones are done, so
+ * loudness measurements and waveform overviews never decode side by side.
+ * @param {Function} job - returns a Promise
+ * @returns {Promise} the job's result
+ */
+export function enqueueDecode(job) {
+  const result = decodeQueue.then(job);
+  decodeQueue = result.catch(() => {});
+  return result;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Loudness info for a track: its gain tags if it has them, otherwise a
+ * measurement. Requests are queued and run one after another.
+ * @param {Object} track - needs a fetchable src (blob: URL or CORS-enabled)
+ * @returns {Promise<Object|null>} null if the audio couldn't be fetched or decoded
+ */
+export function analyzeTrack(track) {
+  return enqueueDecode(() =>
+    fetch(track.src)
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.blob();
+      })
+      .then(async blob => (await readGainTags(blob)) || measureLoudness(blob))
+      .catch(() => null)
+  );
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Album analysis from the measured tracks of one album: their blocks gated
+ * together, peak the loudest track's. Null unless every track has blocks.
+ * @param {Array<Object>} analyses
+ * @returns {{albumGain: number, albumPeak: number|null}|null}
+ */
+export function measureAlbumGain(analyses) {
+  if (!analyses.length || analyses.some(a => !a || !a.blocks)) return null;
+  const lufs = integrateLoudness(...analyses.map(a => a.blocks));
+  if (lufs == null) return null;
+  const peaks = analyses.map(a => a.trackPeak).filter(Boolean);
+  return { albumGain: REFERENCE_LUFS - lufs, albumPeak: peaks.length ? Math.max(...peaks) : null };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The gain to play a track at.
+ * Album mode falls back to the track gain when the album's is unknown. The
+ * preamp only applies to tracks with loudness info. Without the limiter the
+ * gain is capped so the track's peak can't clip.
+ * @param {Object|null} analysis
+ * @param {Object} settings - { mode, preamp, limiter }
+ * @param {Object|null} [album] - { albumGain, albumPeak } measured for the album
+ * @returns {number} dB
+ */
+export function normalizationGainDb(analysis, settings, album = null) {
+  if (!analysis || settings.mode === "off") return 0;
+  const albumGain = analysis.albumGain != null ? analysis.albumGain : album && album.albumGain;
+  const useAlbum = settings.mode === "album" && albumGain != null;
+  let gain = (useAlbum ? albumGain : analysis.trackGain) + settings.preamp;
+  const peak = useAlbum ? analysis.albumPeak || (album && album.albumPeak) || analysis.trackPeak : analysis.trackPeak;
+  if (!settings.limiter && peak) gain = Math.min(gain, -20 * Math.log10(peak));
+  return gain;
+}
+
+// PUBLIC_INTERFACE
+export function dbToGain(db) {
+  return Math.pow(10, db / 20);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Creates the clipping limiter: a hard-knee compressor just under full scale.
+ * With `enabled` false it is set to pass audio through untouched.
+ * @param {BaseAudioContext} context
+ * @returns {DynamicsCompressorNode}
+ */
+export function createLimiter(context, enabled = true) {
+  const limiter = context.createDynamicsCompressor();
+  limiter.knee.value = 0;
+  limiter.attack.value = 0.002;
+  limiter.release.value = 0.2;
+  setLimiterEnabled(limiter, enabled);
+  return limiter;
+}
+
+// PUBLIC_INTERFACE
+export function setLimiterEnabled(limiter, enabled) {
+  limiter.threshold.value = enabled ? -1 : 0;
+  limiter.ratio.value = enabled ? 20 : 1;
+}
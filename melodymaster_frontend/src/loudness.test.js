@@ -0,0 +1,104 @@
+import { Blob } from "buffer";
+import { integrateLoudness, measureLoudness, normalizationGainDb, parseGainTags } from "./loudness";
+
+// Mean-square energy of a gating block at a given loudness
+const energy = lufs => Math.pow(10, (lufs + 0.691) / 10);
+const lufsOf = e => -0.691 + 10 * Math.log10(e);
+
+describe("parseGainTags", () => {
+  test("reads ReplayGain values and peaks", () => {
+    expect(parseGainTags({
+      REPLAYGAIN_TRACK_GAIN: "-6.20 dB",
+      REPLAYGAIN_TRACK_PEAK: "0.988",
+      REPLAYGAIN_ALBUM_GAIN: "-7,5 dB",
+      REPLAYGAIN_ALBUM_PEAK: "bogus",
+    })).toEqual({ source: "tags", trackGain: -6.2, trackPeak: 0.988, albumGain: -7.5, albumPeak: null });
+  });
+
+  test("R128 gains are Q7.8 relative to -23 LUFS, so 5 dB up for the -18 LUFS reference", () => {
+    expect(parseGainTags({ R128_TRACK_GAIN: "-1536", R128_ALBUM_GAIN: "256" })).toEqual({
+      source: "tags", trackGain: -1, trackPeak: null, albumGain: 6, albumPeak: null,
+    });
+  });
+
+  test("ReplayGain wins over R128; no track gain means no tags", () => {
+    expect(parseGainTags({ REPLAYGAIN_TRACK_GAIN: "-3 dB", R128_TRACK_GAIN: "-1536", R128_ALBUM_GAIN: "0" }))
+      .toMatchObject({ trackGain: -3, albumGain: 5 });
+    expect(parseGainTags({ REPLAYGAIN_ALBUM_GAIN: "-3 dB" })).toBeNull();
+    expect(parseGainTags({ REPLAYGAIN_TRACK_GAIN: "" })).toBeNull();
+    expect(parseGainTags(null)).toBeNull();
+  });
+});
+
+describe("integrateLoudness", () => {
+  test("the absolute gate drops blocks below -70 LUFS", () => {
+    expect(integrateLoudness([energy(-20), energy(-80), 0, energy(-20)])).toBeCloseTo(-20, 6);
+    expect(integrateLoudness([0, energy(-75)])).toBeNull();
+    expect(integrateLoudness([])).toBeNull();
+  });
+
+  test("the relative gate drops blocks 10 LU under the absolute-gated mean", () => {
+    // Mean of the three is about -21.8 LUFS, gate about -31.8: the quiet block goes
+    expect(integrateLoudness([energy(-20), energy(-20), energy(-35)])).toBeCloseTo(-20, 6);
+    // Within 10 LU everything counts
+    expect(integrateLoudness([energy(-20), energy(-26)])).toBeCloseTo(lufsOf((energy(-20) + energy(-26)) / 2), 6);
+  });
+
+  test("several tracks' blocks are gated together", () => {
+    const together = integrateLoudness([energy(-14)], [energy(-20), energy(-20)]);
+    expect(together).toBeCloseTo(lufsOf((energy(-14) + 2 * energy(-20)) / 3), 6);
+  });
+});
+
+describe("measureLoudness", () => {
+  afterEach(() => {
+    delete window.OfflineAudioContext;
+  });
+
+  test("a full-scale 997 Hz sine in one channel reads -3.01 LUFS (BS.1770 calibration)", async () => {
+    const rate = 48000;
+    const samples = new Float32Array(rate * 3).map((_, i) => Math.sin((2 * Math.PI * 997 * i) / rate));
+    const buffer = { sampleRate: rate, length: samples.length, numberOfChannels: 1, getChannelData: () => samples };
+    // jsdom has no Web Audio; the decode just hands back the sine
+    window.OfflineAudioContext = class {
+      decodeAudioData(data, resolve) {
+        resolve(buffer);
+      }
+    };
+    const result = await measureLoudness(new Blob([new Uint8Array(8)]));
+    expect(result.source).toBe("measured");
+    expect(result.lufs).toBeCloseTo(-3.01, 1);
+    expect(result.trackGain).toBeCloseTo(-18 + 3.01, 1);
+    expect(result.trackPeak).toBeCloseTo(1, 3);
+    expect(result.blocks.length).toBe(27);
+  });
+});
+
+describe("normalizationGainDb", () => {
+  const track = { trackGain: 4, trackPeak: 0.5, albumGain: null, albumPeak: null };
+  const settings = (mode, preamp = 0, limiter = true) => ({ mode, preamp, limiter });
+
+  test("track gain plus the preamp; nothing for untagged tracks or when off", () => {
+    expect(normalizationGainDb(track, settings("track", -2))).toBe(2);
+    expect(normalizationGainDb(track, settings("off", 3))).toBe(0);
+    expect(normalizationGainDb(null, settings("track", 3))).toBe(0);
+  });
+
+  test("album mode uses the tagged, then the measured album gain, else the track's", () => {
+    expect(normalizationGainDb({ ...track, albumGain: -1 }, settings("album"))).toBe(-1);
+    expect(normalizationGainDb(track, settings("album"), { albumGain: 1.5, albumPeak: null })).toBe(1.5);
+    expect(normalizationGainDb(track, settings("album"))).toBe(4);
+    expect(normalizationGainDb(track, settings("album"), null)).toBe(4);
+  });
+
+  test("without the limiter the gain stops where the peak would clip", () => {
+    // A 0.5 peak leaves 6.02 dB of headroom
+    expect(normalizationGainDb({ ...track, trackGain: 9 }, settings("track", 0, false))).toBeCloseTo(6.0206, 3);
+    expect(normalizationGainDb({ ...track, trackGain: 9 }, settings("track", 0, true))).toBe(9);
+    expect(normalizationGainDb({ ...track, trackGain: 3 }, settings("track", 0, false))).toBe(3);
+    // Album mode caps on the album's peak
+    const album = { ...track, albumGain: 14, albumPeak: 0.25 };
+    expect(normalizationGainDb(album, settings("album", 0, false))).toBeCloseTo(12.0412, 3);
+    expect(normalizationGainDb({ ...album, albumPeak: null }, settings("album", 0, false))).toBeCloseTo(6.0206, 3);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Lyrics: LRC parsing, ID3 lyrics frames and per-track sync offsets.
+ *
+ * A track's lyrics are { synced, lines, source }:
+ *   - lines: [{ time, text }] sorted by time (seconds), or [{ time: null, text }]
+ *     when the lyrics aren't time-stamped (synced false)
+ *   - source: "lrc" (an attached .lrc file), "sylt" or "uslt" (ID3 frames),
+ *     "subsonic" (from the server, see subsonicProvider.js)
+ */
+import { readJson, writeJson } from "./storage";
+
+const OFFSETS_KEY = "melodymaster.lyricsOffsets";
+
+// Offset adjustment step and limit, in seconds
+export const LYRICS_OFFSET_STEP = 0.25;
+export const MAX_LYRICS_OFFSET = 30;
+
+// A leading [mm:ss], [mm:ss.xx] or [mm:ss:xx] time tag
+const TIME_TAG = /^\[(\d{1,3}):(\d{1,2}(?:[.:]\d{1,3})?)\]/;
+
+function tagSeconds(minutes, seconds) {
+  return Number(minutes) * 60 + Number(seconds.replace(":", "."));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Whether a file name looks like an LRC lyrics file.
+ */
+export function isLrcFile(name) {
+  return /\.lrc$/i.test(name || "");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Parses LRC text. Lines may carry several time tags ("[00:12.00][01:30.50]Chorus");
+ * enhanced-LRC word stamps ("<00:12.40>") are dropped and the [offset:ms] tag is
+ * applied (positive shows lyrics sooner, as in the spec). Other ID tags are ignored.
+ * @param {string} text
+ * @returns {Array<{time: number, text: string}>} sorted by time; empty if nothing is time-stamped
+ */
+export function parseLrc(text) {
+  const offsetTag = String(text || "").match(/^\s*\[offset:\s*([+-]?\d+)\s*\]/im);
+  const offset = offsetTag ? Number(offsetTag[1]) / 1000 : 0;
+  const lines = [];
+  String(text || "").split(/\r\n|\r|\n/).forEach(raw => {
+    const times = [];
+    let rest = raw.trim();
+    let m;
+    while ((m = TIME_TAG.exec(rest))) {
+      times.push(tagSeconds(m[1], m[2]));
+      rest = rest.slice(m[0].length);
+    }
+    if (!times.length) return;
+    const lyric = rest.replace(/<\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?>/g, "").replace(/\s+/g, " ").trim();
+    times.forEach(time => lines.push({ time: Math.max(0, time - offset), text: lyric }));
+  });
+  return lines.sort((a, b) => a.time - b.time);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Lyrics from free text: LRC when it has time tags (lyrics frames and .txt
+ * files often hold LRC), otherwise unsynced lines.
+ * @param {string} text
+ * @param {string} source - "lrc", "sylt" or "uslt"
+ * @returns {Object|null} lyrics, or null if the text is empty
+ */
+export function lyricsFromText(text, source) {
+  const synced = parseLrc(text);
+  if (synced.length) return { synced: true, lines: synced, source };
+  const lines = String(text || "").split(/\r\n|\r|\n/).map(line => line.trim());
+  while (lines.length && !lines[lines.length - 1]) lines.pop();
+  while (lines.length && !lines[0]) lines.shift();
+  if (!lines.length) return null;
+  return { synced: false, lines: lines.map(line => ({ time: null, text: line })), source };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Lyrics from parsed ID3 tags (see id3.js): SYLT when it has millisecond
+ * timestamps, else USLT.
+ * @param {Object|null} tags - { syncedLyrics, lyrics }
+ * @returns {Object|null}
+ */
+export function lyricsFromTags(tags) {
+  if (!tags) return null;
+  if (tags.syncedLyrics && tags.syncedLyrics.length) {
+    const lines = tags.syncedLyrics
+      .map(({ time, text }) => ({ time, text: text.replace(/^[\r\n]+/, "").trim() }))
+      .sort((a, b) => a.time - b.time);
+    return { synced: true, lines, source: "sylt" };
+  }
+  return tags.lyrics ? lyricsFromText(tags.lyrics, "uslt") : null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Reads an attached .lrc (or plain text) lyrics file.
+ * @param {Blob} file
+ * @returns {Promise<Object|null>} lyrics, or null if the file has none
+ */
+export async function readLyricsFile(file) {
+  return lyricsFromText(await file.text(), "lrc");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Lines shifted by `offset` seconds (positive shows them later).
+ */
+export function shiftLyrics(lines, offset) {
+  if (!offset) return lines;
+  return lines.map(line => (line.time == null ? line : { ...line, time: Math.max(0, line.time + offset) }));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Loads the per-track sync offsets: { [trackRef]: seconds }.
+ */
+export function loadLyricsOffsets() {
+  const saved = readJson(OFFSETS_KEY, null);
+  const out = {};
+  if (!saved || typeof saved !== "object") return out;
+  Object.keys(saved).forEach(ref => {
+    const value = Number(saved[ref]);
+    if (isFinite(value) && value) out[ref] = Math.max(-MAX_LYRICS_OFFSET, Math.min(MAX_LYRICS_OFFSET, value));
+  });
+  return out;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Persists the per-track sync offsets.
+ */
+export function saveLyricsOffsets(offsets) {
+  writeJson(OFFSETS_KEY, offsets);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * "+0.25s" style label for an offset.
+ */
+export function formatLyricsOffset(offset) {
+  if (!offset) return "0.00s";
+  return `${offset > 0 ? "+" : "−"}${Math.abs(offset).toFixed(2)}s`;
+}
@@ -0,0 +1,99 @@
+import {
+  MAX_LYRICS_OFFSET,
+  formatLyricsOffset,
+  loadLyricsOffsets,
+  lyricsFromTags,
+  lyricsFromText,
+  parseLrc,
+  saveLyricsOffsets,
+  shiftLyrics,
+} from "./lyrics";
+
+describe("parseLrc", () => {
+  test("repeats lines with several time tags and sorts by time", () => {
+    const text = [
+      "[ti:Song]",
+      "[ar:Someone]",
+      "[00:12.00][01:30.50]Chorus",
+      "[00:20:75]Colon hundredths",
+      "[00:05.25]Verse",
+      "no time tag here",
+      "[00:40.00]",
+    ].join("\r\n");
+    expect(parseLrc(text)).toEqual([
+      { time: 5.25, text: "Verse" },
+      { time: 12, text: "Chorus" },
+      { time: 20.75, text: "Colon hundredths" },
+      { time: 40, text: "" },
+      { time: 90.5, text: "Chorus" },
+    ]);
+  });
+
+  test("[offset:] moves every line, positive meaning sooner", () => {
+    const text = "[00:00.25]Early\n[offset: +500]\n[00:12.00][01:30.50]Chorus\n";
+    expect(parseLrc(text)).toEqual([
+      { time: 0, text: "Early" },
+      { time: 11.5, text: "Chorus" },
+      { time: 90, text: "Chorus" },
+    ]);
+    expect(parseLrc("[offset:-250]\n[00:01.00]Later").map(l => l.time)).toEqual([1.25]);
+  });
+
+  test("drops enhanced-LRC word stamps", () => {
+    expect(parseLrc("[00:05.20]<00:05.20>Word  <00:05.80>by <00:06.10>word")).toEqual([{ time: 5.2, text: "Word by word" }]);
+  });
+
+  test("text without time tags has no synced lines", () => {
+    expect(parseLrc("Just words\n[ar:Tag only]")).toEqual([]);
+    expect(parseLrc(null)).toEqual([]);
+  });
+});
+
+describe("lyrics sources", () => {
+  test("lyricsFromText: synced when time-stamped, trimmed lines otherwise", () => {
+    expect(lyricsFromText("[00:01.00]One", "lrc")).toEqual({ synced: true, lines: [{ time: 1, text: "One" }], source: "lrc" });
+    expect(lyricsFromText("\n\n  First\n\nSecond  \n\n", "uslt")).toEqual({
+      synced: false,
+      lines: [{ time: null, text: "First" }, { time: null, text: "" }, { time: null, text: "Second" }],
+      source: "uslt",
+    });
+    expect(lyricsFromText(" \n ", "lrc")).toBeNull();
+  });
+
+  test("lyricsFromTags prefers SYLT, sorted, over USLT", () => {
+    const syncedLyrics = [{ time: 3, text: "\nTwo" }, { time: 1, text: "One " }];
+    expect(lyricsFromTags({ syncedLyrics, lyrics: "Plain" })).toEqual({
+      synced: true,
+      lines: [{ time: 1, text: "One" }, { time: 3, text: "Two" }],
+      source: "sylt",
+    });
+    // LRC pasted into a USLT frame is still synced
+    expect(lyricsFromTags({ syncedLyrics: [], lyrics: "[00:02.00]Two" })).toMatchObject({ synced: true, source: "uslt" });
+    expect(lyricsFromTags({ syncedLyrics: null, lyrics: "" })).toBeNull();
+    expect(lyricsFromTags(null)).toBeNull();
+  });
+});
+
+describe("sync offsets", () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test("shiftLyrics moves synced lines and never before zero", () => {
+    const lines = [{ time: 0.5, text: "a" }, { time: 10, text: "b" }];
+    expect(shiftLyrics(lines, 0)).toBe(lines);
+    expect(shiftLyrics(lines, -1)).toEqual([{ time: 0, text: "a" }, { time: 9, text: "b" }]);
+    expect(shiftLyrics([{ time: null, text: "unsynced" }], 2)).toEqual([{ time: null, text: "unsynced" }]);
+  });
+
+  test("saved offsets are clamped and bad values dropped", () => {
+    saveLyricsOffsets({ "lib:1": 1.25, "lib:2": 99, "lib:3": "x", "lib:4": 0 });
+    expect(loadLyricsOffsets()).toEqual({ "lib:1": 1.25, "lib:2": MAX_LYRICS_OFFSET });
+    window.localStorage.setItem("melodymaster.lyricsOffsets", "not json");
+    expect(loadLyricsOffsets()).toEqual({});
+  });
+
+  test("formatLyricsOffset", () => {
+    expect(formatLyricsOffset(0)).toBe("0.00s");
+    expect(formatLyricsOffset(0.25)).toBe("+0.25s");
+    expect(formatLyricsOffset(-1.5)).toBe("−1.50s");
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Media Session API glue: OS media keys, notification and lock-screen
+ * controls. Every function is a no-op where navigator.mediaSession is missing.
+ */
+
+export const MEDIA_SESSION_ACTIONS = [
+  "play", "pause", "previoustrack", "nexttrack", "seekto", "seekbackward", "seekforward",
+];
+
+const session = () => (typeof navigator !== "undefined" && navigator.mediaSession) || null;
+
+// PUBLIC_INTERFACE
+/**
+ * Publishes title, artist, album and artwork (when the track has any).
+ * @param {Object|null} track
+ */
+export function setMediaMetadata(track) {
+  const ms = session();
+  if (!ms || typeof window.MediaMetadata !== "function") return;
+  if (!track) {
+    ms.metadata = null;
+    return;
+  }
+  ms.metadata = new window.MediaMetadata({
+    title: track.title || "",
+    artist: track.artist || "",
+    album: track.album || "",
+    artwork: track.art ? [{ src: track.art }] : [],
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Installs action handlers: { [action]: fn(details) }; pass null to remove
+ * them all. Actions the browser doesn't know are skipped.
+ */
+export function setMediaActionHandlers(handlers) {
+  const ms = session();
+  if (!ms) return;
+  MEDIA_SESSION_ACTIONS.forEach(action => {
+    try {
+      ms.setActionHandler(action, handlers && handlers[action] ? handlers[action] : null);
+    } catch (err) {
+      // Unsupported action in this browser
+    }
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * @param {boolean} playing
+ */
+export function setMediaPlaybackState(playing) {
+  const ms = session();
+  if (ms) ms.playbackState = playing ? "playing" : "paused";
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Keeps the OS scrubber in step. Skipped while the duration is unknown;
+ * position is clamped since setPositionState throws if it passes duration.
+ */
+export function setMediaPositionState({ duration, position, playbackRate = 1 }) {
+  const ms = session();
+  if (!ms || !ms.setPositionState) return;
+  try {
+    if (!isFinite(duration) || duration <= 0) {
+      ms.setPositionState();
+      return;
+    }
+    ms.setPositionState({
+      duration,
+      playbackRate,
+      position: Math.max(0, Math.min(duration, position || 0)),
+    });
+  } catch (err) {
+    // Invalid state while a track is loading
+  }
+}
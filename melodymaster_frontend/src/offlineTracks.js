@@ -0,0 +1,101 @@
+/**
+ * Tracks pinned for offline playback.
+ *
+ * A pinned track is a full copy of its audio in the Cache API, keyed by its
+ * URL. The service worker (service-worker.js) answers the <audio> element's
+ * requests for that URL from the cache, cutting 206 partial responses for
+ * Range requests so seeking works offline too. Library uploads already live
+ * in IndexedDB and don't need pinning.
+ *
+ * Pinning downloads the file with fetch, so the server has to allow CORS.
+ */
+
+export const OFFLINE_TRACKS_CACHE = "melodymaster-offline-tracks";
+
+// PUBLIC_INTERFACE
+/**
+ * Whether pinned tracks can be played from this page: the Cache API and a
+ * service worker to serve them.
+ */
+export function offlineSupported() {
+  return typeof caches !== "undefined" && "serviceWorker" in navigator;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Whether a track can be pinned: a remote file (not a library upload or a
+ * live station).
+ */
+export function canPinTrack(track) {
+  return !track.isUploaded && !track.live && /^https?:\/\//i.test(track.src || "");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Whether a track plays without a network connection.
+ * @param {Object} track
+ * @param {Set<string>} pinned - URLs from listPinnedTracks
+ */
+export function isAvailableOffline(track, pinned) {
+  return !!track.isUploaded || pinned.has(track.src);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * URLs of the pinned tracks.
+ * @returns {Promise<Set<string>>}
+ */
+export async function listPinnedTracks() {
+  if (!offlineSupported()) return new Set();
+  const cache = await caches.open(OFFLINE_TRACKS_CACHE);
+  return new Set((await cache.keys()).map(request => request.url));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Downloads a track into the offline cache.
+ * @param {string} src
+ * @param {Function} [onProgress] - fraction done (0-1), when the size is known
+ * @returns {Promise<void>} rejects with a message for the user
+ */
+export async function pinTrack(src, onProgress) {
+  let response;
+  try {
+    response = await fetch(src, { mode: "cors" });
+  } catch (e) {
+    throw new Error("the server doesn't allow saving it (CORS) or can't be reached");
+  }
+  // A 206 would be only part of the file
+  if (response.status !== 200) throw new Error(`the server answered HTTP ${response.status}`);
+  const total = Number(response.headers.get("Content-Length")) || 0;
+  const type = response.headers.get("Content-Type") || "application/octet-stream";
+  let blob;
+  if (response.body && total && onProgress) {
+    const reader = response.body.getReader();
+    const chunks = [];
+    let received = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      received += value.length;
+      onProgress(Math.min(1, received / total));
+    }
+    blob = new Blob(chunks, { type });
+  } else {
+    blob = await response.blob();
+  }
+  const cache = await caches.open(OFFLINE_TRACKS_CACHE);
+  await cache.put(src, new Response(blob, {
+    headers: { "Content-Type": type, "Content-Length": String(blob.size) },
+  }));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Deletes a track's offline copy.
+ */
+export async function unpinTrack(src) {
+  const cache = await caches.open(OFFLINE_TRACKS_CACHE);
+  await cache.delete(src);
+}
@@ -0,0 +1,59 @@
+/**
+ * Output level settings: master volume, mute and left/right balance.
+ *
+ * Settings object: { volume, muted, balance }
+ *   - volume: 0-100 knob position; the gain follows a squared curve so the
+ *     knob feels even to the ear
+ *   - balance: -100 (left) to 100 (right), 0 = center
+ */
+import { readJson, writeJson } from "./storage";
+
+const OUTPUT_KEY = "melodymaster.output";
+
+export const DEFAULT_VOLUME = 80;
+
+const clamp = (value, min, max, fallback) => {
+  const number = Number(value);
+  return isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+};
+
+// PUBLIC_INTERFACE
+export function loadOutputSettings() {
+  const saved = readJson(OUTPUT_KEY, null) || {};
+  return {
+    volume: clamp(saved.volume, 0, 100, DEFAULT_VOLUME),
+    muted: saved.muted === true,
+    balance: clamp(saved.balance, -100, 100, 0),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function saveOutputSettings(settings) {
+  writeJson(OUTPUT_KEY, settings);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Linear gain for a knob position (0-100).
+ */
+export function volumeToGain(volume) {
+  return Math.pow(volume / 100, 2);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * "-5.8 dB", "0.0 dB" or "-∞ dB" for a knob position.
+ */
+export function formatVolumeDb(volume) {
+  if (volume <= 0) return "-∞ dB";
+  return `${(20 * Math.log10(volumeToGain(volume))).toFixed(1)} dB`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * "C", "L 30" or "R 30".
+ */
+export function formatBalance(balance) {
+  if (!balance) return "C";
+  return `${balance < 0 ? "L" : "R"} ${Math.abs(balance)}`;
+}
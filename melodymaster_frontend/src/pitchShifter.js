@@ -0,0 +1,28 @@
+/**
+ * Loads the pitch shifter AudioWorklet (pitchShifterProcessor.js). The build
+ * emits the processor as a file of its own, and the service worker precaches
+ * it with the rest of the app.
+ */
+
+const PROCESSOR_URL = new URL("./pitchShifterProcessor.js", import.meta.url);
+
+// PUBLIC_INTERFACE
+/**
+ * Registers the processor on `context`.
+ * @param {BaseAudioContext} context
+ * @returns {Promise<Function|null>} a function making a pitch shifter node
+ *   (AudioParam "pitchRatio", 1 = unchanged), or null where AudioWorklet
+ *   isn't available (old browsers, or pages not served over https)
+ */
+export async function loadPitchShifter(context) {
+  if (!context.audioWorklet || typeof AudioWorkletNode === "undefined") return null;
+  await context.audioWorklet.addModule(PROCESSOR_URL);
+  return () =>
+    new AudioWorkletNode(context, "pitch-shifter", {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      outputChannelCount: [2],
+      channelCount: 2,
+      channelCountMode: "explicit",
+    });
+}
@@ -0,0 +1,79 @@
+/* global sampleRate */
+/**
+ * AudioWorklet processor behind pitchShifter.js. Runs on the audio thread and
+ * is loaded as a file of its own, so it can't import anything.
+ *
+ * Shifts pitch without changing speed: the input is written to a short delay
+ * line and read back by two heads whose delay sweeps at the pitch ratio (a
+ * read head moving faster than the writer raises the pitch). The heads are
+ * half a window apart and crossfaded with sin² gains, so each one's jump back
+ * happens while it is silent. At a ratio of 1 the input passes straight through.
+ */
+
+// Window of the sweep: long enough for bass notes, short enough not to echo
+const WINDOW_SECONDS = 0.06;
+
+class PitchShifterProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{ name: "pitchRatio", defaultValue: 1, minValue: 0.25, maxValue: 4, automationRate: "k-rate" }];
+  }
+
+  constructor() {
+    super();
+    this.windowSize = Math.round(WINDOW_SECONDS * sampleRate);
+    this.size = this.windowSize * 2;
+    this.buffers = [];
+    this.writeIndex = 0;
+    this.phase = 0;
+  }
+
+  // Sample `phase` of a window behind the write position, interpolated
+  read(buffer, writeIndex, phase) {
+    let position = writeIndex - phase * this.windowSize;
+    if (position < 0) position += this.size;
+    const index = Math.floor(position);
+    const frac = position - index;
+    return buffer[index] * (1 - frac) + buffer[(index + 1) % this.size] * frac;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    if (!input.length) return true;
+    const ratio = parameters.pitchRatio[0];
+    const passThrough = Math.abs(ratio - 1) < 1e-4;
+    const step = (1 - ratio) / this.windowSize;
+    const frames = output[0].length;
+
+    for (let ch = 0; ch < output.length; ch++) {
+      const source = input[Math.min(ch, input.length - 1)];
+      const out = output[ch];
+      if (!this.buffers[ch]) this.buffers[ch] = new Float32Array(this.size);
+      const buffer = this.buffers[ch];
+      let writeIndex = this.writeIndex;
+      let phase = this.phase;
+      for (let i = 0; i < frames; i++) {
+        buffer[writeIndex] = source[i];
+        if (passThrough) {
+          out[i] = source[i];
+        } else {
+          const other = (phase + 0.5) % 1;
+          const gain = Math.sin(Math.PI * phase) ** 2;
+          out[i] = this.read(buffer, writeIndex, phase) * gain + this.read(buffer, writeIndex, other) * (1 - gain);
+          phase += step;
+          phase -= Math.floor(phase);
+        }
+        writeIndex = (writeIndex + 1) % this.size;
+      }
+    }
+
+    this.writeIndex = (this.writeIndex + frames) % this.size;
+    if (!passThrough) {
+      this.phase += step * frames;
+      this.phase -= Math.floor(this.phase);
+    }
+    return true;
+  }
+}
+
+registerProcessor("pitch-shifter", PitchShifterProcessor);
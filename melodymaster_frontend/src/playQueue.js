@@ -0,0 +1,171 @@
+/**
+ * Play order: shuffle and repeat modes plus the user's "Up Next" queue.
+ *
+ * Tracks are referred to by trackRef (see playlists.js), so the queue and
+ * shuffle state survive the track list being filtered or reordered.
+ *
+ * Queue state, all owned by the caller:
+ *   - queue: [{ key, ref }] tracks the user asked for, played before anything else
+ *   - shuffleOrder: [ref] random order for the current shuffle cycle
+ *   - played: [ref] tracks already played in this cycle; shuffle won't repeat
+ *     them until every track has had its turn
+ */
+import { trackRef } from "./playlists";
+import { readJson, writeJson } from "./storage";
+
+const PLAY_MODES_KEY = "melodymaster.playModes";
+
+export const REPEAT_MODES = ["off", "all", "one"];
+
+// PUBLIC_INTERFACE
+/**
+ * Loads { shuffle: boolean, repeat: "off"|"all"|"one" }. Defaults to
+ * repeat-all, which is how the player always behaved.
+ */
+export function loadPlayModes() {
+  const saved = readJson(PLAY_MODES_KEY, null) || {};
+  return {
+    shuffle: saved.shuffle === true,
+    repeat: REPEAT_MODES.includes(saved.repeat) ? saved.repeat : "all",
+  };
+}
+
+// PUBLIC_INTERFACE
+export function savePlayModes(modes) {
+  writeJson(PLAY_MODES_KEY, modes);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * off -> all -> one -> off
+ */
+export function nextRepeatMode(mode) {
+  return REPEAT_MODES[(REPEAT_MODES.indexOf(mode) + 1) % REPEAT_MODES.length];
+}
+
+let queueKeySeq = 0;
+
+// PUBLIC_INTERFACE
+/**
+ * Adds a track to the queue: at the front for "play next", else at the end.
+ * Entries carry their own key since a track can be queued more than once.
+ */
+export function enqueueTrack(queue, track, { next = false } = {}) {
+  queueKeySeq += 1;
+  const entry = { key: `q${queueKeySeq}`, ref: trackRef(track) };
+  return next ? [entry, ...queue] : [...queue, entry];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Fisher-Yates shuffle of a copy of `refs`.
+ */
+export function shuffleRefs(refs, random = Math.random) {
+  const out = [...refs];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Brings a shuffle order in line with the current track list: refs that are
+ * gone are dropped, new ones are slotted in at random positions. Returns the
+ * same array when nothing changed.
+ */
+export function syncShuffleOrder(order, refs, random = Math.random) {
+  const wanted = new Set(refs);
+  const kept = order.filter(ref => wanted.has(ref));
+  const known = new Set(kept);
+  const added = refs.filter(ref => !known.has(ref));
+  if (!added.length && kept.length === order.length) return order;
+  added.forEach(ref => {
+    kept.splice(Math.floor(random() * (kept.length + 1)), 0, ref);
+  });
+  return kept;
+}
+
+function indexByRef(tracks) {
+  const map = new Map();
+  tracks.forEach((track, idx) => {
+    const ref = trackRef(track);
+    if (!map.has(ref)) map.set(ref, idx);
+  });
+  return map;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Decides what plays after the current track.
+ * @param {Array<Object>} tracks - the list being played
+ * @param {number} currentIdx
+ * @param {Object} state - { modes, queue, shuffleOrder, played }
+ * @param {Object} [options]
+ *   - auto: true when the track ended by itself; repeat-one and stop-at-end
+ *     only apply then (the next button always moves on)
+ * @returns {{idx: number|null, queue, shuffleOrder, played}} idx null means stop.
+ *   The returned state replaces the caller's.
+ */
+export function pickNext(tracks, currentIdx, { modes, queue, shuffleOrder, played }, { auto = false, random = Math.random } = {}) {
+  const current = tracks[currentIdx];
+  const currentRef = current ? trackRef(current) : null;
+  const byRef = indexByRef(tracks);
+  const result = { idx: null, queue, shuffleOrder, played };
+
+  if (auto && modes.repeat === "one" && current) return { ...result, idx: currentIdx };
+
+  // The user's queue comes first; skip entries whose track has gone away
+  const rest = [...queue];
+  while (rest.length) {
+    const entry = rest.shift();
+    if (byRef.has(entry.ref)) return { ...result, idx: byRef.get(entry.ref), queue: rest };
+  }
+  result.queue = rest;
+  if (!tracks.length) return result;
+
+  if (modes.shuffle) {
+    const upcoming = shuffleOrder.find(ref => ref !== currentRef && !played.includes(ref) && byRef.has(ref));
+    if (upcoming) return { ...result, idx: byRef.get(upcoming) };
+    // Every track has played: stop, or start a new cycle
+    if (auto && modes.repeat === "off") {
+      return { ...result, played: [], shuffleOrder: shuffleRefs(Array.from(byRef.keys()), random) };
+    }
+    const order = shuffleRefs(Array.from(byRef.keys()).filter(ref => ref !== currentRef), random);
+    const nextRef = order.length ? order[0] : currentRef;
+    return { ...result, idx: byRef.get(nextRef), shuffleOrder: order, played: currentRef ? [currentRef] : [] };
+  }
+
+  if (currentIdx + 1 < tracks.length) return { ...result, idx: currentIdx + 1 };
+  if (auto && modes.repeat === "off") return result;
+  return { ...result, idx: 0 };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * What will play after the current track, for the Up Next panel: queued
+ * entries first, then up to `limit` tracks from the normal order.
+ * @returns {{queued: Array<{key, track}>, upcoming: Array<Object>}}
+ */
+export function previewUpNext(tracks, currentIdx, { modes, queue, shuffleOrder, played }, limit = 5) {
+  const byRef = indexByRef(tracks);
+  const queued = queue.filter(entry => byRef.has(entry.ref)).map(entry => ({ key: entry.key, track: tracks[byRef.get(entry.ref)] }));
+  const current = tracks[currentIdx];
+  const currentRef = current ? trackRef(current) : null;
+  let upcoming;
+  if (modes.shuffle) {
+    upcoming = shuffleOrder
+      .filter(ref => ref !== currentRef && !played.includes(ref) && byRef.has(ref))
+      .slice(0, limit)
+      .map(ref => tracks[byRef.get(ref)]);
+  } else {
+    upcoming = [];
+    for (let i = 1; i <= limit && i < tracks.length; i++) {
+      const idx = currentIdx + i;
+      if (idx >= tracks.length && modes.repeat === "off") break;
+      upcoming.push(tracks[idx % tracks.length]);
+    }
+  }
+  return { queued, upcoming };
+}
@@ -0,0 +1,304 @@
+/**
+ * Player store: the playback state every view shares and the actions that
+ * change it. Plain JavaScript with no React or audio dependencies, so any
+ * component (or test) can drive and observe the player; PlayerContext wraps
+ * it for React.
+ *
+ * The store decides *what* plays. The audio backend (MainContainer with the
+ * deck engine) follows its state - currentIdx, playing - and its "seek" events.
+ *
+ * State, read with getState() (a new object after every change):
+ *   - currentIdx: index into the list being played
+ *   - currentTrack: the track the backend is playing, published with setCurrentTrack
+ *   - playing, progress (seconds)
+ *   - modes { shuffle, repeat }, queue [{key, ref}], shuffleOrder [ref],
+ *     played [ref]: play order state, see playQueue.js
+ *   - eq: { bands, presetId } equalizer settings
+ *   - analyser: AnalyserNode for visualizers, lyrics: [{time, text}] or null
+ *   - nowPlayingOpen: whether the full-screen Now Playing view is shown
+ *
+ * The list being played comes from a track source (setTrackSource): a
+ * function returning the current array of tracks, so the store always sees
+ * the list as it is rendered (library or playlist view).
+ *
+ * Events, via on(name, handler) which returns an unsubscribe function:
+ *   - "change" (state, prevState): after every state change
+ *   - "play", "pause"
+ *   - "seek" (time): the backend must jump to `time` (also sent when the same
+ *     track starts over, e.g. repeat-one)
+ *   - "trackchange" (track, idx): a different track is now current
+ *   - "queuechange" (queue)
+ *   - "eqchange" (eq)
+ *   - "ended": the play order stopped at the end of the list (repeat off)
+ */
+import { trackRef } from "./playlists";
+import {
+  enqueueTrack,
+  nextRepeatMode,
+  pickNext,
+  shuffleRefs,
+  syncShuffleOrder,
+} from "./playQueue";
+
+const HISTORY_LIMIT = 100;
+
+// PUBLIC_INTERFACE
+/**
+ * Creates a player store.
+ * @param {Object} [options]
+ *   - modes: initial { shuffle, repeat } (default repeat all)
+ *   - eq: initial { bands, presetId }
+ *   - trackSource: () => tracks (can be set later with setTrackSource)
+ *   - random: random number source for shuffling (tests)
+ * @returns {Object} store - see module doc for state and events
+ */
+export function createPlayerStore({ modes, eq, trackSource, random = Math.random } = {}) {
+  let state = {
+    currentIdx: 0,
+    currentTrack: null,
+    playing: false,
+    progress: 0,
+    modes: modes || { shuffle: false, repeat: "all" },
+    queue: [],
+    shuffleOrder: [],
+    played: [],
+    eq: eq || { bands: [], presetId: null },
+    analyser: null,
+    lyrics: null,
+    nowPlayingOpen: false,
+  };
+  let source = trackSource || (() => []);
+  let history = []; // refs played before the current one, for prev() in shuffle mode
+  let nextPlan = null; // { key, result } cached pickNext for the track after this one
+  const listeners = new Set();
+  const handlers = {};
+
+  const tracks = () => source() || [];
+  const viewIdx = list => (list.length ? state.currentIdx % list.length : 0);
+  const refAt = (list, idx) => (list[idx] ? trackRef(list[idx]) : null);
+  const queueState = () => ({
+    modes: state.modes, queue: state.queue, shuffleOrder: state.shuffleOrder, played: state.played,
+  });
+
+  function emit(name, ...args) {
+    (handlers[name] || []).slice().forEach(fn => fn(...args));
+  }
+
+  function update(patch) {
+    const prev = state;
+    state = { ...state, ...patch };
+    listeners.forEach(fn => fn());
+    emit("change", state, prev);
+    if (state.queue !== prev.queue) emit("queuechange", state.queue);
+    if (state.eq !== prev.eq) emit("eqchange", state.eq);
+    if (state.playing !== prev.playing) emit(state.playing ? "play" : "pause");
+  }
+
+  // State patch for moving to `idx`: records history and the shuffle cycle
+  function moveTo(idx, { back = false, played = state.played } = {}) {
+    const list = tracks();
+    const fromRef = refAt(list, viewIdx(list));
+    const toRef = refAt(list, idx);
+    if (!back && fromRef && fromRef !== toRef) history = [...history.slice(1 - HISTORY_LIMIT), fromRef];
+    return {
+      currentIdx: idx,
+      progress: 0,
+      played: toRef && !played.includes(toRef) ? [...played, toRef] : played,
+    };
+  }
+
+  function planKey(list) {
+    return [list.map(trackRef).join("\n"), state.currentIdx, state.queue, state.shuffleOrder, state.played, state.modes];
+  }
+  const sameKey = (a, b) => a.length === b.length && a.every((part, i) => part === b[i]);
+
+  const store = {
+    getState: () => state,
+
+    /** For useSyncExternalStore: `listener()` runs after every change. */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    on(name, handler) {
+      handlers[name] = [...(handlers[name] || []), handler];
+      return () => {
+        handlers[name] = handlers[name].filter(fn => fn !== handler);
+      };
+    },
+
+    setTrackSource(fn) {
+      source = fn;
+    },
+
+    play() {
+      update({ playing: true });
+    },
+
+    pause() {
+      update({ playing: false });
+    },
+
+    togglePlay() {
+      update({ playing: !state.playing });
+    },
+
+    /** Jump to `time` seconds in the current track. */
+    seek(time) {
+      update({ progress: time });
+      emit("seek", time);
+    },
+
+    /** Position reported by the backend while playing (no "seek" event). */
+    setProgress(time) {
+      if (time !== state.progress) update({ progress: time });
+    },
+
+    /** Start playing the track at `idx` (e.g. a click in the tracklist). */
+    select(idx) {
+      update({ ...moveTo(idx), playing: true });
+    },
+
+    /**
+     * Point at `idx` after the list itself changed (row removed, moved,
+     * playlist switched), without recording history.
+     * @param {Object} [options] - stop: also pause and rewind
+     */
+    setIndex(idx, { stop = false } = {}) {
+      update(stop ? { currentIdx: idx, playing: false, progress: 0 } : { currentIdx: idx });
+    },
+
+    /**
+     * What plays after the current track ends by itself: a pickNext result
+     * ({ idx, queue, shuffleOrder, played }). Cached until the list or the
+     * play order changes, so preloading and next({ auto: true }) agree even
+     * when a new shuffle cycle is drawn.
+     */
+    peekNext() {
+      const list = tracks();
+      const key = planKey(list);
+      if (!nextPlan || !sameKey(nextPlan.key, key)) {
+        nextPlan = { key, result: pickNext(list, viewIdx(list), queueState(), { auto: true, random }) };
+      }
+      return nextPlan.result;
+    },
+
+    /**
+     * Moves on to whatever the queue, shuffle and repeat modes say comes next.
+     * @param {Object} [options] - auto: the track ended by itself
+     */
+    next({ auto = false } = {}) {
+      const list = tracks();
+      const idx = viewIdx(list);
+      const result = auto ? store.peekNext() : pickNext(list, idx, queueState(), { random });
+      const orderPatch = { queue: result.queue, shuffleOrder: result.shuffleOrder, played: result.played };
+      if (result.idx == null) {
+        // End of the list with repeat off
+        update({ ...orderPatch, playing: false, progress: 0 });
+        emit("seek", 0);
+        emit("ended");
+        return;
+      }
+      if (result.idx === idx) {
+        // Same track again (repeat-one, or a one-track list): start it over
+        update({ ...orderPatch, progress: 0, playing: true });
+        emit("seek", 0);
+        return;
+      }
+      update({ ...orderPatch, ...moveTo(result.idx, { played: result.played }), playing: true });
+    },
+
+    /** Previous track: back through what actually played when shuffling, else the one above. */
+    prev() {
+      const list = tracks();
+      if (!list.length) return;
+      if (state.modes.shuffle) {
+        while (history.length) {
+          const ref = history[history.length - 1];
+          history = history.slice(0, -1);
+          const idx = list.findIndex(t => trackRef(t) === ref);
+          if (idx >= 0) {
+            update({ ...moveTo(idx, { back: true }), playing: true });
+            return;
+          }
+        }
+      }
+      const idx = viewIdx(list);
+      update({ ...moveTo(idx > 0 ? idx - 1 : list.length - 1), playing: true });
+    },
+
+    /** Queue a track: first in line with { next: true }, else at the end. */
+    enqueue(track, { next = false } = {}) {
+      update({ queue: enqueueTrack(state.queue, track, { next }) });
+    },
+
+    dequeue(key) {
+      update({ queue: state.queue.filter(entry => entry.key !== key) });
+    },
+
+    clearQueue() {
+      update({ queue: [] });
+    },
+
+    /** Shuffle on/off. Turning it on starts a fresh cycle from the current track. */
+    toggleShuffle() {
+      const shuffle = !state.modes.shuffle;
+      const patch = { modes: { ...state.modes, shuffle } };
+      if (shuffle) {
+        const list = tracks();
+        const current = refAt(list, viewIdx(list));
+        patch.shuffleOrder = shuffleRefs(list.map(trackRef).filter(ref => ref !== current), random);
+        patch.played = current ? [current] : [];
+      }
+      update(patch);
+    },
+
+    /** Repeat off -> all -> one -> off. */
+    cycleRepeat() {
+      update({ modes: { ...state.modes, repeat: nextRepeatMode(state.modes.repeat) } });
+    },
+
+    /** Call when the list being played changed: keeps the shuffle order in step. */
+    tracksChanged() {
+      if (!state.modes.shuffle) return;
+      const refs = tracks().map(trackRef);
+      const shuffleOrder = syncShuffleOrder(state.shuffleOrder, refs, random);
+      if (shuffleOrder !== state.shuffleOrder) update({ shuffleOrder });
+    },
+
+    /**
+     * Updates the equalizer: { bands, presetId }, either or both. `bands`
+     * may be a function of the current bands, like a state setter.
+     */
+    setEq(patch) {
+      const bands = typeof patch.bands === "function" ? patch.bands(state.eq.bands) : patch.bands;
+      const next = { ...state.eq };
+      if (bands !== undefined) next.bands = bands;
+      if (patch.presetId !== undefined) next.presetId = patch.presetId;
+      if (next.bands === state.eq.bands && next.presetId === state.eq.presetId) return;
+      update({ eq: next });
+    },
+
+    /** Published by the backend once it has loaded a track. */
+    setCurrentTrack(track) {
+      const changed = !state.currentTrack || !track || trackRef(state.currentTrack) !== trackRef(track);
+      if (track === state.currentTrack) return;
+      update({ currentTrack: track });
+      if (changed && track) emit("trackchange", track, state.currentIdx);
+    },
+
+    setAnalyser(analyser) {
+      if (analyser !== state.analyser) update({ analyser });
+    },
+
+    setLyrics(lyrics) {
+      if (lyrics !== state.lyrics) update({ lyrics });
+    },
+
+    setNowPlayingOpen(open) {
+      if (open !== state.nowPlayingOpen) update({ nowPlayingOpen: open });
+    },
+  };
+  return store;
+}
@@ -0,0 +1,174 @@
+import { createPlayerStore } from "./playerStore";
+
+const makeTracks = n => Array.from({ length: n }, (_, i) => ({ src: `t${i}.mp3`, title: `Track ${i}` }));
+
+// Deterministic "random" numbers cycling through a fixed list
+function seededRandom(values = [0.7, 0.1, 0.5, 0.9, 0.3]) {
+  let i = 0;
+  return () => values[i++ % values.length];
+}
+
+function setup({ count = 4, modes, random } = {}) {
+  const tracks = makeTracks(count);
+  const store = createPlayerStore({ modes, trackSource: () => tracks, random: random || seededRandom() });
+  return { store, tracks };
+}
+
+describe("playerStore", () => {
+  test("play and pause update state and emit events", () => {
+    const { store } = setup();
+    const events = [];
+    const offPlay = store.on("play", () => events.push("play"));
+    store.on("pause", () => events.push("pause"));
+
+    store.play();
+    expect(store.getState().playing).toBe(true);
+    store.play(); // no change, no event
+    store.pause();
+    offPlay();
+    store.togglePlay();
+    store.togglePlay();
+
+    expect(events).toEqual(["play", "pause", "pause"]);
+  });
+
+  test("subscribe is called on every change and can unsubscribe", () => {
+    const { store } = setup();
+    const listener = jest.fn();
+    const unsubscribe = store.subscribe(listener);
+    store.play();
+    store.setProgress(12);
+    unsubscribe();
+    store.pause();
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  test("seek sets the position and emits seek; setProgress does not", () => {
+    const { store } = setup();
+    const onSeek = jest.fn();
+    store.on("seek", onSeek);
+    store.seek(42);
+    expect(store.getState().progress).toBe(42);
+    store.setProgress(43);
+    expect(store.getState().progress).toBe(43);
+    expect(onSeek).toHaveBeenCalledTimes(1);
+    expect(onSeek).toHaveBeenCalledWith(42);
+  });
+
+  test("select starts a track and next follows the list", () => {
+    const { store } = setup({ modes: { shuffle: false, repeat: "all" } });
+    store.select(2);
+    expect(store.getState()).toMatchObject({ currentIdx: 2, playing: true, progress: 0 });
+    store.next();
+    expect(store.getState().currentIdx).toBe(3);
+    store.next();
+    expect(store.getState().currentIdx).toBe(0);
+    store.prev();
+    expect(store.getState().currentIdx).toBe(3);
+  });
+
+  test("with repeat off, the end of the list stops and emits ended", () => {
+    const { store } = setup({ modes: { shuffle: false, repeat: "off" } });
+    const onEnded = jest.fn();
+    const onSeek = jest.fn();
+    store.on("ended", onEnded);
+    store.on("seek", onSeek);
+    store.select(3);
+    store.next({ auto: true });
+    expect(store.getState()).toMatchObject({ currentIdx: 3, playing: false, progress: 0 });
+    expect(onEnded).toHaveBeenCalledTimes(1);
+    expect(onSeek).toHaveBeenCalledWith(0);
+  });
+
+  test("repeat one starts the same track over with a seek to 0", () => {
+    const { store } = setup({ modes: { shuffle: false, repeat: "one" } });
+    const onSeek = jest.fn();
+    store.on("seek", onSeek);
+    store.select(1);
+    store.setProgress(100);
+    store.next({ auto: true });
+    expect(store.getState()).toMatchObject({ currentIdx: 1, playing: true, progress: 0 });
+    expect(onSeek).toHaveBeenCalledWith(0);
+  });
+
+  test("queued tracks play before the list and can be removed", () => {
+    const { store, tracks } = setup({ modes: { shuffle: false, repeat: "all" } });
+    const onQueue = jest.fn();
+    store.on("queuechange", onQueue);
+    store.select(0);
+    store.enqueue(tracks[3]);
+    store.enqueue(tracks[2], { next: true });
+    expect(store.getState().queue).toHaveLength(2);
+    expect(onQueue).toHaveBeenCalledTimes(2);
+
+    store.next();
+    expect(store.getState().currentIdx).toBe(2);
+    expect(store.getState().queue).toHaveLength(1);
+
+    store.dequeue(store.getState().queue[0].key);
+    expect(store.getState().queue).toEqual([]);
+    store.next();
+    expect(store.getState().currentIdx).toBe(3);
+  });
+
+  test("shuffle plays every track once per cycle and prev walks back through history", () => {
+    const { store } = setup({ count: 5, modes: { shuffle: false, repeat: "all" } });
+    store.select(0);
+    store.toggleShuffle();
+    expect(store.getState().modes.shuffle).toBe(true);
+
+    const order = [0];
+    for (let i = 0; i < 4; i++) {
+      store.next();
+      order.push(store.getState().currentIdx);
+    }
+    expect([...order].sort()).toEqual([0, 1, 2, 3, 4]);
+
+    store.prev();
+    expect(store.getState().currentIdx).toBe(order[3]);
+    store.prev();
+    expect(store.getState().currentIdx).toBe(order[2]);
+  });
+
+  test("peekNext predicts what next({ auto: true }) plays", () => {
+    const { store } = setup({ count: 6, modes: { shuffle: true, repeat: "all" } });
+    store.select(0);
+    const planned = store.peekNext();
+    expect(store.peekNext()).toBe(planned); // cached
+    store.next({ auto: true });
+    expect(store.getState().currentIdx).toBe(planned.idx);
+  });
+
+  test("setEq accepts a bands updater and emits eqchange", () => {
+    const store = createPlayerStore({ eq: { bands: [0, 0, 0], presetId: "flat" } });
+    const onEq = jest.fn();
+    store.on("eqchange", onEq);
+    store.setEq({ bands: bands => bands.map((b, i) => b + i) });
+    expect(store.getState().eq).toEqual({ bands: [0, 1, 2], presetId: "flat" });
+    store.setEq({ presetId: "rock" });
+    store.setEq({ presetId: "rock" }); // unchanged
+    expect(onEq).toHaveBeenCalledTimes(2);
+    expect(onEq).toHaveBeenLastCalledWith({ bands: [0, 1, 2], presetId: "rock" });
+  });
+
+  test("setCurrentTrack emits trackchange only for a different track", () => {
+    const { store, tracks } = setup();
+    const onTrack = jest.fn();
+    store.on("trackchange", onTrack);
+    store.setCurrentTrack(tracks[0]);
+    store.setCurrentTrack({ ...tracks[0], duration: 180 }); // same track, new details
+    store.setCurrentTrack(tracks[1]);
+    expect(onTrack).toHaveBeenCalledTimes(2);
+    expect(store.getState().currentTrack).toBe(tracks[1]);
+  });
+
+  test("setIndex with stop pauses and rewinds", () => {
+    const { store } = setup();
+    store.select(2);
+    store.setProgress(30);
+    store.setIndex(1);
+    expect(store.getState()).toMatchObject({ currentIdx: 1, playing: true, progress: 30 });
+    store.setIndex(0, { stop: true });
+    expect(store.getState()).toMatchObject({ currentIdx: 0, playing: false, progress: 0 });
+  });
+});
@@ -0,0 +1,301 @@
+/**
+ * Reading and writing standard playlist files: M3U/M3U8 (with #EXTINF),
+ * PLS and XSPF.
+ *
+ * Parsers produce a format-neutral list:
+ *   { name, entries: [{ location, title, artist, album, duration }] }
+ * where any field but location may be empty, and duration is in seconds.
+ * Entries are then matched against the tracks the player knows about.
+ */
+import { trackRef } from "./playlists";
+
+export const PLAYLIST_FORMATS = {
+  m3u8: { label: "M3U8", extension: "m3u8", mime: "audio/x-mpegurl" },
+  pls: { label: "PLS", extension: "pls", mime: "audio/x-scpls" },
+  xspf: { label: "XSPF", extension: "xspf", mime: "application/xspf+xml" },
+};
+
+// File picker filter for playlist imports
+export const PLAYLIST_ACCEPT = ".m3u,.m3u8,.pls,.xspf,audio/x-mpegurl,audio/mpegurl,audio/x-scpls,application/xspf+xml";
+
+// "Artist - Title" is the de-facto convention for single-string titles in M3U and PLS
+function splitDisplayTitle(text) {
+  const value = (text || "").trim();
+  const sep = value.indexOf(" - ");
+  if (sep > 0) return { artist: value.slice(0, sep).trim(), title: value.slice(sep + 3).trim() };
+  return { artist: "", title: value };
+}
+
+function parseDuration(value) {
+  const n = parseFloat(value);
+  return isFinite(n) && n > 0 ? n : null;
+}
+
+function splitLines(text) {
+  return text.replace(/^\uFEFF/, "").split(/\r\n|\r|\n/).map(line => line.trim());
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Parses an M3U or M3U8 playlist. Plain M3U (one location per line) works too.
+ */
+export function parseM3U(text) {
+  let name = "";
+  const entries = [];
+  let pending = null; // info from the last #EXTINF, applied to the next location
+  splitLines(text).forEach(line => {
+    if (!line) return;
+    if (line.startsWith("#")) {
+      const info = /^#EXTINF:\s*(-?\d+(?:\.\d+)?)((?:\s+[\w-]+="[^"]*")*)\s*,(.*)$/i.exec(line);
+      if (info) {
+        pending = { duration: parseDuration(info[1]), ...splitDisplayTitle(info[3]) };
+      } else if (/^#PLAYLIST:/i.test(line)) {
+        name = line.slice("#PLAYLIST:".length).trim();
+      }
+      return;
+    }
+    entries.push({ location: line, title: "", artist: "", album: "", duration: null, ...pending });
+    pending = null;
+  });
+  return { name, entries };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Parses a PLS playlist ([playlist] section with FileN / TitleN / LengthN).
+ */
+export function parsePLS(text) {
+  const byIndex = new Map();
+  let name = "";
+  splitLines(text).forEach(line => {
+    const kv = /^([A-Za-z-]+?)(\d*)\s*=\s*(.*)$/.exec(line);
+    if (!kv) return;
+    const key = kv[1].toLowerCase();
+    if (key === "x-gnome-title" || (key === "title" && !kv[2])) {
+      name = kv[3];
+      return;
+    }
+    if (!kv[2] || !["file", "title", "length"].includes(key)) return;
+    const idx = Number(kv[2]);
+    if (!byIndex.has(idx)) byIndex.set(idx, {});
+    byIndex.get(idx)[key] = kv[3];
+  });
+  const entries = Array.from(byIndex.keys())
+    .sort((a, b) => a - b)
+    .map(idx => byIndex.get(idx))
+    .filter(e => e.file)
+    .map(e => ({ location: e.file, album: "", duration: parseDuration(e.length), ...splitDisplayTitle(e.title) }));
+  return { name, entries };
+}
+
+function childText(parent, tag) {
+  const el = Array.from(parent.children).find(c => c.localName === tag);
+  return el ? el.textContent.trim() : "";
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Parses an XSPF playlist. Throws if the XML is malformed.
+ */
+export function parseXSPF(text) {
+  // An XML declaration is only valid at the very start
+  const doc = new DOMParser().parseFromString(text.replace(/^\uFEFF/, "").trimStart(), "application/xml");
+  const root = doc.documentElement;
+  if (!root || root.localName !== "playlist" || doc.getElementsByTagName("parsererror").length) {
+    throw new Error("Not a valid XSPF playlist.");
+  }
+  const entries = Array.from(root.getElementsByTagNameNS("*", "track"))
+    .map(track => {
+      const ms = parseDuration(childText(track, "duration"));
+      return {
+        location: childText(track, "location"),
+        title: childText(track, "title"),
+        artist: childText(track, "creator"),
+        album: childText(track, "album"),
+        duration: ms != null ? ms / 1000 : null,
+      };
+    })
+    .filter(e => e.location || e.title);
+  return { name: childText(root, "title"), entries };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Detects the format (by extension, then content) and parses a playlist file.
+ * The playlist name falls back to the file name.
+ * @param {string} text
+ * @param {string} filename
+ * @returns {{name: string, format: string, entries: Array<Object>}}
+ */
+export function parsePlaylistFile(text, filename = "") {
+  const ext = (/\.([a-z0-9]+)$/i.exec(filename) || [])[1];
+  const head = text.replace(/^\uFEFF/, "").trimStart().slice(0, 200).toLowerCase();
+  let format;
+  if (ext === "xspf" || head.startsWith("<?xml") || head.startsWith("<playlist")) format = "xspf";
+  else if (ext === "pls" || head.startsWith("[playlist]")) format = "pls";
+  else format = "m3u8";
+
+  const parsed = format === "xspf" ? parseXSPF(text) : format === "pls" ? parsePLS(text) : parseM3U(text);
+  if (!parsed.entries.length) throw new Error("That playlist has no entries.");
+  return { ...parsed, format, name: parsed.name || filename.replace(/\.[^.]+$/, "") || "Imported playlist" };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Where a track lives, as written to playlist files: the relative path for
+ * uploaded tracks (their blob URLs are session-only), the URL otherwise.
+ * Server tracks (see sourceProviders.js) get their "src:" trackRef: their
+ * stream URLs carry the login (Subsonic's u, t and s), which must not end up
+ * in a shared file. The ref still matches the track when imported here.
+ */
+export function trackLocation(track) {
+  if (track.isUploaded) return track.path || track.name || track.title;
+  return track.remoteId ? trackRef(track) : track.src;
+}
+
+function displayTitle(track) {
+  return track.artist ? `${track.artist} - ${track.title}` : track.title;
+}
+
+function exportDuration(track) {
+  return track.duration ? Math.round(track.duration) : -1;
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&'"]/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" }[c]));
+}
+
+// Relative paths must be URI references in XSPF
+function toUri(location) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(location)) return location;
+  return location.split("/").map(encodeURIComponent).join("/");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Serializes tracks as a playlist file in one of PLAYLIST_FORMATS.
+ * @param {"m3u8"|"pls"|"xspf"} format
+ * @param {string} name - playlist title
+ * @param {Array<Object>} tracks
+ * @returns {string}
+ */
+export function serializePlaylist(format, name, tracks) {
+  if (format === "pls") {
+    const lines = ["[playlist]"];
+    tracks.forEach((track, i) => {
+      lines.push(`File${i + 1}=${trackLocation(track)}`);
+      lines.push(`Title${i + 1}=${displayTitle(track)}`);
+      lines.push(`Length${i + 1}=${exportDuration(track)}`);
+    });
+    lines.push(`NumberOfEntries=${tracks.length}`, "Version=2");
+    return lines.join("\n") + "\n";
+  }
+  if (format === "xspf") {
+    const items = tracks.map(track => {
+      const fields = [
+        `      <location>${escapeXml(toUri(trackLocation(track)))}</location>`,
+        `      <title>${escapeXml(track.title || "")}</title>`,
+        track.artist ? `      <creator>${escapeXml(track.artist)}</creator>` : null,
+        track.album ? `      <album>${escapeXml(track.album)}</album>` : null,
+        track.duration ? `      <duration>${Math.round(track.duration * 1000)}</duration>` : null,
+      ].filter(Boolean);
+      return `    <track>\n${fields.join("\n")}\n    </track>`;
+    });
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+      `  <title>${escapeXml(name)}</title>`,
+      "  <trackList>",
+      ...items,
+      "  </trackList>",
+      "</playlist>",
+      "",
+    ].join("\n");
+  }
+  const lines = ["#EXTM3U", `#PLAYLIST:${name}`];
+  tracks.forEach(track => {
+    lines.push(`#EXTINF:${exportDuration(track)},${displayTitle(track)}`);
+    lines.push(trackLocation(track));
+  });
+  return lines.join("\n") + "\n";
+}
+
+function normalizeLocation(location) {
+  let value = (location || "").trim();
+  try {
+    if (/%[0-9a-f]{2}/i.test(value)) value = decodeURIComponent(value);
+  } catch (e) {
+    // A stray "%" that isn't an escape: compare the location as written
+  }
+  return value
+    .replace(/^file:\/*/i, "/")
+    .replace(/\\/g, "/")
+    .replace(/\/{2,}/g, "/")
+    .toLowerCase();
+}
+
+function normalizeText(value) {
+  return (value || "").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+}
+
+function basename(path) {
+  return path.slice(path.lastIndexOf("/") + 1);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Matches playlist entries to known tracks, trying in order:
+ *   1. URL: the entry location equals a streamed track's src (or, for a
+ *      server track, its exported ref)
+ *   2. path: the location ends with an uploaded track's relative path, or
+ *      (if unambiguous) has the same file name
+ *   3. title and artist (artist only compared when the entry has one)
+ * @param {Array<Object>} entries - from parsePlaylistFile
+ * @param {Array<Object>} tracks - candidate tracks, e.g. availableTracks
+ * @returns {{matched: Array<{entry, track}>, unmatched: Array<Object>}}
+ */
+export function matchPlaylistEntries(entries, tracks) {
+  const byUrl = new Map();
+  const byName = new Map();
+  const withPath = [];
+  tracks.forEach(track => {
+    if (!track.isUploaded) {
+      byUrl.set(normalizeLocation(track.src), track);
+      if (track.remoteId) byUrl.set(normalizeLocation(trackLocation(track)), track);
+      return;
+    }
+    const path = normalizeLocation(track.path || track.name || "");
+    if (!path) return;
+    withPath.push({ path, track });
+    const name = basename(path);
+    byName.set(name, byName.has(name) ? null : track); // null marks an ambiguous name
+  });
+
+  const matched = [];
+  const unmatched = [];
+  entries.forEach(entry => {
+    const loc = normalizeLocation(entry.location);
+    let track = loc ? byUrl.get(loc) : null;
+    if (!track && loc) {
+      const hit = withPath.find(({ path }) => loc === path || loc.endsWith(`/${path}`));
+      track = hit ? hit.track : byName.get(basename(loc)) || null;
+    }
+    if (!track && entry.title) {
+      const title = normalizeText(entry.title);
+      const artist = normalizeText(entry.artist);
+      track = tracks.find(t => normalizeText(t.title) === title && (!artist || normalizeText(t.artist) === artist)) || null;
+    }
+    if (track) matched.push({ entry, track });
+    else unmatched.push(entry);
+  });
+  return { matched, unmatched };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Short human label for an entry, for reporting unmatched ones.
+ */
+export function describePlaylistEntry(entry) {
+  if (entry.title) return entry.artist ? `${entry.artist} - ${entry.title}` : entry.title;
+  return entry.location;
+}
@@ -0,0 +1,197 @@
+import {
+  describePlaylistEntry,
+  matchPlaylistEntries,
+  parseM3U,
+  parsePLS,
+  parsePlaylistFile,
+  parseXSPF,
+  serializePlaylist,
+} from "./playlistFormats";
+
+const uploaded = (id, path, title, artist = "", duration = 0) =>
+  ({ id, isUploaded: true, src: `blob:http://localhost/${id}`, path, name: path.split("/").pop(), title, artist, duration });
+const streamed = (src, title, artist = "", duration = 0) => ({ src, title, artist, duration });
+
+describe("playlist parsers", () => {
+  test("M3U: #EXTINF attributes, titles and plain entries", () => {
+    const text = [
+      "\uFEFF#EXTM3U",
+      "#PLAYLIST:Road Trip",
+      '#EXTINF:215 tvg-logo="http://x/logo.png" group-title="Rock",Boston - More Than a Feeling',
+      "Music\\Boston\\01 More Than a Feeling.mp3",
+      "",
+      "#EXTINF:-1,Live Stream",
+      "https://radio.example/live",
+      "# a comment, not a title",
+      "plain/no-info.mp3",
+    ].join("\r\n");
+    expect(parseM3U(text)).toEqual({
+      name: "Road Trip",
+      entries: [
+        { location: "Music\\Boston\\01 More Than a Feeling.mp3", title: "More Than a Feeling", artist: "Boston", album: "", duration: 215 },
+        { location: "https://radio.example/live", title: "Live Stream", artist: "", album: "", duration: null },
+        { location: "plain/no-info.mp3", title: "", artist: "", album: "", duration: null },
+      ],
+    });
+  });
+
+  test("PLS: entries by index, in order, with the playlist title", () => {
+    const text = [
+      "[playlist]",
+      "X-GNOME-Title=Mix",
+      "File2=https://x/b.mp3",
+      "Title2=Only Title",
+      "Length2=-1",
+      "File1=C:\\Music\\a.flac",
+      "Title1=Artist A - Song A",
+      "Length1=180.5",
+      "Title3=No file here",
+      "NumberOfEntries=3",
+      "Version=2",
+    ].join("\n");
+    const parsed = parsePLS(text);
+    expect(parsed.name).toBe("Mix");
+    expect(parsed.entries).toEqual([
+      { location: "C:\\Music\\a.flac", title: "Song A", artist: "Artist A", album: "", duration: 180.5 },
+      { location: "https://x/b.mp3", title: "Only Title", artist: "", album: "", duration: null },
+    ]);
+  });
+
+  test("XSPF: escaped XML, namespaces and millisecond durations", () => {
+    const text = `<?xml version="1.0" encoding="UTF-8"?>
+      <playlist version="1" xmlns="http://xspf.org/ns/0/">
+        <title>Rock &amp; Roll &lt;3</title>
+        <trackList>
+          <track>
+            <location>file:///home/me/Music/AC%2FDC/Back%20in%20Black.mp3</location>
+            <title>Back in Black</title>
+            <creator>AC/DC</creator>
+            <album>Back in Black</album>
+            <duration>255000</duration>
+          </track>
+          <track><title>&quot;Title&quot; only &#233;</title></track>
+          <track><annotation>nothing to find</annotation></track>
+        </trackList>
+      </playlist>`;
+    const parsed = parseXSPF(text);
+    expect(parsed.name).toBe("Rock & Roll <3");
+    expect(parsed.entries).toEqual([
+      {
+        location: "file:///home/me/Music/AC%2FDC/Back%20in%20Black.mp3",
+        title: "Back in Black",
+        artist: "AC/DC",
+        album: "Back in Black",
+        duration: 255,
+      },
+      { location: "", title: '"Title" only é', artist: "", album: "", duration: null },
+    ]);
+    expect(() => parseXSPF("<playlist><title>unclosed</playlist>")).toThrow("Not a valid XSPF playlist.");
+    expect(() => parseXSPF("<rss/>")).toThrow("Not a valid XSPF playlist.");
+  });
+
+  test("parsePlaylistFile detects the format and names the playlist", () => {
+    expect(parsePlaylistFile("[playlist]\nFile1=a.mp3\n", "download")).toMatchObject({ format: "pls", name: "download" });
+    expect(parsePlaylistFile("\uFEFF  <?xml version=\"1.0\"?><playlist><trackList><track><location>a.mp3</location></track></trackList></playlist>"))
+      .toMatchObject({ format: "xspf", name: "Imported playlist" });
+    expect(parsePlaylistFile("a.mp3\nb.mp3\n", "Favourites.m3u")).toMatchObject({ format: "m3u8", name: "Favourites" });
+    expect(() => parsePlaylistFile("#EXTM3U\n", "empty.m3u8")).toThrow("That playlist has no entries.");
+  });
+});
+
+describe("serializePlaylist", () => {
+  const tracks = [
+    uploaded(1, "My Music/Simon & Garfunkel/The Boxer.mp3", "The Boxer", "Simon & Garfunkel", 308.4),
+    uploaded(2, "100% Pure/Track <1>.flac", 'Say "Hi"', "", 0),
+    streamed("https://cdn.example/a.mp3?x=1&y=2", "It's Streamed", "Net Artist", 61),
+  ];
+
+  test.each(["m3u8", "pls", "xspf"])("%s round trips and matches every track", format => {
+    const text = serializePlaylist(format, "Mine & Yours", tracks);
+    const parsed = parsePlaylistFile(text, `export.${format}`);
+    // PLS has no standard field for the playlist name, so it comes from the file name
+    expect(parsed.name).toBe(format === "pls" ? "export" : "Mine & Yours");
+    expect(parsed.entries.map(e => e.title)).toEqual(["The Boxer", 'Say "Hi"', "It's Streamed"]);
+    expect(parsed.entries.map(e => e.artist)).toEqual(["Simon & Garfunkel", "", "Net Artist"]);
+    expect(parsed.entries.map(e => e.duration)).toEqual(format === "xspf" ? [308.4, null, 61] : [308, null, 61]);
+
+    const { matched, unmatched } = matchPlaylistEntries(parsed.entries, tracks);
+    expect(unmatched).toEqual([]);
+    expect(matched.map(m => m.track)).toEqual(tracks);
+  });
+
+  test("XSPF escapes markup and writes relative paths as URI references", () => {
+    const text = serializePlaylist("xspf", "<Best> of", tracks);
+    expect(text).toContain("<title>&lt;Best&gt; of</title>");
+    expect(text).toContain("<location>My%20Music/Simon%20%26%20Garfunkel/The%20Boxer.mp3</location>");
+    expect(text).toContain("<location>100%25%20Pure/Track%20%3C1%3E.flac</location>");
+    expect(text).toContain("<location>https://cdn.example/a.mp3?x=1&amp;y=2</location>");
+    expect(text).toContain("<title>Say &quot;Hi&quot;</title>");
+    expect(text).not.toContain("<creator></creator>");
+  });
+
+  test("M3U and PLS write Artist - Title and -1 for unknown lengths", () => {
+    expect(serializePlaylist("m3u8", "Mix", tracks.slice(0, 2))).toBe([
+      "#EXTM3U",
+      "#PLAYLIST:Mix",
+      "#EXTINF:308,Simon & Garfunkel - The Boxer",
+      "My Music/Simon & Garfunkel/The Boxer.mp3",
+      '#EXTINF:-1,Say "Hi"',
+      "100% Pure/Track <1>.flac",
+      "",
+    ].join("\n"));
+    expect(serializePlaylist("pls", "Mix", tracks.slice(2))).toBe(
+      "[playlist]\nFile1=https://cdn.example/a.mp3?x=1&y=2\nTitle1=Net Artist - It's Streamed\nLength1=61\nNumberOfEntries=1\nVersion=2\n"
+    );
+  });
+});
+
+describe("matchPlaylistEntries", () => {
+  const entry = (location, title = "", artist = "") => ({ location, title, artist, album: "", duration: null });
+  const library = [
+    uploaded(1, "Album/03 Track.flac", "Track", "Band"),
+    uploaded(2, "Music/Song One.mp3", "Song One", "Singer"),
+    uploaded(3, "Somewhere/Unique.mp3", "Unique", ""),
+    uploaded(4, "A/same.mp3", "Same A", ""),
+    uploaded(5, "B/same.mp3", "Same B", ""),
+    uploaded(6, "Odd/A%20B%zz.mp3", "Odd", ""),
+    streamed("https://Radio.example/Show.mp3", "Show", "Host"),
+  ];
+  const matchOne = e => {
+    const { matched } = matchPlaylistEntries([e], library);
+    return matched.length ? matched[0].track.id || matched[0].track.src : null;
+  };
+
+  test("Windows paths match on their trailing relative path", () => {
+    expect(matchOne(entry("C:\\Users\\me\\Music\\Album\\03 Track.flac"))).toBe(1);
+    expect(matchOne(entry("..\\Album\\03 Track.flac"))).toBe(1);
+  });
+
+  test("file:// URLs and %xx escapes are decoded", () => {
+    expect(matchOne(entry("file:///C:/Users/me/Music/Song%20One.mp3"))).toBe(2);
+    expect(matchOne(entry("FILE://localhost//music/song%20one.MP3"))).toBe(2);
+    // A broken escape is compared as written instead of failing the import
+    expect(matchOne(entry("odd/a%20b%zz.mp3"))).toBe(6);
+  });
+
+  test("URLs match the streamed track regardless of case", () => {
+    expect(matchOne(entry("https://radio.example/show.mp3"))).toBe("https://Radio.example/Show.mp3");
+  });
+
+  test("file names are a fallback only when unambiguous", () => {
+    expect(matchOne(entry("D:\\Other\\Unique.mp3"))).toBe(3);
+    expect(matchOne(entry("elsewhere/same.mp3"))).toBeNull();
+    expect(matchOne(entry("elsewhere/same.mp3", "same b"))).toBe(5);
+  });
+
+  test("title and artist as a last resort", () => {
+    expect(matchOne(entry("gone.mp3", "SONG ONE!", "singer"))).toBe(2);
+    expect(matchOne(entry("", "Song One"))).toBe(2);
+    expect(matchOne(entry("", "Song One", "Somebody Else"))).toBeNull();
+  });
+
+  test("describePlaylistEntry", () => {
+    expect(describePlaylistEntry(entry("x.mp3", "Song", "Artist"))).toBe("Artist - Song");
+    expect(describePlaylistEntry(entry("x.mp3", "Song"))).toBe("Song");
+    expect(describePlaylistEntry(entry("C:\\x.mp3"))).toBe("C:\\x.mp3");
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Named user playlists, saved to localStorage.
+ *
+ * A playlist is { id, name, entries } where entries are track refs (see
+ * trackRef) in play order. The same track may appear more than once.
+ * The built-in "All tracks" view (ALL_TRACKS_ID) is every playable track and
+ * is not stored; neither is the "Radio stations" view (RADIO_ID, see radio.js).
+ *
+ * All mutators are pure: they take the playlists state
+ * { playlists: [...], activeId } and return a new one.
+ */
+import { readJson, writeJson } from "./storage";
+
+const PLAYLISTS_KEY = "melodymaster.playlists";
+
+export const ALL_TRACKS_ID = "all";
+export const RADIO_ID = "radio";
+
+// PUBLIC_INTERFACE
+/**
+ * Stable reference to a track for storing in a playlist: the library id for
+ * uploaded tracks (their blob URL changes every session), the source and its
+ * own id for server tracks (their stream URL carries credentials), the URL
+ * otherwise.
+ */
+export function trackRef(track) {
+  if (track.id) return `lib:${track.id}`;
+  if (track.remoteId) return `src:${track.sourceId}:${track.remoteId}`;
+  return `url:${track.src}`;
+}
+
+function createPlaylistId() {
+  return `pl-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function normalizePlaylist(raw) {
+  if (!raw || typeof raw.id !== "string" || typeof raw.name !== "string") return null;
+  const entries = Array.isArray(raw.entries) ? raw.entries.filter(ref => typeof ref === "string") : [];
+  return { id: raw.id, name: raw.name, entries };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Loads saved playlists: { playlists: [{id, name, entries}], activeId }.
+ * activeId falls back to ALL_TRACKS_ID if it no longer exists.
+ */
+export function loadPlaylists() {
+  const saved = readJson(PLAYLISTS_KEY, null) || {};
+  const playlists = (Array.isArray(saved.playlists) ? saved.playlists : []).map(normalizePlaylist).filter(Boolean);
+  const activeId = saved.activeId === RADIO_ID || playlists.some(p => p.id === saved.activeId) ? saved.activeId : ALL_TRACKS_ID;
+  return { playlists, activeId };
+}
+
+// PUBLIC_INTERFACE
+export function savePlaylists(state) {
+  writeJson(PLAYLISTS_KEY, state);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Finds a playlist by id, or null (including for ALL_TRACKS_ID).
+ */
+export function findPlaylist(state, id) {
+  return state.playlists.find(p => p.id === id) || null;
+}
+
+function updatePlaylist(state, id, fn) {
+  return { ...state, playlists: state.playlists.map(p => (p.id === id ? fn(p) : p)) };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Appends a new playlist (optionally pre-filled with refs). The active
+ * playlist doesn't change; the new one is last in `playlists`.
+ */
+export function createPlaylist(state, name, entries = []) {
+  const playlist = { id: createPlaylistId(), name: name.trim() || "Untitled", entries: [...entries] };
+  return { ...state, playlists: [...state.playlists, playlist] };
+}
+
+// PUBLIC_INTERFACE
+export function selectPlaylist(state, id) {
+  return { ...state, activeId: id === ALL_TRACKS_ID || id === RADIO_ID || findPlaylist(state, id) ? id : ALL_TRACKS_ID };
+}
+
+// PUBLIC_INTERFACE
+export function renamePlaylist(state, id, name) {
+  if (!name.trim()) return state;
+  return updatePlaylist(state, id, p => ({ ...p, name: name.trim() }));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Removes a playlist; if it was active, switches back to All tracks.
+ */
+export function deletePlaylist(state, id) {
+  return {
+    playlists: state.playlists.filter(p => p.id !== id),
+    activeId: state.activeId === id ? ALL_TRACKS_ID : state.activeId,
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Appends track refs to the end of a playlist.
+ */
+export function addToPlaylist(state, id, refs) {
+  return updatePlaylist(state, id, p => ({ ...p, entries: [...p.entries, ...refs] }));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Removes the entry at `index` (a position, since a track can be listed twice).
+ */
+export function removeFromPlaylist(state, id, index) {
+  return updatePlaylist(state, id, p => ({ ...p, entries: p.entries.filter((_, i) => i !== index) }));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Moves the entry at `from` so it ends up at position `to`.
+ */
+export function movePlaylistEntry(state, id, from, to) {
+  return updatePlaylist(state, id, p => {
+    const entries = [...p.entries];
+    const [moved] = entries.splice(from, 1);
+    entries.splice(to, 0, moved);
+    return { ...p, entries };
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Drops refs to tracks that no longer exist (e.g. deleted from the library)
+ * from every playlist.
+ * @param {(ref: string) => boolean} keep
+ */
+export function pruneEntries(state, keep) {
+  return { ...state, playlists: state.playlists.map(p => ({ ...p, entries: p.entries.filter(keep) })) };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The tracks of a playlist in order, with their entry positions.
+ * Refs whose track isn't available (not loaded yet, or unplayable) are skipped,
+ * so `entryIndex` can differ from the position in the returned list.
+ * @param {{entries: string[]}} playlist
+ * @param {Array<Object>} tracks - candidate tracks
+ * @returns {Array<{track: Object, entryIndex: number}>}
+ */
+export function resolvePlaylist(playlist, tracks) {
+  const byRef = new Map(tracks.map(t => [trackRef(t), t]));
+  const out = [];
+  playlist.entries.forEach((ref, entryIndex) => {
+    const track = byRef.get(ref);
+    if (track) out.push({ track, entryIndex });
+  });
+  return out;
+}
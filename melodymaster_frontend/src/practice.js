@@ -0,0 +1,103 @@
+/**
+ * Practice settings: playback speed and pitch, saved per track.
+ *
+ * A track's settings are { speed, preservePitch, pitch }:
+ *   - speed: playback rate, SPEED_MIN to SPEED_MAX
+ *   - preservePitch: keep the pitch while the speed changes (the browser's
+ *     preservesPitch); off, the pitch follows the speed like a tape machine
+ *   - pitch: shift in semitones, -PITCH_RANGE to PITCH_RANGE, independent of
+ *     the speed (pitchShifter.js)
+ * Only tracks with non-default settings are stored, keyed by trackRef.
+ */
+import { readJson, writeJson } from "./storage";
+
+export const SPEED_MIN = 0.5;
+export const SPEED_MAX = 2;
+export const SPEED_STEP = 0.05;
+export const PITCH_RANGE = 12;
+
+export const DEFAULT_PRACTICE = { speed: 1, preservePitch: true, pitch: 0 };
+
+const PRACTICE_KEY = "melodymaster.practice";
+
+// PUBLIC_INTERFACE
+/**
+ * A track's settings with out-of-range or missing values fixed up.
+ */
+export function normalizePractice(settings) {
+  const speed = Number(settings && settings.speed);
+  const pitch = Math.round(Number(settings && settings.pitch));
+  return {
+    speed: isFinite(speed) && speed > 0 ? Math.max(SPEED_MIN, Math.min(SPEED_MAX, Math.round(speed * 100) / 100)) : 1,
+    preservePitch: !settings || settings.preservePitch !== false,
+    pitch: isFinite(pitch) ? Math.max(-PITCH_RANGE, Math.min(PITCH_RANGE, pitch)) : 0,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function isDefaultPractice(settings) {
+  return settings.speed === 1 && settings.pitch === 0 && settings.preservePitch;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Saved settings: { [trackRef]: settings }.
+ */
+export function loadPracticeSettings() {
+  const saved = readJson(PRACTICE_KEY, null) || {};
+  return Object.fromEntries(Object.entries(saved).map(([ref, settings]) => [ref, normalizePractice(settings)]));
+}
+
+// PUBLIC_INTERFACE
+export function savePracticeSettings(all) {
+  writeJson(PRACTICE_KEY, all);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The settings for a track (the defaults if it has none).
+ */
+export function practiceFor(all, ref) {
+  return all[ref] || DEFAULT_PRACTICE;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Changes a track's settings; back at the defaults, its entry is dropped.
+ * @returns {Object} the new { [trackRef]: settings }
+ */
+export function updatePractice(all, ref, patch) {
+  const settings = normalizePractice({ ...practiceFor(all, ref), ...patch });
+  const rest = { ...all };
+  delete rest[ref];
+  return isDefaultPractice(settings) ? rest : { ...rest, [ref]: settings };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Pitch shift ratio for a number of semitones.
+ */
+export function semitonesToRatio(semitones) {
+  return Math.pow(2, semitones / 12);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * "+2 st", "−3 st" ("0 st" unshifted).
+ */
+export function formatSemitones(semitones) {
+  if (!semitones) return "0 st";
+  return `${semitones > 0 ? "+" : "−"}${Math.abs(semitones)} st`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Digital display summary, e.g. "0.75× · −2 st" or "1.25× VARISPEED";
+ * empty at the defaults.
+ */
+export function formatPractice(settings) {
+  const parts = [];
+  if (settings.speed !== 1) parts.push(`${settings.speed.toFixed(2)}×${settings.preservePitch ? "" : " VARISPEED"}`);
+  if (settings.pitch) parts.push(formatSemitones(settings.pitch));
+  return parts.join(" · ");
+}
@@ -0,0 +1,50 @@
+import {
+  DEFAULT_PRACTICE,
+  formatPractice,
+  loadPracticeSettings,
+  normalizePractice,
+  practiceFor,
+  savePracticeSettings,
+  semitonesToRatio,
+  updatePractice,
+} from "./practice";
+
+describe("practice settings", () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test("normalizePractice clamps and rounds", () => {
+    expect(normalizePractice({ speed: 3, pitch: -20, preservePitch: false })).toEqual({ speed: 2, pitch: -12, preservePitch: false });
+    expect(normalizePractice({ speed: 0.7500000001, pitch: 2.4 })).toEqual({ speed: 0.75, pitch: 2, preservePitch: true });
+    expect(normalizePractice({ speed: "fast", pitch: null })).toEqual(DEFAULT_PRACTICE);
+    expect(normalizePractice(null)).toEqual(DEFAULT_PRACTICE);
+  });
+
+  test("updatePractice keeps per-track entries and drops them at the defaults", () => {
+    let all = updatePractice({}, "lib:1", { speed: 0.8 });
+    all = updatePractice(all, "url:https://x/a.mp3", { pitch: -2 });
+    expect(practiceFor(all, "lib:1")).toEqual({ speed: 0.8, preservePitch: true, pitch: 0 });
+    expect(practiceFor(all, "url:https://x/a.mp3").pitch).toBe(-2);
+    expect(practiceFor(all, "lib:2")).toBe(DEFAULT_PRACTICE);
+
+    // Stepping back to 1× with float steps lands on the default
+    all = updatePractice(all, "lib:1", { speed: 0.8 + 0.05 * 4 });
+    expect(Object.keys(all)).toEqual(["url:https://x/a.mp3"]);
+    all = updatePractice(all, "url:https://x/a.mp3", DEFAULT_PRACTICE);
+    expect(all).toEqual({});
+  });
+
+  test("settings survive a save and load", () => {
+    const all = updatePractice({}, "lib:7", { speed: 1.5, preservePitch: false, pitch: 3 });
+    savePracticeSettings(all);
+    expect(loadPracticeSettings()).toEqual(all);
+  });
+
+  test("display summary and pitch ratio", () => {
+    expect(formatPractice(DEFAULT_PRACTICE)).toBe("");
+    expect(formatPractice({ speed: 0.75, preservePitch: true, pitch: -2 })).toBe("0.75× · −2 st");
+    expect(formatPractice({ speed: 1.25, preservePitch: false, pitch: 0 })).toBe("1.25× VARISPEED");
+    expect(formatPractice({ speed: 1, preservePitch: true, pitch: 5 })).toBe("+5 st");
+    expect(semitonesToRatio(12)).toBeCloseTo(2);
+    expect(semitonesToRatio(-7)).toBeCloseTo(0.6674);
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Internet radio: saved stations (Icecast/Shoutcast streams and HLS), their
+ * now-playing titles and HLS playback for browsers without it built in.
+ *
+ * Stations are { id, name, url, genre } in localStorage and show up in the
+ * tracklist's Radio view as live tracks (live: true, duration null).
+ *
+ * Icecast/Shoutcast titles come from ICY metadata: with the "Icy-MetaData: 1"
+ * request header the server interleaves a metadata block every icy-metaint
+ * bytes of audio. The <audio> element can't see those, so a second request
+ * reads them while the station plays. That needs the server to allow CORS
+ * and expose icy-metaint (Icecast 2.4.4+ does); otherwise there's no title.
+ * HLS streams carry their titles as ID3 tags in the segments.
+ */
+import { readJson, writeJson } from "./storage";
+import { parseId3v2 } from "./id3";
+
+const STATIONS_KEY = "melodymaster.stations";
+
+// Source id of station tracks
+export const RADIO_SOURCE_ID = "radio";
+
+const DEFAULT_STATIONS = [
+  { id: "st-somafm-groovesalad", name: "SomaFM Groove Salad", url: "https://ice2.somafm.com/groovesalad-128-mp3", genre: "Ambient" },
+  { id: "st-somafm-defcon", name: "SomaFM DEF CON Radio", url: "https://ice2.somafm.com/defcon-128-mp3", genre: "Electronic" },
+];
+
+function normalizeStation(raw) {
+  if (!raw || typeof raw.id !== "string" || typeof raw.url !== "string") return null;
+  return { id: raw.id, name: String(raw.name || raw.url), url: raw.url, genre: String(raw.genre || "") };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Saved stations; a couple of public ones until the user saves their own.
+ */
+export function loadStations() {
+  const saved = readJson(STATIONS_KEY, null);
+  if (!Array.isArray(saved)) return DEFAULT_STATIONS;
+  return saved.map(normalizeStation).filter(Boolean);
+}
+
+// PUBLIC_INTERFACE
+export function saveStations(stations) {
+  writeJson(STATIONS_KEY, stations);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * New station from the "add station" form.
+ * @throws {Error} with a message for the form when the URL isn't usable
+ */
+export function createStation(name, url, genre = "") {
+  const trimmed = (url || "").trim();
+  if (!/^https?:\/\/\S+$/i.test(trimmed)) throw new Error("Enter the stream's http(s) URL.");
+  let host;
+  try {
+    host = new URL(trimmed).hostname;
+  } catch (e) {
+    throw new Error("That doesn't look like a URL.");
+  }
+  return {
+    id: `st-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: (name || "").trim() || host,
+    url: trimmed,
+    genre: genre.trim(),
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Tracklist track for a station.
+ */
+export function stationToTrack(station) {
+  return {
+    title: station.name,
+    artist: station.genre || "Internet radio",
+    album: "",
+    src: station.url,
+    duration: null,
+    live: true,
+    stationId: station.id,
+    sourceId: RADIO_SOURCE_ID,
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Whether a URL is an HLS playlist.
+ */
+export function isHlsUrl(url) {
+  return /\.m3u8(?:[?#]|$)/i.test(url || "");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The track as the display should show it: a station's current song, when
+ * the stream has told us, with the station name underneath.
+ * @param {Object} track
+ * @param {{artist, title}|null} streamTitle
+ */
+export function withStreamTitle(track, streamTitle) {
+  if (!track.live || !streamTitle) return track;
+  return {
+    ...track,
+    title: streamTitle.title,
+    artist: streamTitle.artist || track.title,
+    album: streamTitle.artist ? track.title : track.album,
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Splits an ICY StreamTitle ("Artist - Title" by convention).
+ * @returns {{artist: string, title: string}|null} null for an empty title
+ */
+export function splitStreamTitle(streamTitle) {
+  const text = (streamTitle || "").trim();
+  if (!text) return null;
+  const dash = text.indexOf(" - ");
+  if (dash < 0) return { artist: "", title: text };
+  return { artist: text.slice(0, dash).trim(), title: text.slice(dash + 3).trim() || text };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Fields of an ICY metadata block: "StreamTitle='...';StreamUrl='...';"
+ * @returns {Object} { StreamTitle, StreamUrl, ... }
+ */
+export function parseIcyMetadata(text) {
+  const fields = {};
+  // Values may contain quotes; each ends at the first "';" after it
+  const re = /(\w+)='([\s\S]*?)';/g;
+  let match;
+  while ((match = re.exec(text))) fields[match[1]] = match[2];
+  return fields;
+}
+
+function decodeIcyText(bytes) {
+  let end = bytes.length;
+  while (end > 0 && bytes[end - 1] === 0) end--;
+  const data = bytes.subarray(0, end);
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(data);
+  } catch (e) {
+    // Older servers send Latin-1
+    return new TextDecoder("windows-1252").decode(data);
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Stateful reader for an ICY stream body. Feed it the response chunks in
+ * order; it skips the audio and calls onMetadata(text) for every non-empty
+ * metadata block.
+ * @param {number} metaint - audio bytes between metadata blocks (icy-metaint)
+ * @param {Function} onMetadata
+ * @returns {Function} push(Uint8Array)
+ */
+export function createIcyParser(metaint, onMetadata) {
+  let audioLeft = metaint;
+  let block = null; // metadata being collected
+  let filled = 0;
+  return chunk => {
+    let i = 0;
+    while (i < chunk.length) {
+      if (audioLeft > 0) {
+        const skip = Math.min(audioLeft, chunk.length - i);
+        audioLeft -= skip;
+        i += skip;
+      } else if (!block) {
+        // Length byte, in 16-byte units; 0 means no change
+        const length = chunk[i++] * 16;
+        if (length) {
+          block = new Uint8Array(length);
+          filled = 0;
+        } else {
+          audioLeft = metaint;
+        }
+      } else {
+        const take = Math.min(block.length - filled, chunk.length - i);
+        block.set(chunk.subarray(i, i + take), filled);
+        filled += take;
+        i += take;
+        if (filled === block.length) {
+          const text = decodeIcyText(block);
+          block = null;
+          audioLeft = metaint;
+          if (text) onMetadata(text);
+        }
+      }
+    }
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Follows a station's ICY titles until stopped.
+ * @param {string} url
+ * @param {Function} onTitle - called with splitStreamTitle's result on every change
+ * @param {Function} [fetchImpl]
+ * @returns {Function} stop()
+ */
+export function watchIcyTitles(url, onTitle, fetchImpl = (...args) => window.fetch(...args)) {
+  const controller = new AbortController();
+  let last = null;
+  fetchImpl(url, { headers: { "Icy-MetaData": "1" }, cache: "no-store", signal: controller.signal })
+    .then(async response => {
+      const metaint = Number(response.headers.get("icy-metaint"));
+      if (!response.ok || !metaint || !response.body) return;
+      const push = createIcyParser(metaint, text => {
+        const { StreamTitle } = parseIcyMetadata(text);
+        if (StreamTitle == null || StreamTitle === last) return;
+        last = StreamTitle;
+        onTitle(splitStreamTitle(StreamTitle));
+      });
+      const reader = response.body.getReader();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        push(value);
+      }
+    })
+    // No CORS, no ICY support or stopped: the station just has no titles
+    .catch(() => {})
+    .finally(() => controller.abort());
+  return () => controller.abort();
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Whether an <audio> element plays HLS by itself (Safari, iOS, Android).
+ */
+export function canPlayHlsNatively(el) {
+  return !!(el.canPlayType && el.canPlayType("application/vnd.apple.mpegurl"));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Plays an HLS stream in an <audio> element through hls.js (Media Source
+ * Extensions), which is loaded on first use.
+ * @param {HTMLMediaElement} el
+ * @param {string} src
+ * @param {Object} handlers - onTitle({artist, title}) from ID3 tags in the
+ *   segments, onError(error) for errors hls.js can't recover from
+ * @returns {Promise<Function>} detach(); rejects when the browser can't do it
+ */
+export async function attachHls(el, src, { onTitle, onError }) {
+  const { default: Hls } = await import("hls.js");
+  if (!Hls.isSupported()) throw new Error("This browser can't play HLS streams.");
+  const hls = new Hls();
+  hls.on(Hls.Events.FRAG_PARSING_METADATA, (event, data) => {
+    data.samples.forEach(sample => {
+      const tags = parseId3v2(sample.data);
+      if (tags && tags.title) onTitle({ artist: tags.artist || "", title: tags.title });
+    });
+  });
+  hls.on(Hls.Events.ERROR, (event, data) => {
+    if (data.fatal) onError(new Error(`HLS stream failed (${data.details}).`));
+  });
+  hls.loadSource(src);
+  hls.attachMedia(el);
+  return () => hls.destroy();
+}
@@ -0,0 +1,102 @@
+/**
+ * @jest-environment node
+ */
+import {
+  createIcyParser,
+  createStation,
+  parseIcyMetadata,
+  splitStreamTitle,
+  watchIcyTitles,
+  withStreamTitle,
+} from "./radio";
+
+// An ICY body: `metaint` audio bytes, then a length byte and the padded block, repeated
+function icyBody(metaint, blocks) {
+  const parts = [];
+  blocks.forEach(text => {
+    parts.push(new Uint8Array(metaint).fill(0xff));
+    const bytes = Buffer.from(text || "", "utf8");
+    const length = Math.ceil(bytes.length / 16);
+    const block = new Uint8Array(1 + length * 16);
+    block[0] = length;
+    block.set(bytes, 1);
+    parts.push(block);
+  });
+  return Buffer.concat(parts);
+}
+
+// Splits bytes into chunks of `size`, like a network stream would
+const chunked = (bytes, size) =>
+  Array.from({ length: Math.ceil(bytes.length / size) }, (_, i) => bytes.subarray(i * size, (i + 1) * size));
+
+describe("radio", () => {
+  test("the ICY parser finds metadata blocks across chunk boundaries", () => {
+    const body = icyBody(100, ["StreamTitle='Synth Escape - Cruisin';", "", "StreamTitle='Night Drive - Afterglow';"]);
+    [1, 7, 100, 4096].forEach(size => {
+      const seen = [];
+      const push = createIcyParser(100, text => seen.push(text));
+      chunked(body, size).forEach(push);
+      expect(seen).toEqual(["StreamTitle='Synth Escape - Cruisin';", "StreamTitle='Night Drive - Afterglow';"]);
+    });
+  });
+
+  test("the ICY parser falls back to Latin-1", () => {
+    const seen = [];
+    const push = createIcyParser(4, text => seen.push(text));
+    // "StreamTitle='Beyoncé';" in Latin-1
+    const latin1 = Buffer.from("StreamTitle='Beyonc\xe9';", "latin1");
+    push(Uint8Array.from([0, 0, 0, 0, 2, ...latin1, ...new Array(32 - latin1.length).fill(0)]));
+    expect(seen).toEqual(["StreamTitle='Beyoncé';"]);
+  });
+
+  test("parses ICY fields and splits titles", () => {
+    expect(parseIcyMetadata("StreamTitle='Guns N' Roses - Don't Cry';StreamUrl='http://x';")).toEqual({
+      StreamTitle: "Guns N' Roses - Don't Cry",
+      StreamUrl: "http://x",
+    });
+    expect(splitStreamTitle("Guns N' Roses - Don't Cry")).toEqual({ artist: "Guns N' Roses", title: "Don't Cry" });
+    expect(splitStreamTitle("Station ID")).toEqual({ artist: "", title: "Station ID" });
+    expect(splitStreamTitle("  ")).toBeNull();
+  });
+
+  test("withStreamTitle shows the song with the station underneath", () => {
+    const station = { title: "Groove Salad", artist: "Ambient", album: "", src: "https://x/gs", live: true };
+    expect(withStreamTitle(station, null)).toBe(station);
+    expect(withStreamTitle(station, { artist: "Boards of Canada", title: "Dayvan Cowboy" })).toMatchObject({
+      title: "Dayvan Cowboy",
+      artist: "Boards of Canada",
+      album: "Groove Salad",
+    });
+    const file = { title: "Intro", src: "intro.mp3" };
+    expect(withStreamTitle(file, { artist: "", title: "x" })).toBe(file);
+  });
+
+  test("createStation checks the URL and names the station after its host", () => {
+    expect(createStation("", " https://ice.example.org:8000/live.mp3 ")).toMatchObject({
+      name: "ice.example.org",
+      url: "https://ice.example.org:8000/live.mp3",
+    });
+    expect(() => createStation("Pirate", "rtsp://example.org/live")).toThrow("http(s) URL");
+  });
+
+  test("watchIcyTitles reports each new title until stopped", async () => {
+    const chunks = chunked(icyBody(16, ["StreamTitle='A - One';", "StreamTitle='A - One';", "StreamTitle='B - Two';"]), 10);
+    const request = {};
+    const fetchImpl = (url, options) => {
+      Object.assign(request, { url, options });
+      return Promise.resolve({
+        ok: true,
+        headers: { get: name => (name === "icy-metaint" ? "16" : null) },
+        body: { getReader: () => ({ read: async () => (chunks.length ? { done: false, value: chunks.shift() } : { done: true }) }) },
+      });
+    };
+    const titles = [];
+    const stop = watchIcyTitles("https://ice.example.org/live", title => titles.push(title), fetchImpl);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(request.options.headers).toEqual({ "Icy-MetaData": "1" });
+    expect(titles).toEqual([{ artist: "A", title: "One" }, { artist: "B", title: "Two" }]);
+    expect(request.options.signal.aborted).toBe(true); // stream ended
+    stop();
+  });
+});
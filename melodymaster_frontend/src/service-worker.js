@@ -0,0 +1,39 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * Service worker, compiled by the build (Workbox InjectManifest).
+ *
+ * - Precaches the app shell (the build's HTML, JS, CSS and bundled fonts),
+ *   so the player opens offline, and answers navigations with index.html.
+ * - Serves pinned tracks (see offlineTracks.js) from the Cache API,
+ *   including the Range requests <audio> makes while buffering and seeking.
+ *
+ * A new version waits until every tab of the old one is closed, so a page
+ * never mixes chunks from two builds.
+ */
+import { clientsClaim } from "workbox-core";
+import { createHandlerBoundToURL, precacheAndRoute } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { createPartialResponse } from "workbox-range-requests";
+import { OFFLINE_TRACKS_CACHE } from "./offlineTracks";
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations get the app shell, except for URLs that look like files
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === "navigate" && !url.pathname.startsWith("/_") && !fileExtensionRegexp.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Audio: the pinned copy if there is one, else the network as usual
+registerRoute(
+  ({ request }) => request.destination === "audio",
+  async ({ request }) => {
+    const cache = await caches.open(OFFLINE_TRACKS_CACHE);
+    const cached = await cache.match(request.url);
+    if (!cached) return fetch(request);
+    return request.headers.has("range") ? createPartialResponse(request, cached) : cached;
+  }
+);
@@ -0,0 +1,21 @@
+/**
+ * Registers the service worker (service-worker.js) in production builds,
+ * making the app installable and usable offline. The dev server has no
+ * service worker, so changes always show up on reload.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Registers the service worker once the page has loaded, so it doesn't
+ * compete with the app for bandwidth on the first visit.
+ */
+export function registerServiceWorker() {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+  // Only from our own origin (PUBLIC_URL could point at a CDN)
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+  window.addEventListener("load", () => {
+    // Without it the app still works, just not offline
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`).catch(() => {});
+  });
+}
@@ -0,0 +1,140 @@
+/**
+ * Keyboard shortcuts: the bindable actions, their default keys and the
+ * user's saved bindings.
+ *
+ * A key combo is a string such as "Space", "Shift+ArrowRight", "Ctrl+K" or
+ * "?". Shift is left out for punctuation (it's part of typing "?"), but kept
+ * for letters and named keys.
+ */
+import { readJson, writeJson } from "./storage";
+
+const SHORTCUTS_KEY = "melodymaster.shortcuts";
+
+// The action ids MainContainer handles, in cheat-sheet order
+export const SHORTCUT_ACTIONS = [
+  { id: "playPause", label: "Play / pause", defaultKey: "Space" },
+  { id: "next", label: "Next track", defaultKey: "N" },
+  { id: "prev", label: "Previous track", defaultKey: "P" },
+  { id: "seekForward", label: "Seek forward 5 s", defaultKey: "ArrowRight" },
+  { id: "seekBack", label: "Seek back 5 s", defaultKey: "ArrowLeft" },
+  { id: "seekForwardLong", label: "Seek forward 30 s", defaultKey: "Shift+ArrowRight" },
+  { id: "seekBackLong", label: "Seek back 30 s", defaultKey: "Shift+ArrowLeft" },
+  { id: "volumeUp", label: "Volume up", defaultKey: "ArrowUp" },
+  { id: "volumeDown", label: "Volume down", defaultKey: "ArrowDown" },
+  { id: "mute", label: "Mute / unmute", defaultKey: "M" },
+  { id: "equalizer", label: "Open / close equalizer", defaultKey: "E" },
+  { id: "shuffle", label: "Shuffle on / off", defaultKey: "S" },
+  { id: "repeat", label: "Cycle repeat mode", defaultKey: "R" },
+  { id: "loop", label: "Set loop A, then B, then clear", defaultKey: "L" },
+  { id: "slower", label: "Slower (speed −0.05×)", defaultKey: "[" },
+  { id: "faster", label: "Faster (speed +0.05×)", defaultKey: "]" },
+  { id: "search", label: "Search tracks", defaultKey: "/" },
+  { id: "help", label: "Show this cheat sheet", defaultKey: "?" },
+];
+
+// Keys a focused slider or select uses itself
+const CONTROL_KEYS = ["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight", "PageUp", "PageDown", "Home", "End"];
+
+const MODIFIER_KEYS = ["Shift", "Control", "Alt", "Meta", "AltGraph", "CapsLock"];
+
+// PUBLIC_INTERFACE
+/**
+ * Default bindings: { [actionId]: combo }.
+ */
+export function defaultShortcutBindings() {
+  return Object.fromEntries(SHORTCUT_ACTIONS.map(action => [action.id, action.defaultKey]));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Saved bindings merged over the defaults. An action saved as "" is unbound.
+ */
+export function loadShortcutBindings() {
+  const saved = readJson(SHORTCUTS_KEY, null) || {};
+  const bindings = defaultShortcutBindings();
+  SHORTCUT_ACTIONS.forEach(({ id }) => {
+    if (typeof saved[id] === "string") bindings[id] = saved[id];
+  });
+  return bindings;
+}
+
+// PUBLIC_INTERFACE
+export function saveShortcutBindings(bindings) {
+  writeJson(SHORTCUTS_KEY, bindings);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The combo string for a keydown event, or null for a bare modifier press.
+ * @param {KeyboardEvent} e
+ */
+export function comboFromEvent(e) {
+  if (MODIFIER_KEYS.includes(e.key)) return null;
+  // Space counts as a named key, "+" as punctuation (it's only renamed so it can't split a combo)
+  const printable = e.key.length === 1 && e.key !== " ";
+  const upper = e.key.toUpperCase();
+  const isLetter = printable && upper !== e.key.toLowerCase();
+  const key = e.key === " " ? "Space" : e.key === "+" ? "Plus" : printable ? upper : e.key;
+  const parts = [];
+  if (e.ctrlKey) parts.push("Ctrl");
+  if (e.altKey) parts.push("Alt");
+  if (e.metaKey) parts.push("Meta");
+  if (e.shiftKey && (!printable || isLetter)) parts.push("Shift");
+  parts.push(key);
+  return parts.join("+");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The action bound to `combo`, or null.
+ */
+export function findShortcutAction(bindings, combo) {
+  const action = SHORTCUT_ACTIONS.find(({ id }) => bindings[id] && bindings[id] === combo);
+  return action ? action.id : null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Binds `combo` to `actionId`, unbinding any other action that had it.
+ * @returns {{bindings: Object, displaced: string|null}} displaced is the
+ *   action id that lost the key
+ */
+export function rebindShortcut(bindings, actionId, combo) {
+  const displaced = SHORTCUT_ACTIONS.find(({ id }) => id !== actionId && bindings[id] === combo);
+  const next = { ...bindings, [actionId]: combo };
+  if (displaced) next[displaced.id] = "";
+  return { bindings: next, displaced: displaced ? displaced.id : null };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Whether a shortcut should be left alone because focus is somewhere that
+ * handles the key itself: text fields take every key, sliders and selects
+ * their navigation keys, and buttons Space/Enter.
+ * @param {KeyboardEvent} e
+ */
+export function shouldIgnoreShortcut(e) {
+  const el = e.target;
+  if (!el || !el.tagName) return false;
+  if (el.isContentEditable) return true;
+  const tag = el.tagName.toLowerCase();
+  const type = (el.getAttribute("type") || "text").toLowerCase();
+  if (tag === "textarea") return true;
+  if (tag === "input" && !["range", "checkbox", "radio", "button", "submit", "reset", "file", "color"].includes(type)) return true;
+  const plain = !e.ctrlKey && !e.altKey && !e.metaKey;
+  if ((tag === "select" || type === "range" || el.getAttribute("role") === "slider") && plain && CONTROL_KEYS.includes(e.key)) {
+    return true;
+  }
+  if ((tag === "button" || (tag === "input" && type !== "range")) && (e.key === " " || e.key === "Enter")) return true;
+  return false;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Human-friendly combo: arrows as glyphs, "Space" spelled out.
+ */
+export function formatCombo(combo) {
+  if (!combo) return "—";
+  const names = { ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→", Escape: "Esc" };
+  return combo.split("+").map(part => names[part] || part).join(" + ");
+}
@@ -0,0 +1,116 @@
+import {
+  comboFromEvent,
+  defaultShortcutBindings,
+  findShortcutAction,
+  formatCombo,
+  loadShortcutBindings,
+  rebindShortcut,
+  saveShortcutBindings,
+  shouldIgnoreShortcut,
+} from "./shortcuts";
+
+const key = (k, mods = {}) => ({ key: k, ctrlKey: false, altKey: false, metaKey: false, shiftKey: false, ...mods });
+
+function element(tag, attrs = {}) {
+  const el = document.createElement(tag);
+  Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+  return el;
+}
+const on = (target, k, mods) => ({ ...key(k, mods), target });
+
+describe("comboFromEvent", () => {
+  test("letters are upper-cased and keep Shift", () => {
+    expect(comboFromEvent(key("n"))).toBe("N");
+    expect(comboFromEvent(key("N", { shiftKey: true }))).toBe("Shift+N");
+    expect(comboFromEvent(key("k", { ctrlKey: true }))).toBe("Ctrl+K");
+    expect(comboFromEvent(key("x", { ctrlKey: true, altKey: true, metaKey: true, shiftKey: true }))).toBe("Ctrl+Alt+Meta+Shift+X");
+  });
+
+  test("Shift is part of typing punctuation, so it's left out", () => {
+    expect(comboFromEvent(key("?", { shiftKey: true }))).toBe("?");
+    expect(comboFromEvent(key("[", {}))).toBe("[");
+    expect(comboFromEvent(key("+", { shiftKey: true }))).toBe("Plus");
+    expect(comboFromEvent(key("+", { ctrlKey: true }))).toBe("Ctrl+Plus");
+  });
+
+  test("named keys keep Shift; Space is spelled out; bare modifiers are no combo", () => {
+    expect(comboFromEvent(key("ArrowRight", { shiftKey: true }))).toBe("Shift+ArrowRight");
+    expect(comboFromEvent(key(" "))).toBe("Space");
+    expect(comboFromEvent(key("Shift", { shiftKey: true }))).toBeNull();
+    expect(comboFromEvent(key("Control", { ctrlKey: true }))).toBeNull();
+  });
+});
+
+describe("bindings", () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test("rebinding a key that's taken unbinds the action that had it", () => {
+    const { bindings, displaced } = rebindShortcut(defaultShortcutBindings(), "shuffle", "N");
+    expect(displaced).toBe("next");
+    expect(bindings.shuffle).toBe("N");
+    expect(bindings.next).toBe("");
+    expect(findShortcutAction(bindings, "N")).toBe("shuffle");
+    expect(findShortcutAction(bindings, "S")).toBeNull();
+  });
+
+  test("rebinding to a free key or the same key displaces nothing", () => {
+    expect(rebindShortcut(defaultShortcutBindings(), "next", "Ctrl+ArrowRight")).toMatchObject({
+      displaced: null,
+      bindings: { next: "Ctrl+ArrowRight", prev: "P" },
+    });
+    expect(rebindShortcut(defaultShortcutBindings(), "next", "N").displaced).toBeNull();
+  });
+
+  test("an unbound action matches nothing", () => {
+    const bindings = { ...defaultShortcutBindings(), mute: "" };
+    expect(findShortcutAction(bindings, "")).toBeNull();
+  });
+
+  test("saved bindings are merged over the defaults, unbound ones included", () => {
+    saveShortcutBindings({ next: "J", mute: "", bogus: "Q", prev: 5 });
+    expect(loadShortcutBindings()).toEqual({ ...defaultShortcutBindings(), next: "J", mute: "" });
+  });
+
+  test("formatCombo", () => {
+    expect(formatCombo("Shift+ArrowRight")).toBe("Shift + →");
+    expect(formatCombo("Ctrl+Plus")).toBe("Ctrl + Plus");
+    expect(formatCombo("")).toBe("—");
+  });
+});
+
+describe("shouldIgnoreShortcut", () => {
+  test("text fields take every key", () => {
+    ["text", "search", "number", "url"].forEach(type => {
+      expect(shouldIgnoreShortcut(on(element("input", { type }), "n"))).toBe(true);
+    });
+    expect(shouldIgnoreShortcut(on(element("input"), " "))).toBe(true);
+    expect(shouldIgnoreShortcut(on(element("textarea"), "ArrowLeft"))).toBe(true);
+    // jsdom doesn't compute isContentEditable
+    expect(shouldIgnoreShortcut(on({ tagName: "DIV", isContentEditable: true, getAttribute: () => null }, "m"))).toBe(true);
+  });
+
+  test("sliders and selects keep their navigation keys, unless a modifier is held", () => {
+    const slider = element("input", { type: "range" });
+    expect(shouldIgnoreShortcut(on(slider, "ArrowRight"))).toBe(true);
+    expect(shouldIgnoreShortcut(on(slider, "ArrowRight", { ctrlKey: true }))).toBe(false);
+    expect(shouldIgnoreShortcut(on(slider, "m"))).toBe(false);
+    expect(shouldIgnoreShortcut(on(slider, " "))).toBe(false);
+    expect(shouldIgnoreShortcut(on(element("select"), "ArrowDown"))).toBe(true);
+    expect(shouldIgnoreShortcut(on(element("div", { role: "slider" }), "Home"))).toBe(true);
+  });
+
+  test("buttons and checkboxes keep Space and Enter only", () => {
+    const button = element("button");
+    expect(shouldIgnoreShortcut(on(button, " "))).toBe(true);
+    expect(shouldIgnoreShortcut(on(button, "Enter"))).toBe(true);
+    expect(shouldIgnoreShortcut(on(button, "n"))).toBe(false);
+    expect(shouldIgnoreShortcut(on(element("input", { type: "checkbox" }), " "))).toBe(true);
+    expect(shouldIgnoreShortcut(on(element("input", { type: "checkbox" }), "ArrowUp"))).toBe(false);
+  });
+
+  test("anywhere else shortcuts apply", () => {
+    expect(shouldIgnoreShortcut(on(document.body, " "))).toBe(false);
+    expect(shouldIgnoreShortcut(on(element("div"), "ArrowLeft"))).toBe(false);
+    expect(shouldIgnoreShortcut(on(null, "n"))).toBe(false);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Track sources: where the tracklist's tracks come from.
+ *
+ * A provider turns a source's config into a source object:
+ *   create(config, { id, name, fetch }) -> {
+ *     list(): Promise<Track[]>        every track the source has, with its metadata
+ *     resolve(track): Promise<string> a URL the <audio> element can play
+ *     metadata(track): Promise<Object> extra fields to merge into the track (tags,
+ *                                      lyrics, duration); {} when there's nothing more
+ *   }
+ * Tracks carry sourceId (the source's id) and must not set `id`, which is
+ * reserved for library records. `fetch` is injectable so providers can be
+ * exercised against a mock server.
+ *
+ * The local library ("local") and the demo tracks ("demo") are built in;
+ * user-added sources are persisted as [{ id, type, name, config }].
+ */
+import { readJson, writeJson } from "./storage";
+import { LOCAL_SOURCE_ID, createLocalProvider } from "./localProvider";
+import { createUrlProvider } from "./urlProvider";
+import { createHttpDirectoryProvider } from "./httpDirectoryProvider";
+import { createSubsonicProvider, subsonicCredentials } from "./subsonicProvider";
+
+const SOURCES_KEY = "melodymaster.sources";
+
+export const DEMO_SOURCE_ID = "demo";
+
+// PUBLIC_INTERFACE
+/**
+ * Provider types: label, the fields the "add source" form asks for, and
+ * toConfig(values) turning the form values into a stored config (async, so
+ * it can derive credentials). Types with builtIn can't be added by the user.
+ */
+export const PROVIDER_TYPES = {
+  local: { label: "Local files", builtIn: true, create: createLocalProvider },
+  url: {
+    label: "Stream URLs",
+    create: createUrlProvider,
+    fields: [{ id: "urls", label: "Stream URLs, one per line", multiline: true, placeholder: "https://example.com/radio/track.mp3" }],
+    toConfig: async ({ urls }) => {
+      const streams = String(urls || "").split(/\s+/).filter(url => /^https?:\/\//i.test(url)).map(src => ({ src }));
+      if (!streams.length) throw new Error("Enter at least one http(s) URL.");
+      return { streams };
+    },
+  },
+  httpdir: {
+    label: "HTTP directory",
+    create: createHttpDirectoryProvider,
+    fields: [{ id: "url", label: "Directory URL", placeholder: "https://music.example.com/library/" }],
+    toConfig: async ({ url }) => {
+      if (!/^https?:\/\//i.test(url || "")) throw new Error("Enter an http(s) directory URL.");
+      return { url: url.trim() };
+    },
+  },
+  subsonic: {
+    label: "Subsonic server",
+    create: createSubsonicProvider,
+    fields: [
+      { id: "url", label: "Server URL", placeholder: "https://navidrome.example.com" },
+      { id: "username", label: "Username" },
+      { id: "password", label: "Password", secret: true },
+    ],
+    // Only a salted token is stored, never the password
+    toConfig: async ({ url, username, password }) => {
+      if (!/^https?:\/\//i.test(url || "")) throw new Error("Enter the server's http(s) URL.");
+      if (!username || !password) throw new Error("Enter a username and password.");
+      return { url: url.trim().replace(/\/+$/, ""), username: username.trim(), ...subsonicCredentials(password) };
+    },
+  },
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Creates the source object for a stored source.
+ * @param {{id, type, name, config}} source
+ * @param {Object} [options] - fetch: fetch implementation (defaults to window.fetch)
+ */
+export function createSource({ id, type, name, config }, options = {}) {
+  const provider = PROVIDER_TYPES[type];
+  if (!provider) throw new Error(`Unknown source type "${type}".`);
+  const fetchImpl = options.fetch || ((...args) => window.fetch(...args));
+  return provider.create(config || {}, { id, name, fetch: fetchImpl });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Lists a source's tracks with playable URLs and their sourceId set.
+ * @returns {Promise<Array>} rejects when the source can't be reached
+ */
+export async function loadSourceTracks(source, id) {
+  let tracks;
+  try {
+    tracks = await source.list();
+  } catch (err) {
+    // fetch only throws TypeError when no response came back at all
+    if (err instanceof TypeError) throw new Error("Could not connect: check the URL and that the server allows this page (CORS).");
+    throw err;
+  }
+  return Promise.all(tracks.map(async track => ({ ...track, sourceId: id, src: await source.resolve(track) })));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Loads the user-added sources.
+ */
+export function loadSources() {
+  const saved = readJson(SOURCES_KEY, []);
+  if (!Array.isArray(saved)) return [];
+  return saved.filter(s => s && typeof s.id === "string" && PROVIDER_TYPES[s.type] && !PROVIDER_TYPES[s.type].builtIn);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Persists the user-added sources.
+ */
+export function saveSources(sources) {
+  writeJson(SOURCES_KEY, sources);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * New source record from the "add source" form.
+ * @returns {Promise<{id, type, name, config}>} rejects with a message for the form
+ */
+export async function createSourceRecord(type, name, values) {
+  const provider = PROVIDER_TYPES[type];
+  const config = await provider.toConfig(values);
+  return {
+    id: `src-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    type,
+    name: (name || "").trim() || provider.label,
+    config,
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Whether a track comes from a user-added (remote) source.
+ */
+export function isRemoteTrack(track) {
+  return !!track.sourceId && track.sourceId !== LOCAL_SOURCE_ID && track.sourceId !== DEMO_SOURCE_ID;
+}
@@ -0,0 +1,267 @@
+/**
+ * @jest-environment node
+ */
+import http from "http";
+import crypto from "crypto";
+import { md5 } from "./md5";
+import { createSource, createSourceRecord, loadSourceTracks } from "./sourceProviders";
+import { parseDirectoryListing } from "./httpDirectoryProvider";
+import { subsonicCredentials } from "./subsonicProvider";
+import { matchPlaylistEntries, parseM3U, serializePlaylist } from "./playlistFormats";
+
+const PASSWORD = "sesame";
+
+const subsonicOk = body => ({ "subsonic-response": { status: "ok", version: "1.16.1", ...body } });
+
+// Routes of the mock server: path -> (url) => { status, type, body }
+const routes = {
+  "/music/": () => ({
+    type: "text/html",
+    body: `<html><body><h1>Index of /music/</h1>
+      <a href="../">Parent Directory</a>
+      <a href="?C=M;O=A">Last modified</a>
+      <a href="Night%20Drive/">Night Drive/</a>
+      <a href="cover.jpg">cover.jpg</a>
+      <a href="01%20-%20Intro.mp3">01 - Intro.mp3</a>
+      <a href="https://elsewhere.example/x.mp3">elsewhere</a>
+    </body></html>`,
+  }),
+  // nginx autoindex_format json
+  "/music/Night%20Drive/": () => ({
+    type: "application/json",
+    body: JSON.stringify([
+      { name: "Afterglow", type: "directory" },
+      { name: "notes.txt", type: "file" },
+    ]),
+  }),
+  "/music/Night%20Drive/Afterglow/": () => ({
+    type: "text/html",
+    body: `<a href="02%20FM%20Memories.flac">02 FM Memories.flac</a><a href="01%20Neon.mp3">01 Neon.mp3</a>`,
+  }),
+  "/rest/getAlbumList2": () => ({
+    body: subsonicOk({ albumList2: { album: [{ id: "al-1", name: "Neon Nights" }] } }),
+  }),
+  "/rest/getAlbum": url => ({
+    body: subsonicOk({
+      album: {
+        id: url.searchParams.get("id"),
+        song: [
+          {
+            id: "so-1", title: "Time Machine Groove", artist: "RetroWave", album: "Neon Nights", track: 1,
+            duration: 201, suffix: "mp3", contentType: "audio/mpeg", bitRate: 320, coverArt: "al-1",
+          },
+          { id: "so-2", title: "Dashboard Dreams", artist: "RetroWave", album: "Neon Nights", track: 2, suffix: "ogg" },
+        ],
+      },
+    }),
+  }),
+  "/rest/getLyricsBySongId": () => ({
+    body: subsonicOk({
+      lyricsList: {
+        structuredLyrics: [
+          { synced: true, offset: 0, line: [{ start: 12500, value: "second" }, { start: 1000, value: "first" }] },
+        ],
+      },
+    }),
+  }),
+};
+
+let server;
+let baseUrl;
+const requests = [];
+
+// Minimal fetch over node's http module (jest's node environment has no fetch)
+function nodeFetch(url) {
+  return new Promise((resolve, reject) => {
+    http
+      .get(url, res => {
+        const chunks = [];
+        res.on("data", chunk => chunks.push(chunk));
+        res.on("end", () => {
+          const buffer = Buffer.concat(chunks);
+          resolve({
+            ok: res.statusCode >= 200 && res.statusCode < 300,
+            status: res.statusCode,
+            text: async () => buffer.toString("utf8"),
+            json: async () => JSON.parse(buffer.toString("utf8")),
+            arrayBuffer: async () => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length),
+          });
+        });
+      })
+      .on("error", () => reject(new TypeError("Failed to fetch")));
+  });
+}
+
+beforeAll(done => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, baseUrl);
+    requests.push(url);
+    const route = routes[url.pathname];
+    if (url.pathname.startsWith("/rest/")) {
+      // Token auth: md5(password + salt)
+      const { token } = subsonicCredentials(PASSWORD, url.searchParams.get("s"));
+      if (url.searchParams.get("t") !== token) {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ "subsonic-response": { status: "failed", error: { code: 40, message: "Wrong username or password" } } }));
+        return;
+      }
+    }
+    if (!route) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    const { status = 200, type = "application/json", body } = route(url);
+    res.writeHead(status, { "Content-Type": type });
+    res.end(typeof body === "string" ? body : JSON.stringify(body));
+  });
+  server.listen(0, "127.0.0.1", () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  requests.length = 0;
+});
+
+describe("md5", () => {
+  test("matches node's implementation", () => {
+    ["", "a", "sesamec19b2d", "ünïcödé ♫", "x".repeat(1000)].forEach(text => {
+      expect(md5(text)).toBe(crypto.createHash("md5").update(text, "utf8").digest("hex"));
+    });
+  });
+});
+
+describe("parseDirectoryListing", () => {
+  test("keeps entries below the listing, skipping parents, sort links and other hosts", () => {
+    const html = '<a href="../">up</a><a href="?C=N;O=D">Name</a><a href="a.mp3">a</a><a href="sub/">sub</a>'
+      + '<a href="/other/b.mp3">b</a><a href="a.mp3#again">a</a>';
+    expect(parseDirectoryListing(html, "http://host/music/")).toEqual({
+      files: ["http://host/music/a.mp3"],
+      directories: ["http://host/music/sub/"],
+    });
+  });
+});
+
+describe("stream URL provider", () => {
+  test("lists the pasted URLs with titles from their file names", async () => {
+    const record = await createSourceRecord("url", "", {
+      urls: `${baseUrl}/radio/Synth%20Escape%20-%20Cruisin.mp3\nnot-a-url\n${baseUrl}/radio/jingle.ogg`,
+    });
+    expect(record.name).toBe("Stream URLs");
+    const tracks = await loadSourceTracks(createSource(record, { fetch: nodeFetch }), record.id);
+    expect(tracks.map(t => [t.artist, t.title, t.sourceId])).toEqual([
+      ["Synth Escape", "Cruisin", record.id],
+      ["", "jingle", record.id],
+    ]);
+    expect(tracks[0].src).toBe(`${baseUrl}/radio/Synth%20Escape%20-%20Cruisin.mp3`);
+    expect(tracks.every(t => t.id === undefined)).toBe(true);
+  });
+
+  test("rejects a form without URLs", async () => {
+    await expect(createSourceRecord("url", "Radio", { urls: "ftp://nope" })).rejects.toThrow("http(s) URL");
+  });
+});
+
+describe("HTTP directory provider", () => {
+  test("crawls HTML and JSON listings for audio files", async () => {
+    const source = createSource(
+      { id: "dir", type: "httpdir", name: "NAS", config: { url: `${baseUrl}/music` } },
+      { fetch: nodeFetch }
+    );
+    const tracks = await loadSourceTracks(source, "dir");
+    expect(tracks.map(t => t.path)).toEqual([
+      "01 - Intro.mp3",
+      "Night Drive/Afterglow/01 Neon.mp3",
+      "Night Drive/Afterglow/02 FM Memories.flac",
+    ]);
+    expect(tracks[2]).toMatchObject({
+      title: "02 FM Memories",
+      artist: "Night Drive",
+      album: "Afterglow",
+      src: `${baseUrl}/music/Night%20Drive/Afterglow/02%20FM%20Memories.flac`,
+      sourceId: "dir",
+    });
+    // Nothing outside the listing was requested
+    expect(requests.every(url => url.pathname.startsWith("/music/"))).toBe(true);
+  });
+
+  test("fails when the directory can't be read", async () => {
+    const source = createSource({ id: "dir", type: "httpdir", config: { url: `${baseUrl}/missing/` } }, { fetch: nodeFetch });
+    await expect(loadSourceTracks(source, "dir")).rejects.toThrow("HTTP 404");
+  });
+
+  test("reports an unreachable server", async () => {
+    const source = createSource({ id: "dir", type: "httpdir", config: { url: "http://127.0.0.1:1/" } }, { fetch: nodeFetch });
+    await expect(loadSourceTracks(source, "dir")).rejects.toThrow("Could not connect");
+  });
+});
+
+describe("Subsonic provider", () => {
+  const addServer = password =>
+    createSourceRecord("subsonic", "Navidrome", { url: `${baseUrl}/`, username: "dj", password });
+
+  test("stores a salted token instead of the password", async () => {
+    const record = await addServer(PASSWORD);
+    expect(record.config).toEqual({ url: baseUrl, username: "dj", salt: expect.any(String), token: expect.any(String) });
+    expect(JSON.stringify(record)).not.toContain(PASSWORD);
+    expect(record.config.token).toBe(md5(PASSWORD + record.config.salt));
+  });
+
+  test("lists albums' songs with stream URLs and fetches lyrics", async () => {
+    const record = await addServer(PASSWORD);
+    const source = createSource(record, { fetch: nodeFetch });
+    const tracks = await loadSourceTracks(source, record.id);
+
+    expect(tracks).toHaveLength(2);
+    expect(tracks[0]).toMatchObject({
+      title: "Time Machine Groove",
+      artist: "RetroWave",
+      trackNo: 1,
+      duration: 201,
+      remoteId: "so-1",
+      sourceId: record.id,
+      audioInfo: { format: "mp3", mime: "audio/mpeg", bitrate: 320000 },
+    });
+    expect(tracks[1].audioInfo.format).toBe("ogg");
+    const stream = new URL(tracks[0].src);
+    expect(stream.pathname).toBe("/rest/stream");
+    expect(stream.searchParams.get("id")).toBe("so-1");
+    expect(stream.searchParams.get("t")).toBe(record.config.token);
+    expect(new URL(tracks[0].art).pathname).toBe("/rest/getCoverArt");
+
+    const { lyrics } = await source.metadata(tracks[0]);
+    expect(lyrics).toEqual({
+      synced: true,
+      source: "subsonic",
+      lines: [{ time: 1, text: "first" }, { time: 12.5, text: "second" }],
+    });
+  });
+
+  test("exported playlists leave out the login and still match on import", async () => {
+    const record = await addServer(PASSWORD);
+    const tracks = await loadSourceTracks(createSource(record, { fetch: nodeFetch }), record.id);
+    ["m3u8", "pls", "xspf"].forEach(format => {
+      const text = serializePlaylist(format, "Set", tracks);
+      expect(text).toContain(`src:${record.id}:so-1`);
+      expect(text).not.toContain(record.config.token);
+      expect(text).not.toContain(record.config.salt);
+      expect(text).not.toMatch(/[?&][ust]=/);
+    });
+    const { matched, unmatched } = matchPlaylistEntries(parseM3U(serializePlaylist("m3u8", "Set", tracks)).entries, tracks);
+    expect(unmatched).toEqual([]);
+    expect(matched.map(m => m.track)).toEqual(tracks);
+  });
+
+  test("surfaces the server's error message", async () => {
+    const record = await addServer("wrong");
+    await expect(loadSourceTracks(createSource(record, { fetch: nodeFetch }), record.id)).rejects.toThrow(
+      "Wrong username or password"
+    );
+  });
+});
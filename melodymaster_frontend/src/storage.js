@@ -0,0 +1,30 @@
+/**
+ * Small localStorage wrappers shared by settings modules.
+ * Failures (quota exceeded, storage disabled in private mode, corrupt JSON)
+ * never throw: reads fall back and writes are dropped.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Reads and parses a JSON value, returning `fallback` if missing or unreadable.
+ */
+export function readJson(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Serializes and stores a JSON value.
+ */
+export function writeJson(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    // Storage full or disabled (private mode): settings just won't persist.
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * Subsonic-compatible server provider (Subsonic, Navidrome, Airsonic, Gonic...).
+ * Uses the REST API with token authentication: each request carries the
+ * username, a salt and md5(password + salt), so only the token is stored.
+ * Synced lyrics come from the OpenSubsonic getLyricsBySongId extension when
+ * the server has it.
+ */
+import { AUDIO_FORMATS } from "./audioFormats";
+import { md5 } from "./md5";
+
+const API_VERSION = "1.16.1";
+const CLIENT_NAME = "MelodyMaster";
+// Albums per getAlbumList2 page, and albums fetched at once
+const ALBUM_PAGE_SIZE = 500;
+const ALBUM_CONCURRENCY = 4;
+
+// PUBLIC_INTERFACE
+/**
+ * Salt and token for a password.
+ * @returns {{salt: string, token: string}}
+ */
+export function subsonicCredentials(password, salt = Math.random().toString(36).slice(2, 12)) {
+  return { salt, token: md5(password + salt) };
+}
+
+function formatFromSuffix(suffix) {
+  const ext = String(suffix || "").toLowerCase();
+  const entry = Object.entries(AUDIO_FORMATS).find(([, f]) => f.exts.includes(ext));
+  return entry ? entry[0] : null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Creates a Subsonic source (see sourceProviders.js for the interface).
+ * @param {Object} config - { url, username, salt, token }
+ * @param {Object} options - { id, fetch }
+ */
+export function createSubsonicProvider(config, { id, fetch: fetchImpl }) {
+  const apiUrl = (method, params = {}) => {
+    const query = new URLSearchParams({
+      u: config.username, t: config.token, s: config.salt, v: API_VERSION, c: CLIENT_NAME, f: "json", ...params,
+    });
+    return `${config.url}/rest/${method}?${query}`;
+  };
+
+  async function call(method, params) {
+    const response = await fetchImpl(apiUrl(method, params));
+    if (!response.ok) throw new Error(`${method} failed (HTTP ${response.status}).`);
+    const body = (await response.json())["subsonic-response"];
+    if (!body) throw new Error("Not a Subsonic server.");
+    if (body.status !== "ok") throw new Error((body.error && body.error.message) || `${method} failed.`);
+    return body;
+  }
+
+  const songToTrack = song => {
+    const format = formatFromSuffix(song.suffix);
+    return {
+      title: song.title || "Untitled",
+      artist: song.artist || "",
+      album: song.album || "",
+      trackNo: song.track || null,
+      year: song.year || null,
+      genre: song.genre || "",
+      duration: song.duration != null ? song.duration : null,
+      art: song.coverArt ? apiUrl("getCoverArt", { id: song.coverArt, size: "300" }) : null,
+      audioInfo: {
+        format,
+        mime: song.contentType || (format && AUDIO_FORMATS[format].mime) || null,
+        bitrate: song.bitRate ? song.bitRate * 1000 : null,
+        sampleRate: song.samplingRate || null,
+      },
+      remoteId: song.id,
+      sourceId: id,
+    };
+  };
+
+  async function list() {
+    const albums = [];
+    for (let offset = 0; ; offset += ALBUM_PAGE_SIZE) {
+      const body = await call("getAlbumList2", { type: "alphabeticalByArtist", size: ALBUM_PAGE_SIZE, offset });
+      const page = (body.albumList2 && body.albumList2.album) || [];
+      albums.push(...page);
+      if (page.length < ALBUM_PAGE_SIZE) break;
+    }
+    const tracks = [];
+    for (let i = 0; i < albums.length; i += ALBUM_CONCURRENCY) {
+      const batch = await Promise.all(
+        albums.slice(i, i + ALBUM_CONCURRENCY).map(album => call("getAlbum", { id: album.id }).catch(() => null))
+      );
+      batch.forEach(body => {
+        if (body && body.album) tracks.push(...(body.album.song || []).map(songToTrack));
+      });
+    }
+    return tracks;
+  }
+
+  async function metadata(track) {
+    try {
+      const body = await call("getLyricsBySongId", { id: track.remoteId });
+      const structured = (body.lyricsList && body.lyricsList.structuredLyrics) || [];
+      const synced = structured.find(l => l.synced && l.line && l.line.length);
+      const plain = structured.find(l => !l.synced && l.line && l.line.length);
+      if (synced) {
+        const offset = (synced.offset || 0) / 1000;
+        const lines = synced.line.map(l => ({ time: Math.max(0, (l.start || 0) / 1000 - offset), text: l.value || "" }));
+        return { lyrics: { synced: true, lines: lines.sort((a, b) => a.time - b.time), source: "subsonic" } };
+      }
+      if (plain) return { lyrics: { synced: false, lines: plain.line.map(l => ({ time: null, text: l.value || "" })), source: "subsonic" } };
+    } catch (e) {
+      // Not an OpenSubsonic server, or no lyrics
+    }
+    return {};
+  }
+
+  return {
+    list,
+    resolve: async track => apiUrl("stream", { id: track.remoteId }),
+    metadata,
+  };
+}
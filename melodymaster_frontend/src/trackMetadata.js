@@ -0,0 +1,64 @@
+/**
+ * Metadata extraction for uploaded audio files: embedded tags first,
+ * filename-based fallback when there are none or they can't be parsed.
+ */
+import { readId3Tags } from "./id3";
+import { lyricsFromTags } from "./lyrics";
+
+// Defaults used when neither tags nor the filename give us an artist/album
+const DEFAULT_ARTIST = "You";
+const DEFAULT_ALBUM = "Uploaded";
+
+// PUBLIC_INTERFACE
+/**
+ * Derives metadata from a filename. "Artist - Title.mp3" is split on the
+ * first " - "; anything else becomes the title.
+ * @param {string} filename
+ * @param {{artist: string, album: string}} [defaults] - used when the name doesn't say
+ * @returns {{title: string, artist: string, album: string}}
+ */
+export function metadataFromFilename(filename, defaults = { artist: DEFAULT_ARTIST, album: DEFAULT_ALBUM }) {
+  const base = (filename || "").replace(/\.[a-z0-9]{2,5}$/i, "").replace(/_/g, " ").trim();
+  const m = base.match(/^(.+?)\s+-\s+(.+)$/);
+  if (m) return { title: m[2].trim(), artist: m[1].trim(), album: defaults.album };
+  return { title: base || "Untitled", artist: defaults.artist, album: defaults.album };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Reads track metadata for an uploaded file.
+ * @param {File} file
+ * @param {{artist?: string, album?: string}} [hints] - e.g. from the folder the file was in;
+ *   used instead of the generic defaults when tags don't say
+ * @returns {Promise<{title, artist, album, track, year, genre, art: Blob|null, lyrics: Object|null, tagVersion: string|null}>}
+ *   lyrics come from SYLT/USLT frames (see lyrics.js).
+ *   Never rejects: tag parsing errors fall back to filename metadata.
+ */
+export async function readTrackMetadata(file, hints = {}) {
+  const fromName = metadataFromFilename(file.name);
+  const fallback = {
+    ...fromName,
+    artist: fromName.artist === DEFAULT_ARTIST && hints.artist ? hints.artist : fromName.artist,
+    album: hints.album || fromName.album,
+  };
+  let tags = null;
+  try {
+    tags = await readId3Tags(file);
+  } catch (e) {
+    tags = null;
+  }
+  if (!tags) {
+    return { ...fallback, track: null, year: null, genre: "", art: null, lyrics: null, tagVersion: null };
+  }
+  return {
+    title: tags.title || fallback.title,
+    artist: tags.artist || tags.albumArtist || fallback.artist,
+    album: tags.album || fallback.album,
+    track: tags.track || null,
+    year: tags.year || null,
+    genre: tags.genre || "",
+    art: tags.picture ? new Blob([tags.picture.data], { type: tags.picture.mime }) : null,
+    lyrics: lyricsFromTags(tags),
+    tagVersion: tags.version || null,
+  };
+}
@@ -0,0 +1,174 @@
+/**
+ * Tracklist search, sorting and filtering.
+ *
+ * A view never reorders the tracks themselves: it's a list of indices into
+ * the tracks being played (library or playlist), so every row still knows
+ * its real index and currentIdx keeps pointing at the same track however
+ * the list is shown. Play order follows the underlying list.
+ */
+import { AUDIO_FORMATS, trackFormat } from "./audioFormats";
+import { readJson, writeJson } from "./storage";
+
+const VIEW_KEY = "melodymaster.trackView";
+
+// Columns the list can be sorted by; "order" is the library/playlist order
+export const SORT_COLUMNS = [
+  { id: "order", label: "ORDER" },
+  { id: "title", label: "TITLE" },
+  { id: "artist", label: "ARTIST" },
+  { id: "album", label: "ALBUM" },
+  { id: "duration", label: "DURATION" },
+];
+
+// Search fields and how much a match in each counts
+const SEARCH_FIELDS = [["title", 1], ["artist", 0.9], ["album", 0.8]];
+
+// PUBLIC_INTERFACE
+/**
+ * View settings: { query, sort, descending, source, format }. source is a
+ * source id (see sourceProviders.js) or "all", format a key of AUDIO_FORMATS or "all".
+ */
+export const DEFAULT_TRACK_VIEW = { query: "", sort: "order", descending: false, source: "all", format: "all" };
+
+// PUBLIC_INTERFACE
+/**
+ * Loads the saved sort and filters. The search text always starts empty.
+ */
+export function loadTrackView() {
+  const saved = readJson(VIEW_KEY, null) || {};
+  return {
+    ...DEFAULT_TRACK_VIEW,
+    sort: SORT_COLUMNS.some(c => c.id === saved.sort) ? saved.sort : "order",
+    descending: saved.descending === true,
+    // "uploaded" is what the local library's filter was called before sources
+    source: saved.source === "uploaded" ? "local" : typeof saved.source === "string" ? saved.source : "all",
+    format: saved.format in AUDIO_FORMATS ? saved.format : "all",
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Persists the sort and filters (not the search text).
+ */
+export function saveTrackView({ sort, descending, source, format }) {
+  writeJson(VIEW_KEY, { sort, descending, source, format });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Whether a view shows the list as it is: natural order, nothing filtered.
+ */
+export function isNaturalView(view) {
+  return view.sort === "order" && !view.descending && !view.query.trim() && view.source === "all" && view.format === "all";
+}
+
+// Lowercase without diacritics, so "beyonce" finds "Beyoncé"
+function fold(str) {
+  return String(str || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+const isWordStart = (text, i) => i === 0 || /[^a-z0-9]/.test(text[i - 1]);
+
+// PUBLIC_INTERFACE
+/**
+ * Fuzzy match score of a (folded) query against text: substrings score
+ * highest, then in-order characters, with bonuses for runs and word starts.
+ * @returns {number|null} null when the query doesn't match
+ */
+export function fuzzyScore(query, text) {
+  const t = fold(text);
+  if (!query) return 0;
+  const at = t.indexOf(query);
+  if (at >= 0) return 100 + (isWordStart(t, at) ? 40 : 0) + (at === 0 ? 20 : 0) - Math.min(at, 20) / 2;
+
+  let score = 0;
+  let pos = 0;
+  let prev = -2;
+  for (const ch of query) {
+    const found = t.indexOf(ch, pos);
+    if (found < 0) return null;
+    score += 1 + (found === prev + 1 ? 3 : 0) + (isWordStart(t, found) ? 4 : 0) - Math.min(found - pos, 10) * 0.2;
+    prev = found;
+    pos = found + 1;
+  }
+  // Scattered matches in long text shouldn't outrank a real substring
+  return Math.min(score, 90);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Search score of a track: every word of the query has to match the title,
+ * artist or album; the best field counts for each word.
+ * @returns {number|null} null when the track doesn't match
+ */
+export function matchTrack(track, query) {
+  const words = fold(query).split(/\s+/).filter(Boolean);
+  let total = 0;
+  for (const word of words) {
+    let best = null;
+    SEARCH_FIELDS.forEach(([field, weight]) => {
+      const score = fuzzyScore(word, track[field]);
+      if (score != null && (best == null || score * weight > best)) best = score * weight;
+    });
+    if (best == null) return null;
+    total += best;
+  }
+  return total;
+}
+
+function compareBy(column, dir) {
+  if (column === "duration") {
+    // Unknown durations go last either way
+    return (a, b) => (a.duration == null) - (b.duration == null) || dir * ((a.duration || 0) - (b.duration || 0));
+  }
+  return (a, b) => dir * String(a[column] || "").localeCompare(String(b[column] || ""), undefined, { numeric: true, sensitivity: "base" });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The rows to show for `tracks` under `view`.
+ * @param {Array} tracks - the list being played
+ * @param {Object} view - see DEFAULT_TRACK_VIEW
+ * @returns {number[]} indices into `tracks`, in display order. Without an
+ *   explicit sort, search results are ordered by relevance.
+ */
+export function buildTrackView(tracks, view) {
+  const query = view.query.trim();
+  let rows = tracks.map((track, idx) => ({ track, idx, score: 0 }));
+  if (view.source !== "all") rows = rows.filter(({ track }) => track.sourceId === view.source);
+  if (view.format !== "all") rows = rows.filter(({ track }) => trackFormat(track) === view.format);
+  if (query) {
+    rows = rows
+      .map(row => ({ ...row, score: matchTrack(row.track, query) }))
+      .filter(row => row.score != null);
+  }
+  if (view.sort !== "order") {
+    const compare = compareBy(view.sort, view.descending ? -1 : 1);
+    rows.sort((a, b) => compare(a.track, b.track) || a.idx - b.idx);
+  } else if (query) {
+    rows.sort((a, b) => b.score - a.score || a.idx - b.idx);
+  } else if (view.descending) {
+    rows.reverse();
+  }
+  return rows.map(row => row.idx);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Options for the source filter: [{ id, label }], "all" first.
+ * @param {Array<{id, name}>} sources - every source, built-in ones included
+ */
+export function sourceFilterOptions(sources) {
+  return [{ id: "all", label: "ALL SOURCES" }, ...sources.map(s => ({ id: s.id, label: s.name.toUpperCase() }))];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Formats present in `tracks`, for the format filter: [{ id, label }].
+ */
+export function formatFilterOptions(tracks) {
+  const present = new Set(tracks.map(trackFormat).filter(Boolean));
+  return Object.keys(AUDIO_FORMATS)
+    .filter(id => present.has(id))
+    .map(id => ({ id, label: AUDIO_FORMATS[id].label }));
+}
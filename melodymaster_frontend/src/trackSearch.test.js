@@ -0,0 +1,109 @@
+import { DEFAULT_TRACK_VIEW, buildTrackView, fuzzyScore, matchTrack } from "./trackSearch";
+
+const track = (title, artist = "", album = "", more = {}) => ({ title, artist, album, ...more });
+const view = settings => ({ ...DEFAULT_TRACK_VIEW, ...settings });
+
+describe("fuzzyScore", () => {
+  test("substrings beat scattered characters; word starts and the start of the text score higher", () => {
+    const atStart = fuzzyScore("love", "Love Song");
+    const atWord = fuzzyScore("love", "Endless Love");
+    const inWord = fuzzyScore("love", "Glovebox");
+    const scattered = fuzzyScore("lvsg", "Love Song");
+    expect(atStart).toBeGreaterThan(atWord);
+    expect(atWord).toBeGreaterThan(inWord);
+    expect(inWord).toBeGreaterThan(scattered);
+    expect(scattered).toBeLessThanOrEqual(90);
+  });
+
+  test("characters have to come in order", () => {
+    expect(fuzzyScore("gsl", "Love Song")).toBeNull();
+    expect(fuzzyScore("x", "Love Song")).toBeNull();
+    expect(fuzzyScore("", "anything")).toBe(0);
+  });
+
+  test("text is folded: case and diacritics don't matter", () => {
+    expect(fuzzyScore("beyonce", "Beyoncé")).toBe(fuzzyScore("beyonce", "beyonce"));
+    expect(fuzzyScore("sigur ros", "Sigur Rós")).not.toBeNull();
+    expect(fuzzyScore("motorhead", "MOTÖRHEAD")).not.toBeNull();
+    expect(fuzzyScore("a", null)).toBeNull();
+  });
+});
+
+describe("matchTrack", () => {
+  const song = track("Halo", "Beyoncé", "I Am... Sasha Fierce");
+
+  test("the query is folded too", () => {
+    expect(matchTrack(song, "BEYONCÉ")).not.toBeNull();
+    expect(matchTrack(song, "Beyonce")).toBe(matchTrack(song, "beyoncé"));
+  });
+
+  test("every word has to match some field", () => {
+    expect(matchTrack(song, "halo beyonce")).not.toBeNull();
+    expect(matchTrack(song, "  sasha   halo ")).not.toBeNull();
+    expect(matchTrack(song, "halo adele")).toBeNull();
+  });
+
+  test("each word counts its best field; title outweighs album", () => {
+    expect(matchTrack(song, "halo beyonce")).toBe(matchTrack(song, "halo") + matchTrack(song, "beyonce"));
+    expect(matchTrack(track("Sasha"), "sasha")).toBeGreaterThan(matchTrack(track("", "", "Sasha"), "sasha"));
+  });
+
+  test("an empty query matches everything", () => {
+    expect(matchTrack(song, "   ")).toBe(0);
+  });
+});
+
+describe("buildTrackView", () => {
+  const tracks = [
+    track("Zebra Crossing", "Café Tacvba", "Re", { duration: 200, sourceId: "local", src: "blob:1", audioInfo: { format: "flac" } }),
+    track("Apple Tree", "Erykah Badu", "Baduizm", { duration: null, sourceId: "local", src: "blob:2", audioInfo: { format: "mp3" } }),
+    track("Track 10", "Café del Mar", "Volume 2", { duration: 90, sourceId: "dav", src: "https://dav/a.mp3" }),
+    track("Track 9", "Erykah Badu", "Mama's Gun", { duration: 300, sourceId: "dav", src: "https://dav/b.mp3" }),
+    track("Cafe Society", "Various", "Live", { sourceId: "local", src: "blob:5", audioInfo: { format: "mp3" } }),
+  ];
+  const titles = indices => indices.map(i => tracks[i].title);
+
+  test("the natural view is every index in order, reversed when descending", () => {
+    expect(buildTrackView(tracks, view({}))).toEqual([0, 1, 2, 3, 4]);
+    expect(buildTrackView(tracks, view({ descending: true }))).toEqual([4, 3, 2, 1, 0]);
+  });
+
+  test("search keeps the original indices and orders by relevance", () => {
+    const indices = buildTrackView(tracks, view({ query: "cafe" }));
+    // A title match outranks the artists' (weighted) ones; those two tie and keep list order
+    expect(indices).toEqual([4, 0, 2]);
+    expect(titles(indices)).toEqual(["Cafe Society", "Zebra Crossing", "Track 10"]);
+  });
+
+  test("an explicit sort overrides relevance", () => {
+    expect(buildTrackView(tracks, view({ query: "cafe", sort: "title" }))).toEqual([4, 2, 0]);
+    expect(buildTrackView(tracks, view({ query: "cafe", sort: "title", descending: true }))).toEqual([0, 2, 4]);
+  });
+
+  test("text sorts are case-insensitive and numeric; ties keep list order", () => {
+    expect(titles(buildTrackView(tracks, view({ sort: "title" })))).toEqual([
+      "Apple Tree", "Cafe Society", "Track 9", "Track 10", "Zebra Crossing",
+    ]);
+    expect(buildTrackView(tracks, view({ sort: "artist" }))).toEqual([2, 0, 1, 3, 4]);
+    expect(buildTrackView(tracks, view({ sort: "artist", descending: true }))).toEqual([4, 1, 3, 0, 2]);
+  });
+
+  test("unknown durations sort last in either direction", () => {
+    expect(buildTrackView(tracks, view({ sort: "duration" }))).toEqual([2, 0, 3, 1, 4]);
+    expect(buildTrackView(tracks, view({ sort: "duration", descending: true }))).toEqual([3, 0, 2, 1, 4]);
+  });
+
+  test("filtered and reversed rows still point at the right tracks", () => {
+    const local = buildTrackView(tracks, view({ source: "local", descending: true }));
+    expect(local).toEqual([4, 1, 0]);
+    local.forEach(i => expect(tracks[i].sourceId).toBe("local"));
+
+    const mp3 = buildTrackView(tracks, view({ format: "mp3", sort: "title", descending: true }));
+    expect(titles(mp3)).toEqual(["Track 10", "Track 9", "Cafe Society", "Apple Tree"]);
+    expect(mp3).toEqual([2, 3, 4, 1]);
+
+    const badu = buildTrackView(tracks, view({ query: "badu", source: "dav", sort: "duration", descending: true }));
+    expect(badu).toEqual([3]);
+    expect(tracks[badu[0]]).toMatchObject({ title: "Track 9", artist: "Erykah Badu" });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Stream URL provider: a fixed list of pasted URLs (also used for the demo
+ * tracks). Titles come from the config or the file name; the real tags are
+ * read on demand with a ranged request when the server allows it (CORS).
+ */
+import { formatFromUrl } from "./audioFormats";
+import { getId3v2Size, parseId3v2 } from "./id3";
+import { lyricsFromTags } from "./lyrics";
+import { metadataFromFilename } from "./trackMetadata";
+
+// How much of a remote file to read for its ID3v2 tag, at most
+const TAG_PROBE_BYTES = 256 * 1024;
+const MAX_TAG_BYTES = 2 * 1024 * 1024;
+
+function fileNameOf(url) {
+  const path = String(url).split(/[?#]/)[0];
+  try {
+    return decodeURIComponent(path.slice(path.lastIndexOf("/") + 1));
+  } catch (e) {
+    return path.slice(path.lastIndexOf("/") + 1);
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Tracks for a list of streams. Missing titles/artists are guessed from the
+ * file name and the track is marked metadataGuessed, so its tags are worth
+ * reading (see fetchRemoteTags).
+ * @param {Array<{src, title?, artist?, album?, duration?}>} streams
+ * @param {string} sourceId
+ */
+export function tracksFromStreams(streams, sourceId) {
+  return streams.map(stream => {
+    const guess = metadataFromFilename(fileNameOf(stream.src), { artist: "", album: "" });
+    return {
+      title: stream.title || guess.title,
+      artist: stream.artist || guess.artist,
+      album: stream.album || guess.album,
+      src: stream.src,
+      duration: stream.duration != null ? stream.duration : null,
+      audioInfo: formatFromUrl(stream.src) ? { format: formatFromUrl(stream.src) } : null,
+      sourceId,
+      metadataGuessed: !stream.title,
+    };
+  });
+}
+
+async function fetchBytes(fetchImpl, url, end) {
+  const response = await fetchImpl(url, { headers: { Range: `bytes=0-${end - 1}` } });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  // Servers that ignore Range send the whole file; only the head is needed
+  return bytes.subarray(0, end);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Reads the ID3v2 tag at the start of a remote MP3.
+ * @param {string} url
+ * @param {Function} fetchImpl
+ * @returns {Promise<Object>} { title, artist, album, trackNo, year, genre, art, lyrics },
+ *   only the fields the tag has; {} when there's no tag or it can't be fetched.
+ *   art is a blob URL kept for the session.
+ */
+export async function fetchRemoteTags(url, fetchImpl) {
+  try {
+    let bytes = await fetchBytes(fetchImpl, url, TAG_PROBE_BYTES);
+    const size = getId3v2Size(bytes);
+    if (!size) return {};
+    if (size > bytes.length && size <= MAX_TAG_BYTES) bytes = await fetchBytes(fetchImpl, url, size);
+    const tags = parseId3v2(bytes.subarray(0, size));
+    if (!tags) return {};
+    const fields = {
+      title: tags.title,
+      artist: tags.artist || tags.albumArtist,
+      album: tags.album,
+      trackNo: tags.track,
+      year: tags.year,
+      genre: tags.genre,
+      art: tags.picture ? URL.createObjectURL(new Blob([tags.picture.data], { type: tags.picture.mime })) : null,
+      lyrics: lyricsFromTags(tags),
+    };
+    Object.keys(fields).forEach(key => {
+      if (fields[key] == null || fields[key] === "") delete fields[key];
+    });
+    return fields;
+  } catch (e) {
+    return {};
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Creates a stream URL source (see sourceProviders.js for the interface).
+ * @param {Object} config - { streams: [{ src, title?, artist?, album?, duration? }] }
+ * @param {Object} options - { id, fetch }
+ */
+export function createUrlProvider(config, { id, fetch: fetchImpl }) {
+  return {
+    list: async () => tracksFromStreams(config.streams || [], id),
+    resolve: async track => track.src,
+    // Curated titles (like the demo's) win over whatever the files say
+    metadata: async track => (track.metadataGuessed ? fetchRemoteTags(track.src, fetchImpl) : {}),
+  };
+}
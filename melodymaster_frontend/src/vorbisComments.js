@@ -0,0 +1,120 @@
+/**
+ * Vorbis comment reader for FLAC and Ogg (Vorbis, Opus) files - the tag format
+ * those containers use instead of ID3. Only the comment fields are read.
+ */
+
+const OGG_SCAN_BYTES = 256 * 1024;
+const FLAC_SCAN_BYTES = 1024 * 1024;
+
+function readUint32LE(bytes, offset) {
+  return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Parses a Vorbis comment structure (vendor string, then "KEY=value" entries).
+ * Keys are upper-cased; for repeated keys the first value wins.
+ * @param {Uint8Array} bytes - starts at the vendor length
+ * @returns {Object<string, string>}
+ */
+export function parseVorbisCommentBlock(bytes) {
+  const decoder = new TextDecoder("utf-8");
+  const fields = {};
+  let pos = 0;
+  const vendorLen = readUint32LE(bytes, pos);
+  pos += 4 + vendorLen;
+  if (pos + 4 > bytes.length) return fields;
+  const count = readUint32LE(bytes, pos);
+  pos += 4;
+  for (let i = 0; i < count && pos + 4 <= bytes.length; i++) {
+    const len = readUint32LE(bytes, pos);
+    pos += 4;
+    if (pos + len > bytes.length) break;
+    const entry = decoder.decode(bytes.subarray(pos, pos + len));
+    pos += len;
+    const eq = entry.indexOf("=");
+    if (eq > 0) {
+      const key = entry.slice(0, eq).toUpperCase();
+      if (!(key in fields)) fields[key] = entry.slice(eq + 1);
+    }
+  }
+  return fields;
+}
+
+function readFlacComments(bytes) {
+  let pos = 4; // "fLaC"
+  while (pos + 4 <= bytes.length) {
+    const isLast = (bytes[pos] & 0x80) !== 0;
+    const type = bytes[pos] & 0x7f;
+    const len = (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3];
+    pos += 4;
+    if (type === 4) return pos + len <= bytes.length ? parseVorbisCommentBlock(bytes.subarray(pos, pos + len)) : null;
+    if (isLast) return null;
+    pos += len;
+  }
+  return null;
+}
+
+// Reassembles the first `count` packets of the first logical Ogg stream
+function readOggPackets(bytes, count) {
+  const packets = [];
+  let current = [];
+  let serial = null;
+  let pos = 0;
+  while (pos + 27 <= bytes.length && packets.length < count) {
+    if (bytes[pos] !== 0x4f || bytes[pos + 1] !== 0x67 || bytes[pos + 2] !== 0x67 || bytes[pos + 3] !== 0x53) break;
+    const pageSerial = readUint32LE(bytes, pos + 14);
+    const segments = bytes[pos + 26];
+    let dataPos = pos + 27 + segments;
+    const pageEnd = dataPos + Array.from(bytes.subarray(pos + 27, pos + 27 + segments)).reduce((a, b) => a + b, 0);
+    if (serial === null) serial = pageSerial;
+    if (pageSerial === serial) {
+      for (let s = 0; s < segments && packets.length < count; s++) {
+        const lacing = bytes[pos + 27 + s];
+        current.push(bytes.subarray(dataPos, dataPos + lacing));
+        dataPos += lacing;
+        if (lacing < 255) {
+          const total = current.reduce((n, part) => n + part.length, 0);
+          const packet = new Uint8Array(total);
+          let offset = 0;
+          current.forEach(part => {
+            packet.set(part, offset);
+            offset += part.length;
+          });
+          packets.push(packet);
+          current = [];
+        }
+      }
+    }
+    pos = pageEnd;
+  }
+  return packets;
+}
+
+function readOggComments(bytes) {
+  const [, comments] = readOggPackets(bytes, 2);
+  if (!comments) return null;
+  const magic = String.fromCharCode(...comments.subarray(0, 8));
+  if (magic === "OpusTags") return parseVorbisCommentBlock(comments.subarray(8));
+  if (comments[0] === 3 && magic.slice(1, 7) === "vorbis") return parseVorbisCommentBlock(comments.subarray(7));
+  return null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Reads Vorbis comments from a FLAC or Ogg file.
+ * @param {Blob} file
+ * @returns {Promise<Object<string, string>|null>} upper-cased fields, or null
+ *   if the file isn't FLAC/Ogg or has no comment block
+ */
+export async function readVorbisComments(file) {
+  const head = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+  const tag = String.fromCharCode(...head);
+  if (tag === "fLaC") {
+    return readFlacComments(new Uint8Array(await file.slice(0, FLAC_SCAN_BYTES).arrayBuffer()));
+  }
+  if (tag === "OggS") {
+    return readOggComments(new Uint8Array(await file.slice(0, OGG_SCAN_BYTES).arrayBuffer()));
+  }
+  return null;
+}
@@ -0,0 +1,106 @@
+/**
+ * Waveform overviews for the seek bar.
+ *
+ * A track's peaks are WAVEFORM_BUCKETS bytes (0-255): the loudest sample of
+ * each slice of the track over all channels, scaled to the track's own peak.
+ * Library tracks keep theirs in their IndexedDB record (see libraryDb.js);
+ * streamed tracks in a small localStorage cache keyed by trackRef, since
+ * their URLs can carry per-session tokens.
+ */
+import { enqueueDecode } from "./loudness";
+import { readJson, writeJson } from "./storage";
+
+export const WAVEFORM_BUCKETS = 600;
+
+const WAVEFORM_CACHE_KEY = "melodymaster.waveforms";
+// Each entry is ~800 characters of base64
+const WAVEFORM_CACHE_LIMIT = 200;
+// Plenty for an overview, and a quarter of the memory of decoding at 48 kHz
+const DECODE_SAMPLE_RATE = 22050;
+
+// PUBLIC_INTERFACE
+/**
+ * Downsamples decoded audio to `count` peak levels.
+ * @param {Float32Array[]} channels - one array of samples per channel
+ * @param {number} [count=WAVEFORM_BUCKETS]
+ * @returns {Uint8Array} 0-255, 255 at the loudest bucket (all 0 for silence)
+ */
+export function computePeaks(channels, count = WAVEFORM_BUCKETS) {
+  const length = channels.length ? channels[0].length : 0;
+  const levels = new Float32Array(count);
+  let max = 0;
+  for (let b = 0; b < count; b++) {
+    const start = Math.floor((b * length) / count);
+    const end = Math.min(length, Math.max(start + 1, Math.floor(((b + 1) * length) / count)));
+    let peak = 0;
+    channels.forEach(samples => {
+      for (let i = start; i < end; i++) {
+        const abs = Math.abs(samples[i]);
+        if (abs > peak) peak = abs;
+      }
+    });
+    levels[b] = peak;
+    if (peak > max) max = peak;
+  }
+  return Uint8Array.from(levels, level => (max ? Math.round((level / max) * 255) : 0));
+}
+
+// PUBLIC_INTERFACE
+export function encodePeaks(peaks) {
+  return btoa(String.fromCharCode(...peaks));
+}
+
+// PUBLIC_INTERFACE
+export function decodePeaks(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Cached peaks of a streamed track, or null.
+ * @param {string} ref - the track's trackRef
+ */
+export function loadCachedPeaks(ref) {
+  const text = (readJson(WAVEFORM_CACHE_KEY, {}) || {})[ref];
+  try {
+    return text ? decodePeaks(text) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Caches a streamed track's peaks, dropping the least recently added ones
+ * past WAVEFORM_CACHE_LIMIT.
+ */
+export function saveCachedPeaks(ref, peaks) {
+  const cache = readJson(WAVEFORM_CACHE_KEY, {}) || {};
+  delete cache[ref];
+  cache[ref] = encodePeaks(peaks);
+  const refs = Object.keys(cache);
+  refs.slice(0, Math.max(0, refs.length - WAVEFORM_CACHE_LIMIT)).forEach(old => delete cache[old]);
+  writeJson(WAVEFORM_CACHE_KEY, cache);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Fetches and decodes a track for its waveform, queued with the loudness
+ * measurements.
+ * @param {Object} track - needs a fetchable src (blob: URL or CORS-enabled)
+ * @param {AbortSignal} [signal] - skips the job (or stops its download) once
+ *   the track isn't wanted anymore
+ * @returns {Promise<Uint8Array|null>} null if the audio couldn't be fetched or decoded
+ */
+export function analyzeWaveform(track, signal) {
+  return enqueueDecode(async () => {
+    const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!OfflineContextClass || (signal && signal.aborted)) return null;
+    const res = await fetch(track.src, { signal });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = await res.arrayBuffer();
+    const context = new OfflineContextClass(1, 1, DECODE_SAMPLE_RATE);
+    const buffer = await new Promise((resolve, reject) => context.decodeAudioData(data, resolve, reject));
+    return computePeaks(Array.from({ length: buffer.numberOfChannels }, (_, ch) => buffer.getChannelData(ch)));
+  }).catch(() => null);
+}
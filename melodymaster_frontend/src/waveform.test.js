@@ -0,0 +1,34 @@
+import { computePeaks, decodePeaks, encodePeaks, loadCachedPeaks, saveCachedPeaks } from "./waveform";
+
+describe("waveform", () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test("computePeaks keeps each bucket's loudest sample over all channels, scaled to the track's peak", () => {
+    const left = Float32Array.from([0.1, -0.2, 0, 0, 0.4, 0.1, 0, 0]);
+    const right = Float32Array.from([0, 0, 0.1, -0.05, 0, -0.8, 0, 0]);
+    expect(Array.from(computePeaks([left, right], 4))).toEqual([64, 32, 255, 0]);
+  });
+
+  test("computePeaks handles silence and tracks shorter than the bucket count", () => {
+    expect(Array.from(computePeaks([new Float32Array(10)], 4))).toEqual([0, 0, 0, 0]);
+    expect(Array.from(computePeaks([Float32Array.from([0.5, 1])], 4))).toEqual([128, 128, 255, 255]);
+    expect(Array.from(computePeaks([], 3))).toEqual([0, 0, 0]);
+  });
+
+  test("peaks survive the base64 round trip", () => {
+    const peaks = Uint8Array.from({ length: 600 }, (_, i) => (i * 7) % 256);
+    expect(decodePeaks(encodePeaks(peaks))).toEqual(peaks);
+  });
+
+  test("the stream cache keeps the most recently added tracks", () => {
+    for (let i = 0; i < 205; i++) saveCachedPeaks(`url:https://x/${i}.mp3`, Uint8Array.from([i % 256]));
+    expect(loadCachedPeaks("url:https://x/0.mp3")).toBeNull();
+    expect(loadCachedPeaks("url:https://x/4.mp3")).toBeNull();
+    expect(Array.from(loadCachedPeaks("url:https://x/5.mp3"))).toEqual([5]);
+    // Saving again moves a track to the back of the line
+    saveCachedPeaks("url:https://x/5.mp3", Uint8Array.from([9]));
+    saveCachedPeaks("url:https://x/new.mp3", Uint8Array.from([1]));
+    expect(loadCachedPeaks("url:https://x/6.mp3")).toBeNull();
+    expect(Array.from(loadCachedPeaks("url:https://x/5.mp3"))).toEqual([9]);
+  });
+});